@@ -2,39 +2,34 @@ import resolve from '@rollup/plugin-node-resolve';
 import commonjs from '@rollup/plugin-commonjs';
 import babel from '@rollup/plugin-babel';
 import terser from '@rollup/plugin-terser';
-import typescript from 'rollup-plugin-typescript2';
+import dts from 'rollup-plugin-dts';
 
 export default [
-  // CommonJS build
+  // CommonJS and ES Module builds. The testing helpers (the "./testing" export) are built in the
+  // same run so both entries share one copy of the clients, and `instanceof` works across them.
   {
-    input: 'src/index.js',
-    output: {
-      file: 'dist/websocket-client.js',
-      format: 'cjs',
-      sourcemap: true,
-      exports: 'named'
-    },
-    external: ['reconnecting-websocket'],
-    plugins: [
-      resolve(),
-      commonjs(),
-      babel({
-        babelHelpers: 'bundled',
-        exclude: 'node_modules/**'
-      }),
-      terser()
-    ]
-  },
-  
-  // ES Module build
-  {
-    input: 'src/index.js',
-    output: {
-      file: 'dist/websocket-client.esm.js',
-      format: 'esm',
-      sourcemap: true,
-      exports: 'named'
+    input: {
+      'websocket-client': 'src/index.js',
+      testing: 'src/testing/index.js'
     },
+    output: [
+      {
+        dir: 'dist',
+        format: 'cjs',
+        entryFileNames: '[name].cjs',
+        chunkFileNames: 'chunks/[name]-[hash].cjs',
+        sourcemap: true,
+        exports: 'named'
+      },
+      {
+        dir: 'dist',
+        format: 'esm',
+        entryFileNames: '[name].esm.js',
+        chunkFileNames: 'chunks/[name]-[hash].esm.js',
+        sourcemap: true,
+        exports: 'named'
+      }
+    ],
     external: ['reconnecting-websocket'],
     plugins: [
       resolve(),
@@ -69,5 +64,25 @@ export default [
       }),
       terser()
     ]
+  },
+
+  // Type definitions
+  {
+    input: 'src/index.d.ts',
+    output: {
+      file: 'dist/websocket-client.d.ts',
+      format: 'es'
+    },
+    plugins: [dts()]
+  },
+
+  // Testing type definitions
+  {
+    input: 'src/testing/index.d.ts',
+    output: {
+      file: 'dist/testing.d.ts',
+      format: 'es'
+    },
+    plugins: [dts()]
   }
 ];
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Logical channels multiplexed over one client connection
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from './EventEmitter.js';
+import { MessageQueue } from './MessageQueue.js';
+import { addListener, removeListener, removeAllListeners } from './listeners.js';
+
+/**
+ * A logical channel created with WebSocketClient#createChannel(). Channels share the client's
+ * socket, reconnects and heartbeat; every message they send carries the channel name in its
+ * envelope metadata (`channel` by default, see the client's `channelKey` option), and incoming
+ * messages tagged with it are dispatched to the channel's listeners instead of the client's.
+ * Each channel has its own outbound queue, flushed after the client's on every (re)connect.
+ * @class Channel
+ */
+export class Channel {
+  /**
+   * Create a channel. Use WebSocketClient#createChannel() instead of calling this directly.
+   * @param {WebSocketClient} client - Client whose connection the channel shares
+   * @param {string} name - Channel name, sent as the channel ID
+   * @param {Object} options - Channel options
+   * @param {Object} options.queue - Outbound queue policy (see MessageQueue), on top of the client's; channel
+   *   queues are kept in memory unless `storage` is set, and persist under 'websocket-client:queue:<name>' by default
+   */
+  constructor(client, name, options = {}) {
+    this.client = client;
+    this.name = name;
+    this.closed = false;
+    this.eventTarget = new EventEmitter({ onListenerError: (error, event) => client.handleListenerError(error, event, this) });
+    this.eventListeners = new Map();
+
+    // The client's size, overflow and TTL policy applies, but not its storage
+    const { storage, storageKey, ...policy } = client.options.queue;
+    this.messageQueue = new MessageQueue({
+      ...policy,
+      storageKey: `websocket-client:queue:${name}`,
+      ...options.queue,
+      onPersistError: (error) => client.log('Failed to persist channel queue', { channel: name, error }, 'warn')
+    });
+
+    this.messageQueue.restore().then((count) => {
+      if (count > 0 && client.canTransmit() && !this.closed) {
+        client.processChannelQueue(this);
+      }
+    }, (error) => client.log('Failed to restore channel queue', { channel: name, error }, 'warn'));
+  }
+
+  /**
+   * Emit an action on this channel
+   * @param {string} action - Action name
+   * @param {*} data - Data to send (optional)
+   * @throws {Error} When the channel is closed, or with `code` 'VALIDATION_ERROR' when an outgoing
+   *   schema rejects the data
+   * @throws {Error} With `code` 'QUEUE_FULL' when, without outgoing middleware, the channel's queue is full and rejects the message
+   */
+  emit(action, data = '') {
+    this.assertOpen();
+    this.client.validateOutgoing(action, data);
+    this.client.sendAction(action, data === '' ? undefined : data, {}, this);
+    this.client.log('Channel action emitted', { channel: this.name, action, data });
+  }
+
+  /**
+   * Emit an action on this channel and wait for the server's reply (see WebSocketClient#request())
+   * @param {string} action - Action name
+   * @param {*} data - Data to send (optional)
+   * @param {Object} options - `{ timeout }`, as for WebSocketClient#request()
+   * @returns {Promise<*>} Resolves with the reply payload
+   */
+  request(action, data = '', options = {}) {
+    if (this.closed) {
+      return Promise.reject(this.createClosedError());
+    }
+    return this.client.sendRequest(action, data, options, this);
+  }
+
+  /**
+   * Add a listener for messages and events of this channel (see WebSocketClient#on())
+   * @param {string} event - Event name or wildcard pattern
+   * @param {Function} callback - Called with the event detail
+   * @param {Object} options - `{ once, priority, signal }`
+   * @returns {Function} Removes the listener
+   */
+  on(event, callback, options = {}) {
+    return addListener(this, event, callback, options);
+  }
+
+  /**
+   * Add a listener that is removed after its first call
+   * @param {string} event - Event name or wildcard pattern
+   * @param {Function} callback - Event callback function
+   * @param {Object} options - `{ priority, signal }`
+   * @returns {Function} Removes the listener
+   */
+  once(event, callback, options = {}) {
+    return this.on(event, callback, { ...options, once: true });
+  }
+
+  /**
+   * Remove a listener
+   * @param {string} event - Event name or pattern the listener was added with
+   * @param {Function} callback - Event callback function to remove
+   */
+  off(event, callback) {
+    removeListener(this, event, callback);
+  }
+
+  /**
+   * Remove every listener for an event, or for all events
+   * @param {string} event - Event name or pattern (optional)
+   */
+  offAll(event) {
+    removeAllListeners(this, event);
+  }
+
+  /**
+   * Listen for specific actions on this channel or all of its messages
+   * @param {string} action - Action to listen for, or '*' for all
+   * @param {Function} callback - Callback function
+   * @param {Object} options - `{ once, priority, signal }`
+   * @returns {Function} Removes the listener
+   */
+  listen(action, callback, options = {}) {
+    return this.on(action === '*' ? 'message' : action, callback, options);
+  }
+
+  /**
+   * Get the channel's status
+   * @returns {Object} `{ name, open, closed, messageQueueLength, listeners }`
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      open: this.client.open && !this.closed,
+      closed: this.closed,
+      messageQueueLength: this.messageQueue.length,
+      listeners: Array.from(this.eventListeners.values()).reduce((count, entries) => count + entries.length, 0)
+    };
+  }
+
+  /**
+   * Close the channel: queued messages are discarded, listeners get a final 'close' event with
+   * `{ channel: true }` and are removed, and the client stops routing the channel's messages.
+   * The name can be used again with createChannel() afterwards.
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    this.messageQueue.clear();
+    this.client.removeChannel(this);
+    this.dispatchCustomEvent('close', { channel: true });
+    this.offAll();
+    this.client.log('Channel closed', { channel: this.name });
+  }
+
+  /**
+   * Dispatch an event to the channel's listeners
+   * @param {string} eventName - Name of the event
+   * @param {*} detail - Event detail data
+   * @private
+   */
+  dispatchCustomEvent(eventName, detail) {
+    this.eventTarget.dispatchEvent({ type: eventName, detail });
+  }
+
+  /**
+   * Throw when the channel has been closed
+   * @private
+   */
+  assertOpen() {
+    if (this.closed) {
+      throw this.createClosedError();
+    }
+  }
+
+  /**
+   * Create the error for operations on a closed channel
+   * @returns {Error} Error with `code` 'CHANNEL_CLOSED'
+   * @private
+   */
+  createClosedError() {
+    const error = new Error(`Channel "${this.name}" is closed`);
+    error.code = 'CHANNEL_CLOSED';
+    return error;
+  }
+}
+
+export default Channel;
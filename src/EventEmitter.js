@@ -0,0 +1,207 @@
+/**
+ * @fileoverview A minimal, DOM-free event emitter with an EventTarget-compatible API
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * Check whether an event type is a wildcard pattern
+ * @param {string} type - Event type
+ * @returns {boolean} True when the type contains `*`
+ */
+export function isEventPattern(type) {
+  return typeof type === 'string' && type.indexOf('*') !== -1;
+}
+
+/**
+ * Compile a wildcard pattern. Event names are split into segments by `.`, `:` or `/`;
+ * `*` matches within one segment and `**` matches across segments.
+ * @param {string} pattern - Pattern, e.g. 'order.*' or 'phoenix:**'
+ * @returns {RegExp} Regular expression matching whole event names
+ * @private
+ */
+function compilePattern(pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^.:/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Report an error thrown by a listener. Browsers get it rethrown asynchronously, like EventTarget
+ * does, so it reaches `window.onerror`; elsewhere an uncaught error would end the process, so it is
+ * written to the console instead.
+ * @param {Error} error - Error thrown by the listener
+ * @param {Object} event - Event being dispatched
+ */
+export function reportListenerError(error, event) {
+  if (typeof window !== 'undefined' && typeof window.document !== 'undefined') {
+    setTimeout(() => {
+      throw error;
+    }, 0);
+    return;
+  }
+  console.error(`Listener for "${event.type}" failed:`, error);
+}
+
+/**
+ * Event emitter used as the client's event bus. It mirrors the subset of the
+ * EventTarget API the clients rely on, so it runs in browsers, Node and workers alike.
+ * Beyond EventTarget it supports listener priorities and wildcard patterns as types.
+ * @class EventEmitter
+ */
+export class EventEmitter {
+  /**
+   * Create a new event emitter
+   * @param {Object} options - Emitter options
+   * @param {Function} options.onListenerError - Called with `(error, event)` when a listener throws
+   *   (default: reportListenerError())
+   */
+  constructor(options = {}) {
+    this.onListenerError = options.onListenerError || reportListenerError;
+    this.listeners = new Map();
+    this.patterns = new Map();
+    this.lastOrder = 0;
+  }
+
+  /**
+   * Register a listener for an event type or a wildcard pattern
+   * @param {string} type - Event type, or a pattern such as 'order.*' (see compilePattern())
+   * @param {Function} listener - Listener called with the dispatched event
+   * @param {Object} options - Listener options
+   * @param {boolean} options.once - Remove the listener after its first call
+   * @param {number} options.priority - Listeners with a higher priority run first; equal priorities
+   *   run in registration order (default: 0)
+   * @param {AbortSignal} options.signal - Remove the listener when aborted
+   */
+  addEventListener(type, listener, options = {}) {
+    if (typeof listener !== 'function') {
+      return;
+    }
+
+    const signal = options && options.signal;
+    if (signal && signal.aborted) {
+      return;
+    }
+
+    const registry = isEventPattern(type) ? this.patterns : this.listeners;
+    if (!registry.has(type)) {
+      registry.set(type, []);
+    }
+
+    const entries = registry.get(type);
+    if (entries.some(entry => entry.listener === listener)) {
+      return;
+    }
+
+    this.lastOrder++;
+    entries.push({
+      listener,
+      once: !!(options && options.once),
+      priority: (options && options.priority) || 0,
+      order: this.lastOrder,
+      pattern: registry === this.patterns ? compilePattern(type) : null
+    });
+    entries.sort(byPriority);
+
+    if (signal) {
+      signal.addEventListener('abort', () => this.removeEventListener(type, listener), { once: true });
+    }
+  }
+
+  /**
+   * Remove a previously registered listener
+   * @param {string} type - Event type or pattern it was registered with
+   * @param {Function} listener - Listener to remove
+   */
+  removeEventListener(type, listener) {
+    const registry = isEventPattern(type) ? this.patterns : this.listeners;
+    if (!registry.has(type)) {
+      return;
+    }
+
+    const entries = registry.get(type);
+    const index = entries.findIndex(entry => entry.listener === listener);
+    if (index > -1) {
+      entries.splice(index, 1);
+    }
+    if (entries.length === 0) {
+      registry.delete(type);
+    }
+  }
+
+  /**
+   * Dispatch an event to every listener registered for its type or a pattern matching it.
+   * A listener that throws doesn't stop the others; its error goes to `onListenerError`.
+   * @param {Object} event - Event object with a `type` property
+   * @returns {boolean} Always true, matching EventTarget#dispatchEvent
+   */
+  dispatchEvent(event) {
+    // Copy so listeners added or removed during dispatch don't affect this round
+    const entries = (this.listeners.get(event.type) || []).map(entry => ({ type: event.type, entry }));
+    this.patterns.forEach((patternEntries, pattern) => {
+      patternEntries.forEach((entry) => {
+        if (entry.pattern.test(event.type)) {
+          entries.push({ type: pattern, entry });
+        }
+      });
+    });
+
+    if (entries.length === 0) {
+      return true;
+    }
+
+    entries
+      .sort((a, b) => byPriority(a.entry, b.entry))
+      .forEach(({ type, entry }) => {
+        if (entry.once) {
+          this.removeEventListener(type, entry.listener);
+        }
+        try {
+          entry.listener.call(this, event);
+        } catch (error) {
+          // Like EventTarget: report the error without stopping the other listeners or the dispatcher
+          this.onListenerError(error, event);
+        }
+      });
+
+    return true;
+  }
+
+  /**
+   * Remove every listener, optionally only for one event type or pattern
+   * @param {string} type - Event type or pattern (optional)
+   */
+  removeAllListeners(type) {
+    if (type === undefined) {
+      this.listeners.clear();
+      this.patterns.clear();
+    } else {
+      (isEventPattern(type) ? this.patterns : this.listeners).delete(type);
+    }
+  }
+
+  /**
+   * Count listeners registered for an event type or pattern
+   * @param {string} type - Event type or pattern
+   * @returns {number} Number of listeners
+   */
+  listenerCount(type) {
+    const registry = isEventPattern(type) ? this.patterns : this.listeners;
+    return registry.has(type) ? registry.get(type).length : 0;
+  }
+}
+
+/**
+ * Order listener entries by descending priority, then by registration
+ * @private
+ */
+function byPriority(a, b) {
+  return b.priority - a.priority || a.order - b.order;
+}
+
+export default EventEmitter;
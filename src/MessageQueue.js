@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Bounded, optionally persistent queue for outbound WebSocket frames
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { resolveStorage } from './storage.js';
+
+const OVERFLOW_STRATEGIES = ['drop-oldest', 'drop-newest', 'reject'];
+
+/**
+ * Outbound message queue with a size limit, overflow strategy, per-message TTL
+ * and optional persistence. Entries that require an acknowledgement stay queued
+ * after they are sent until acknowledge() is called with their ID.
+ * @class MessageQueue
+ */
+export class MessageQueue {
+  /**
+   * Create a new message queue
+   * @param {Object} options - Queue options
+   * @param {number} options.maxSize - Maximum number of queued frames (default: Infinity)
+   * @param {string} options.overflow - 'drop-oldest', 'drop-newest' or 'reject' (default: 'drop-oldest')
+   * @param {number} options.ttl - Milliseconds a frame may wait before it is discarded; 0 keeps frames forever (default: 0)
+   * @param {string|Object} options.storage - 'memory', 'localStorage', 'indexedDB' or a storage adapter (default: none)
+   * @param {string} options.storageKey - Key the queue is persisted under (default: 'websocket-client:queue')
+   * @param {Function} options.onPersistError - Called with the error when persisting fails
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxSize: options.maxSize || Infinity,
+      overflow: options.overflow || 'drop-oldest',
+      ttl: options.ttl || 0,
+      storageKey: options.storageKey || 'websocket-client:queue',
+      ...options
+    };
+
+    if (OVERFLOW_STRATEGIES.indexOf(this.options.overflow) === -1) {
+      throw new Error(`Invalid queue overflow strategy "${this.options.overflow}". Use one of: ${OVERFLOW_STRATEGIES.join(', ')}.`);
+    }
+
+    this.storage = resolveStorage(this.options.storage, this.options.storageKey);
+    this.entries = [];
+    this.lastId = 0;
+  }
+
+  /**
+   * Number of queued frames
+   * @type {number}
+   */
+  get length() {
+    return this.entries.length;
+  }
+
+  /**
+   * Generate a queue-unique message ID that stays unique across page loads
+   * @returns {string} Message ID
+   */
+  nextId() {
+    this.lastId++;
+    return `${Date.now().toString(36)}-${this.lastId}`;
+  }
+
+  /**
+   * Add a frame to the queue
+   * @param {string|Uint8Array} data - Encoded frame
+   * @param {Object} options - Entry options
+   * @param {string} options.id - Message ID (default: generated)
+   * @param {number} options.ttl - TTL override in milliseconds
+   * @param {boolean} options.requiresAck - Keep the entry after sending until it is acknowledged
+   * @returns {{entry: Object|null, dropped: Object|null}} The queued entry and any entry dropped to make room
+   * @throws {Error} When the queue is full and the overflow strategy is 'reject'
+   */
+  enqueue(data, options = {}) {
+    const now = Date.now();
+    const ttl = options.ttl !== undefined ? options.ttl : this.options.ttl;
+    const entry = {
+      id: options.id || this.nextId(),
+      data,
+      queuedAt: now,
+      expiresAt: ttl ? now + ttl : null,
+      requiresAck: !!options.requiresAck,
+      sent: false
+    };
+
+    let dropped = null;
+    if (this.entries.length >= this.options.maxSize) {
+      switch (this.options.overflow) {
+        case 'reject': {
+          const error = new Error(`Message queue is full (maxSize: ${this.options.maxSize})`);
+          error.code = 'QUEUE_FULL';
+          throw error;
+        }
+        case 'drop-newest':
+          return { entry: null, dropped: entry };
+        default:
+          dropped = this.entries.shift();
+      }
+    }
+
+    this.entries.push(entry);
+    this.persist();
+
+    return { entry, dropped };
+  }
+
+  /**
+   * Send every live entry, discarding expired ones. Entries that require an
+   * acknowledgement are kept (and sent again on the next flush) until acknowledged.
+   * @param {Function} send - Called with each frame
+   * @returns {{sent: number, expired: Object[]}} Number of frames sent and the expired entries
+   */
+  flush(send) {
+    const expired = this.removeExpired();
+    const pending = this.entries.slice();
+    let sent = 0;
+
+    for (const entry of pending) {
+      send(entry.data);
+      entry.sent = true;
+      sent++;
+
+      if (!entry.requiresAck) {
+        this.entries.splice(this.entries.indexOf(entry), 1);
+      }
+    }
+
+    if (sent > 0) {
+      this.persist();
+    }
+
+    return { sent, expired };
+  }
+
+  /**
+   * Remove an acknowledged entry
+   * @param {string} id - Message ID
+   * @returns {boolean} Whether an entry was removed
+   */
+  acknowledge(id) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.entries.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Remove entries whose TTL has elapsed
+   * @param {number} now - Current time in milliseconds (default: Date.now())
+   * @returns {Object[]} Expired entries
+   */
+  removeExpired(now = Date.now()) {
+    const expired = this.entries.filter(entry => entry.expiresAt !== null && entry.expiresAt <= now);
+    if (expired.length > 0) {
+      this.entries = this.entries.filter(entry => expired.indexOf(entry) === -1);
+      this.persist();
+    }
+    return expired;
+  }
+
+  /**
+   * Load persisted entries ahead of anything queued since construction
+   * @returns {Promise<number>} Number of restored entries
+   */
+  restore() {
+    if (!this.storage) {
+      return Promise.resolve(0);
+    }
+
+    return this.storage.load().then((stored) => {
+      const known = new Set(this.entries.map(entry => entry.id));
+      const restored = (stored || [])
+        .filter(entry => !known.has(entry.id))
+        .map(entry => ({ ...entry, sent: false }));
+
+      this.entries = restored.concat(this.entries);
+      while (this.entries.length > this.options.maxSize) {
+        this.entries.shift();
+      }
+
+      if (restored.length > 0) {
+        this.persist();
+      }
+      return restored.length;
+    });
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries = [];
+    this.persist();
+  }
+
+  /**
+   * Get a copy of the queued entries
+   * @returns {Object[]} Queue entries, oldest first
+   */
+  toArray() {
+    return this.entries.slice();
+  }
+
+  /**
+   * Write the entries to storage
+   * @private
+   */
+  persist() {
+    if (!this.storage) {
+      return;
+    }
+
+    const entries = this.entries.map(({ id, data, queuedAt, expiresAt, requiresAck }) => ({
+      id, data, queuedAt, expiresAt, requiresAck
+    }));
+
+    Promise.resolve()
+      .then(() => this.storage.save(entries))
+      .catch((error) => {
+        if (this.options.onPersistError) {
+          this.options.onPersistError(error);
+        }
+      });
+  }
+}
+
+export default MessageQueue;
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Reconnection policy with capped exponential backoff and full jitter
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * Decides whether and when a dropped connection is re-established.
+ * Delays grow as `minDelay * factor^(attempt - 1)`, capped at `maxDelay`. With jitter
+ * enabled (the default) each delay is drawn uniformly from [0, delay] ("full jitter"),
+ * so a fleet of clients doesn't reconnect in lockstep after a server restart.
+ * @class ReconnectPolicy
+ */
+export class ReconnectPolicy {
+  /**
+   * Create a new reconnect policy
+   * @param {Object} options - Policy options
+   * @param {number} options.minDelay - Delay before the first retry in milliseconds (default: 1000)
+   * @param {number} options.maxDelay - Upper bound for any delay in milliseconds (default: 30000)
+   * @param {number} options.factor - Growth factor between retries (default: 2)
+   * @param {boolean} options.jitter - Randomize delays with full jitter (default: true)
+   * @param {number} options.maxRetries - Retries before giving up (default: Infinity)
+   * @param {number} options.connectionTimeout - Milliseconds to wait for a connection to open (default: 10000)
+   * @param {number} options.minUptime - Milliseconds a connection must stay open before the retry count resets (default: 5000)
+   * @param {Function} options.shouldReconnect - `(closeEvent) => boolean`; return false to stop reconnecting (default: always true)
+   */
+  constructor(options = {}) {
+    this.minDelay = options.minDelay !== undefined ? options.minDelay : 1000;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 30000;
+    this.factor = options.factor || 2;
+    this.jitter = options.jitter !== false;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : Infinity;
+    this.connectionTimeout = options.connectionTimeout || 10000;
+    this.minUptime = options.minUptime !== undefined ? options.minUptime : 5000;
+    this.shouldReconnectPredicate = options.shouldReconnect || null;
+  }
+
+  /**
+   * Translate `reconnecting-websocket` options, and the legacy names this package used to
+   * document (reconnectInterval, maxReconnectAttempts, timeoutInterval), into a policy
+   * @param {Object} options - ReconnectingWebSocket-style options
+   * @returns {ReconnectPolicy} Reconnect policy
+   */
+  static fromReconnectingOptions(options = {}) {
+    const pick = (...values) => values.find(value => value !== undefined);
+
+    return new ReconnectPolicy({
+      minDelay: pick(options.minReconnectionDelay, options.reconnectInterval),
+      maxDelay: pick(options.maxReconnectionDelay),
+      factor: pick(options.reconnectionDelayGrowFactor),
+      maxRetries: pick(options.maxRetries, options.maxReconnectAttempts),
+      connectionTimeout: pick(options.connectionTimeout, options.timeoutInterval),
+      minUptime: pick(options.minUptime)
+    });
+  }
+
+  /**
+   * Compute the delay before a retry
+   * @param {number} attempt - Retry number, starting at 1
+   * @param {Function} random - Random number source in [0, 1) (default: Math.random)
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempt, random = Math.random) {
+    const delay = Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, Math.max(0, attempt - 1)));
+    return Math.round(this.jitter ? random() * delay : delay);
+  }
+
+  /**
+   * Check whether another retry is allowed
+   * @param {number} attempt - Retry number, starting at 1
+   * @returns {boolean} True while attempt is within maxRetries
+   */
+  canRetry(attempt) {
+    return attempt <= this.maxRetries;
+  }
+
+  /**
+   * Check whether a close event should be followed by a reconnect
+   * @param {CloseEvent} closeEvent - Close event
+   * @returns {boolean} False to stop reconnecting
+   */
+  shouldReconnect(closeEvent) {
+    return this.shouldReconnectPredicate ? this.shouldReconnectPredicate(closeEvent) !== false : true;
+  }
+}
+
+export default ReconnectPolicy;
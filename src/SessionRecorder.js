@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Session recording of a client's frames and connection events
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { redactUrl } from './auth.js';
+import { PACKAGE_NAME, PACKAGE_VERSION } from './version.js';
+
+/**
+ * Client events recorded by default
+ * @type {string[]}
+ */
+export const RECORDED_EVENTS = ['open', 'close', 'error', 'reconnecting', 'reconnected', 'reconnect_failed', 'stale'];
+
+const SESSION_VERSION = 1;
+
+/**
+ * One recorded frame or event. `t` is the time since the recording started, in milliseconds.
+ * Frames are `{ t, type: 'in' | 'out', data, encoding? }` with binary data base64-encoded;
+ * events are `{ t, type, ...fields }`, e.g. `{ t, type: 'close', code, reason, wasClean }`.
+ * @typedef {Object} SessionEntry
+ * @property {number} t - Milliseconds since the recording started
+ * @property {string} type - 'in', 'out' or the client event name
+ */
+
+/**
+ * Records what goes over a client's connection, for bug reports and regression tests. Start one
+ * with WebSocketClient#startRecording(); export it with toJSONL() or toHAR() and load it back with
+ * SessionRecorder.from(), e.g. to replay it with SessionReplay from the testing entry point.
+ * @class SessionRecorder
+ */
+export class SessionRecorder {
+  /**
+   * Create a recorder
+   * @param {Object} options - Recorder options
+   * @param {number} options.maxEntries - Entries kept; the oldest are dropped beyond it (default: Infinity)
+   * @param {string[]} options.events - Client events to record (default: RECORDED_EVENTS)
+   * @param {Function} options.redact - `(entry) => entry | null` called before an entry is stored;
+   *   return a changed entry to mask secrets, or null to leave it out (optional)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || Infinity;
+    this.events = options.events || RECORDED_EVENTS;
+    this.redact = options.redact || null;
+    this.url = null;
+    this.startedAt = Date.now();
+    this.entries = [];
+    this.dropped = 0;
+  }
+
+  /**
+   * Record a frame
+   * @param {string} type - 'in' or 'out'
+   * @param {string|ArrayBuffer|ArrayBufferView} frame - Frame as sent or received
+   */
+  recordFrame(type, frame) {
+    if (typeof frame === 'string') {
+      this.record(type, { data: frame });
+    } else {
+      const bytes = ArrayBuffer.isView(frame)
+        ? new Uint8Array(frame.buffer, frame.byteOffset, frame.byteLength)
+        : new Uint8Array(frame);
+      this.record(type, { data: toBase64(bytes), encoding: 'base64' });
+    }
+  }
+
+  /**
+   * Record a client event, if it is one of the recorded events
+   * @param {string} type - Event name
+   * @param {Object} detail - Event detail as dispatched by the client
+   */
+  recordEvent(type, detail) {
+    if (this.events.indexOf(type) === -1) {
+      return;
+    }
+
+    const fields = {};
+    const event = detail && detail.event;
+    if (event && typeof event === 'object') {
+      // DOM events don't serialize; keep what a replay needs
+      if (type === 'open' && event.target && typeof event.target.url === 'string') {
+        fields.url = safeRedactUrl(event.target.url);
+        this.url = this.url || fields.url;
+      }
+      if (type === 'close') {
+        fields.code = event.code;
+        fields.reason = event.reason;
+        fields.wasClean = event.wasClean;
+      }
+      if (type === 'error' && (event.message || event.error)) {
+        fields.message = event.message || event.error.message;
+      }
+    } else if (detail && typeof detail === 'object') {
+      Object.keys(detail).forEach((key) => {
+        if (detail[key] === null || typeof detail[key] !== 'object') {
+          fields[key] = detail[key];
+        }
+      });
+    }
+    this.record(type, fields);
+  }
+
+  /**
+   * Add an entry
+   * @param {string} type - Entry type
+   * @param {Object} fields - Entry fields
+   */
+  record(type, fields = {}) {
+    let entry = { t: Date.now() - this.startedAt, type, ...fields };
+    if (this.redact) {
+      entry = this.redact(entry);
+      if (!entry) {
+        return;
+      }
+    }
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+      this.dropped++;
+    }
+  }
+
+  /**
+   * The session as a plain object
+   * @returns {Object} `{ version, url, startedAt, entries }`, with startedAt as an ISO date
+   */
+  toJSON() {
+    return {
+      version: SESSION_VERSION,
+      url: this.url,
+      startedAt: new Date(this.startedAt).toISOString(),
+      entries: this.entries.slice()
+    };
+  }
+
+  /**
+   * The session as JSON Lines: a `{ type: 'session', version, url, startedAt }` header followed by one entry per line
+   * @returns {string} JSONL text
+   */
+  toJSONL() {
+    const { entries, ...header } = this.toJSON();
+    return [{ type: 'session', ...header }, ...entries].map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  /**
+   * The session as a HAR log with one entry per connection, readable by browser dev tools.
+   * Frames go in `_webSocketMessages` like Chrome's exports; connection events, which HAR has no
+   * field for, go in `_webSocketEvents`.
+   * @returns {Object} HAR 1.2 log
+   */
+  toHAR() {
+    const connections = [];
+    this.entries.forEach((entry) => {
+      if (entry.type === 'open' || connections.length === 0) {
+        connections.push({ url: entry.url || this.url || '', t: entry.t, messages: [], events: [] });
+      }
+      const connection = connections[connections.length - 1];
+      const time = (this.startedAt + entry.t) / 1000;
+
+      if (entry.type === 'in' || entry.type === 'out') {
+        connection.messages.push({
+          type: entry.type === 'out' ? 'send' : 'receive',
+          time,
+          opcode: entry.encoding === 'base64' ? 2 : 1,
+          data: entry.data
+        });
+      } else {
+        const { t, ...fields } = entry;
+        connection.events.push({ ...fields, time });
+      }
+    });
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: PACKAGE_NAME, version: PACKAGE_VERSION },
+        pages: [],
+        entries: connections.map(connection => ({
+          startedDateTime: new Date(this.startedAt + connection.t).toISOString(),
+          time: 0,
+          request: {
+            method: 'GET',
+            url: connection.url,
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: [],
+            queryString: [],
+            headersSize: -1,
+            bodySize: 0
+          },
+          response: {
+            status: 101,
+            statusText: 'Switching Protocols',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: [],
+            content: { size: 0, mimeType: 'x-unknown' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: 0
+          },
+          cache: {},
+          timings: { send: 0, wait: 0, receive: 0 },
+          _resourceType: 'websocket',
+          _webSocketMessages: connection.messages,
+          _webSocketEvents: connection.events
+        }))
+      }
+    };
+  }
+
+  /**
+   * Load a recorded session
+   * @param {string|Object|SessionRecorder} session - JSONL text, JSON text, the object from toJSON() or toHAR(), or a recorder
+   * @returns {SessionRecorder} Recorder holding the session's entries
+   * @throws {Error} When the input isn't a recorded session
+   */
+  static from(session) {
+    if (session instanceof SessionRecorder) {
+      return session;
+    }
+
+    let data = session;
+    if (typeof session === 'string') {
+      try {
+        data = JSON.parse(session);
+      } catch (error) {
+        // JSON Lines: one value per line
+        data = session.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+      }
+    }
+
+    const recorder = new SessionRecorder();
+    if (Array.isArray(data)) {
+      const [header, ...entries] = data[0] && data[0].type === 'session' ? data : [{}, ...data];
+      recorder.load(header, entries);
+    } else if (data && data.log && Array.isArray(data.log.entries)) {
+      recorder.loadHAR(data.log);
+    } else if (data && Array.isArray(data.entries)) {
+      recorder.load(data, data.entries);
+    } else {
+      throw new Error('Invalid session. Pass JSONL text, a HAR log or an object with entries.');
+    }
+    return recorder;
+  }
+
+  /**
+   * Replace the recorder's session
+   * @param {Object} header - `{ url, startedAt }`
+   * @param {SessionEntry[]} entries - Entries
+   * @private
+   */
+  load(header, entries) {
+    this.url = header.url || null;
+    this.startedAt = header.startedAt ? Date.parse(header.startedAt) : Date.now();
+    this.entries = entries.slice();
+  }
+
+  /**
+   * Replace the recorder's session with the WebSocket entries of a HAR log
+   * @param {Object} log - HAR `log` object
+   * @private
+   */
+  loadHAR(log) {
+    const sockets = log.entries.filter(entry => Array.isArray(entry._webSocketMessages));
+    const timed = [];
+    sockets.forEach((socket) => {
+      socket._webSocketMessages.forEach(message => timed.push({
+        time: message.time,
+        type: message.type === 'send' ? 'out' : 'in',
+        data: message.data,
+        ...(message.opcode === 2 ? { encoding: 'base64' } : {})
+      }));
+      (socket._webSocketEvents || []).forEach(event => timed.push({ ...event }));
+    });
+    // Within the same millisecond a connection opens, then exchanges frames, then closes
+    const rank = entry => (entry.type === 'open' || entry.type === 'reconnected' ? 0 : (entry.type === 'in' || entry.type === 'out' ? 1 : 2));
+    timed.sort((a, b) => a.time - b.time || rank(a) - rank(b));
+
+    const first = sockets[0];
+    const startedAt = first ? Date.parse(first.startedDateTime) : Date.now();
+    this.load({ url: first ? first.request.url : null, startedAt: new Date(startedAt).toISOString() }, timed.map(({ time, ...entry }) => ({
+      t: Math.max(0, Math.round(time * 1000 - startedAt)),
+      ...entry
+    })));
+  }
+}
+
+/**
+ * Redact credentials from a URL, leaving strings that aren't URLs untouched
+ * @param {string} url - URL
+ * @returns {string} Redacted URL
+ * @private
+ */
+function safeRedactUrl(url) {
+  try {
+    return redactUrl(url);
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 text
+ */
+export function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 text
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Bytes
+ */
+export function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export default SessionRecorder;
@@ -0,0 +1,631 @@
+/**
+ * @fileoverview Cross-tab connection sharing: one leader tab owns the socket and the other tabs proxy through it
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { WebSocketClient } from './WebSocketClient.js';
+import { EventEmitter, reportListenerError } from './EventEmitter.js';
+import { addListener, removeListener, removeAllListeners } from './listeners.js';
+import { resolveBroadcastChannel, resolveLocks } from './environment.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Create a tab ID. IDs sort by creation time, so the older tab wins a leadership conflict.
+ * @returns {string} Tab ID
+ * @private
+ */
+function createTabId() {
+  return `${Date.now().toString(36).padStart(9, '0')}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Replace the DOM event in an open/close/error detail with its plain fields, so the detail
+ * survives postMessage()
+ * @param {*} detail - Event detail
+ * @returns {*} Cloneable detail
+ * @private
+ */
+function toCloneable(detail) {
+  if (!detail || typeof detail !== 'object' || !detail.event || typeof detail.event !== 'object') {
+    return detail;
+  }
+
+  const event = {};
+  ['type', 'code', 'reason', 'wasClean'].forEach((key) => {
+    if (detail.event[key] !== undefined) {
+      event[key] = detail.event[key];
+    }
+  });
+  return { ...detail, event };
+}
+
+/**
+ * Turn an error into data that can be posted to another tab
+ * @param {Error} error - Error to send to another tab
+ * @returns {Object} `{ message, name, code }`
+ * @private
+ */
+function serializeError(error) {
+  return { message: error.message, name: error.name, code: error.code };
+}
+
+/**
+ * Rebuild an error posted by another tab
+ * @param {Object} data - Error sent by serializeError()
+ * @returns {Error} Error with the original message, name and code
+ * @private
+ */
+function deserializeError(data) {
+  const error = new Error(data.message);
+  error.name = data.name || 'Error';
+  if (data.code !== undefined) {
+    error.code = data.code;
+  }
+  return error;
+}
+
+/**
+ * Shares one WebSocketClient between the tabs of an origin. One tab is elected leader and owns
+ * the connection; the others proxy emit() and request() to it over a BroadcastChannel and get its
+ * events replayed to their own listeners. When the leader tab closes, another tab takes over and
+ * opens a new connection.
+ *
+ * The leader is elected with the Web Locks API: every tab asks for the same lock and the holder
+ * leads until it goes away. Without Web Locks, the leader announces itself every `heartbeatInterval`
+ * and the first tab that misses announcements for `leaderTimeout` takes over; when two tabs claim
+ * leadership at once, the older one keeps it.
+ * @class SharedWebSocketClient
+ */
+export class SharedWebSocketClient {
+  /**
+   * Create a shared client. The connection is opened by whichever tab becomes leader.
+   * @param {string} url - WebSocket server URL
+   * @param {Object} options - WebSocketClient options for the leader's client, plus:
+   * @param {Object} options.shared - Sharing options
+   * @param {string} options.shared.name - BroadcastChannel and lock name; tabs with the same name share
+   *   a connection (default: 'websocket-client')
+   * @param {number} options.shared.heartbeatInterval - Milliseconds between leader announcements (default: 1000)
+   * @param {number} options.shared.leaderTimeout - Milliseconds without an announcement after which the
+   *   leader is considered gone (default: 3000)
+   * @param {Function} options.shared.BroadcastChannel - BroadcastChannel implementation (default: global BroadcastChannel)
+   * @param {Object|null} options.shared.locks - Web Locks LockManager; null elects over the BroadcastChannel
+   *   instead (default: navigator.locks when available)
+   * @throws {Error} When BroadcastChannel is not available
+   */
+  constructor(url, options = {}) {
+    const { shared = {}, ...clientOptions } = options;
+    const BroadcastChannelImpl = resolveBroadcastChannel(shared.BroadcastChannel);
+    if (!BroadcastChannelImpl) {
+      throw new Error('BroadcastChannel is not supported in this environment. Pass an implementation as options.shared.BroadcastChannel.');
+    }
+
+    this.url = url;
+    this.clientOptions = clientOptions;
+    this.logger = createLogger({
+      logger: clientOptions.logger,
+      logLevel: clientOptions.logLevel,
+      debug: clientOptions.debug,
+      redact: clientOptions.redact,
+      prefix: '[SharedWebSocketClient]',
+      defaultLevel: clientOptions.logger ? 'info' : 'silent'
+    });
+    this.options = {
+      name: shared.name || 'websocket-client',
+      heartbeatInterval: shared.heartbeatInterval || 1000,
+      leaderTimeout: shared.leaderTimeout || 3000
+    };
+
+    this.tabId = createTabId();
+    this.role = 'follower';
+    this.leaderId = null;
+    this.client = null;
+    this.stopRelay = null;
+    this.status = null;
+    this.eventTarget = new EventEmitter({ onListenerError: (error, event) => this.handleListenerError(error, event) });
+    this.eventListeners = new Map();
+    this.outbox = [];
+    this.pendingRequests = new Map();
+    this.lastRequestId = 0;
+    this.heartbeatTimer = null;
+    this.leaderTimer = null;
+    this.lockController = null;
+    this.releaseLock = null;
+    this.destroyed = false;
+
+    this.locks = resolveLocks(shared.locks);
+    this.bus = new BroadcastChannelImpl(this.options.name);
+    this.bus.onmessage = (event) => this.handleBusMessage(event.data);
+
+    // Hand leadership over as soon as the tab is closed or navigated away
+    this.onPageHide = () => this.destroy();
+    if (typeof globalThis.addEventListener === 'function') {
+      globalThis.addEventListener('pagehide', this.onPageHide);
+    }
+
+    // A running leader answers with an announcement
+    this.post({ type: 'hello' });
+
+    if (this.locks) {
+      this.requestLeadership();
+    } else {
+      this.watchLeader(this.options.heartbeatInterval);
+    }
+  }
+
+  /**
+   * Emit an action through the leader's connection. Actions emitted while no leader is known are
+   * held until one announces itself. Whichever tab leads, an emit the leader's client refuses (a
+   * full queue, an invalid payload) doesn't throw; it fires `emit_error` in the tab that emitted.
+   * @param {string} action - Action name
+   * @param {*} data - Data to send (optional)
+   */
+  emit(action, data) {
+    this.sendCommand({ type: 'emit', action, data });
+  }
+
+  /**
+   * Emit an action through the leader's connection and wait for the server's reply
+   * @param {string} action - Action name
+   * @param {*} data - Data to send (optional)
+   * @param {Object} options - Request options
+   * @param {number} options.timeout - Milliseconds to wait for the reply (default: options.requestTimeout or 10000)
+   * @returns {Promise<*>} Resolves with the reply payload; rejects with the leader's error or on timeout
+   */
+  request(action, data = '', options = {}) {
+    if (this.role === 'leader') {
+      return this.client.request(action, data, options);
+    }
+
+    const id = ++this.lastRequestId;
+    const timeout = options.timeout || this.clientOptions.requestTimeout || 10000;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error(`Request "${action}" timed out after ${timeout}ms`));
+      }, timeout);
+
+      this.pendingRequests.set(id, { resolve, reject, timer });
+      this.sendCommand({ type: 'request', id, action, data, timeout });
+    });
+  }
+
+  /**
+   * Add a listener for the shared connection's events (see WebSocketClient#on()). Besides the
+   * client's events, 'leader_change' reports `{ leaderId, role }` whenever a new leader is known.
+   * @param {string} event - Event name or wildcard pattern
+   * @param {Function} callback - Called with the event detail
+   * @param {Object} options - `{ once, priority, signal }`
+   * @returns {Function} Removes the listener
+   */
+  on(event, callback, options = {}) {
+    return addListener(this, event, callback, options);
+  }
+
+  /**
+   * Add a listener that is removed after its first call
+   * @param {string} event - Event name or wildcard pattern
+   * @param {Function} callback - Event callback function
+   * @param {Object} options - `{ priority, signal }`
+   * @returns {Function} Removes the listener
+   */
+  once(event, callback, options = {}) {
+    return this.on(event, callback, { ...options, once: true });
+  }
+
+  /**
+   * Remove a listener
+   * @param {string} event - Event name or pattern the listener was added with
+   * @param {Function} callback - Event callback function to remove
+   */
+  off(event, callback) {
+    removeListener(this, event, callback);
+  }
+
+  /**
+   * Remove every listener for an event, or for all events
+   * @param {string} event - Event name or pattern (optional)
+   */
+  offAll(event) {
+    removeAllListeners(this, event);
+  }
+
+  /**
+   * Listen for specific actions or all messages
+   * @param {string} action - Action to listen for, or '*' for all
+   * @param {Function} callback - Callback function
+   * @param {Object} options - `{ once, priority, signal }`
+   * @returns {Function} Removes the listener
+   */
+  listen(action, callback, options = {}) {
+    return this.on(action === '*' ? 'message' : action, callback, options);
+  }
+
+  /**
+   * Get the status of the shared connection. Followers report the status the leader last sent.
+   * @returns {Object} WebSocketClient#getStatus() fields (only `open` before a leader is known),
+   *   plus `role` ('leader' or 'follower'), `tabId` and `leaderId`
+   */
+  getStatus() {
+    const status = this.client ? this.client.getStatus() : this.status;
+    return { ...(status || { open: false }), role: this.role, tabId: this.tabId, leaderId: this.leaderId };
+  }
+
+  /**
+   * Leave the group: a leader closes its connection and hands leadership over, pending requests
+   * are rejected and listeners are removed
+   */
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+
+    this.destroyed = true;
+    clearTimeout(this.leaderTimer);
+    clearInterval(this.heartbeatTimer);
+
+    if (this.role === 'leader') {
+      this.closeClient();
+      this.post({ type: 'resign' });
+    }
+    if (this.releaseLock) {
+      this.releaseLock();
+    }
+    if (this.lockController) {
+      this.lockController.abort();
+    }
+    this.bus.close();
+
+    if (typeof globalThis.removeEventListener === 'function') {
+      globalThis.removeEventListener('pagehide', this.onPageHide);
+    }
+
+    this.outbox = [];
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('Shared client destroyed before a reply was received'));
+    });
+    this.pendingRequests.clear();
+    this.offAll();
+    this.log('Shared client destroyed');
+  }
+
+  /**
+   * Queue for the Web Locks leader lock; the callback runs when this tab gets it
+   * @private
+   */
+  requestLeadership() {
+    this.lockController = typeof AbortController === 'function' ? new AbortController() : null;
+    const lockOptions = this.lockController ? { signal: this.lockController.signal } : {};
+
+    this.locks.request(`${this.options.name}:leader`, lockOptions, () => {
+      if (this.destroyed) {
+        return undefined;
+      }
+      this.becomeLeader();
+      // Holding the lock until destroy() or the tab goes away is what lets the next tab take over
+      return new Promise((resolve) => {
+        this.releaseLock = resolve;
+      });
+    }).catch((error) => {
+      if (!this.destroyed) {
+        this.log('Leader lock request failed', { error }, 'warn');
+      }
+    });
+  }
+
+  /**
+   * Open the connection and start announcing leadership
+   * @private
+   */
+  becomeLeader() {
+    if (this.destroyed || this.role === 'leader') {
+      return;
+    }
+
+    clearTimeout(this.leaderTimer);
+    this.leaderTimer = null;
+    this.role = 'leader';
+    this.client = new WebSocketClient(this.url, this.clientOptions);
+    this.stopRelay = this.client.on('**', (detail, type) => this.relayEvent(type, detail));
+    this.heartbeatTimer = setInterval(() => this.announce(), this.options.heartbeatInterval);
+    this.announce();
+    this.setLeader(this.tabId);
+    this.log('Became leader', { tabId: this.tabId }, 'info');
+  }
+
+  /**
+   * Give leadership up to an older leader
+   * @private
+   */
+  stepDown() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.role = 'follower';
+    this.closeClient();
+    this.log('Stepped down', { tabId: this.tabId }, 'info');
+  }
+
+  /**
+   * Destroy the leader's client without relaying its close to the other tabs
+   * @private
+   */
+  closeClient() {
+    this.stopRelay();
+    this.client.destroy();
+    this.client = null;
+    this.stopRelay = null;
+  }
+
+  /**
+   * Record the current leader and send it the commands held while there was none
+   * @param {string} id - Leader's tab ID
+   * @private
+   */
+  setLeader(id) {
+    if (this.leaderId === id) {
+      return;
+    }
+
+    this.leaderId = id;
+    this.dispatchCustomEvent('leader_change', { leaderId: id, role: this.role });
+    this.outbox.splice(0).forEach(command => this.sendCommand(command));
+  }
+
+  /**
+   * Consider the leader gone unless it announces itself within `delay`
+   * @param {number} delay - Milliseconds
+   * @private
+   */
+  watchLeader(delay) {
+    clearTimeout(this.leaderTimer);
+    this.leaderTimer = setTimeout(() => this.handleLeaderLost(), delay);
+  }
+
+  /**
+   * Forget a leader that resigned or stopped announcing itself. With Web Locks the lock picks the
+   * next leader; without them this tab takes over.
+   * @private
+   */
+  handleLeaderLost() {
+    clearTimeout(this.leaderTimer);
+    this.leaderTimer = null;
+    this.leaderId = null;
+
+    if (!this.locks) {
+      this.becomeLeader();
+    }
+  }
+
+  /**
+   * Handle a leader announcement from another tab
+   * @param {Object} message - `{ from, status }`
+   * @private
+   */
+  handleAnnouncement(message) {
+    if (this.role === 'leader') {
+      // Without Web Locks two tabs can claim leadership at once: the older one keeps it
+      if (message.from > this.tabId) {
+        this.announce();
+        return;
+      }
+      this.stepDown();
+    }
+
+    this.status = message.status;
+    this.setLeader(message.from);
+    this.watchLeader(this.options.leaderTimeout);
+  }
+
+  /**
+   * Handle a message from another tab
+   * @param {Object} message - Message with `type` and the sender's tab ID as `from`
+   * @private
+   */
+  handleBusMessage(message) {
+    if (this.destroyed || !message || message.from === this.tabId) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'hello':
+        this.announce();
+        break;
+      case 'leader':
+        this.handleAnnouncement(message);
+        break;
+      case 'resign':
+        if (message.from === this.leaderId) {
+          this.handleLeaderLost();
+        }
+        break;
+      case 'event':
+        if (this.role === 'follower' && message.from === this.leaderId) {
+          this.status = message.status;
+          this.dispatchCustomEvent(message.event, message.detail);
+        }
+        break;
+      case 'emit':
+      case 'request':
+        if (this.role === 'leader') {
+          this.execute(message, message.from);
+        }
+        break;
+      case 'response':
+        if (message.to === this.tabId) {
+          this.settleRequest(message);
+        }
+        break;
+      case 'emit_error':
+        if (message.to === this.tabId) {
+          this.dispatchCustomEvent('emit_error', { action: message.action, error: deserializeError(message.error) });
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Send a command to the leader, run it when this tab leads, or hold it until a leader is known
+   * @param {Object} command - `{ type: 'emit' | 'request', ... }`
+   * @private
+   */
+  sendCommand(command) {
+    if (this.role === 'leader') {
+      this.execute(command, this.tabId);
+    } else if (this.leaderId) {
+      this.post(command);
+    } else {
+      this.outbox.push(command);
+    }
+  }
+
+  /**
+   * Run a command on the leader's client
+   * @param {Object} command - Command
+   * @param {string} from - Tab that sent it
+   * @private
+   */
+  execute(command, from) {
+    if (command.type === 'emit') {
+      try {
+        this.client.emit(command.action, command.data);
+      } catch (error) {
+        this.log('Shared emit failed', { action: command.action, error }, 'warn');
+        if (from === this.tabId) {
+          this.dispatchCustomEvent('emit_error', { action: command.action, error });
+        } else {
+          this.post({ type: 'emit_error', to: from, action: command.action, error: serializeError(error) });
+        }
+      }
+      return;
+    }
+
+    this.client.request(command.action, command.data, { timeout: command.timeout }).then(
+      result => this.respond(from, { id: command.id, result }),
+      error => this.respond(from, { id: command.id, error: serializeError(error) })
+    );
+  }
+
+  /**
+   * Send the outcome of a request to the tab that made it
+   * @param {string} to - Tab ID
+   * @param {Object} outcome - `{ id, result }` or `{ id, error }`
+   * @private
+   */
+  respond(to, outcome) {
+    if (to === this.tabId) {
+      this.settleRequest(outcome);
+    } else {
+      this.post({ type: 'response', to, ...outcome });
+    }
+  }
+
+  /**
+   * Settle a proxied request
+   * @param {Object} outcome - `{ id, result }` or `{ id, error }`
+   * @private
+   */
+  settleRequest(outcome) {
+    const pending = this.pendingRequests.get(outcome.id);
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(outcome.id);
+    if (outcome.error) {
+      pending.reject(deserializeError(outcome.error));
+    } else {
+      pending.resolve(outcome.result);
+    }
+  }
+
+  /**
+   * Dispatch a leader client event locally and replay it in the other tabs
+   * @param {string} type - Event name
+   * @param {*} detail - Event detail
+   * @private
+   */
+  relayEvent(type, detail) {
+    this.dispatchCustomEvent(type, detail);
+    this.post({ type: 'event', event: type, detail: toCloneable(detail), status: this.snapshotStatus() });
+  }
+
+  /**
+   * Tell the other tabs this tab leads
+   * @private
+   */
+  announce() {
+    if (this.role === 'leader') {
+      this.post({ type: 'leader', status: this.snapshotStatus() });
+    }
+  }
+
+  /**
+   * Status of the leader's client as plain data that survives postMessage()
+   * @returns {Object} Status
+   * @private
+   */
+  snapshotStatus() {
+    return JSON.parse(JSON.stringify(this.client.getStatus()));
+  }
+
+  /**
+   * Post a message to the other tabs
+   * @param {Object} message - Message
+   * @private
+   */
+  post(message) {
+    try {
+      this.bus.postMessage({ ...message, from: this.tabId });
+    } catch (error) {
+      this.log('Failed to post to other tabs', { type: message.type, error }, 'warn');
+    }
+  }
+
+  /**
+   * Dispatch an event to this tab's listeners
+   * @param {string} eventName - Name of the event
+   * @param {*} detail - Event detail data
+   * @private
+   */
+  dispatchCustomEvent(eventName, detail) {
+    this.eventTarget.dispatchEvent({ type: eventName, detail });
+  }
+
+  /**
+   * Report a listener that threw, like WebSocketClient#handleListenerError()
+   * @param {Error} error - Error thrown by the listener
+   * @param {Object} event - Event being dispatched
+   * @private
+   */
+  handleListenerError(error, event) {
+    this.log('Event listener failed', { event: event.type, error }, 'error');
+
+    if (event.type === 'listener_error' || this.eventTarget.listenerCount('listener_error') === 0) {
+      reportListenerError(error, event);
+      return;
+    }
+    this.dispatchCustomEvent('listener_error', { event: event.type, error });
+  }
+
+  /**
+   * Write to the logger configured by the client options, if the level is enabled
+   * @param {string} message - Log message
+   * @param {*} data - Additional data
+   * @param {string} level - Log level: 'debug', 'info', 'warn' or 'error' (default: 'debug')
+   * @private
+   */
+  log(message, data = null, level = 'debug') {
+    if (data === null || data === undefined) {
+      this.logger[level](message);
+    } else {
+      this.logger[level](message, data);
+    }
+  }
+}
+
+export default SharedWebSocketClient;
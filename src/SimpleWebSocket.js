@@ -4,6 +4,21 @@
  * @version 1.0.0
  */
 
+import { resolveWebSocket } from './environment.js';
+import { resolveCodec, toFrameData, isBlob, readBlob, byteLength } from './codecs.js';
+import { createLogger } from './logger.js';
+import { METRICS, resolveMetrics } from './metrics.js';
+import {
+    AUTH_TRANSPORTS,
+    DEFAULT_AUTH_FAILURE_CODES,
+    isAuthFailure,
+    isAuthAck,
+    resolveAuth,
+    applyAuthTransport,
+    redactUrl,
+    signRequest
+} from './auth.js';
+
 /**
  * Simple WebSocket client class with app authentication
  * @class SimpleWebSocket
@@ -20,6 +35,27 @@ export class SimpleWebSocket {
      * @param {Function} options.onMessage - Message received callback
      * @param {Function} options.onError - Error callback
      * @param {Function} options.onClose - Connection closed callback
+     * @param {Function} options.WebSocket - WebSocket implementation, e.g. from the `ws` package (default: global WebSocket)
+     * @param {string|Object} options.codec - Message codec ('json', 'msgpack' or an object with encode()/decode()).
+     *   When set, send() encodes values and onMessage receives decoded values; otherwise frames pass through untouched.
+     * @param {Function} options.getAuth - Async credentials provider called before every connect, including the
+     *   reconnect after an auth-failure close: `({reason, closeEvent}) => ({token?, params?, message?})`.
+     *   `token` replaces accessToken, `params` are added to the URL and `message` is sent as the first frame.
+     * @param {number[]} options.authFailureCodes - Close codes that trigger getAuth() and a reconnect (default: [1008, 4001, 4003, 4401, 4403])
+     * @param {number} options.maxAuthRetries - Consecutive auth-failure reconnects without a successful open (default: 1)
+     * @param {string} options.authTransport - How credentials reach the server: 'query', 'protocol' (bearer token in
+     *   Sec-WebSocket-Protocol), 'message' (first frame, acknowledged by the server) or 'headers' (Node only) (default: 'query')
+     * @param {boolean} options.sign - Send appId with an HMAC-SHA256 signature instead of appSecret (default: false)
+     * @param {Function} options.authFrame - Builds the 'message' transport frame from `{token, appId, ...}`
+     *   (default: `{action: 'authenticate', ...credentials}`)
+     * @param {Function} options.authAck - `(message) => true | false | undefined` recognizing the server's auth reply (default: isAuthAck)
+     * @param {number} options.authTimeout - Milliseconds to wait for the auth reply (default: 10000)
+     * @param {boolean} options.debug - Log everything, down to the 'debug' level (default: false)
+     * @param {Object|null} options.logger - Logger with debug(), info(), warn() and error() (default: the console)
+     * @param {string} options.logLevel - Minimum level logged (default: 'debug' with `debug`, 'info' with a `logger`, otherwise 'warn')
+     * @param {boolean|string[]|Function} options.redact - Masking of secrets in logged fields (default: true, see createLogger())
+     * @param {Object} options.metrics - Metrics hook with increment() and record() (see metrics.js)
+     * @param {Object} options.metricAttributes - Attributes reported with every metric
      */
     constructor(options = {}) {
         if (!options.url) {
@@ -31,6 +67,33 @@ export class SimpleWebSocket {
         this.appId = options.appId;
         this.appSecret = options.appSecret;
         this.options = options;
+        this.codec = options.codec ? resolveCodec(options.codec) : null;
+        this.authTransport = options.authTransport || 'query';
+        this.authTimeout = options.authTimeout || 10000;
+        this.authenticated = false;
+        this.pendingAuth = null;
+        this.signature = null;
+        this.authFailureCodes = options.authFailureCodes || DEFAULT_AUTH_FAILURE_CODES;
+        this.maxAuthRetries = options.maxAuthRetries !== undefined ? options.maxAuthRetries : 1;
+        this.authParams = {};
+        this.authMessage = null;
+        this.authRetries = 0;
+        this.disconnectRequested = false;
+        this.logger = createLogger({
+            logger: options.logger,
+            logLevel: options.logLevel,
+            debug: options.debug,
+            redact: options.redact,
+            prefix: '[SimpleWebSocket]',
+            defaultLevel: options.logger ? 'info' : 'warn'
+        });
+        this.metrics = options.metrics ? resolveMetrics(options.metrics) : null;
+        this.metricAttributes = options.metricAttributes || {};
+        this.connectStartedAt = null;
+
+        if (AUTH_TRANSPORTS.indexOf(this.authTransport) === -1) {
+            throw new Error(`Invalid authTransport "${this.authTransport}". Use one of: ${AUTH_TRANSPORTS.join(', ')}.`);
+        }
 
         // Bind methods to preserve context
         this.connect = this.connect.bind(this);
@@ -40,6 +103,7 @@ export class SimpleWebSocket {
         this.onClose = this.onClose.bind(this);
         this.send = this.send.bind(this);
         this.disconnect = this.disconnect.bind(this);
+        this.reconnect = this.reconnect.bind(this);
 
         // Initialize connection
         this.connect();
@@ -54,7 +118,7 @@ export class SimpleWebSocket {
         if (this.options.onError) {
             this.options.onError(err);
         } else {
-            console.error('WebSocket Error:', err);
+            this.logger.error('WebSocket error', { error: err });
         }
     }
 
@@ -64,23 +128,64 @@ export class SimpleWebSocket {
      * @private
      */
     onMessage(payload) {
-        const data = payload.data;
+        if (this.codec && isBlob(payload.data)) {
+            readBlob(payload.data).then(
+                (bytes) => this.onMessage({ data: bytes }),
+                (error) => this.onError(error)
+            );
+            return;
+        }
+
+        // Blobs are counted once read
+        if (this.metrics) {
+            this.metrics.increment(METRICS.messagesReceived.name, 1, this.metricAttributes);
+            this.metrics.increment(METRICS.bytesReceived.name, byteLength(payload.data), this.metricAttributes);
+        }
+
+        let data = payload.data;
+        if (this.codec) {
+            try {
+                data = this.codec.decode(toFrameData(data));
+            } catch (error) {
+                this.onError({ message: 'Failed to decode message.', data, originalError: error });
+                return;
+            }
+        }
+
+        if (this.pendingAuth && this.handleAuthReply(data)) {
+            return;
+        }
+
         if (this.options.onMessage) {
             this.options.onMessage(data);
         } else {
-            console.debug('WebSocket Message:', data);
+            this.logger.debug('WebSocket message', { data });
         }
     }
 
     /**
-     * Handle WebSocket connection close
+     * Handle WebSocket connection close. Auth-failure closes refresh the credentials and reconnect
+     * when a getAuth() provider is configured.
+     * @param {CloseEvent} event - Close event
      * @private
      */
-    onClose() {
+    onClose(event) {
+        this.authenticated = false;
+        this.clearPendingAuth();
+
         if (this.options.onClose) {
-            this.options.onClose();
+            this.options.onClose(event);
         } else {
-            console.info('WebSocket Connection Closed.');
+            this.logger.info('WebSocket connection closed', { code: event.code, reason: event.reason });
+        }
+
+        if (this.options.getAuth && !this.disconnectRequested && isAuthFailure(event, this.authFailureCodes)) {
+            if (this.authRetries < this.maxAuthRetries) {
+                this.authRetries++;
+                this.connect({ reason: 'auth_failure', closeEvent: event });
+            } else {
+                this.onError({ message: 'Authentication failed. Giving up after refreshing credentials.', code: event.code });
+            }
         }
     }
 
@@ -91,6 +196,10 @@ export class SimpleWebSocket {
      */
     onConnect(connection) {
         this.webSocketConnection = connection;
+        if (this.metrics && this.connectStartedAt !== null) {
+            this.metrics.record(METRICS.connectDuration.name, Date.now() - this.connectStartedAt, this.metricAttributes);
+        }
+        this.connectStartedAt = null;
         
         // Set up event handlers
         if (this.webSocket) {
@@ -98,30 +207,209 @@ export class SimpleWebSocket {
             this.webSocket.onmessage = this.onMessage;
             this.webSocket.onclose = this.onClose;
         }
-        
+
+        if (this.authTransport === 'message') {
+            this.authenticate(connection);
+            return;
+        }
+
+        if (this.authMessage) {
+            this.sendFrame(this.authMessage);
+        }
+
+        this.onAuthenticated(connection);
+    }
+
+    /**
+     * Send the auth frame and wait for the server's reply before reporting the connection
+     * @param {Event} connection - Connection event
+     * @private
+     */
+    authenticate(connection) {
+        const credentials = { ...this.appCredentials() };
+        if (this.accessToken) credentials.token = this.accessToken;
+
+        const frame = this.authMessage || (this.options.authFrame
+            ? this.options.authFrame(credentials)
+            : { action: 'authenticate', ...credentials });
+
+        this.pendingAuth = {
+            connection,
+            timer: setTimeout(() => {
+                this.pendingAuth = null;
+                this.onError({ message: 'Authentication timed out.' });
+                this.webSocket.close(4408, 'Authentication timed out');
+            }, this.authTimeout)
+        };
+        this.sendFrame(frame);
+    }
+
+    /**
+     * Check a message for the server's auth reply
+     * @param {*} data - Decoded message
+     * @returns {boolean} Whether the message was the auth reply
+     * @private
+     */
+    handleAuthReply(data) {
+        let message = data;
+        if (typeof message === 'string') {
+            try {
+                message = JSON.parse(message);
+            } catch (error) {
+                return false;
+            }
+        }
+
+        const result = (this.options.authAck || isAuthAck)(message);
+        if (result === undefined) {
+            return false;
+        }
+
+        const { connection } = this.pendingAuth;
+        this.clearPendingAuth();
+
+        if (result) {
+            this.onAuthenticated(connection);
+        } else {
+            this.onError({ message: 'Authentication rejected.', data: message });
+            // An auth-failure code lets a getAuth() provider refresh the credentials and retry
+            this.webSocket.close(4401, 'Authentication rejected');
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    clearPendingAuth() {
+        if (this.pendingAuth) {
+            clearTimeout(this.pendingAuth.timer);
+            this.pendingAuth = null;
+        }
+    }
+
+    /**
+     * Report an established (and, for the 'message' transport, authenticated) connection
+     * @param {Event} connection - Connection event
+     * @private
+     */
+    onAuthenticated(connection) {
+        this.authenticated = true;
+        this.authRetries = 0;
+
         if (this.options.onConnect) {
             this.options.onConnect(connection);
         } else {
-            console.info('WebSocket Connection established.');
+            this.logger.info('WebSocket connection established');
+        }
+    }
+
+    /**
+     * Establish WebSocket connection, fetching fresh credentials first when a getAuth() provider is configured
+     * @param {Object} context - Context passed to getAuth()
+     * @param {string} context.reason - 'connect', 'reconnect' or 'auth_failure' (default: 'connect')
+     * @param {CloseEvent} context.closeEvent - Close event that triggered the reconnect
+     * @private
+     */
+    connect(context = { reason: 'connect' }) {
+        if (!this.options.getAuth && !this.options.sign) {
+            this.open();
+            return;
+        }
+
+        const credentials = this.options.getAuth ? resolveAuth(this.options.getAuth, context) : Promise.resolve({});
+
+        credentials.then((credentials) => {
+            if (credentials.token) this.accessToken = credentials.token;
+            this.authParams = credentials.params || {};
+            this.authMessage = credentials.message || null;
+
+            // Sign every connection so the timestamp is fresh
+            return this.options.sign ? signRequest(this.appId, this.appSecret) : null;
+        }).then((signature) => {
+            this.signature = signature;
+
+            if (!this.disconnectRequested) {
+                this.open();
+            }
+        }).catch((error) => {
+            this.onError({ message: 'Failed to prepare authentication credentials.', originalError: error });
+        });
+    }
+
+    /**
+     * App credentials to send: the signed fields when signing, otherwise appId and appSecret
+     * @returns {Object} App credential fields
+     * @private
+     */
+    appCredentials() {
+        if (this.signature) {
+            return this.signature;
+        }
+
+        const app = {};
+        if (this.appId) app.appId = this.appId;
+        if (this.appSecret) app.appSecret = this.appSecret;
+        return app;
+    }
+
+    /**
+     * Encode and send a protocol frame, bypassing the authentication check in send()
+     * @param {*} frame - Frame to send
+     * @private
+     */
+    sendFrame(frame) {
+        if (this.codec) {
+            this.transmit(this.codec.encode(frame));
+        } else {
+            this.transmit(typeof frame === 'string' ? frame : JSON.stringify(frame));
         }
     }
 
     /**
-     * Establish WebSocket connection
+     * Write an encoded frame to the socket and count it
+     * @param {string|ArrayBuffer|ArrayBufferView} data - Encoded frame
      * @private
      */
-    connect() {
-        if (typeof window !== 'undefined' && window.WebSocket) {
-            // Build URL with authentication parameters
-            const url = new URL(this.url);
-            if (this.appId) url.searchParams.append('appId', this.appId);
-            if (this.appSecret) url.searchParams.append('appSecret', this.appSecret);
-            if (this.accessToken) url.searchParams.append('token', this.accessToken);
-            
-            console.log('Connecting to WebSocket:', url.toString());
-            
+    transmit(data) {
+        this.webSocket.send(data);
+        if (this.metrics) {
+            this.metrics.increment(METRICS.messagesSent.name, 1, this.metricAttributes);
+            this.metrics.increment(METRICS.bytesSent.name, byteLength(data), this.metricAttributes);
+        }
+    }
+
+    /**
+     * Open the WebSocket
+     * @private
+     */
+    open() {
+        const WebSocketImpl = resolveWebSocket(this.options.WebSocket);
+
+        if (this.authTransport === 'headers' && !this.options.WebSocket) {
+            this.onError(new Error('The headers auth transport needs a WebSocket implementation that accepts headers, e.g. the ws package in Node. Browsers cannot set handshake headers.'));
+            return;
+        }
+
+        if (WebSocketImpl) {
             try {
-                this.webSocket = new window.WebSocket(url.toString());
+                const { url, protocols, headers } = applyAuthTransport(this.authTransport, this.url, {
+                    token: this.accessToken,
+                    app: this.appCredentials(),
+                    params: this.authParams
+                });
+
+                // Never log credentials, whatever the logger's redact option
+                this.logger.info('Connecting to WebSocket', { url: redactUrl(url) });
+                this.connectStartedAt = Date.now();
+
+                if (this.authTransport === 'headers') {
+                    this.webSocket = new WebSocketImpl(url, protocols, { headers });
+                } else if (protocols.length > 0) {
+                    this.webSocket = new WebSocketImpl(url, protocols);
+                } else {
+                    this.webSocket = new WebSocketImpl(url);
+                }
                 
                 // Set binary type before setting up event handlers
                 this.webSocket.binaryType = 'arraybuffer';
@@ -133,7 +421,7 @@ export class SimpleWebSocket {
                 this.webSocket.onclose = this.onClose;
                 
             } catch (error) {
-                console.error('Failed to create WebSocket connection:', error);
+                this.logger.error('Failed to create WebSocket connection', { error });
                 this.onError(error);
             }
         } else {
@@ -153,7 +441,7 @@ export class SimpleWebSocket {
             if (cb) {
                 cb(error);
             } else {
-                console.warn(error.message);
+                this.logger.warn(error.message);
             }
             return;
         }
@@ -163,14 +451,21 @@ export class SimpleWebSocket {
             if (cb) {
                 cb(error);
             } else {
-                console.warn(error.message);
+                this.logger.warn(error.message);
             }
             return;
         }
 
         try {
-            if (this.webSocket.readyState === 1) { // WebSocket.OPEN
-                this.webSocket.send(data);
+            if (this.webSocket.readyState === 1 && !this.authenticated) {
+                const error = { message: 'WebSocket Connection not authenticated yet. Couldn\'t send data.' };
+                if (cb) {
+                    cb(error);
+                } else {
+                    this.logger.warn(error.message);
+                }
+            } else if (this.webSocket.readyState === 1) { // WebSocket.OPEN
+                this.transmit(this.codec ? this.codec.encode(data) : data);
                 if (cb) cb(null, { success: true });
             } else {
                 const error = { 
@@ -180,7 +475,7 @@ export class SimpleWebSocket {
                 if (cb) {
                     cb(error);
                 } else {
-                    console.warn(error.message);
+                    this.logger.warn(error.message);
                 }
             }
         } catch (e) {
@@ -188,7 +483,7 @@ export class SimpleWebSocket {
             if (cb) {
                 cb(error);
             } else {
-                console.error('Error while sending the data:', e);
+                this.logger.error('Error while sending the data', { error: e });
             }
         }
     }
@@ -197,9 +492,25 @@ export class SimpleWebSocket {
      * Disconnect the WebSocket connection
      */
     disconnect() {
+        this.disconnectRequested = true;
+        if (this.webSocket) {
+            this.webSocket.close();
+        }
+    }
+
+    /**
+     * Close the current connection (if any) and connect again, calling getAuth() for fresh credentials
+     */
+    reconnect() {
+        this.disconnectRequested = false;
         if (this.webSocket) {
+            // Detach handlers so the old socket's close doesn't trigger an auth retry
+            this.webSocket.onclose = null;
+            this.webSocket.onerror = null;
+            this.webSocket.onmessage = null;
             this.webSocket.close();
         }
+        this.connect({ reason: 'reconnect' });
     }
 
     /**
@@ -221,7 +532,10 @@ export class SimpleWebSocket {
             url: this.url,
             appId: this.appId,
             hasAppSecret: !!this.appSecret,
-            hasAccessToken: !!this.accessToken
+            hasAccessToken: !!this.accessToken,
+            authTransport: this.authTransport,
+            authenticated: this.authenticated,
+            signed: !!this.options.sign
         };
     }
 }
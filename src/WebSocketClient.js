@@ -5,6 +5,23 @@
  */
 
 import ReconnectingWebSocket from 'reconnecting-websocket';
+import { EventEmitter, reportListenerError } from './EventEmitter.js';
+import { addListener, removeListener, removeAllListeners } from './listeners.js';
+import { resolveWebSocket, isWebSocketLike } from './environment.js';
+import { resolveCodec, toFrameData, isBlob, readBlob, byteLength } from './codecs.js';
+import { createProtocol } from './protocols/index.js';
+import { MessageQueue } from './MessageQueue.js';
+import { ReconnectPolicy } from './ReconnectPolicy.js';
+import { DEFAULT_AUTH_FAILURE_CODES, isAuthFailure, buildAuthUrl, resolveAuth } from './auth.js';
+import { validate, createValidationError } from './validation.js';
+import { compose, splitMiddleware } from './middleware.js';
+import { resolveEnvelope, createJsonRpcEnvelope } from './envelopes.js';
+import { JsonRpcError, isJsonRpcMessage, isJsonRpcBatch } from './jsonrpc.js';
+import { createEventStream, createObservable } from './streams.js';
+import { Channel } from './Channel.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { createLogger } from './logger.js';
+import { METRICS, resolveMetrics } from './metrics.js';
 
 /**
  * WebSocket client class that provides a robust, event-driven interface for WebSocket communication
@@ -17,22 +34,137 @@ export class WebSocketClient {
    * @param {Object} options - Configuration options
    * @param {number} options.pingInterval - Ping interval in seconds (default: 15)
    * @param {boolean} options.autoPing - Whether to automatically send ping messages (default: true)
-   * @param {boolean} options.debug - Enable debug logging (default: false)
+   * @param {number} options.pongTimeout - Seconds to wait for a pong after each ping; 0 disables liveness checks (default: 0)
+   * @param {number} options.maxMissedPongs - Missed pongs before the connection is considered stale (default: 2)
+   * @param {boolean} options.debug - Log everything, down to the 'debug' level (default: false)
+   * @param {Object|null} options.logger - Logger with debug(), info(), warn() and error(), each called with a message
+   *   and fields, e.g. pino or createOpenTelemetryLogger() (default: the console)
+   * @param {string} options.logLevel - Minimum level logged: 'debug', 'info', 'warn', 'error' or 'silent'
+   *   (default: 'debug' with `debug`, 'info' with a `logger`, otherwise 'silent')
+   * @param {boolean|string[]|Function} options.redact - Masking of secrets in logged fields: false, extra key names
+   *   or a function (default: true, see createLogger())
+   * @param {Object} options.metrics - Metrics hook with increment(), record() and gauge(), e.g. createOpenTelemetryMetrics()
+   *   (see metrics.js for the reported metrics)
+   * @param {Object} options.metricAttributes - Attributes reported with every metric, e.g. `{ 'server.address': host }`
+   * @param {number} options.requestTimeout - Default request() timeout in milliseconds (default: 10000)
+   * @param {string} options.requestIdKey - Envelope key carrying the request correlation ID (default: 'requestId')
+   * @param {string} options.channelKey - Envelope key carrying the channel of createChannel() messages (default: 'channel')
+   * @param {Function} options.WebSocket - WebSocket implementation, e.g. from the `ws` package (default: global WebSocket)
+   * @param {string|Object} options.codec - Message codec: 'json', 'msgpack', 'stomp' or an object with encode()/decode()
+   *   (default: the protocol adapter's codec, otherwise 'json')
+   * @param {string|Object} options.envelope - Where the event name, payload and metadata live in a message: 'default',
+   *   'socketio', 'phoenix', 'jsonrpc', `{ preset, ...options }`, `{ eventKey, payloadKey, metaKeys }` or an
+   *   object with encode()/decode() (default: 'default', see envelopes.js)
+   * @param {string|Object} options.protocol - Wire protocol adapter: 'pusher', 'apiGateway', 'phoenix', 'graphql', 'stomp'
+   *   or a custom adapter object (default: none)
+   * @param {Object} options.pusher - PusherProtocol options (authorizer, authEndpoint, auth)
+   * @param {Object} options.apiGateway - ApiGatewayProtocol options (see ApiGatewayProtocol)
+   * @param {Object} options.phoenix - PhoenixProtocol options (timeout, rejoin)
+   * @param {Object} options.graphql - GraphQLProtocol options (connectionParams, ackTimeout)
+   * @param {Object} options.stomp - StompProtocol options (connectHeaders, host, heartbeat, receiptTimeout)
+   * @param {string} options.subscribeAction - Action sent by subscribe() without a protocol adapter (default: 'subscribe')
+   * @param {string} options.unsubscribeAction - Action sent by unsubscribe() without a protocol adapter (default: 'unsubscribe')
+   * @param {Object} options.queue - Outbound queue policy (see MessageQueue), plus:
+   * @param {string} options.queue.delivery - 'at-most-once' or 'at-least-once' (default: 'at-most-once')
+   * @param {string} options.queue.messageIdKey - Envelope key carrying the message ID for acks (default: 'messageId')
+   * @param {string} options.queue.ackEvent - Event/action name of server acks (default: 'ack')
+   * @param {Object|ReconnectPolicy} options.reconnect - Reconnect policy for sockets this client creates
+   *   (minDelay, maxDelay, factor, jitter, maxRetries, connectionTimeout, shouldReconnect; see ReconnectPolicy)
+   * @param {Function} options.getAuth - Async credentials provider called before every connection attempt of a socket
+   *   this client creates: `({reason, attempt, closeEvent}) => ({token?, params?, message?})`
+   * @param {number[]} options.authFailureCodes - Close codes after which getAuth() is asked to refresh (default: [1008, 4001, 4003, 4401, 4403])
+   * @param {string} options.tokenParam - Query parameter carrying the token from getAuth() (default: 'token')
+   * @param {Object} options.schemas - Payload contracts per action: `{ incoming: { [action]: schema }, outgoing: { [action]: schema } }`,
+   *   where each schema is a JSON Schema or a validator function (see defineSchemas())
+   * @param {Array} options.middleware - Middleware registered with use() at construction
    */
   constructor(socket, options = {}) {
     this.options = {
       pingInterval: options.pingInterval || 15,
       autoPing: options.autoPing !== false,
+      pongTimeout: options.pongTimeout || 0,
+      maxMissedPongs: options.maxMissedPongs || 2,
       debug: options.debug || false,
+      requestTimeout: options.requestTimeout || 10000,
+      requestIdKey: options.requestIdKey || 'requestId',
+      channelKey: options.channelKey || 'channel',
+      subscribeAction: options.subscribeAction || 'subscribe',
+      unsubscribeAction: options.unsubscribeAction || 'unsubscribe',
+      authFailureCodes: options.authFailureCodes || DEFAULT_AUTH_FAILURE_CODES,
+      tokenParam: options.tokenParam || 'token',
       ...options
     };
 
-    this.eventTarget = document.createElement('div');
+    this.logger = createLogger({
+      logger: this.options.logger,
+      logLevel: this.options.logLevel,
+      debug: this.options.debug,
+      redact: this.options.redact,
+      prefix: '[WebSocketClient]',
+      defaultLevel: this.options.logger ? 'info' : 'silent'
+    });
+    this.metrics = this.options.metrics ? resolveMetrics(this.options.metrics) : null;
+    this.metricAttributes = this.options.metricAttributes || {};
+    this.connectStartedAt = Date.now();
+
+    // Protocol adapters may tune the heartbeat, but never against an explicit pingInterval
+    this.pingIntervalSet = options.pingInterval !== undefined;
+
+    this.options.queue = {
+      delivery: 'at-most-once',
+      messageIdKey: 'messageId',
+      ackEvent: 'ack',
+      ...options.queue
+    };
+
+    this.eventTarget = new EventEmitter({ onListenerError: (error, event) => this.handleListenerError(error, event) });
     this.open = false;
     this.connectionId = null;
     this.pingTimer = null;
-    this.messageQueue = [];
+    this.pongTimer = null;
+    this.lastPingAt = null;
+    this.lastPongAt = null;
+    this.latency = null;
+    this.missedPongs = 0;
+    this.messageQueue = new MessageQueue({
+      ...this.options.queue,
+      onPersistError: (error) => this.log('Failed to persist message queue', { error }, 'warn')
+    });
     this.eventListeners = new Map();
+    this.eventSources = new Set();
+    this.schemas = { incoming: {}, outgoing: {} };
+    this.defineSchemas(this.options.schemas || {});
+    this.middleware = { incoming: [], outgoing: [] };
+    this.incomingChain = Promise.resolve();
+    this.outgoingChain = Promise.resolve();
+    (this.options.middleware || []).forEach(middleware => this.use(middleware));
+    this.pendingRequests = new Map();
+    this.subscriptions = new Map();
+    this.channels = new Map();
+    this.recorder = null;
+    this.lastRequestId = 0;
+    this.reconnectPolicy = this.options.reconnect instanceof ReconnectPolicy
+      ? this.options.reconnect
+      : new ReconnectPolicy(this.options.reconnect);
+    this.ownsSocket = false;
+    this.connectAttempted = false;
+    this.reconnectAttempts = 0;
+    this.reconnectHalted = false;
+    this.reconnectWait = null;
+    this.uptimeTimer = null;
+    this.hasOpened = false;
+    this.immediateReconnect = false;
+    this.authFailure = null;
+    this.authMessage = null;
+    this.envelope = resolveEnvelope(this.options.envelope, {
+      requestIdKey: this.options.requestIdKey,
+      messageIdKey: this.options.queue.messageIdKey,
+      channelKey: this.options.channelKey
+    });
+    this.jsonRpcEnvelope = createJsonRpcEnvelope();
+    this.protocol = this.options.protocol ? createProtocol(this.options.protocol, this) : null;
+    // Protocols with their own framing, like STOMP, bring their codec
+    this.codec = resolveCodec(this.options.codec || (this.protocol && this.protocol.codec) || 'json');
 
     // Initialize socket
     this.initializeSocket(socket);
@@ -50,266 +182,1285 @@ export class WebSocketClient {
       this.startAutoPing();
     }
 
-    this.log('WebSocket client initialized', { options: this.options });
+    // Pick up messages persisted by a previous session
+    this.messageQueue.restore().then((count) => {
+      if (count > 0) {
+        this.log('Message queue restored', { count });
+        this.reportQueueDepth();
+        if (this.canTransmit()) {
+          this.processMessageQueue();
+        }
+      }
+    }, (error) => this.log('Failed to restore message queue', { error }, 'warn'));
+
+    this.log('WebSocket client initialized', { options: this.options });
+  }
+
+  /**
+   * Initialize the WebSocket connection
+   * @param {string|WebSocket|ReconnectingWebSocket} socket - Socket to initialize
+   * @private
+   */
+  initializeSocket(socket) {
+    if (typeof socket === 'string') {
+      // Create ReconnectingWebSocket if URL is provided
+      this.socket = this.createSocket(socket);
+    } else if (socket instanceof ReconnectingWebSocket) {
+      this.socket = socket;
+    } else if (isWebSocketLike(socket)) {
+      // Wrap regular WebSocket in ReconnectingWebSocket
+      this.socket = this.createSocket(socket.url);
+    } else {
+      throw new Error('Invalid socket parameter. Must be a URL string, WebSocket instance, or ReconnectingWebSocket instance.');
+    }
+
+    // Receive binary frames as ArrayBuffers so codecs can decode them synchronously
+    this.socket.binaryType = 'arraybuffer';
+  }
+
+  /**
+   * Create a ReconnectingWebSocket whose retries are governed by the reconnect policy
+   * @param {string} url - WebSocket URL
+   * @returns {ReconnectingWebSocket} Socket
+   * @private
+   */
+  createSocket(url) {
+    this.ownsSocket = true;
+
+    // ReconnectingWebSocket's own backoff is switched off; the URL provider applies the policy's delay instead
+    const subprotocols = (this.protocol && this.protocol.subprotocols) || null;
+    const urlProvider = () => this.resolveConnectUrl(url).then((resolved) => {
+      // The connect duration excludes the backoff delay and getAuth()
+      this.connectStartedAt = Date.now();
+      return resolved;
+    });
+    return new ReconnectingWebSocket(urlProvider, subprotocols, withWebSocketImplementation({
+      minReconnectionDelay: 0,
+      maxReconnectionDelay: 0,
+      maxRetries: Infinity,
+      connectionTimeout: this.reconnectPolicy.connectionTimeout
+    }, this.options.WebSocket));
+  }
+
+  /**
+   * URL provider called by ReconnectingWebSocket before every connection attempt.
+   * Waits out the backoff delay, gives up once the policy is exhausted and applies fresh credentials.
+   * @param {string} url - WebSocket URL
+   * @returns {Promise<string>} URL to connect to
+   * @private
+   */
+  resolveConnectUrl(url) {
+    if (this.reconnectHalted) {
+      return Promise.resolve(url);
+    }
+
+    // First connections and planned refreshes skip the backoff and don't count as attempts
+    if (!this.connectAttempted || this.immediateReconnect) {
+      this.connectAttempted = true;
+      this.immediateReconnect = false;
+      return this.authenticateUrl(url);
+    }
+
+    const attempt = this.reconnectAttempts + 1;
+    if (!this.reconnectPolicy.canRetry(attempt)) {
+      this.haltReconnect('max_retries');
+      return Promise.resolve(url);
+    }
+
+    this.reconnectAttempts = attempt;
+    const delay = this.reconnectPolicy.getDelay(attempt);
+    this.log('Reconnecting', { attempt, delay }, 'info');
+    this.dispatchCustomEvent('reconnecting', { attempt, delay });
+    if (this.metrics) {
+      this.metrics.increment(METRICS.reconnects.name, 1, this.metricAttributes);
+    }
+
+    return new Promise((resolve) => {
+      const done = () => {
+        this.reconnectWait = null;
+        resolve();
+      };
+      this.reconnectWait = { timer: setTimeout(done, delay), done };
+    }).then(() => this.authenticateUrl(url));
+  }
+
+  /**
+   * Ask the getAuth() provider for credentials and apply them to the URL.
+   * A failing provider counts as a failed attempt and is retried after the next backoff delay.
+   * @param {string} url - WebSocket URL
+   * @returns {Promise<string>} URL with credentials
+   * @private
+   */
+  authenticateUrl(url) {
+    if (!this.options.getAuth || this.reconnectHalted) {
+      return Promise.resolve(url);
+    }
+
+    const closeEvent = this.authFailure;
+    const context = {
+      reason: closeEvent ? 'auth_failure' : (this.hasOpened ? 'reconnect' : 'connect'),
+      attempt: this.reconnectAttempts
+    };
+    if (closeEvent) {
+      context.closeEvent = closeEvent;
+    }
+
+    return resolveAuth(this.options.getAuth, context).then((credentials) => {
+      this.authFailure = null;
+      this.authMessage = credentials.message || null;
+      return buildAuthUrl(url, credentials, this.options.tokenParam);
+    }, (error) => {
+      this.log('Failed to get authentication credentials', { error, reason: context.reason }, 'warn');
+      this.dispatchCustomEvent('auth_error', { error, reason: context.reason });
+      return this.resolveConnectUrl(url);
+    });
+  }
+
+  /**
+   * Stop reconnecting for good
+   * @param {string} reason - 'max_retries', 'rejected' or 'closed'
+   * @param {CloseEvent} closeEvent - Close event that triggered the decision (optional)
+   * @private
+   */
+  haltReconnect(reason, closeEvent) {
+    if (this.reconnectHalted) {
+      return;
+    }
+    this.reconnectHalted = true;
+
+    // Settle a pending backoff so ReconnectingWebSocket notices the close straight away
+    if (this.reconnectWait) {
+      clearTimeout(this.reconnectWait.timer);
+      this.reconnectWait.done();
+    }
+
+    if (reason !== 'closed') {
+      const detail = { attempts: this.reconnectAttempts, reason };
+      if (closeEvent) {
+        detail.code = closeEvent.code;
+      }
+      this.log('Reconnect failed', detail, 'warn');
+      this.dispatchCustomEvent('reconnect_failed', detail);
+      this.socket.close();
+    }
+  }
+
+  /**
+   * Setup WebSocket event listeners
+   * @private
+   */
+  setupEvents() {
+    this.socket.addEventListener('open', (event) => {
+      this.open = true;
+      this.hasOpened = true;
+      this.missedPongs = 0;
+      this.log('WebSocket connection opened', event, 'info');
+      if (this.metrics && this.connectStartedAt !== null) {
+        this.metrics.record(METRICS.connectDuration.name, Date.now() - this.connectStartedAt, this.metricAttributes);
+      }
+      this.connectStartedAt = null;
+
+      // The auth frame has to reach the server before anything else
+      if (this.authMessage) {
+        this.transmit(this.codec.encode(this.authMessage));
+      }
+
+      if (this.reconnectAttempts > 0) {
+        this.dispatchCustomEvent('reconnected', { attempts: this.reconnectAttempts });
+
+        // Connections that drop right after opening keep backing off
+        this.uptimeTimer = setTimeout(() => {
+          this.uptimeTimer = null;
+          this.reconnectAttempts = 0;
+        }, this.reconnectPolicy.minUptime);
+      }
+
+      // Auto-ping stops on close, so resume it after every reconnect
+      if (this.options.autoPing && !this.pingTimer) {
+        this.startAutoPing();
+      }
+      
+      if (this.protocol && this.protocol.onOpen) {
+        this.protocol.onOpen(event);
+      }
+
+      // The server forgets subscriptions with the connection, so replay them before queued messages
+      this.restoreSubscriptions();
+
+      // Adapters with a handshake hold the queue and flush it themselves once it completes
+      if (this.canTransmit()) {
+        this.flushMessageQueue();
+      }
+      
+      // Dispatch open event
+      this.dispatchCustomEvent('open', { event });
+      this.channels.forEach(channel => channel.dispatchCustomEvent('open', { event }));
+    });
+
+    this.socket.addEventListener('close', (event) => {
+      this.open = false;
+      clearTimeout(this.uptimeTimer);
+      this.uptimeTimer = null;
+      this.log('WebSocket connection closed', event, 'info');
+      if (!this.ownsSocket) {
+        // The next attempt of a socket passed in starts out of sight, so time it from here
+        this.connectStartedAt = Date.now();
+      }
+      this.stopAutoPing();
+      this.rejectPendingRequests(new Error('WebSocket connection closed before a reply was received'));
+      if (this.protocol && this.protocol.onClose) {
+        this.protocol.onClose(event);
+      }
+      this.dispatchCustomEvent('close', { event });
+      this.channels.forEach(channel => channel.dispatchCustomEvent('close', { event }));
+
+      if (this.options.getAuth && isAuthFailure(event, this.options.authFailureCodes)) {
+        // The next connection attempt asks getAuth() to refresh the credentials
+        this.authFailure = event;
+        this.log('Authentication rejected by server', { code: event.code, reason: event.reason }, 'warn');
+      }
+
+      if (this.ownsSocket && !this.reconnectHalted && !this.reconnectPolicy.shouldReconnect(event)) {
+        this.haltReconnect('rejected', event);
+      }
+    });
+
+    this.socket.addEventListener('error', (event) => {
+      this.log('WebSocket error occurred', event, 'error');
+      this.dispatchCustomEvent('error', { event });
+    });
+
+    this.socket.addEventListener('message', (event) => {
+      this.handleMessage(event);
+    });
+  }
+
+  /**
+   * Handle incoming WebSocket messages
+   * @param {MessageEvent} event - WebSocket message event
+   * @private
+   */
+  handleMessage(event) {
+    // Blob frames have to be read asynchronously before they can be decoded
+    if (isBlob(event.data)) {
+      readBlob(event.data).then(
+        (bytes) => this.handleMessage({ data: bytes }),
+        (error) => this.log('Failed to read binary message', { error }, 'warn')
+      );
+      return;
+    }
+
+    const frame = toFrameData(event.data);
+    if (this.recorder) {
+      this.recorder.recordFrame('in', frame);
+    }
+    if (this.metrics) {
+      this.metrics.increment(METRICS.messagesReceived.name, 1, this.metricAttributes);
+      this.metrics.increment(METRICS.bytesReceived.name, byteLength(frame), this.metricAttributes);
+    }
+
+    // Heartbeats bypass middleware
+    if (frame === 'Pong' || frame === '') {
+      this.recordPong();
+      this.routeMessage({ event: 'Pong', body: { data: 'Pong' } });
+      return;
+    }
+
+    if (this.middleware.incoming.length === 0) {
+      this.routeMessage(this.decodeFrame(frame));
+      return;
+    }
+
+    // The message is decoded on first access, so middleware can transform the raw frame first
+    const context = { direction: 'incoming', client: this, frame, event: undefined, payload: undefined, state: {} };
+    let decoded;
+    let isDecoded = false;
+    Object.defineProperty(context, 'message', {
+      enumerable: true,
+      get: () => {
+        if (!isDecoded) {
+          decoded = this.decodeFrame(context.frame);
+          isDecoded = true;
+        }
+        return decoded;
+      },
+      set: (message) => {
+        decoded = message;
+        isDecoded = true;
+      }
+    });
+
+    // Messages keep their order even when middleware awaits
+    this.incomingChain = this.incomingChain
+      .then(() => compose(this.middleware.incoming)(context, () => this.routeMessage(context.message, context)))
+      .catch((error) => {
+        this.log('Incoming middleware failed', { error }, 'warn');
+        this.dispatchCustomEvent('middleware_error', { direction: 'incoming', error, frame: context.frame });
+      });
+  }
+
+  /**
+   * Decode a frame with the configured codec
+   * @param {string|Uint8Array} frame - Frame
+   * @returns {*} Decoded message, or a parse_error message when decoding fails
+   * @private
+   */
+  decodeFrame(frame) {
+    try {
+      return this.codec.decode(frame);
+    } catch (error) {
+      this.log('Failed to parse message data', { data: frame, error }, 'warn');
+      return { event: 'parse_error', body: { data: frame, error: error.message } };
+    }
+  }
+
+  /**
+   * Route a decoded message to the protocol adapter, acks, requests and listeners
+   * @param {*} data - Decoded message
+   * @param {Object} envelope - Overrides set by incoming middleware
+   * @param {string} envelope.event - Event name (default: the envelope's event, or 'message')
+   * @param {*} envelope.payload - Payload (default: the envelope's payload)
+   * @private
+   */
+  routeMessage(data, envelope = {}) {
+    // Protocol adapters get the first look at every message
+    if (this.protocol && this.protocol.onMessage && this.protocol.onMessage(data)) {
+      return;
+    }
+
+    // Each response of a JSON-RPC batch settles its own call
+    if (isJsonRpcBatch(data)) {
+      data.forEach(item => this.routeMessage(item));
+      return;
+    }
+
+    // JSON-RPC messages are recognized whatever the envelope, so call() works on any client
+    const fields = (isJsonRpcMessage(data) ? this.jsonRpcEnvelope : this.envelope).decode(data);
+
+    // Delivery acks only settle the outbound queue
+    if (this.handleAck(fields)) {
+      return;
+    }
+
+    // Extract the actual data payload
+    const sendData = envelope.payload !== undefined ? envelope.payload : fields.payload;
+    const eventName = envelope.event || fields.event || 'message';
+
+    // Invalid payloads never reach listeners or pending requests
+    if (!this.validateIncoming(data, fields, eventName, sendData)) {
+      return;
+    }
+
+    // Replies to request() are settled here instead of being dispatched
+    if (this.resolvePendingRequest(data, fields, sendData)) {
+      return;
+    }
+
+    // Messages tagged with an open channel only reach that channel's listeners
+    const target = (fields.meta.channel !== undefined && this.channels.get(fields.meta.channel)) || this;
+
+    // Create and dispatch custom event; 'message' listeners only get the generic event below
+    if (eventName !== 'message') {
+      target.dispatchCustomEvent(eventName, sendData);
+    }
+    
+    // Also dispatch a generic message event
+    target.dispatchCustomEvent('message', { event: eventName, data: sendData, meta: fields.meta, original: data });
+    
+    this.log('Message received', { event: eventName, data: sendData });
+  }
+
+  /**
+   * Validate an incoming payload against its schema. Invalid messages are reported with a
+   * `validation_error` event, and a request waiting for the message is rejected.
+   * @param {Object} data - Parsed message
+   * @param {Object} fields - Message fields read by the envelope
+   * @param {string} action - Event/action name
+   * @param {*} payload - Message payload
+   * @returns {boolean} Whether the message may be routed
+   * @private
+   */
+  validateIncoming(data, fields, action, payload) {
+    const schema = this.schemas.incoming[action];
+    if (!schema) {
+      return true;
+    }
+
+    const errors = validate(schema, payload);
+    if (errors.length === 0) {
+      return true;
+    }
+
+    const error = createValidationError('incoming', action, errors);
+    this.log('Invalid incoming payload', { action, errors }, 'warn');
+    this.dispatchCustomEvent('validation_error', { direction: 'incoming', action, errors, data: payload });
+
+    error.response = data;
+    this.rejectPendingRequest(fields.meta.requestId, error);
+
+    return false;
+  }
+
+  /**
+   * Validate an outgoing payload against its schema
+   * @param {string} action - Action name
+   * @param {*} data - Payload
+   * @throws {Error} With `code` 'VALIDATION_ERROR' when the payload is invalid
+   * @private
+   */
+  validateOutgoing(action, data) {
+    const schema = this.schemas.outgoing[action];
+    if (!schema) {
+      return;
+    }
+
+    const errors = validate(schema, data === '' ? undefined : data);
+    if (errors.length > 0) {
+      this.dispatchCustomEvent('validation_error', { direction: 'outgoing', action, errors, data });
+      throw createValidationError('outgoing', action, errors);
+    }
+  }
+
+  /**
+   * Register payload contracts. A schema is a JSON Schema (see validateJsonSchema() for the supported
+   * keywords) or a function returning true when the payload is valid, or false, a message or a list
+   * of messages when it isn't. Incoming schemas are keyed by the message's event/action and check
+   * its `data`/`body`; outgoing schemas are keyed by action and check the payload passed to emit(),
+   * request(), chatMessage() and message(). Later registrations replace earlier ones per action.
+   * @param {Object} schemas - `{ incoming?: { [action]: schema }, outgoing?: { [action]: schema } }`
+   */
+  defineSchemas(schemas) {
+    Object.assign(this.schemas.incoming, schemas.incoming);
+    Object.assign(this.schemas.outgoing, schemas.outgoing);
+  }
+
+  /**
+   * Add middleware to the message pipelines. Middleware is called with a context and `next`, Koa
+   * style, and runs in registration order; it may change the context, await before or after
+   * `next()`, or not call `next()` to drop the message. Messages are processed one at a time per
+   * direction, so awaiting middleware keeps their order.
+   *
+   * Outgoing context: `{ direction, client, message, frame, guaranteed, state }`. Change `message`
+   * before it is encoded, or set `frame` to send encoded data (e.g. compressed or encrypted) as is.
+   * Incoming context: `{ direction, client, frame, message, event, payload, state }`. `message` is
+   * decoded from `frame` on first access, so replace `frame` before reading it to decrypt; set
+   * `event` and `payload` to override how the message is routed.
+   *
+   * Heartbeats and auth frames bypass middleware. A middleware error is reported with a
+   * `middleware_error` event and the message is not delivered.
+   * @param {Function|Object} middleware - `(context, next) => void | Promise`, applied to both
+   *   directions, or `{ incoming?, outgoing? }` with one function per direction
+   * @returns {WebSocketClient} This client, for chaining
+   */
+  use(middleware) {
+    const { incoming, outgoing } = splitMiddleware(middleware);
+    if (incoming) {
+      this.middleware.incoming.push(incoming);
+    }
+    if (outgoing) {
+      this.middleware.outgoing.push(outgoing);
+    }
+    return this;
+  }
+
+  /**
+   * Remove the queued message acknowledged by the server
+   * @param {Object} fields - Message fields read by the envelope
+   * @returns {boolean} Whether the message was a delivery ack
+   * @private
+   */
+  handleAck(fields) {
+    const { delivery, ackEvent, messageIdKey } = this.options.queue;
+    if (delivery !== 'at-least-once' || fields.event !== ackEvent) {
+      return false;
+    }
+
+    const { payload, meta } = fields;
+    const id = meta.messageId !== undefined ? meta.messageId : (payload && payload[messageIdKey]);
+    const acknowledged = this.messageQueue.acknowledge(id)
+      || Array.from(this.channels.values()).some(channel => channel.messageQueue.acknowledge(id));
+    if (acknowledged) {
+      this.dispatchCustomEvent('ack', { id });
+      this.log('Message acknowledged', { id });
+      this.reportQueueDepth();
+    }
+
+    return true;
+  }
+
+  /**
+   * Settle the pending request matching a reply's correlation ID
+   * @param {Object} data - Parsed message
+   * @param {Object} fields - Message fields read by the envelope
+   * @param {*} payload - Value the request resolves with (default: the envelope's payload)
+   * @returns {boolean} Whether the message was a reply to a pending request
+   * @private
+   */
+  resolvePendingRequest(data, fields, payload = fields.payload) {
+    const id = fields.meta.requestId;
+    if (id === undefined || !this.pendingRequests.has(id)) {
+      return false;
+    }
+
+    const { resolve, reject, timer, action } = this.pendingRequests.get(id);
+    clearTimeout(timer);
+    this.pendingRequests.delete(id);
+
+    if (fields.error) {
+      const error = isJsonRpcMessage(data)
+        ? JsonRpcError.from(fields.error)
+        : new Error(fields.error.message || String(fields.error));
+      error.response = data;
+      reject(error);
+      this.log('Request failed', { id, action, error: fields.error }, 'warn');
+    } else {
+      resolve(payload);
+      this.log('Request resolved', { id, action });
+    }
+
+    return true;
+  }
+
+  /**
+   * Reject one pending request
+   * @param {number} id - Request ID
+   * @param {Error} error - Rejection reason
+   * @private
+   */
+  rejectPendingRequest(id, error) {
+    if (id === undefined || !this.pendingRequests.has(id)) {
+      return;
+    }
+
+    const { reject, timer } = this.pendingRequests.get(id);
+    clearTimeout(timer);
+    this.pendingRequests.delete(id);
+    reject(error);
+  }
+
+  /**
+   * Reject every pending request
+   * @param {Error} error - Rejection reason
+   * @private
+   */
+  rejectPendingRequests(error) {
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Dispatch a custom event
+   * @param {string} eventName - Name of the event
+   * @param {*} detail - Event detail data
+   * @private
+   */
+  dispatchCustomEvent(eventName, detail) {
+    if (this.recorder) {
+      this.recorder.recordEvent(eventName, detail);
+    }
+    this.eventTarget.dispatchEvent({ type: eventName, detail });
+  }
+
+  /**
+   * Report a listener that threw: log it and fire `listener_error`. Without a `listener_error`
+   * listener, the error is reported like an uncaught one in browsers and on the console elsewhere.
+   * @param {Error} error - Error thrown by the listener
+   * @param {Object} event - Event being dispatched
+   * @param {Channel} channel - Channel whose listener threw (optional)
+   * @private
+   */
+  handleListenerError(error, event, channel = null) {
+    const detail = { event: event.type, error };
+    if (channel) {
+      detail.channel = channel.name;
+    }
+    this.log('Event listener failed', { event: event.type, channel: detail.channel, error }, 'error');
+
+    if (event.type === 'listener_error' || this.eventTarget.listenerCount('listener_error') === 0) {
+      reportListenerError(error, event);
+      return;
+    }
+    this.dispatchCustomEvent('listener_error', detail);
+  }
+
+  /**
+   * Start automatic ping messages
+   * @private
+   */
+  startAutoPing() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+    }
+    
+    this.pingTimer = setInterval(() => {
+      if (this.open) {
+        this.ping();
+      }
+    }, this.options.pingInterval * 1000);
+    
+    this.log('Auto-ping started', { interval: this.options.pingInterval });
+  }
+
+  /**
+   * Stop automatic ping messages
+   * @private
+   */
+  stopAutoPing() {
+    this.clearPongTimer();
+
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+      this.log('Auto-ping stopped');
+    }
+  }
+
+  /**
+   * Start the pong deadline for a ping that was just sent
+   * @private
+   */
+  startPongTimer() {
+    if (!this.options.pongTimeout || this.pongTimer) {
+      return;
+    }
+
+    this.pongTimer = setTimeout(() => {
+      this.pongTimer = null;
+      this.handleMissedPong();
+    }, this.options.pongTimeout * 1000);
+  }
+
+  /**
+   * Clear the pending pong deadline
+   * @private
+   */
+  clearPongTimer() {
+    if (this.pongTimer) {
+      clearTimeout(this.pongTimer);
+      this.pongTimer = null;
+    }
+  }
+
+  /**
+   * Record a pong and measure the round-trip latency of the last ping
+   * @private
+   */
+  recordPong() {
+    this.clearPongTimer();
+    this.lastPongAt = Date.now();
+    this.missedPongs = 0;
+
+    if (this.lastPingAt !== null) {
+      this.latency = this.lastPongAt - this.lastPingAt;
+      this.lastPingAt = null;
+      if (this.metrics) {
+        this.metrics.record(METRICS.pingRtt.name, this.latency, this.metricAttributes);
+      }
+    }
+  }
+
+  /**
+   * Count a missed pong and recycle the connection once too many are missed
+   * @private
+   */
+  handleMissedPong() {
+    this.missedPongs++;
+    this.lastPingAt = null;
+    this.log('Pong missed', { missedPongs: this.missedPongs }, 'warn');
+
+    if (this.missedPongs < this.options.maxMissedPongs) {
+      return;
+    }
+
+    const missedPongs = this.missedPongs;
+    this.missedPongs = 0;
+    this.log('Connection is stale, reconnecting', { missedPongs }, 'warn');
+    this.dispatchCustomEvent('stale', { missedPongs, lastPongAt: this.lastPongAt });
+
+    // A half-open socket may never deliver its close event, so force a fresh connection
+    if (typeof this.socket.reconnect === 'function') {
+      this.socket.reconnect(4000, 'Heartbeat timeout');
+    } else {
+      this.socket.close(4000, 'Heartbeat timeout');
+    }
+  }
+
+  /**
+   * Whether frames go out straight away: the connection is open and the protocol adapter, if it
+   * has a handshake, doesn't hold the queue. Otherwise they are queued.
+   * @returns {boolean} Whether frames can be sent now
+   * @private
+   */
+  canTransmit() {
+    return this.open && !(this.protocol && this.protocol.holdsQueue && this.protocol.holdsQueue());
+  }
+
+  /**
+   * Send the queued messages after the frames already on their way. Outgoing middleware sends
+   * asynchronously, so the flush then waits its turn in the chain, e.g. behind resubscribe frames;
+   * later messages queue up behind it.
+   * @private
+   */
+  flushMessageQueue() {
+    if (this.middleware.outgoing.length === 0) {
+      this.processMessageQueue();
+      return;
+    }
+
+    this.outgoingChain = this.outgoingChain.then(() => {
+      if (this.canTransmit()) {
+        this.processMessageQueue();
+      }
+    });
+  }
+
+  /**
+   * Process queued messages when connection becomes available
+   * @private
+   */
+  processMessageQueue() {
+    const { sent, expired } = this.messageQueue.flush(data => this.transmit(data));
+    expired.forEach(entry => this.handleDroppedMessage(entry, 'expired'));
+    this.log('Message queue processed', { sent, remaining: this.messageQueue.length });
+
+    this.channels.forEach(channel => this.processChannelQueue(channel));
+    this.reportQueueDepth();
+  }
+
+  /**
+   * Report the number of messages held by the client's and the channels' queues
+   * @private
+   */
+  reportQueueDepth() {
+    if (!this.metrics) {
+      return;
+    }
+    let depth = this.messageQueue.length;
+    this.channels.forEach((channel) => {
+      depth += channel.messageQueue.length;
+    });
+    this.metrics.gauge(METRICS.queueDepth.name, depth, this.metricAttributes);
+  }
+
+  /**
+   * Send the messages a channel queued while the connection was down
+   * @param {Channel} channel - Channel
+   * @private
+   */
+  processChannelQueue(channel) {
+    const { sent, expired } = channel.messageQueue.flush(data => this.transmit(data));
+    expired.forEach(entry => this.handleDroppedMessage(entry, 'expired', channel));
+    if (sent > 0 || expired.length > 0) {
+      this.log('Channel queue processed', { channel: channel.name, sent, remaining: channel.messageQueue.length });
+    }
+  }
+
+  /**
+   * Report a message the queue discarded, on the client and on the channel it was sent on
+   * @param {Object} entry - Queue entry
+   * @param {string} reason - 'overflow' or 'expired'
+   * @param {Channel} channel - Channel whose queue dropped it (optional)
+   * @private
+   */
+  handleDroppedMessage(entry, reason, channel = null) {
+    const detail = { id: entry.id, data: entry.data, reason };
+    if (channel) {
+      detail.channel = channel.name;
+      channel.dispatchCustomEvent('message_dropped', detail);
+    }
+    this.log('Queued message dropped', { id: entry.id, reason, channel: detail.channel }, 'warn');
+    this.dispatchCustomEvent('message_dropped', detail);
+  }
+
+  /**
+   * Run a message through the outgoing middleware, encode it with the configured codec and send it
+   * @param {*} message - Message to send
+   * @param {Object} options - Send options
+   * @param {number} options.messageId - ID the message is stamped with; it stays queued until acked (see sendAction())
+   * @param {Channel} options.channel - Channel whose queue holds the message while disconnected (optional)
+   * @returns {Promise<boolean>} Whether the message was sent or queued (false when middleware dropped it)
+   * @throws {Error} With `code` 'QUEUE_FULL' when, without outgoing middleware, the queue rejects the message
+   * @private
+   */
+  sendMessage(message, options = {}) {
+    const id = options.messageId;
+    const channel = options.channel || null;
+
+    if (this.middleware.outgoing.length === 0) {
+      this.writeMessage(this.codec.encode(message), id, channel);
+      return Promise.resolve(true);
+    }
+
+    const context = {
+      direction: 'outgoing',
+      client: this,
+      message,
+      frame: undefined,
+      guaranteed: id !== undefined,
+      state: {}
+    };
+    let written = false;
+
+    // Messages keep their order even when middleware awaits
+    const result = this.outgoingChain
+      .then(() => compose(this.middleware.outgoing)(context, () => {
+        this.writeMessage(context.frame !== undefined ? context.frame : this.codec.encode(context.message), id, channel);
+        written = true;
+      }))
+      .then(() => written);
+
+    this.outgoingChain = result.catch((error) => {
+      this.log('Outgoing middleware failed', { error }, 'warn');
+      this.dispatchCustomEvent('middleware_error', { direction: 'outgoing', error, message: context.message });
+    });
+
+    return result;
+  }
+
+  /**
+   * Send an encoded message, holding it in the queue until acked when it has a message ID
+   * @param {string|ArrayBuffer|ArrayBufferView} data - Encoded message
+   * @param {number} id - Message ID for at-least-once delivery (optional)
+   * @param {Channel} channel - Channel whose queue to use (default: the client's)
+   * @throws {Error} With `code` 'QUEUE_FULL' when the queue is full and its overflow strategy is 'reject'
+   * @private
+   */
+  writeMessage(data, id, channel = null) {
+    if (id === undefined) {
+      this.sendRaw(data, channel);
+      return;
+    }
+
+    const queue = channel ? channel.messageQueue : this.messageQueue;
+    const { entry, dropped } = queue.enqueue(data, { id, requiresAck: true });
+
+    if (dropped) {
+      this.handleDroppedMessage(dropped, 'overflow', channel);
+    }
+    if (entry && this.canTransmit()) {
+      this.transmit(data);
+      entry.sent = true;
+    }
+    this.reportQueueDepth();
+  }
+
+  /**
+   * Send raw data through WebSocket
+   * @param {string|ArrayBuffer|ArrayBufferView} data - Data to send
+   * @param {Channel} channel - Channel whose queue holds the data while disconnected (default: the client's queue)
+   * @throws {Error} With `code` 'QUEUE_FULL' when the data has to be queued, the queue is full and its
+   *   overflow strategy is 'reject'
+   * @private
+   */
+  sendRaw(data, channel = null) {
+    if (this.canTransmit()) {
+      this.transmit(data);
+    } else {
+      const { entry, dropped } = (channel ? channel.messageQueue : this.messageQueue).enqueue(data);
+      if (dropped) {
+        this.handleDroppedMessage(dropped, 'overflow', channel);
+      }
+      if (entry) {
+        this.log('Message queued (connection not open)', { data });
+      }
+      this.reportQueueDepth();
+    }
+  }
+
+  /**
+   * Write an encoded frame to the socket, letting the protocol adapter split oversized frames
+   * @param {string|ArrayBuffer|ArrayBufferView} data - Encoded frame
+   * @private
+   */
+  transmit(data) {
+    const frames = this.protocol && this.protocol.splitFrame ? this.protocol.splitFrame(data) : [data];
+    frames.forEach((frame) => {
+      this.socket.send(frame);
+      if (this.recorder) {
+        this.recorder.recordFrame('out', frame);
+      }
+      if (this.metrics) {
+        this.metrics.increment(METRICS.messagesSent.name, 1, this.metricAttributes);
+        this.metrics.increment(METRICS.bytesSent.name, byteLength(frame), this.metricAttributes);
+      }
+    });
+  }
+
+  /**
+   * Add event listener. The same callback is only registered once per event.
+   * @param {string} event - Event name, or a wildcard pattern: `*` matches within a segment of a
+   *   name split by `.`, `:` or `/`, and `**` across segments (e.g. 'order.*', 'phoenix:*')
+   * @param {Function} callback - Called with the event detail; pattern listeners also get the event name
+   * @param {Object} options - Event listener options
+   * @param {boolean} options.once - Remove the listener after its first call
+   * @param {number} options.priority - Listeners with a higher priority run first (default: 0)
+   * @param {AbortSignal} options.signal - Remove the listener when aborted
+   * @returns {Function} Removes the listener
+   */
+  on(event, callback, options = {}) {
+    return addListener(this, event, callback, options);
+  }
+
+  /**
+   * Add a listener that is removed after its first call
+   * @param {string} event - Event name or wildcard pattern
+   * @param {Function} callback - Event callback function
+   * @param {Object} options - `{ priority, signal }`, as for on()
+   * @returns {Function} Removes the listener
+   */
+  once(event, callback, options = {}) {
+    return this.on(event, callback, { ...options, once: true });
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name or pattern the listener was added with
+   * @param {Function} callback - Event callback function to remove
+   */
+  off(event, callback) {
+    removeListener(this, event, callback);
+  }
+
+  /**
+   * Remove every listener added with on(), once() or listen() for an event, or for all events
+   * @param {string} event - Event name or pattern (optional; all events when omitted)
+   */
+  offAll(event) {
+    removeAllListeners(this, event);
+  }
+
+  /**
+   * Listen for specific actions or all messages
+   * @param {string} action - Action to listen for, or '*' for all
+   * @param {Function} callback - Callback function
+   * @param {Object} options - `{ once, priority, signal }`, as for on()
+   * @returns {Function} Removes the listener
+   */
+  listen(action, callback, options = {}) {
+    return this.on(action === '*' ? 'message' : action, callback, options);
+  }
+
+  /**
+   * Iterate over the payloads of an action with `for await`. Payloads that arrive faster than they
+   * are consumed wait in a bounded buffer (see createEventStream() for the overflow policies).
+   * The stream ends when the loop exits, on close() or destroy(), or when `signal` aborts.
+   * @param {string} action - Action to stream, or '*' for all messages
+   * @param {Object} options - Stream options
+   * @param {number} options.bufferSize - Maximum number of buffered payloads (default: 100)
+   * @param {string} options.overflow - 'drop-oldest', 'drop-newest' or 'error' (default: 'drop-oldest')
+   * @param {Function} options.onDrop - Called with every dropped payload (optional)
+   * @param {AbortSignal} options.signal - Ends the stream when aborted (optional)
+   * @returns {AsyncIterableIterator<*>} Stream of payloads
+   */
+  stream(action, options = {}) {
+    return createEventStream((push, end) => this.attachEventSource(action, push, end), options);
   }
 
   /**
-   * Initialize the WebSocket connection
-   * @param {string|WebSocket|ReconnectingWebSocket} socket - Socket to initialize
-   * @private
+   * Observe the payloads of an action. The result implements `Symbol.observable`, so it can be
+   * passed to RxJS `from()`; observers complete on close() or destroy().
+   * @param {string} action - Action to observe, or '*' for all messages
+   * @returns {Object} Observable with `subscribe(observer | next, error, complete)`
    */
-  initializeSocket(socket) {
-    if (typeof socket === 'string') {
-      // Create ReconnectingWebSocket if URL is provided
-      this.socket = new ReconnectingWebSocket(socket, null, {
-        reconnectInterval: 1000,
-        timeoutInterval: 10000,
-        maxReconnectAttempts: 10
-      });
-    } else if (socket instanceof ReconnectingWebSocket) {
-      this.socket = socket;
-    } else if (socket instanceof WebSocket) {
-      // Wrap regular WebSocket in ReconnectingWebSocket
-      this.socket = new ReconnectingWebSocket(socket.url, null, {
-        reconnectInterval: 1000,
-        timeoutInterval: 10000,
-        maxReconnectAttempts: 10
-      });
-    } else {
-      throw new Error('Invalid socket parameter. Must be a URL string, WebSocket instance, or ReconnectingWebSocket instance.');
-    }
+  observe(action) {
+    return createObservable((push, end) => this.attachEventSource(action, push, end));
   }
 
   /**
-   * Setup WebSocket event listeners
+   * Feed an action's payloads to a stream or observable until it detaches or the client closes
+   * @param {string} action - Action, or '*' for all messages
+   * @param {Function} push - Called with every payload
+   * @param {Function} end - Called on close() and destroy()
+   * @returns {Function} Detaches the source
    * @private
    */
-  setupEvents() {
-    this.socket.addEventListener('open', (event) => {
-      this.open = true;
-      this.log('WebSocket connection opened', event);
-      
-      // Process queued messages
-      this.processMessageQueue();
-      
-      // Dispatch open event
-      this.dispatchCustomEvent('open', { event });
-    });
+  attachEventSource(action, push, end) {
+    const event = action === '*' ? 'message' : action;
+    const listener = (dispatched) => push(dispatched.detail);
 
-    this.socket.addEventListener('close', (event) => {
-      this.open = false;
-      this.log('WebSocket connection closed', event);
-      this.stopAutoPing();
-      this.dispatchCustomEvent('close', { event });
-    });
+    this.addEventListener(event, listener);
+    this.eventSources.add(end);
+    return () => {
+      this.removeEventListener(event, listener);
+      this.eventSources.delete(end);
+    };
+  }
 
-    this.socket.addEventListener('error', (event) => {
-      this.log('WebSocket error occurred', event, 'error');
-      this.dispatchCustomEvent('error', { event });
-    });
+  /**
+   * End every stream and observable
+   * @private
+   */
+  endEventSources() {
+    Array.from(this.eventSources).forEach(end => end());
+  }
 
-    this.socket.addEventListener('message', (event) => {
-      this.handleMessage(event);
-    });
+  /**
+   * Emit an action with optional data
+   * @param {string} action - Action name
+   * @param {*} data - Data to send (optional)
+   * @throws {Error} With `code` 'VALIDATION_ERROR' when an outgoing schema rejects the data
+   * @throws {Error} With `code` 'QUEUE_FULL' when, without outgoing middleware, the queue is full and rejects the message
+   */
+  emit(action, data = '') {
+    this.validateOutgoing(action, data);
+    this.sendAction(action, data === '' ? undefined : data);
+    this.log('Action emitted', { action, data });
   }
 
   /**
-   * Handle incoming WebSocket messages
-   * @param {MessageEvent} event - WebSocket message event
+   * Emit an action and wait for the server's reply
+   * @param {string} action - Action name
+   * @param {*} data - Data to send (optional)
+   * @param {Object} options - Request options
+   * @param {number} options.timeout - Milliseconds to wait for the reply (default: options.requestTimeout)
+   * @returns {Promise<*>} Resolves with the reply payload, rejects on error reply, invalid data or reply, timeout or close
+   */
+  request(action, data = '', options = {}) {
+    return this.sendRequest(action, data, options);
+  }
+
+  /**
+   * Send a request on the client or one of its channels
+   * @param {string} action - Action name
+   * @param {*} data - Data to send
+   * @param {Object} options - `{ timeout }`
+   * @param {Channel} channel - Channel the request is sent on (optional)
+   * @returns {Promise<*>} Reply payload
    * @private
    */
-  handleMessage(event) {
-    let data;
-    
+  sendRequest(action, data, options, channel = null) {
     try {
-      // Handle ping/pong
-      if (event.data === 'Pong' || event.data === '') {
-        data = { event: 'Pong', body: { data: 'Pong' } };
-      } else {
-        data = JSON.parse(event.data);
-      }
+      this.validateOutgoing(action, data);
     } catch (error) {
-      this.log('Failed to parse message data', { data: event.data, error }, 'warn');
-      data = { event: 'parse_error', body: { data: event.data, error: error.message } };
+      return Promise.reject(error);
     }
 
-    // Extract the actual data payload
-    const sendData = data.data || data.body || data;
-    
-    // Create and dispatch custom event
-    const eventName = data.event || data.action || 'message';
-    this.dispatchCustomEvent(eventName, sendData);
-    
-    // Also dispatch a generic message event
-    this.dispatchCustomEvent('message', { event: eventName, data: sendData, original: data });
-    
-    this.log('Message received', { event: eventName, data: sendData });
+    const id = ++this.lastRequestId;
+    const reply = this.awaitReply(id, action, options.timeout || this.options.requestTimeout);
+    try {
+      this.rejectUnsent(this.sendAction(action, data === '' ? undefined : data, { meta: { requestId: id } }, channel), [id], action);
+    } catch (error) {
+      this.forgetPendingRequests([id]);
+      return Promise.reject(error);
+    }
+    this.log('Request sent', { id, action, data, channel: channel ? channel.name : undefined });
+
+    return reply;
   }
 
   /**
-   * Dispatch a custom event
-   * @param {string} eventName - Name of the event
-   * @param {*} detail - Event detail data
-   * @private
+   * Call a JSON-RPC 2.0 method and wait for its result. Works with any envelope: the call is sent
+   * as `{ jsonrpc: '2.0', method, params, id }` and settled by the response with the same `id`.
+   * @param {string} method - Method name
+   * @param {Array|Object} params - Parameters (optional)
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Milliseconds to wait for the response (default: options.requestTimeout)
+   * @returns {Promise<*>} Resolves with `result`; rejects with a JsonRpcError on an error response,
+   *   or on invalid params, timeout or close
    */
-  dispatchCustomEvent(eventName, detail) {
-    const event = new CustomEvent(eventName, {
-      detail,
-      bubbles: true,
-      cancelable: true
-    });
-    
-    this.eventTarget.dispatchEvent(event);
+  call(method, params, options = {}) {
+    try {
+      this.validateOutgoing(method, params);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    const id = ++this.lastRequestId;
+    const reply = this.awaitReply(id, method, options.timeout || this.options.requestTimeout);
+    try {
+      this.rejectUnsent(this.sendMessage(this.buildRpcMessage(method, params, id)), [id], method);
+    } catch (error) {
+      this.forgetPendingRequests([id]);
+      return Promise.reject(error);
+    }
+    this.log('JSON-RPC call sent', { id, method, params });
+
+    return reply;
   }
 
   /**
-   * Start automatic ping messages
-   * @private
+   * Send a JSON-RPC 2.0 notification, a call without an `id` that gets no response
+   * @param {string} method - Method name
+   * @param {Array|Object} params - Parameters (optional)
+   * @throws {Error} With `code` 'VALIDATION_ERROR' when an outgoing schema rejects the params
+   * @throws {Error} With `code` 'QUEUE_FULL' when, without outgoing middleware, the queue is full and rejects the message
    */
-  startAutoPing() {
-    if (this.pingTimer) {
-      clearInterval(this.pingTimer);
-    }
-    
-    this.pingTimer = setInterval(() => {
-      if (this.open) {
-        this.ping();
-      }
-    }, this.options.pingInterval * 1000);
-    
-    this.log('Auto-ping started', { interval: this.options.pingInterval });
+  notify(method, params) {
+    this.validateOutgoing(method, params);
+    this.sendMessage(this.buildRpcMessage(method, params));
+    this.log('JSON-RPC notification sent', { method, params });
   }
 
   /**
-   * Stop automatic ping messages
-   * @private
+   * Send several JSON-RPC 2.0 calls and notifications in one frame
+   * @param {Array<{method: string, params: *, notification: boolean}>} calls - Calls in order; entries
+   *   with `notification: true` are sent without an `id`
+   * @param {Object} options - Batch options
+   * @param {number} options.timeout - Milliseconds to wait for each response (default: options.requestTimeout)
+   * @returns {Promise<Array<{status: string, value: *, reason: Error}>>} One settled result per entry, in
+   *   order: `{ status: 'fulfilled', value }` or `{ status: 'rejected', reason }`; notifications are
+   *   fulfilled with undefined. Rejects when the batch is empty or has invalid params.
    */
-  stopAutoPing() {
-    if (this.pingTimer) {
-      clearInterval(this.pingTimer);
-      this.pingTimer = null;
-      this.log('Auto-ping stopped');
+  batch(calls, options = {}) {
+    if (!Array.isArray(calls) || calls.length === 0) {
+      return Promise.reject(new Error('A JSON-RPC batch needs at least one call.'));
+    }
+
+    try {
+      calls.forEach(({ method, params }) => this.validateOutgoing(method, params));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    const timeout = options.timeout || this.options.requestTimeout;
+    const ids = [];
+    const replies = [];
+    const messages = calls.map(({ method, params, notification }) => {
+      if (notification) {
+        replies.push(Promise.resolve());
+        return this.buildRpcMessage(method, params);
+      }
+
+      const id = ++this.lastRequestId;
+      ids.push(id);
+      replies.push(this.awaitReply(id, method, timeout));
+      return this.buildRpcMessage(method, params, id);
+    });
+
+    try {
+      this.rejectUnsent(this.sendMessage(messages), ids, 'batch');
+    } catch (error) {
+      this.forgetPendingRequests(ids);
+      return Promise.reject(error);
     }
+    this.log('JSON-RPC batch sent', { ids, size: calls.length });
+
+    return Promise.all(replies.map(reply => reply.then(
+      value => ({ status: 'fulfilled', value }),
+      reason => ({ status: 'rejected', reason })
+    )));
   }
 
   /**
-   * Process queued messages when connection becomes available
+   * Build a JSON-RPC 2.0 call, or a notification when there is no ID
+   * @param {string} method - Method name
+   * @param {*} params - Parameters (optional)
+   * @param {number} id - Request ID (optional)
+   * @returns {Object} JSON-RPC message
    * @private
    */
-  processMessageQueue() {
-    while (this.messageQueue.length > 0) {
-      const message = this.messageQueue.shift();
-      this.sendRaw(message);
-    }
-    this.log('Message queue processed', { count: this.messageQueue.length });
+  buildRpcMessage(method, params, id) {
+    return this.jsonRpcEnvelope.encode({ event: method, payload: params, meta: id === undefined ? {} : { requestId: id } });
   }
 
   /**
-   * Send raw data through WebSocket
-   * @param {string} data - Data to send
+   * Register a pending request, settled by its reply or rejected on timeout or close
+   * @param {number} id - Request ID
+   * @param {string} action - Action or method, for errors and logs
+   * @param {number} timeout - Milliseconds to wait for the reply
+   * @returns {Promise<*>} Reply payload
    * @private
    */
-  sendRaw(data) {
-    if (this.open) {
-      this.socket.send(data);
-    } else {
-      this.messageQueue.push(data);
-      this.log('Message queued (connection not open)', { data });
-    }
+  awaitReply(id, action, timeout) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error(`Request "${action}" timed out after ${timeout}ms`));
+      }, timeout);
+
+      this.pendingRequests.set(id, { resolve, reject, timer, action });
+    });
   }
 
   /**
-   * Add event listener
-   * @param {string} event - Event name
-   * @param {Function} callback - Event callback function
-   * @param {Object} options - Event listener options
+   * Drop pending requests whose message could not be sent, without settling their reply promises
+   * @param {number[]} ids - Request IDs
+   * @private
    */
-  on(event, callback, options = {}) {
-    this.addEventListener(event, (event) => {
-      callback(event.detail);
-    }, options);
-    
-    // Track listeners for cleanup
-    if (!this.eventListeners.has(event)) {
-      this.eventListeners.set(event, []);
-    }
-    this.eventListeners.get(event).push(callback);
+  forgetPendingRequests(ids) {
+    ids.forEach((id) => {
+      const pending = this.pendingRequests.get(id);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(id);
+      }
+    });
   }
 
   /**
-   * Remove event listener
-   * @param {string} event - Event name
-   * @param {Function} callback - Event callback function to remove
+   * Reject pending requests whose message was dropped by middleware or failed in it
+   * @param {Promise<boolean>} sending - Result of sendMessage()
+   * @param {number[]} ids - Request IDs carried by the message
+   * @param {string} action - Action or method, for the error
+   * @private
    */
-  off(event, callback) {
-    this.removeEventListener(event, callback);
-    
-    // Remove from tracked listeners
-    if (this.eventListeners.has(event)) {
-      const listeners = this.eventListeners.get(event);
-      const index = listeners.indexOf(callback);
-      if (index > -1) {
-        listeners.splice(index, 1);
+  rejectUnsent(sending, ids, action) {
+    sending.then((sent) => {
+      if (!sent) {
+        ids.forEach(id => this.rejectPendingRequest(id, new Error(`Request "${action}" was dropped by middleware`)));
       }
-    }
+    }, error => ids.forEach(id => this.rejectPendingRequest(id, error)));
   }
 
   /**
-   * Listen for specific actions or all messages
-   * @param {string} action - Action to listen for, or '*' for all
-   * @param {Function} callback - Callback function
+   * Build a message with the configured envelope (`{ action, data }` by default)
+   * @param {string} action - Action name
+   * @param {*} data - Payload (optional)
+   * @param {Object} fields - Other envelope fields, e.g. `{ meta: { requestId } }`
+   * @returns {*} Message
+   * @private
    */
-  listen(action, callback) {
-    if (action === '*') {
-      this.on('message', callback);
-    } else {
-      this.on(action, callback);
-    }
+  buildActionMessage(action, data, fields = {}) {
+    return this.envelope.encode({ ...fields, event: action, payload: data, meta: fields.meta || {} });
   }
 
   /**
-   * Emit an action with optional data
+   * Send an application message. With at-least-once delivery it is stamped with a message ID
+   * and stays queued until the server acknowledges it.
    * @param {string} action - Action name
-   * @param {*} data - Data to send (optional)
+   * @param {*} data - Payload (optional)
+   * @param {Object} fields - Other envelope fields, e.g. `{ meta: { requestId } }`
+   * @param {Channel} channel - Channel the message is tagged with and queued on (optional)
+   * @returns {Promise<boolean>} Whether the message was sent or queued (see sendMessage())
+   * @private
    */
-  emit(action, data = '') {
-    const message = {
-      action: action
-    };
-    
-    if (data !== '') {
-      message.data = data;
+  sendAction(action, data, fields = {}, channel = null) {
+    // IDs always come from the client's queue so they stay unique across channels
+    const messageId = this.options.queue.delivery === 'at-least-once' ? this.messageQueue.nextId() : undefined;
+    const meta = { ...fields.meta };
+    if (messageId !== undefined) {
+      meta.messageId = messageId;
     }
-    
-    this.sendRaw(JSON.stringify(message));
-    this.log('Action emitted', { action, data });
+    if (channel) {
+      meta.channel = channel.name;
+    }
+    return this.sendMessage(this.buildActionMessage(action, data, { ...fields, meta }), { messageId, channel });
   }
 
   /**
    * Send a chat message
    * @param {*} data - Chat message data
+   * @throws {Error} With `code` 'VALIDATION_ERROR' when an outgoing schema rejects the data
+   * @throws {Error} With `code` 'QUEUE_FULL' when, without outgoing middleware, the queue is full and rejects the message
    */
   chatMessage(data = '') {
-    const message = {
-      action: 'chatMessage',
-      body: data
-    };
-    
-    this.sendRaw(JSON.stringify(message));
+    this.validateOutgoing('chatMessage', data);
+    this.sendAction('chatMessage', data, { payloadKey: 'body' });
     this.log('Chat message sent', { data });
   }
 
   /**
    * Send a general message
    * @param {*} data - Message data
+   * @throws {Error} With `code` 'VALIDATION_ERROR' when an outgoing schema rejects the data
+   * @throws {Error} With `code` 'QUEUE_FULL' when, without outgoing middleware, the queue is full and rejects the message
    */
   message(data = '') {
-    const message = {
-      action: 'message',
-      body: data
-    };
-    
-    this.sendRaw(JSON.stringify(message));
+    this.validateOutgoing('message', data);
+    this.sendAction('message', data, { payloadKey: 'body' });
     this.log('Message sent', { data });
   }
 
@@ -317,17 +1468,161 @@ export class WebSocketClient {
    * Send a ping message
    */
   ping() {
-    this.sendRaw('Ping');
+    if (this.protocol && this.protocol.ping) {
+      this.protocol.ping();
+    } else {
+      this.sendRaw('Ping');
+    }
+
+    // Time only pings that actually went out; queued ones would skew the latency
+    if (this.open) {
+      if (this.lastPingAt === null) {
+        this.lastPingAt = Date.now();
+      }
+      this.startPongTimer();
+    }
     this.log('Ping sent');
   }
 
+  /**
+   * Open a logical channel over this client's connection. Channels have their own listeners,
+   * queue and status but share the socket, reconnects and heartbeat; their messages are tagged
+   * with the channel name under `channelKey`, so the envelope has to carry metadata (the default
+   * and keyed envelopes do). Messages tagged with a channel that isn't open reach the client's listeners.
+   * @param {string} name - Channel name, sent as the channel ID
+   * @param {Object} options - Channel options (see Channel)
+   * @returns {Channel} The channel; an open channel with the same name is returned as is
+   */
+  createChannel(name, options = {}) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Channel name must be a non-empty string.');
+    }
+    if (this.channels.has(name)) {
+      return this.channels.get(name);
+    }
+
+    const channel = new Channel(this, name, options);
+    this.channels.set(name, channel);
+    this.log('Channel created', { channel: name });
+    return channel;
+  }
+
+  /**
+   * Get an open channel by name
+   * @param {string} name - Channel name
+   * @returns {Channel|undefined} The channel
+   */
+  getChannel(name) {
+    return this.channels.get(name);
+  }
+
+  /**
+   * Forget a closed channel
+   * @param {Channel} channel - Channel
+   * @private
+   */
+  removeChannel(channel) {
+    if (this.channels.get(channel.name) === channel) {
+      this.channels.delete(channel.name);
+    }
+  }
+
+  /**
+   * Subscribe to a topic. The subscription is tracked and replayed after every reconnect.
+   * Without a protocol adapter this sends `{ action: 'subscribe', data: { topic, params } }`.
+   * @param {string} topic - Topic or channel name
+   * @param {*} params - Subscription parameters (optional)
+   * @returns {*} The protocol adapter's result (e.g. a Promise for the subscription), otherwise undefined
+   */
+  subscribe(topic, params) {
+    this.subscriptions.set(topic, params);
+
+    if (this.protocol && this.protocol.subscribe) {
+      return this.protocol.subscribe(topic, params);
+    }
+
+    // While disconnected the subscription is sent by restoreSubscriptions() on open
+    if (this.open) {
+      this.sendSubscription(topic, params);
+    }
+    this.log('Subscribed', { topic, params });
+    return undefined;
+  }
+
+  /**
+   * Unsubscribe from a topic and stop replaying it on reconnect
+   * @param {string} topic - Topic or channel name
+   */
+  unsubscribe(topic) {
+    const wasSubscribed = this.subscriptions.delete(topic);
+
+    if (this.protocol && this.protocol.unsubscribe) {
+      this.protocol.unsubscribe(topic);
+      return;
+    }
+
+    if (wasSubscribed && this.open) {
+      this.sendMessage(this.buildActionMessage(this.options.unsubscribeAction, { topic }));
+    }
+    this.log('Unsubscribed', { topic });
+  }
+
+  /**
+   * Get the active subscriptions
+   * @returns {Object} Map of topic to subscription parameters
+   */
+  getSubscriptions() {
+    return Object.fromEntries(this.subscriptions);
+  }
+
+  /**
+   * Send a subscribe frame
+   * @param {string} topic - Topic name
+   * @param {*} params - Subscription parameters
+   * @private
+   */
+  sendSubscription(topic, params) {
+    const data = params === undefined ? { topic } : { topic, params };
+    this.sendMessage(this.buildActionMessage(this.options.subscribeAction, data));
+  }
+
+  /**
+   * Replay every tracked subscription on a fresh connection. Protocol adapters
+   * with their own subscribe() re-subscribe on their handshake instead.
+   * @private
+   */
+  restoreSubscriptions() {
+    if (this.subscriptions.size === 0 || (this.protocol && this.protocol.subscribe)) {
+      return;
+    }
+
+    this.subscriptions.forEach((params, topic) => this.sendSubscription(topic, params));
+    this.log('Subscriptions restored', { count: this.subscriptions.size });
+  }
+
+  /**
+   * Replace the connection straight away, without a backoff delay or counting a reconnect attempt.
+   * Used for planned reconnects such as API Gateway's maximum connection lifetime; messages sent
+   * in between are queued and subscriptions are replayed as after any reconnect.
+   * @param {string} reason - Close reason sent to the server (default: 'Connection refresh')
+   */
+  refreshConnection(reason = 'Connection refresh') {
+    this.log('Refreshing connection', { reason });
+    this.immediateReconnect = this.ownsSocket;
+    this.socket.reconnect(1000, reason);
+  }
+
   /**
    * Close the WebSocket connection
    */
   close() {
     this.stopAutoPing();
+    clearTimeout(this.uptimeTimer);
+    this.haltReconnect('closed');
     this.socket.close();
     this.open = false;
+    this.rejectPendingRequests(new Error('WebSocket connection closed before a reply was received'));
+    this.endEventSources();
     this.log('WebSocket connection closed manually');
   }
 
@@ -363,11 +1658,47 @@ export class WebSocketClient {
       url: this.socket.url,
       connectionId: this.connectionId,
       messageQueueLength: this.messageQueue.length,
+      pendingRequests: this.pendingRequests.size,
+      reconnectAttempts: this.reconnectAttempts,
+      subscriptions: Array.from(this.subscriptions.keys()),
+      channels: Array.from(this.channels.keys()),
+      codec: this.codec.name,
+      envelope: this.envelope.name,
+      protocol: this.protocol ? this.protocol.name : null,
       pingInterval: this.options.pingInterval,
-      autoPing: this.options.autoPing
+      autoPing: this.options.autoPing,
+      latency: this.latency,
+      lastPongAt: this.lastPongAt,
+      missedPongs: this.missedPongs
     };
   }
 
+  /**
+   * Start recording the frames sent and received and the connection events, e.g. to attach a
+   * reproducible session to a bug report. Recording an already recording client starts over.
+   * @param {Object|SessionRecorder} options - Recorder options (see SessionRecorder), or a recorder to append to
+   * @returns {SessionRecorder} The recorder; export it with toJSONL() or toHAR()
+   */
+  startRecording(options = {}) {
+    this.recorder = options instanceof SessionRecorder ? options : new SessionRecorder(options);
+    if (this.open) {
+      // Recording starts mid-connection, so note the connection the frames belong to
+      this.recorder.recordEvent('open', { event: { target: this.socket } });
+    }
+    this.log('Session recording started');
+    return this.recorder;
+  }
+
+  /**
+   * Stop recording
+   * @returns {SessionRecorder|null} The recorder, or null when the client wasn't recording
+   */
+  stopRecording() {
+    const recorder = this.recorder;
+    this.recorder = null;
+    return recorder;
+  }
+
   /**
    * Set connection ID (useful for tracking connections)
    * @param {string} id - Connection ID
@@ -378,20 +1709,18 @@ export class WebSocketClient {
   }
 
   /**
-   * Log message if debug is enabled
+   * Write to the logger, if the level is enabled
    * @param {string} message - Log message
-   * @param {*} data - Additional data
-   * @param {string} level - Log level (log, warn, error)
+   * @param {*} data - Additional data; anything but an object is logged as `{ data }`
+   * @param {string} level - Log level: 'debug', 'info', 'warn' or 'error' ('log' is 'debug') (default: 'debug')
    * @private
    */
-  log(message, data = null, level = 'log') {
-    if (this.options.debug) {
-      const prefix = '[WebSocketClient]';
-      if (data) {
-        console[level](prefix, message, data);
-      } else {
-        console[level](prefix, message);
-      }
+  log(message, data = null, level = 'debug') {
+    const method = level === 'log' ? 'debug' : level;
+    if (data === null || data === undefined) {
+      this.logger[method](message);
+    } else {
+      this.logger[method](message, typeof data === 'object' ? data : { data });
     }
   }
 
@@ -401,40 +1730,61 @@ export class WebSocketClient {
   destroy() {
     this.stopAutoPing();
     this.close();
-    
-    // Remove all event listeners
-    this.eventListeners.forEach((listeners, event) => {
-      listeners.forEach(callback => {
-        this.off(event, callback);
-      });
-    });
-    this.eventListeners.clear();
+
+    if (this.protocol && this.protocol.destroy) {
+      this.protocol.destroy();
+    }
+
+    Array.from(this.channels.values()).forEach(channel => channel.close());
+    this.offAll();
     
     this.log('WebSocket client destroyed');
   }
 }
 
+/**
+ * Resolve the WebSocket implementation for a ReconnectingWebSocket, failing early when there is none
+ * @param {Object} reconnectingOptions - ReconnectingWebSocket options
+ * @param {Function} WebSocketImpl - Injected WebSocket constructor (optional)
+ * @returns {Object} ReconnectingWebSocket options including the `WebSocket` implementation
+ * @private
+ */
+function withWebSocketImplementation(reconnectingOptions, WebSocketImpl) {
+  const resolved = resolveWebSocket(WebSocketImpl || reconnectingOptions.WebSocket);
+  if (!resolved) {
+    throw new Error('WebSocket is not supported in this environment. Pass a WebSocket implementation (e.g. from the "ws" package) as options.WebSocket.');
+  }
+
+  return { ...reconnectingOptions, WebSocket: resolved };
+}
+
 /**
  * Factory function to create a WebSocket client with ReconnectingWebSocket
  * @param {string} webSocketUrl - WebSocket server URL
  * @param {Object} options - Configuration options
- * @param {number} options.pingTime - Ping interval in seconds (default: 15)
- * @param {Object} options.reconnectingOptions - ReconnectingWebSocket options
+ * @param {number} options.pingTime - Ping interval in seconds; `pingInterval` takes precedence (default: 15)
+ * @param {Object} options.reconnect - Reconnect policy options (see ReconnectPolicy)
+ * @param {Object} options.reconnectingOptions - ReconnectingWebSocket-style options, translated into a reconnect policy
+ * @param {Function} options.WebSocket - WebSocket implementation, e.g. from the `ws` package (default: global WebSocket)
  * @returns {WebSocketClient} WebSocket client instance
  */
 export function createWebSocketClient(webSocketUrl, options = {}) {
   const {
-    pingTime = 15,
-    reconnectingOptions = {
-      reconnectInterval: 1000,
-      timeoutInterval: 10000,
-      maxReconnectAttempts: 10
-    },
+    pingTime,
+    reconnectingOptions,
     ...clientOptions
   } = options;
 
-  const socket = new ReconnectingWebSocket(webSocketUrl, null, reconnectingOptions);
-  const client = new WebSocketClient(socket, { ...clientOptions, pingInterval: pingTime });
+  // Left unset, the client's default applies and protocol adapters may tune the heartbeat
+  if (clientOptions.pingInterval === undefined && pingTime !== undefined) {
+    clientOptions.pingInterval = pingTime;
+  }
+
+  if (!clientOptions.reconnect && reconnectingOptions) {
+    clientOptions.reconnect = ReconnectPolicy.fromReconnectingOptions(reconnectingOptions);
+  }
+
+  const client = new WebSocketClient(webSocketUrl, clientOptions);
   
   return client;
 }
@@ -449,15 +1799,9 @@ export function createWebSocketClient(webSocketUrl, options = {}) {
 export function webSocketIOconnect(webSocketUrl, pingTime = 15) {
   console.warn('webSocketIOconnect is deprecated. Use createWebSocketClient instead.');
   
-  const socket = new ReconnectingWebSocket(webSocketUrl, null, {
-    reconnectInterval: 1000,
-    timeoutInterval: 10000,
-    maxReconnectAttempts: 10
-  });
-  
-  const io = new WebSocketClient(socket, { pingInterval: pingTime });
+  const io = new WebSocketClient(webSocketUrl, { pingInterval: pingTime });
   
-  return { socket, io };
+  return { socket: io.socket, io };
 }
 
 // Export default
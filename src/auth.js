@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Authentication helpers shared by SimpleWebSocket and WebSocketClient
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * Close codes treated as authentication failures by default: policy violation (1008)
+ * and the 4001/4003/4401/4403 codes commonly used for expired or rejected credentials
+ * @type {number[]}
+ */
+export const DEFAULT_AUTH_FAILURE_CODES = [1008, 4001, 4003, 4401, 4403];
+
+/**
+ * Ways credentials can reach the server
+ * - 'query': URL query parameters (visible to proxies and access logs)
+ * - 'protocol': bearer token in the `Sec-WebSocket-Protocol` header
+ * - 'message': first frame after the connection opens, acknowledged by the server
+ * - 'headers': HTTP headers on the upgrade request (Node only, e.g. the `ws` package)
+ * @type {string[]}
+ */
+export const AUTH_TRANSPORTS = ['query', 'protocol', 'message', 'headers'];
+
+/**
+ * Query parameters masked by redactUrl()
+ * @type {string[]}
+ */
+export const SECRET_PARAMS = ['token', 'access_token', 'appSecret', 'signature'];
+
+/**
+ * Headers used by the 'headers' transport for each credential field
+ * @type {Object}
+ * @private
+ */
+const CREDENTIAL_HEADERS = {
+  appId: 'X-App-Id',
+  appSecret: 'X-App-Secret',
+  timestamp: 'X-App-Timestamp',
+  nonce: 'X-App-Nonce',
+  signature: 'X-App-Signature'
+};
+
+/**
+ * Credentials returned by a getAuth() provider. Every field is optional.
+ * @typedef {Object} AuthCredentials
+ * @property {string} token - Access token, added to the URL as `tokenParam`
+ * @property {Object} params - Extra query parameters added to the URL
+ * @property {*} message - Auth frame sent as the first message after the connection opens
+ */
+
+/**
+ * Check whether a close event signals an authentication failure
+ * @param {CloseEvent} closeEvent - Close event
+ * @param {number[]} codes - Auth failure close codes (default: DEFAULT_AUTH_FAILURE_CODES)
+ * @returns {boolean} True when the close code is an auth failure
+ */
+export function isAuthFailure(closeEvent, codes = DEFAULT_AUTH_FAILURE_CODES) {
+  return !!closeEvent && codes.indexOf(closeEvent.code) !== -1;
+}
+
+/**
+ * Add credentials to a WebSocket URL
+ * @param {string} url - WebSocket URL
+ * @param {AuthCredentials} credentials - Credentials from getAuth()
+ * @param {string} tokenParam - Query parameter carrying the token (default: 'token')
+ * @returns {string} URL with the credentials applied
+ */
+export function buildAuthUrl(url, credentials = {}, tokenParam = 'token') {
+  if (!credentials.token && !credentials.params) {
+    return url;
+  }
+
+  const authUrl = new URL(url);
+  if (credentials.token) {
+    authUrl.searchParams.set(tokenParam, credentials.token);
+  }
+  Object.keys(credentials.params || {}).forEach((key) => {
+    authUrl.searchParams.set(key, credentials.params[key]);
+  });
+
+  return authUrl.toString();
+}
+
+/**
+ * Call a getAuth() provider, normalizing sync and async results
+ * @param {Function} getAuth - `(context) => AuthCredentials | Promise<AuthCredentials>`
+ * @param {Object} context - Provider context
+ * @param {string} context.reason - 'connect', 'reconnect' or 'auth_failure'
+ * @param {CloseEvent} context.closeEvent - Close event for 'auth_failure' (optional)
+ * @returns {Promise<AuthCredentials>} Credentials, empty when the provider returns nothing
+ */
+export function resolveAuth(getAuth, context) {
+  return Promise.resolve()
+    .then(() => getAuth(context))
+    .then(credentials => credentials || {});
+}
+
+/**
+ * Mask secret query parameters so a URL can be logged
+ * @param {string} url - WebSocket URL
+ * @param {string[]} params - Parameters to mask (default: SECRET_PARAMS)
+ * @returns {string} URL with secret values replaced by '***'
+ */
+export function redactUrl(url, params = SECRET_PARAMS) {
+  const redacted = new URL(url);
+  params.forEach((param) => {
+    if (redacted.searchParams.has(param)) {
+      redacted.searchParams.set(param, '***');
+    }
+  });
+  return redacted.toString();
+}
+
+/**
+ * Work out where each credential goes for an auth transport
+ * @param {string} transport - One of AUTH_TRANSPORTS
+ * @param {string} url - WebSocket URL
+ * @param {Object} credentials - Credentials to send
+ * @param {string} credentials.token - Bearer token (optional)
+ * @param {Object} credentials.app - App fields: appId plus appSecret, or the fields from signRequest() (optional)
+ * @param {Object} credentials.params - Extra, non-secret query parameters (optional)
+ * @returns {{url: string, protocols: string[], headers: Object}} Connection arguments
+ * @throws {Error} When the transport can't carry the credentials
+ */
+export function applyAuthTransport(transport, url, credentials = {}) {
+  if (AUTH_TRANSPORTS.indexOf(transport) === -1) {
+    throw new Error(`Invalid auth transport "${transport}". Use one of: ${AUTH_TRANSPORTS.join(', ')}.`);
+  }
+
+  const target = new URL(url);
+  const app = credentials.app || {};
+  const protocols = [];
+  const headers = {};
+
+  switch (transport) {
+    case 'query':
+      Object.keys(app).forEach(key => target.searchParams.append(key, app[key]));
+      if (credentials.token) target.searchParams.append('token', credentials.token);
+      break;
+    case 'protocol':
+      if (app.appSecret) {
+        throw new Error('The protocol auth transport cannot carry appSecret. Enable request signing instead.');
+      }
+      // Signatures are short-lived and safe to expose; the bearer token travels as a subprotocol
+      Object.keys(app).forEach(key => target.searchParams.append(key, app[key]));
+      if (credentials.token) protocols.push('bearer', credentials.token);
+      break;
+    case 'headers':
+      Object.keys(app).forEach((key) => {
+        headers[CREDENTIAL_HEADERS[key] || key] = String(app[key]);
+      });
+      if (credentials.token) headers.Authorization = `Bearer ${credentials.token}`;
+      break;
+    default:
+      // 'message': credentials are sent in the first frame
+  }
+
+  Object.keys(credentials.params || {}).forEach((key) => {
+    target.searchParams.set(key, credentials.params[key]);
+  });
+
+  return { url: target.toString(), protocols, headers };
+}
+
+/**
+ * Encode bytes as lowercase hex
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @returns {string} Hex string
+ * @private
+ */
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Sign an app connection with HMAC-SHA256 so the secret never leaves the client.
+ * The signature covers `${appId}:${timestamp}:${nonce}`; servers should reject stale
+ * timestamps and reused nonces.
+ * @param {string} appId - App ID
+ * @param {string} appSecret - App secret (the HMAC key)
+ * @param {Object} options - Signing options
+ * @param {number} options.timestamp - Unix time in seconds (default: now)
+ * @param {string} options.nonce - Random nonce (default: 16 random bytes as hex)
+ * @param {Crypto} options.crypto - Web Crypto implementation (default: globalThis.crypto)
+ * @returns {Promise<{appId: string, timestamp: number, nonce: string, signature: string}>} Signed fields
+ */
+export function signRequest(appId, appSecret, options = {}) {
+  const crypto = options.crypto || globalThis.crypto;
+  if (!crypto || !crypto.subtle) {
+    return Promise.reject(new Error('Request signing requires the Web Crypto API (crypto.subtle).'));
+  }
+  if (!appId || !appSecret) {
+    return Promise.reject(new Error('Request signing requires appId and appSecret.'));
+  }
+
+  const timestamp = options.timestamp || Math.floor(Date.now() / 1000);
+  const nonce = options.nonce || toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const encoder = new TextEncoder();
+
+  return crypto.subtle.importKey('raw', encoder.encode(appSecret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    .then(key => crypto.subtle.sign('HMAC', key, encoder.encode(`${appId}:${timestamp}:${nonce}`)))
+    .then(signature => ({ appId, timestamp, nonce, signature: toHex(signature) }));
+}
+
+/**
+ * Default auth-reply check for the 'message' transport. Matches `type`, `event` or `action`.
+ * @param {*} message - Decoded message
+ * @returns {boolean|undefined} true for 'authenticated', false for 'unauthorized' or 'auth_error',
+ *   undefined for anything else
+ */
+export function isAuthAck(message) {
+  if (!message || typeof message !== 'object') {
+    return undefined;
+  }
+
+  const type = message.type || message.event || message.action;
+  if (type === 'authenticated') {
+    return true;
+  }
+  if (type === 'unauthorized' || type === 'auth_error') {
+    return false;
+  }
+  return undefined;
+}
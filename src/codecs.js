@@ -0,0 +1,694 @@
+/**
+ * @fileoverview Message codecs used to encode outgoing and decode incoming WebSocket frames
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * A codec turns message objects into WebSocket frames and back.
+ * @typedef {Object} Codec
+ * @property {string} name - Codec name
+ * @property {boolean} binary - Whether encode() produces binary frames
+ * @property {function(*): (string|ArrayBuffer|ArrayBufferView)} encode - Encode a value into a frame
+ * @property {function((string|Uint8Array)): *} decode - Decode a text or binary frame into a value
+ */
+
+const textEncoder = typeof TextEncoder !== 'undefined' ? new TextEncoder() : null;
+const textDecoder = typeof TextDecoder !== 'undefined' ? new TextDecoder() : null;
+
+/**
+ * Encode a string as UTF-8
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ * @private
+ */
+function utf8Encode(text) {
+  if (textEncoder) {
+    return textEncoder.encode(text);
+  }
+
+  const binary = unescape(encodeURIComponent(text));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Decode UTF-8 bytes into a string
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @returns {string} Decoded text
+ * @private
+ */
+function utf8Decode(bytes) {
+  if (textDecoder) {
+    return textDecoder.decode(bytes);
+  }
+
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return decodeURIComponent(escape(binary));
+}
+
+/**
+ * Check whether a value is a Blob
+ * @param {*} data - Value to check
+ * @returns {boolean} True for Blob instances
+ */
+export function isBlob(data) {
+  return typeof Blob !== 'undefined' && data instanceof Blob;
+}
+
+/**
+ * Convert binary frame data into a Uint8Array, leaving strings untouched
+ * @param {string|ArrayBuffer|ArrayBufferView|Array<Buffer>} data - Frame data
+ * @returns {string|Uint8Array} Text or bytes
+ */
+export function toFrameData(data) {
+  if (typeof data === 'string') {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (Array.isArray(data)) {
+    // `ws` delivers fragmented frames as an array of Buffers when binaryType is 'fragments'
+    const length = data.reduce((total, chunk) => total + chunk.byteLength, 0);
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    data.forEach(chunk => {
+      bytes.set(toFrameData(chunk), offset);
+      offset += chunk.byteLength;
+    });
+    return bytes;
+  }
+  return data;
+}
+
+/**
+ * Read a Blob frame into a Uint8Array
+ * @param {Blob} blob - Blob frame
+ * @returns {Promise<Uint8Array>} Blob contents
+ */
+export function readBlob(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer().then(buffer => new Uint8Array(buffer));
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Get the size of a frame in bytes
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob} data - Frame data
+ * @returns {number} Size in bytes
+ */
+export function byteLength(data) {
+  if (typeof data === 'string') {
+    return utf8Encode(data).byteLength;
+  }
+  if (isBlob(data)) {
+    return data.size;
+  }
+  if (data && typeof data.byteLength === 'number') {
+    return data.byteLength;
+  }
+  return 0;
+}
+
+/**
+ * JSON codec sending text frames (the default)
+ * @type {Codec}
+ */
+export const JsonCodec = {
+  name: 'json',
+  binary: false,
+
+  encode(value) {
+    return JSON.stringify(value);
+  },
+
+  decode(data) {
+    return JSON.parse(typeof data === 'string' ? data : utf8Decode(data));
+  }
+};
+
+/**
+ * Growable byte buffer used by the MessagePack encoder
+ * @private
+ */
+class ByteWriter {
+  constructor(size = 256) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  reserve(size) {
+    if (this.length + size <= this.bytes.length) {
+      return;
+    }
+
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + size) {
+      capacity *= 2;
+    }
+
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  uint8(value) {
+    this.reserve(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
+  }
+
+  uint16(value) {
+    this.reserve(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  uint32(value) {
+    this.reserve(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  float64(value) {
+    this.reserve(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  write(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  toBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Write a MessagePack value
+ * @param {ByteWriter} writer - Output buffer
+ * @param {*} value - Value to write
+ * @private
+ */
+function writeMessagePack(writer, value) {
+  if (value === null || value === undefined) {
+    writer.uint8(0xc0);
+  } else if (value === false) {
+    writer.uint8(0xc2);
+  } else if (value === true) {
+    writer.uint8(0xc3);
+  } else if (typeof value === 'number') {
+    writeNumber(writer, value);
+  } else if (typeof value === 'bigint') {
+    writeBigInt(writer, value);
+  } else if (typeof value === 'string') {
+    writeString(writer, value);
+  } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    writeBinary(writer, toFrameData(value));
+  } else if (Array.isArray(value)) {
+    writeHeader(writer, value.length, 0x90, 16, 0xdc, 0xdd);
+    value.forEach(item => writeMessagePack(writer, item));
+  } else if (typeof value.toJSON === 'function') {
+    writeMessagePack(writer, value.toJSON());
+  } else if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined && typeof value[key] !== 'function');
+    writeHeader(writer, keys.length, 0x80, 16, 0xde, 0xdf);
+    keys.forEach(key => {
+      writeString(writer, key);
+      writeMessagePack(writer, value[key]);
+    });
+  } else {
+    throw new TypeError(`Cannot encode value of type ${typeof value} as MessagePack`);
+  }
+}
+
+/**
+ * Write a fix/16/32 length header for arrays and maps
+ * @private
+ */
+function writeHeader(writer, length, fixPrefix, fixLimit, prefix16, prefix32) {
+  if (length < fixLimit) {
+    writer.uint8(fixPrefix | length);
+  } else if (length <= 0xffff) {
+    writer.uint8(prefix16);
+    writer.uint16(length);
+  } else {
+    writer.uint8(prefix32);
+    writer.uint32(length);
+  }
+}
+
+/**
+ * Write a number using the smallest MessagePack representation
+ * @private
+ */
+function writeNumber(writer, value) {
+  if (!Number.isSafeInteger(value)) {
+    writer.uint8(0xcb);
+    writer.float64(value);
+  } else if (value >= 0) {
+    if (value < 0x80) {
+      writer.uint8(value);
+    } else if (value <= 0xff) {
+      writer.uint8(0xcc);
+      writer.uint8(value);
+    } else if (value <= 0xffff) {
+      writer.uint8(0xcd);
+      writer.uint16(value);
+    } else if (value <= 0xffffffff) {
+      writer.uint8(0xce);
+      writer.uint32(value);
+    } else {
+      writer.uint8(0xcf);
+      writer.uint32(Math.floor(value / 0x100000000));
+      writer.uint32(value >>> 0);
+    }
+  } else if (value >= -0x20) {
+    writer.uint8(value & 0xff);
+  } else if (value >= -0x80) {
+    writer.uint8(0xd0);
+    writer.uint8(value & 0xff);
+  } else if (value >= -0x8000) {
+    writer.uint8(0xd1);
+    writer.uint16(value & 0xffff);
+  } else if (value >= -0x80000000) {
+    writer.uint8(0xd2);
+    writer.uint32(value >>> 0);
+  } else {
+    writeBigInt(writer, BigInt(value));
+  }
+}
+
+/**
+ * Write a BigInt as a 64-bit integer
+ * @private
+ */
+function writeBigInt(writer, value) {
+  writer.reserve(9);
+  if (value >= BigInt(0)) {
+    writer.view.setUint8(writer.length, 0xcf);
+    writer.view.setBigUint64(writer.length + 1, value);
+  } else {
+    writer.view.setUint8(writer.length, 0xd3);
+    writer.view.setBigInt64(writer.length + 1, value);
+  }
+  writer.length += 9;
+}
+
+/**
+ * Write a UTF-8 string
+ * @private
+ */
+function writeString(writer, value) {
+  const bytes = utf8Encode(value);
+  if (bytes.length < 32) {
+    writer.uint8(0xa0 | bytes.length);
+  } else if (bytes.length <= 0xff) {
+    writer.uint8(0xd9);
+    writer.uint8(bytes.length);
+  } else if (bytes.length <= 0xffff) {
+    writer.uint8(0xda);
+    writer.uint16(bytes.length);
+  } else {
+    writer.uint8(0xdb);
+    writer.uint32(bytes.length);
+  }
+  writer.write(bytes);
+}
+
+/**
+ * Write binary data
+ * @private
+ */
+function writeBinary(writer, bytes) {
+  if (bytes.length <= 0xff) {
+    writer.uint8(0xc4);
+    writer.uint8(bytes.length);
+  } else if (bytes.length <= 0xffff) {
+    writer.uint8(0xc5);
+    writer.uint16(bytes.length);
+  } else {
+    writer.uint8(0xc6);
+    writer.uint32(bytes.length);
+  }
+  writer.write(bytes);
+}
+
+/**
+ * Read a MessagePack value
+ * @param {{bytes: Uint8Array, view: DataView, offset: number}} reader - Input state
+ * @returns {*} Decoded value
+ * @private
+ */
+function readMessagePack(reader) {
+  const type = readUint(reader, 1);
+
+  if (type <= 0x7f) return type;
+  if (type <= 0x8f) return readMap(reader, type & 0x0f);
+  if (type <= 0x9f) return readArray(reader, type & 0x0f);
+  if (type <= 0xbf) return readString(reader, type & 0x1f);
+  if (type >= 0xe0) return type - 0x100;
+
+  switch (type) {
+    case 0xc0: return null;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xc4: return readBytes(reader, readUint(reader, 1));
+    case 0xc5: return readBytes(reader, readUint(reader, 2));
+    case 0xc6: return readBytes(reader, readUint(reader, 4));
+    case 0xc7: return readExtension(reader, readUint(reader, 1));
+    case 0xc8: return readExtension(reader, readUint(reader, 2));
+    case 0xc9: return readExtension(reader, readUint(reader, 4));
+    case 0xca: return advance(reader, 4, offset => reader.view.getFloat32(offset));
+    case 0xcb: return advance(reader, 8, offset => reader.view.getFloat64(offset));
+    case 0xcc: return readUint(reader, 1);
+    case 0xcd: return readUint(reader, 2);
+    case 0xce: return readUint(reader, 4);
+    case 0xcf: return advance(reader, 8, offset => reader.view.getUint32(offset) * 0x100000000 + reader.view.getUint32(offset + 4));
+    case 0xd0: return advance(reader, 1, offset => reader.view.getInt8(offset));
+    case 0xd1: return advance(reader, 2, offset => reader.view.getInt16(offset));
+    case 0xd2: return advance(reader, 4, offset => reader.view.getInt32(offset));
+    case 0xd3: return advance(reader, 8, offset => reader.view.getInt32(offset) * 0x100000000 + reader.view.getUint32(offset + 4));
+    case 0xd4: return readExtension(reader, 1);
+    case 0xd5: return readExtension(reader, 2);
+    case 0xd6: return readExtension(reader, 4);
+    case 0xd7: return readExtension(reader, 8);
+    case 0xd8: return readExtension(reader, 16);
+    case 0xd9: return readString(reader, readUint(reader, 1));
+    case 0xda: return readString(reader, readUint(reader, 2));
+    case 0xdb: return readString(reader, readUint(reader, 4));
+    case 0xdc: return readArray(reader, readUint(reader, 2));
+    case 0xdd: return readArray(reader, readUint(reader, 4));
+    case 0xde: return readMap(reader, readUint(reader, 2));
+    case 0xdf: return readMap(reader, readUint(reader, 4));
+    default:
+      throw new Error(`Invalid MessagePack type 0x${type.toString(16)} at offset ${reader.offset - 1}`);
+  }
+}
+
+/**
+ * Read `size` bytes through a DataView getter and move the offset forward
+ * @private
+ */
+function advance(reader, size, read) {
+  if (reader.offset + size > reader.bytes.length) {
+    throw new Error('Unexpected end of MessagePack data');
+  }
+  const value = read(reader.offset);
+  reader.offset += size;
+  return value;
+}
+
+/**
+ * @private
+ */
+function readUint(reader, size) {
+  return advance(reader, size, offset => {
+    if (size === 1) return reader.view.getUint8(offset);
+    if (size === 2) return reader.view.getUint16(offset);
+    return reader.view.getUint32(offset);
+  });
+}
+
+/**
+ * @private
+ */
+function readBytes(reader, length) {
+  return advance(reader, length, offset => reader.bytes.slice(offset, offset + length));
+}
+
+/**
+ * @private
+ */
+function readString(reader, length) {
+  return utf8Decode(readBytes(reader, length));
+}
+
+/**
+ * @private
+ */
+function readArray(reader, length) {
+  const items = new Array(length);
+  for (let i = 0; i < length; i++) {
+    items[i] = readMessagePack(reader);
+  }
+  return items;
+}
+
+/**
+ * @private
+ */
+function readMap(reader, length) {
+  const map = {};
+  for (let i = 0; i < length; i++) {
+    const key = readMessagePack(reader);
+    map[key] = readMessagePack(reader);
+  }
+  return map;
+}
+
+/**
+ * Read an extension value; the timestamp extension (-1) is decoded into a Date
+ * @private
+ */
+function readExtension(reader, length) {
+  const type = advance(reader, 1, offset => reader.view.getInt8(offset));
+  const data = readBytes(reader, length);
+
+  if (type === -1) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (length === 4) {
+      return new Date(view.getUint32(0) * 1000);
+    }
+    if (length === 8) {
+      const nanoseconds = view.getUint32(0) >>> 2;
+      const seconds = (view.getUint32(0) & 0x3) * 0x100000000 + view.getUint32(4);
+      return new Date(seconds * 1000 + nanoseconds / 1e6);
+    }
+    if (length === 12) {
+      const nanoseconds = view.getUint32(0);
+      const seconds = view.getInt32(4) * 0x100000000 + view.getUint32(8);
+      return new Date(seconds * 1000 + nanoseconds / 1e6);
+    }
+  }
+
+  return { type, data };
+}
+
+/**
+ * MessagePack codec sending binary frames. Text frames are still decoded as JSON,
+ * so servers can mix plain control messages with binary payloads.
+ * @type {Codec}
+ */
+export const MessagePackCodec = {
+  name: 'msgpack',
+  binary: true,
+
+  encode(value) {
+    const writer = new ByteWriter();
+    writeMessagePack(writer, value);
+    return writer.toBytes();
+  },
+
+  decode(data) {
+    if (typeof data === 'string') {
+      return JSON.parse(data);
+    }
+
+    const bytes = toFrameData(data);
+    const reader = {
+      bytes,
+      view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+      offset: 0
+    };
+    return readMessagePack(reader);
+  }
+};
+
+/**
+ * Escape sequences of STOMP 1.2 header names and values
+ * @type {Object}
+ * @private
+ */
+const STOMP_ESCAPES = { '\\': '\\\\', '\r': '\\r', '\n': '\\n', ':': '\\c' };
+const STOMP_UNESCAPES = { '\\\\': '\\', '\\r': '\r', '\\n': '\n', '\\c': ':' };
+
+/**
+ * CONNECT and CONNECTED frames are exempt from header escaping for STOMP 1.0 compatibility
+ * @private
+ */
+function escapesHeaders(command) {
+  return command !== 'CONNECT' && command !== 'CONNECTED';
+}
+
+/**
+ * Read one STOMP frame starting at `offset`
+ * @param {Uint8Array} bytes - Message bytes
+ * @param {number} offset - Offset of the command line
+ * @returns {{frame: Object, offset: number}} Frame and the offset after its NULL terminator
+ * @private
+ */
+function readStompFrame(bytes, offset) {
+  const readLine = () => {
+    const end = bytes.indexOf(10, offset);
+    if (end === -1) {
+      throw new Error('Incomplete STOMP frame: missing end of line');
+    }
+    const line = utf8Decode(bytes.subarray(offset, end));
+    offset = end + 1;
+    return line.endsWith('\r') ? line.slice(0, -1) : line;
+  };
+
+  const command = readLine();
+  const unescape = escapesHeaders(command)
+    ? value => value.replace(/\\[\\rnc]/g, sequence => STOMP_UNESCAPES[sequence])
+    : value => value;
+  const headers = {};
+
+  for (let line = readLine(); line !== ''; line = readLine()) {
+    const colon = line.indexOf(':');
+    const name = unescape(colon === -1 ? line : line.slice(0, colon));
+    // Repeated headers keep their first value
+    if (!(name in headers)) {
+      headers[name] = colon === -1 ? '' : unescape(line.slice(colon + 1));
+    }
+  }
+
+  let end;
+  if (headers['content-length'] !== undefined) {
+    end = offset + parseInt(headers['content-length'], 10);
+    if (end >= bytes.length || bytes[end] !== 0) {
+      throw new Error('Incomplete STOMP frame: body shorter than content-length');
+    }
+  } else {
+    end = bytes.indexOf(0, offset);
+    if (end === -1) {
+      throw new Error('Incomplete STOMP frame: missing NULL terminator');
+    }
+  }
+
+  const binaryBody = bytes.slice(offset, end);
+  return {
+    frame: { command, headers, body: utf8Decode(binaryBody), binaryBody },
+    offset: end + 1
+  };
+}
+
+/**
+ * STOMP 1.2 frame codec. Frames are `{ command, headers, body }`; a string body is sent as a text
+ * frame and a binary body (ArrayBuffer or typed array) as a binary frame, with `content-length`
+ * added for non-empty bodies. decode() reads text and binary messages alike and returns an array of
+ * frames: a message may carry several frames, and heart-beats (bare end-of-lines) decode to none.
+ * Decoded frames have the body both as text (`body`) and as bytes (`binaryBody`).
+ * @type {Codec}
+ */
+export const StompCodec = {
+  name: 'stomp',
+  binary: false,
+
+  encode(frame) {
+    if (!frame || typeof frame.command !== 'string') {
+      throw new Error('StompCodec encodes STOMP frames: { command, headers, body }.');
+    }
+
+    const escape = escapesHeaders(frame.command)
+      ? value => String(value).replace(/[\\\r\n:]/g, character => STOMP_ESCAPES[character])
+      : value => String(value);
+    const body = frame.body === undefined || frame.body === null ? '' : frame.body;
+    const binary = typeof body !== 'string';
+    const bodyBytes = binary ? toFrameData(body) : null;
+    const headers = { ...frame.headers };
+    const length = binary ? bodyBytes.byteLength : byteLength(body);
+
+    if (length > 0 && headers['content-length'] === undefined) {
+      headers['content-length'] = length;
+    }
+
+    const head = [frame.command]
+      .concat(Object.keys(headers)
+        .filter(name => headers[name] !== undefined && headers[name] !== null)
+        .map(name => `${escape(name)}:${escape(headers[name])}`))
+      .join('\n') + '\n\n';
+
+    if (!binary) {
+      return `${head}${body}\0`;
+    }
+
+    const headBytes = utf8Encode(head);
+    const bytes = new Uint8Array(headBytes.byteLength + bodyBytes.byteLength + 1);
+    bytes.set(headBytes, 0);
+    bytes.set(bodyBytes, headBytes.byteLength);
+    return bytes;
+  },
+
+  decode(data) {
+    const bytes = typeof data === 'string' ? utf8Encode(data) : toFrameData(data);
+    const frames = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      // Heart-beats are end-of-lines between frames
+      if (bytes[offset] === 10) {
+        offset++;
+      } else if (bytes[offset] === 13 && bytes[offset + 1] === 10) {
+        offset += 2;
+      } else {
+        const read = readStompFrame(bytes, offset);
+        frames.push(read.frame);
+        offset = read.offset;
+      }
+    }
+
+    return frames;
+  }
+};
+
+const builtInCodecs = {
+  json: JsonCodec,
+  msgpack: MessagePackCodec,
+  messagepack: MessagePackCodec,
+  stomp: StompCodec
+};
+
+/**
+ * Resolve a codec option into a codec object
+ * @param {string|Codec} codec - Built-in codec name ('json', 'msgpack', 'stomp') or a custom codec
+ * @returns {Codec} Codec
+ */
+export function resolveCodec(codec = 'json') {
+  if (typeof codec === 'string') {
+    const resolved = builtInCodecs[codec.toLowerCase()];
+    if (!resolved) {
+      throw new Error(`Unknown codec "${codec}". Use one of: ${Object.keys(builtInCodecs).join(', ')}, or pass an object with encode() and decode().`);
+    }
+    return resolved;
+  }
+
+  if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new Error('Invalid codec. A codec must implement encode(value) and decode(data).');
+  }
+
+  return codec;
+}
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Message envelopes: where the event name, payload and metadata live in a message
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * The parts of a message the client routes on. Metadata uses logical names: `requestId` correlates
+ * request() replies, `messageId` is stamped for at-least-once delivery and `channel` tags createChannel()
+ * messages; envelopes may add their own.
+ * @typedef {Object} EnvelopeFields
+ * @property {string} event - Event/action name
+ * @property {*} payload - Payload
+ * @property {Object} meta - Metadata, e.g. `{ requestId, messageId, channel }`
+ * @property {*} error - Error carried by a reply (incoming only)
+ */
+
+/**
+ * An envelope maps messages to and from their fields. Messages are plain values; the codec turns
+ * them into frames.
+ * @typedef {Object} Envelope
+ * @property {string} name - Envelope name
+ * @property {function(EnvelopeFields): *} encode - Build a message from its fields
+ * @property {function(*): EnvelopeFields} decode - Read the fields of a message; `event` is undefined when it has none
+ */
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @private
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Fields of a message the envelope does not recognize: routed as a generic 'message'
+ * @private
+ */
+function unrecognized(message) {
+  return { event: undefined, payload: message, meta: {} };
+}
+
+/**
+ * Normalize metadata keys into a `{ [logical name]: wire key }` map
+ * @param {string[]|Object} metaKeys - Key list (same name on the wire) or map
+ * @param {Object} keys - Wire keys of the client's own metadata
+ * @returns {Object} Metadata key map
+ * @private
+ */
+function toMetaKeyMap(metaKeys, keys) {
+  const map = {
+    requestId: keys.requestIdKey || 'requestId',
+    messageId: keys.messageIdKey || 'messageId',
+    channel: keys.channelKey || 'channel'
+  };
+  if (Array.isArray(metaKeys)) {
+    metaKeys.forEach((key) => {
+      map[key] = key;
+    });
+    return map;
+  }
+  return { ...map, ...metaKeys };
+}
+
+/**
+ * Copy metadata onto a message under its wire keys
+ * @private
+ */
+function writeMeta(message, meta, metaKeys) {
+  Object.keys(metaKeys).forEach((name) => {
+    if (meta[name] !== undefined) {
+      message[metaKeys[name]] = meta[name];
+    }
+  });
+  return message;
+}
+
+/**
+ * Read the metadata present on a message
+ * @private
+ */
+function readMeta(message, metaKeys) {
+  const meta = {};
+  Object.keys(metaKeys).forEach((name) => {
+    if (message[metaKeys[name]] !== undefined) {
+      meta[name] = message[metaKeys[name]];
+    }
+  });
+  return meta;
+}
+
+/**
+ * The client's original envelope. It writes `{ action, data }` and reads the event from `event` or
+ * `action` and the payload from `data` or `body`, falling back to the whole message. Pass
+ * `payloadKey: 'body'` to encode() to write `{ action, body }` instead.
+ * @param {Object} keys - Wire keys of the client's metadata
+ * @param {string} keys.requestIdKey - Key carrying the request correlation ID (default: 'requestId')
+ * @param {string} keys.messageIdKey - Key carrying the message ID for acks (default: 'messageId')
+ * @param {string} keys.channelKey - Key carrying the channel name (default: 'channel')
+ * @returns {Envelope} Envelope
+ */
+export function createDefaultEnvelope(keys = {}) {
+  const metaKeys = toMetaKeyMap([], keys);
+
+  return {
+    name: 'default',
+    encode({ event, payload, meta = {}, payloadKey = 'data' }) {
+      const message = { action: event };
+      if (payload !== undefined) {
+        message[payloadKey] = payload;
+      }
+      return writeMeta(message, meta, metaKeys);
+    },
+    decode(message) {
+      if (!isObject(message)) {
+        return unrecognized(message);
+      }
+      return {
+        event: message.event || message.action,
+        payload: message.data || message.body || message,
+        meta: readMeta(message, metaKeys),
+        error: message.error
+      };
+    }
+  };
+}
+
+/**
+ * An object envelope with fixed keys. Unlike the default envelope the payload is only read from
+ * `payloadKey`, so a payload that is falsy or has a `data` field of its own is passed through as is.
+ * @param {Object} definition - Envelope definition
+ * @param {string|string[]} definition.eventKey - Key of the event name; with a list, the first is
+ *   written and the first one present is read (default: 'event')
+ * @param {string|string[]} definition.payloadKey - Key of the payload, same rules (default: 'data')
+ * @param {string[]|Object} definition.metaKeys - Metadata keys: names kept as is, or a
+ *   `{ [name]: wireKey }` map, added to `requestId`, `messageId` and `channel`
+ * @param {string} definition.errorKey - Key of the error in replies (default: 'error')
+ * @param {string} definition.name - Name reported by getStatus() (default: 'custom')
+ * @param {Object} keys - Wire keys of the client's metadata (requestIdKey, messageIdKey, channelKey)
+ * @returns {Envelope} Envelope
+ */
+export function createKeyedEnvelope(definition = {}, keys = {}) {
+  const eventKeys = [].concat(definition.eventKey || 'event');
+  const payloadKeys = [].concat(definition.payloadKey || 'data');
+  const errorKey = definition.errorKey || 'error';
+  const metaKeys = toMetaKeyMap(definition.metaKeys || [], keys);
+
+  return {
+    name: definition.name || 'custom',
+    encode({ event, payload, meta = {} }) {
+      const message = { [eventKeys[0]]: event };
+      if (payload !== undefined) {
+        message[payloadKeys[0]] = payload;
+      }
+      return writeMeta(message, meta, metaKeys);
+    },
+    decode(message) {
+      if (!isObject(message)) {
+        return unrecognized(message);
+      }
+      const eventKey = eventKeys.find(key => message[key] !== undefined);
+      const payloadKey = payloadKeys.find(key => key in message);
+      return {
+        event: eventKey ? message[eventKey] : undefined,
+        payload: payloadKey ? message[payloadKey] : undefined,
+        meta: readMeta(message, metaKeys),
+        error: message[errorKey]
+      };
+    }
+  };
+}
+
+/**
+ * Socket.IO-style arrays: `[event, payload]`. A message with several arguments,
+ * `[event, a, b]`, is read with the payload `[a, b]`. Arrays carry no metadata, so request()
+ * replies and acks cannot be correlated.
+ * @returns {Envelope} Envelope
+ */
+export function createSocketIoEnvelope() {
+  return {
+    name: 'socketio',
+    encode({ event, payload }) {
+      return payload === undefined ? [event] : [event, payload];
+    },
+    decode(message) {
+      if (!Array.isArray(message) || typeof message[0] !== 'string') {
+        return unrecognized(message);
+      }
+      return {
+        event: message[0],
+        payload: message.length > 2 ? message.slice(1) : message[1],
+        meta: {}
+      };
+    }
+  };
+}
+
+/**
+ * Phoenix Channels arrays (serializer v2): `[join_ref, ref, topic, event, payload]`. The `ref` of
+ * an outgoing message is its request or message ID, and a `phx_reply` settles the request with the
+ * same ref: `{ status: 'ok', response }` resolves with `response`, any other status rejects.
+ * @param {Object} options - Envelope options
+ * @param {string} options.topic - Topic of outgoing messages without a `topic` in their metadata (default: null)
+ * @returns {Envelope} Envelope
+ */
+export function createPhoenixEnvelope(options = {}) {
+  const topic = options.topic || null;
+
+  return {
+    name: 'phoenix',
+    encode({ event, payload, meta = {} }) {
+      const ref = [meta.requestId, meta.messageId, meta.ref].find(value => value !== undefined && value !== null);
+      return [
+        meta.joinRef !== undefined ? meta.joinRef : null,
+        ref !== undefined ? String(ref) : null,
+        meta.topic || topic,
+        event,
+        payload === undefined ? {} : payload
+      ];
+    },
+    decode(message) {
+      if (!Array.isArray(message) || message.length !== 5 || typeof message[3] !== 'string') {
+        return unrecognized(message);
+      }
+
+      const [joinRef, ref, messageTopic, event, payload] = message;
+      const meta = { joinRef, ref, topic: messageTopic };
+      if (ref !== null && ref !== undefined) {
+        // Refs travel as strings; the client's IDs are numbers
+        meta.requestId = /^\d+$/.test(ref) ? Number(ref) : ref;
+      }
+
+      if (event === 'phx_reply' && isObject(payload) && 'status' in payload) {
+        meta.status = payload.status;
+        const { response } = payload;
+        return {
+          event,
+          payload: response,
+          meta,
+          error: payload.status === 'ok'
+            ? undefined
+            : { message: (response && response.reason) || `Reply status "${payload.status}"`, response }
+        };
+      }
+
+      return { event, payload, meta };
+    }
+  };
+}
+
+/**
+ * JSON-RPC 2.0 objects. An event is sent as `{ jsonrpc, method, params }`, with an `id` when it is
+ * a request; primitive payloads are wrapped in an array because params must be structured. Replies
+ * (`result`/`error`) are read with the event 'response'. Calls from the server are read with their
+ * `id` as `meta.id`, so they are never mistaken for replies to the client's own requests.
+ * @returns {Envelope} Envelope
+ */
+export function createJsonRpcEnvelope() {
+  return {
+    name: 'jsonrpc',
+    encode({ event, payload, meta = {} }) {
+      const message = { jsonrpc: '2.0', method: event };
+      if (payload !== undefined) {
+        message.params = payload !== null && typeof payload === 'object' ? payload : [payload];
+      }
+      if (meta.requestId !== undefined) {
+        message.id = meta.requestId;
+      }
+      return message;
+    },
+    decode(message) {
+      if (!isObject(message) || message.jsonrpc !== '2.0') {
+        return unrecognized(message);
+      }
+
+      const hasId = message.id !== undefined && message.id !== null;
+      if (typeof message.method === 'string') {
+        return { event: message.method, payload: message.params, meta: hasId ? { id: message.id } : {} };
+      }
+      return { event: 'response', payload: message.result, meta: hasId ? { requestId: message.id } : {}, error: message.error };
+    }
+  };
+}
+
+/**
+ * Built-in envelopes by name
+ * @type {Object}
+ * @private
+ */
+const presets = {
+  default: createDefaultEnvelope,
+  socketio: createSocketIoEnvelope,
+  phoenix: createPhoenixEnvelope,
+  jsonrpc: createJsonRpcEnvelope
+};
+
+/**
+ * Resolve an envelope option into an envelope
+ * @param {string|Object|Envelope} envelope - Preset name ('default', 'socketio', 'phoenix', 'jsonrpc'),
+ *   `{ preset, ...presetOptions }`, a keyed definition (see createKeyedEnvelope()) or a custom
+ *   envelope with encode() and decode()
+ * @param {Object} keys - Wire keys of the client's metadata (requestIdKey, messageIdKey, channelKey)
+ * @returns {Envelope} Envelope
+ */
+export function resolveEnvelope(envelope = 'default', keys = {}) {
+  const definition = typeof envelope === 'string' ? { preset: envelope } : envelope;
+
+  if (definition && typeof definition.encode === 'function' && typeof definition.decode === 'function') {
+    return definition;
+  }
+
+  if (definition && definition.preset !== undefined) {
+    const { preset, ...options } = definition;
+    const create = presets[preset];
+    if (!create) {
+      throw new Error(`Unknown envelope "${preset}". Use one of: ${Object.keys(presets).join(', ')}, or pass an envelope definition.`);
+    }
+    return preset === 'default' ? create(keys) : create(options);
+  }
+
+  if (definition && (definition.eventKey || definition.payloadKey)) {
+    return createKeyedEnvelope(definition, keys);
+  }
+
+  throw new Error('Invalid envelope. Pass a preset name, an object with eventKey/payloadKey, or an object with encode() and decode().');
+}
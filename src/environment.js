@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Runtime helpers that keep the clients independent of the browser DOM
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * Resolve the WebSocket implementation to use
+ * @param {Function} WebSocketImpl - Injected WebSocket constructor, e.g. from the `ws` package (optional)
+ * @returns {Function|null} WebSocket constructor, or null when none is available
+ */
+export function resolveWebSocket(WebSocketImpl) {
+  if (WebSocketImpl) {
+    return WebSocketImpl;
+  }
+
+  // Browsers, workers, Deno, Bun and Node 22+ expose a global WebSocket
+  if (typeof globalThis !== 'undefined' && typeof globalThis.WebSocket === 'function') {
+    return globalThis.WebSocket;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a value looks like a WebSocket instance
+ * @param {*} socket - Value to check
+ * @returns {boolean} True for objects with a WebSocket-like shape
+ */
+export function isWebSocketLike(socket) {
+  return !!socket &&
+    typeof socket === 'object' &&
+    typeof socket.url === 'string' &&
+    typeof socket.send === 'function' &&
+    typeof socket.close === 'function';
+}
+
+/**
+ * Resolve the BroadcastChannel implementation used for cross-tab messaging
+ * @param {Function} BroadcastChannelImpl - Injected BroadcastChannel constructor (optional)
+ * @returns {Function|null} BroadcastChannel constructor, or null when none is available
+ */
+export function resolveBroadcastChannel(BroadcastChannelImpl) {
+  if (BroadcastChannelImpl) {
+    return BroadcastChannelImpl;
+  }
+
+  if (typeof globalThis !== 'undefined' && typeof globalThis.BroadcastChannel === 'function') {
+    return globalThis.BroadcastChannel;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the Web Locks API used for leader election
+ * @param {Object|null} locks - Injected LockManager; null disables Web Locks (optional)
+ * @returns {Object|null} LockManager, or null when none is available
+ */
+export function resolveLocks(locks) {
+  if (locks !== undefined) {
+    return locks;
+  }
+
+  if (typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function') {
+    return navigator.locks;
+  }
+
+  return null;
+}
@@ -0,0 +1,1112 @@
+/**
+ * Type definitions for @chancecox/websocket-client
+ *
+ * Describe your message contracts once and pass them as type parameters:
+ *
+ *   interface Incoming { orderUpdated: { id: string; status: string } }
+ *   interface Outgoing { placeOrder: { sku: string; quantity: number } }
+ *
+ *   const client = createWebSocketClient<Incoming, Outgoing>(url);
+ *   client.listen('orderUpdated', order => order.status); // order is Incoming['orderUpdated']
+ */
+
+/** Map of action/event names to payload types */
+export type PayloadMap = Record<string, any>;
+
+/* ------------------------------------------------------------------ */
+/* Codecs                                                              */
+/* ------------------------------------------------------------------ */
+
+export interface Codec {
+  /** Codec name reported by getStatus() */
+  name?: string;
+  /** Whether encode() produces binary frames */
+  binary?: boolean;
+  encode(value: any): string | ArrayBuffer | ArrayBufferView;
+  decode(data: string | Uint8Array): any;
+}
+
+export const JsonCodec: Codec;
+export const MessagePackCodec: Codec;
+
+export interface StompFrame {
+  command: string;
+  headers: Record<string, string>;
+  body: string;
+}
+
+/** Frame decoded by StompCodec; the body is available as text and as bytes */
+export interface DecodedStompFrame extends StompFrame {
+  binaryBody: Uint8Array;
+}
+
+/** Encodes STOMP frames and decodes messages into the frames they carry (none for a heart-beat) */
+export interface StompFrameCodec extends Codec {
+  encode(frame: { command: string; headers?: Record<string, any>; body?: string | ArrayBuffer | ArrayBufferView }): string | Uint8Array;
+  decode(data: string | Uint8Array | ArrayBuffer): DecodedStompFrame[];
+}
+
+export const StompCodec: StompFrameCodec;
+
+export type CodecOption = 'json' | 'msgpack' | 'messagepack' | 'stomp' | Codec;
+
+/* ------------------------------------------------------------------ */
+/* Validation                                                          */
+/* ------------------------------------------------------------------ */
+
+export interface ValidationIssue {
+  /** JSON pointer into the payload, '' for the payload itself */
+  path: string;
+  message: string;
+}
+
+/** JSON Schema (type, enum, const, properties, required, additionalProperties, items, min/max keywords, pattern, anyOf, oneOf, allOf) */
+export interface JsonSchema {
+  [keyword: string]: any;
+}
+
+/** Returns true (or nothing) when valid; false, a message or a list of messages/issues when not */
+export type ValidatorFunction<T = any> = (payload: T) => boolean | string | Array<string | ValidationIssue> | void;
+
+export type Schema<T = any> = JsonSchema | ValidatorFunction<T>;
+
+export interface SchemaMap<In extends PayloadMap = PayloadMap, Out extends PayloadMap = PayloadMap> {
+  incoming?: { [K in keyof In]?: Schema<In[K]> };
+  outgoing?: { [K in keyof Out]?: Schema<Out[K]> };
+}
+
+/** Error thrown by emit() (and rejected by request()) for invalid payloads */
+export interface ValidationError extends Error {
+  code: 'VALIDATION_ERROR';
+  direction: 'incoming' | 'outgoing';
+  action: string;
+  errors: ValidationIssue[];
+  response?: any;
+}
+
+/* ------------------------------------------------------------------ */
+/* Reconnection, queue and storage                                     */
+/* ------------------------------------------------------------------ */
+
+export interface ReconnectPolicyOptions {
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+  maxRetries?: number;
+  connectionTimeout?: number;
+  minUptime?: number;
+  shouldReconnect?: (closeEvent: CloseEvent) => boolean;
+}
+
+export interface ReconnectingOptions {
+  minReconnectionDelay?: number;
+  maxReconnectionDelay?: number;
+  reconnectionDelayGrowFactor?: number;
+  maxRetries?: number;
+  connectionTimeout?: number;
+  minUptime?: number;
+  /** @deprecated Use minReconnectionDelay */
+  reconnectInterval?: number;
+  /** @deprecated Use maxRetries */
+  maxReconnectAttempts?: number;
+  /** @deprecated Use connectionTimeout */
+  timeoutInterval?: number;
+}
+
+export class ReconnectPolicy {
+  constructor(options?: ReconnectPolicyOptions);
+  static fromReconnectingOptions(options?: ReconnectingOptions): ReconnectPolicy;
+  minDelay: number;
+  maxDelay: number;
+  factor: number;
+  jitter: boolean;
+  maxRetries: number;
+  connectionTimeout: number;
+  minUptime: number;
+  getDelay(attempt: number, random?: () => number): number;
+  canRetry(attempt: number): boolean;
+  shouldReconnect(closeEvent: CloseEvent): boolean;
+}
+
+export interface QueueEntry {
+  id: string;
+  data: string | Uint8Array;
+  queuedAt: number;
+  expiresAt: number | null;
+  requiresAck: boolean;
+  sent?: boolean;
+}
+
+export interface StorageAdapter {
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+export type OverflowStrategy = 'drop-oldest' | 'drop-newest' | 'reject';
+
+export interface MessageQueueOptions {
+  maxSize?: number;
+  overflow?: OverflowStrategy;
+  ttl?: number;
+  storage?: 'memory' | 'localStorage' | 'indexedDB' | StorageAdapter;
+  storageKey?: string;
+  onPersistError?: (error: Error) => void;
+}
+
+export class MessageQueue {
+  constructor(options?: MessageQueueOptions);
+  readonly length: number;
+  nextId(): string;
+  enqueue(data: string | Uint8Array, options?: { id?: string; ttl?: number; requiresAck?: boolean }): { entry: QueueEntry | null; dropped: QueueEntry | null };
+  flush(send: (data: string | Uint8Array) => void): { sent: number; expired: QueueEntry[] };
+  acknowledge(id: string): boolean;
+  removeExpired(now?: number): QueueEntry[];
+  restore(): Promise<number>;
+  clear(): void;
+  toArray(): QueueEntry[];
+}
+
+export class MemoryStorage implements StorageAdapter {
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+export class LocalStorageAdapter implements StorageAdapter {
+  constructor(key?: string, storage?: Storage);
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+export class IndexedDBStorage implements StorageAdapter {
+  constructor(key?: string, options?: { databaseName?: string; storeName?: string; indexedDB?: IDBFactory });
+  load(): Promise<QueueEntry[]>;
+  save(entries: QueueEntry[]): Promise<void>;
+}
+
+/* ------------------------------------------------------------------ */
+/* Session recording                                                   */
+/* ------------------------------------------------------------------ */
+
+export interface SessionEntry {
+  /** Milliseconds since the recording started */
+  t: number;
+  /** 'in', 'out' or the client event name */
+  type: string;
+  /** Frame data, base64-encoded when `encoding` is 'base64' */
+  data?: string;
+  encoding?: 'base64';
+  [field: string]: any;
+}
+
+export interface SessionRecorderOptions {
+  /** Entries kept; the oldest are dropped beyond it (default: Infinity) */
+  maxEntries?: number;
+  /** Client events to record (default: RECORDED_EVENTS) */
+  events?: string[];
+  /** Mask secrets in an entry, or return null to leave it out */
+  redact?: (entry: SessionEntry) => SessionEntry | null;
+}
+
+export interface RecordedSession {
+  version: number;
+  url: string | null;
+  startedAt: string;
+  entries: SessionEntry[];
+}
+
+export const RECORDED_EVENTS: string[];
+
+export class SessionRecorder {
+  constructor(options?: SessionRecorderOptions);
+  url: string | null;
+  startedAt: number;
+  readonly entries: SessionEntry[];
+  readonly dropped: number;
+  recordFrame(type: 'in' | 'out', frame: string | ArrayBuffer | ArrayBufferView): void;
+  recordEvent(type: string, detail?: any): void;
+  record(type: string, fields?: Record<string, any>): void;
+  toJSON(): RecordedSession;
+  toJSONL(): string;
+  /** HAR 1.2 log with `_webSocketMessages` and `_webSocketEvents` per connection */
+  toHAR(): { log: { version: string; creator: { name: string; version: string }; pages: any[]; entries: any[] } };
+  static from(session: string | RecordedSession | { log: { entries: any[] } } | SessionRecorder): SessionRecorder;
+}
+
+/* ------------------------------------------------------------------ */
+/* Logging and metrics                                                 */
+/* ------------------------------------------------------------------ */
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/** Structured logger, e.g. pino, winston or createOpenTelemetryLogger() */
+export interface Logger {
+  debug(message: string, fields?: Record<string, any>): void;
+  info(message: string, fields?: Record<string, any>): void;
+  warn(message: string, fields?: Record<string, any>): void;
+  error(message: string, fields?: Record<string, any>): void;
+}
+
+/** false logs fields as they are; key names are masked on top of REDACTED_KEYS; a function runs after the default masking */
+export type RedactOption = boolean | string[] | ((fields: Record<string, any>) => Record<string, any>);
+
+export interface LoggingOptions {
+  /** Target logger; null discards everything (default: the console) */
+  logger?: Logger | null;
+  logLevel?: LogLevel;
+  debug?: boolean;
+  redact?: RedactOption;
+}
+
+export interface CreateLoggerOptions extends LoggingOptions {
+  /** Console prefix */
+  prefix?: string;
+  /** Level without `logLevel` or `debug` (default: 'silent') */
+  defaultLevel?: LogLevel;
+}
+
+export const LOG_LEVELS: Record<LogLevel, number>;
+export const REDACTED_KEYS: string[];
+export function createLogger(options?: CreateLoggerOptions): Logger & { readonly level: LogLevel };
+export function createConsoleLogger(prefix: string, target?: Pick<Console, 'debug' | 'info' | 'warn' | 'error'>): Logger;
+/** Logger emitting records to an OpenTelemetry logger from `logs.getLogger()` */
+export function createOpenTelemetryLogger(otelLogger: { emit(record: any): void }): Logger;
+
+export type MetricAttributes = Record<string, string | number | boolean>;
+
+/** Receives client metrics; every method is optional */
+export interface MetricsHook {
+  increment?(name: string, value: number, attributes: MetricAttributes): void;
+  record?(name: string, value: number, attributes: MetricAttributes): void;
+  gauge?(name: string, value: number, attributes: MetricAttributes): void;
+}
+
+export interface MetricDefinition {
+  name: string;
+  kind: 'counter' | 'histogram' | 'gauge';
+  unit: string;
+  description: string;
+}
+
+export const METRICS: {
+  messagesSent: MetricDefinition;
+  messagesReceived: MetricDefinition;
+  bytesSent: MetricDefinition;
+  bytesReceived: MetricDefinition;
+  queueDepth: MetricDefinition;
+  reconnects: MetricDefinition;
+  connectDuration: MetricDefinition;
+  pingRtt: MetricDefinition;
+};
+
+/** Metrics hook reporting to an OpenTelemetry meter from `metrics.getMeter()` */
+export function createOpenTelemetryMetrics(meter: any): Required<MetricsHook>;
+
+/* ------------------------------------------------------------------ */
+/* Authentication                                                      */
+/* ------------------------------------------------------------------ */
+
+export interface AuthContext {
+  reason: 'connect' | 'reconnect' | 'auth_failure';
+  attempt?: number;
+  closeEvent?: CloseEvent;
+}
+
+export interface AuthCredentials {
+  token?: string;
+  params?: Record<string, string | number>;
+  message?: any;
+}
+
+export type GetAuth = (context: AuthContext) => AuthCredentials | void | Promise<AuthCredentials | void>;
+
+export interface SignedRequest {
+  appId: string;
+  timestamp: number;
+  nonce: string;
+  signature: string;
+}
+
+export function signRequest(appId: string, appSecret: string, options?: { timestamp?: number; nonce?: string; crypto?: Crypto }): Promise<SignedRequest>;
+export function redactUrl(url: string, params?: string[]): string;
+
+/* ------------------------------------------------------------------ */
+/* Protocol adapters                                                   */
+/* ------------------------------------------------------------------ */
+
+export interface ProtocolAdapter {
+  name?: string;
+  /** WebSocket subprotocols requested when the client creates its socket */
+  subprotocols?: string[];
+  /** Codec used when the client has no `codec` option */
+  codec?: Codec;
+  attach?(client: WebSocketClient<any, any>): void;
+  /** Return true when the message was handled and should not be routed */
+  onMessage?(message: any): boolean | void;
+  onOpen?(event: Event): void;
+  onClose?(event: CloseEvent): void;
+  ping?(): void;
+  subscribe?(topic: string, params?: any): any;
+  unsubscribe?(topic: string): void;
+  splitFrame?(data: string | ArrayBuffer | ArrayBufferView): Array<string | ArrayBuffer | ArrayBufferView>;
+  /** Return true to queue outgoing messages until a handshake completes; the adapter then flushes the queue */
+  holdsQueue?(): boolean;
+  destroy?(): void;
+}
+
+export interface PusherOptions {
+  authorizer?: (channel: string, socketId: string) => Promise<{ auth: string; channel_data?: string }>;
+  authEndpoint?: string;
+  auth?: RequestInit & { headers?: Record<string, string> };
+}
+
+export class PusherProtocol implements ProtocolAdapter {
+  constructor(client: WebSocketClient<any, any>, options?: PusherOptions);
+  readonly name: 'pusher';
+  socketId: string | null;
+  onMessage(message: any): boolean;
+  onClose(): void;
+  ping(): void;
+  subscribe(channel: string): Promise<any>;
+  unsubscribe(channel: string): void;
+  trigger(channel: string, event: string, data?: any): void;
+  getMembers(channel: string): Record<string, any>;
+  getChannels(): string[];
+  destroy(): void;
+}
+
+export interface ApiGatewayOptions {
+  maxConnectionDuration?: number;
+  refreshBefore?: number;
+  heartbeatInterval?: number;
+  pingAction?: string;
+  pongAction?: string;
+  handshakeAction?: string | null;
+  maxFrameSize?: number;
+  maxMessageSize?: number;
+  /** Most chunks an inbound chunked message may have (default: 1024) */
+  maxChunks?: number;
+  /** Milliseconds before an incomplete chunked message is discarded (default: 60000) */
+  chunkTimeout?: number;
+}
+
+export class ApiGatewayProtocol implements ProtocolAdapter {
+  constructor(client: WebSocketClient<any, any>, options?: ApiGatewayOptions);
+  readonly name: 'apiGateway';
+  onOpen(): void;
+  onClose(): void;
+  onMessage(message: any): boolean;
+  ping(): void;
+  splitFrame(data: string | ArrayBuffer | ArrayBufferView): Array<string | ArrayBuffer | ArrayBufferView>;
+  destroy(): void;
+}
+
+export interface PhoenixOptions {
+  /** Milliseconds to wait for join, leave and push replies (default: 10000) */
+  timeout?: number;
+  /** Backoff between failed joins (default: 1 to 10 seconds) */
+  rejoin?: ReconnectPolicyOptions;
+}
+
+export type PhoenixChannelState = 'closed' | 'joining' | 'joined' | 'leaving' | 'errored';
+
+/** Error of a failed join, leave or push */
+export interface PhoenixReplyError extends Error {
+  status: 'error' | 'timeout' | string;
+  response?: any;
+}
+
+export class PhoenixChannel {
+  readonly topic: string;
+  readonly state: PhoenixChannelState;
+  readonly joinRef: string | null;
+  params: Record<string, any> | (() => Record<string, any>);
+  join(timeout?: number): Promise<any>;
+  push<R = any>(event: string, payload?: Record<string, any>, timeout?: number): Promise<R>;
+  leave(timeout?: number): Promise<void>;
+  on(event: string, callback: (payload: any, message: any[]) => void): void;
+  off(event: string, callback?: (payload: any, message: any[]) => void): void;
+}
+
+export class PhoenixProtocol implements ProtocolAdapter {
+  constructor(client: WebSocketClient<any, any>, options?: PhoenixOptions);
+  readonly name: 'phoenix';
+  channel(topic: string, params?: Record<string, any> | (() => Record<string, any>)): PhoenixChannel;
+  subscribe(topic: string, params?: Record<string, any>): Promise<any>;
+  unsubscribe(topic: string): void;
+  getChannels(): string[];
+  onOpen(): void;
+  onClose(): void;
+  onMessage(message: any): boolean;
+  ping(): void;
+  destroy(): void;
+}
+
+export interface GraphQLOptions {
+  /** `connection_init` payload, or a function returning it, called before every connection */
+  connectionParams?: Record<string, any> | (() => Record<string, any> | Promise<Record<string, any>>);
+  /** Milliseconds to wait for `connection_ack` before reconnecting (default: 10000) */
+  ackTimeout?: number;
+}
+
+export interface GraphQLPayload {
+  query: string;
+  variables?: Record<string, any>;
+  operationName?: string;
+  extensions?: Record<string, any>;
+}
+
+export interface GraphQLResult<T = any> {
+  data?: T | null;
+  errors?: GraphQLError[];
+  extensions?: Record<string, any>;
+}
+
+export interface GraphQLError {
+  message: string;
+  locations?: Array<{ line: number; column: number }>;
+  path?: Array<string | number>;
+  extensions?: Record<string, any>;
+}
+
+/** Error of an operation that received an `error` message */
+export interface GraphQLOperationError extends Error {
+  errors: GraphQLError[];
+}
+
+export interface GraphQLObserver<T> {
+  next?(result: GraphQLResult<T>): void;
+  error?(error: GraphQLOperationError): void;
+  complete?(): void;
+}
+
+export interface GraphQLSubscription {
+  readonly closed: boolean;
+  unsubscribe(): void;
+}
+
+export class GraphQLOperation<T = any> implements AsyncIterable<GraphQLResult<T>> {
+  readonly id: string;
+  readonly payload: GraphQLPayload;
+  readonly closed: boolean;
+  subscribe(observer: GraphQLObserver<T>): GraphQLSubscription;
+  subscribe(
+    next?: (result: GraphQLResult<T>) => void,
+    error?: (error: GraphQLOperationError) => void,
+    complete?: () => void
+  ): GraphQLSubscription;
+  unsubscribe(): void;
+  [Symbol.asyncIterator](): AsyncIterator<GraphQLResult<T>>;
+}
+
+export class GraphQLProtocol implements ProtocolAdapter {
+  constructor(client: WebSocketClient<any, any>, options?: GraphQLOptions);
+  readonly name: 'graphql';
+  readonly subprotocols: string[];
+  readonly acknowledged: boolean;
+  subscribe<T = any>(operation: GraphQLPayload): GraphQLOperation<T>;
+  subscribe<T = any>(query: string, params?: Omit<GraphQLPayload, 'query'>): GraphQLOperation<T>;
+  unsubscribe(query: string): void;
+  getOperations(): GraphQLOperation[];
+  onOpen(): void;
+  onClose(): void;
+  onMessage(message: any): boolean;
+  holdsQueue(): boolean;
+  ping(): void;
+  destroy(): void;
+}
+
+export interface StompOptions {
+  /** Extra CONNECT headers (login, passcode, ...), or a function returning them, called before every connection */
+  connectHeaders?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  /** Virtual host of the CONNECT `host` header (default: the URL's host) */
+  host?: string;
+  /** Heart-beat intervals in milliseconds; 0 disables a direction (default: 10000 both) */
+  heartbeat?: { outgoing?: number; incoming?: number };
+  /** Milliseconds to wait for a RECEIPT (default: 10000) */
+  receiptTimeout?: number;
+}
+
+export type StompAckMode = 'auto' | 'client' | 'client-individual';
+
+export interface StompSendOptions {
+  headers?: Record<string, string | number>;
+  /** Ask the server for a RECEIPT and wait for it */
+  receipt?: boolean;
+}
+
+export interface StompMessage extends DecodedStompFrame {
+  destination: string;
+  subscription: string;
+  ack(options?: StompSendOptions): Promise<void>;
+  nack(options?: StompSendOptions): Promise<void>;
+}
+
+export interface StompSubscribeOptions {
+  ack?: StompAckMode;
+  headers?: Record<string, string>;
+  onMessage?: (message: StompMessage) => void;
+  receipt?: boolean;
+}
+
+export interface StompSubscription {
+  readonly id: string;
+  readonly destination: string;
+  readonly ack: StompAckMode;
+  /** Waits for the SUBSCRIBE receipt when one was requested */
+  readonly receipt: Promise<void> | null;
+  unsubscribe(options?: StompSendOptions): Promise<void>;
+}
+
+/** Error of an ERROR frame */
+export interface StompError extends Error {
+  headers: Record<string, string>;
+  body: string;
+}
+
+export class StompProtocol implements ProtocolAdapter {
+  constructor(client: WebSocketClient<any, any>, options?: StompOptions);
+  readonly name: 'stomp';
+  readonly subprotocols: string[];
+  readonly codec: Codec;
+  readonly connected: boolean;
+  /** Headers of the last CONNECTED frame */
+  readonly serverHeaders: Record<string, string> | null;
+  send(destination: string, body?: string | object | ArrayBuffer | ArrayBufferView, options?: StompSendOptions): Promise<void>;
+  subscribe(destination: string, options?: StompSubscribeOptions): StompSubscription;
+  unsubscribe(destination: string): void;
+  getSubscriptions(): StompSubscription[];
+  ack(message: StompMessage, options?: StompSendOptions): Promise<void>;
+  nack(message: StompMessage, options?: StompSendOptions): Promise<void>;
+  disconnect(): Promise<void>;
+  onOpen(): void;
+  onClose(): void;
+  onMessage(message: any): boolean;
+  holdsQueue(): boolean;
+  ping(): void;
+  destroy(): void;
+}
+
+/* ------------------------------------------------------------------ */
+/* Envelopes                                                           */
+/* ------------------------------------------------------------------ */
+
+/** Message metadata by logical name; `requestId`, `messageId` and `channel` are used by the client */
+export interface EnvelopeMeta {
+  requestId?: string | number;
+  messageId?: string | number;
+  channel?: string;
+  [name: string]: any;
+}
+
+export interface EnvelopeFields {
+  event: string | undefined;
+  payload: any;
+  meta: EnvelopeMeta;
+  error?: any;
+}
+
+export interface Envelope {
+  name: string;
+  encode(fields: { event: string; payload?: any; meta: EnvelopeMeta; [field: string]: any }): any;
+  decode(message: any): EnvelopeFields;
+}
+
+export interface EnvelopeDefinition {
+  /** Key of the event name; with a list, the first is written and the first present is read */
+  eventKey?: string | string[];
+  payloadKey?: string | string[];
+  /** Metadata keys kept as is, or a `{ [name]: wireKey }` map */
+  metaKeys?: string[] | Record<string, string>;
+  errorKey?: string;
+  name?: string;
+}
+
+export type EnvelopePreset = 'default' | 'socketio' | 'phoenix' | 'jsonrpc';
+
+export type EnvelopeOption =
+  | EnvelopePreset
+  | { preset: 'phoenix'; topic?: string }
+  | { preset: EnvelopePreset }
+  | EnvelopeDefinition
+  | Envelope;
+
+/* ------------------------------------------------------------------ */
+/* JSON-RPC                                                            */
+/* ------------------------------------------------------------------ */
+
+export const JSONRPC_ERRORS: {
+  readonly PARSE_ERROR: -32700;
+  readonly INVALID_REQUEST: -32600;
+  readonly METHOD_NOT_FOUND: -32601;
+  readonly INVALID_PARAMS: -32602;
+  readonly INTERNAL_ERROR: -32603;
+};
+
+export class JsonRpcError extends Error {
+  constructor(code: number, message: string, data?: any);
+  readonly code: number;
+  readonly data: any;
+  /** Raw response message */
+  response?: any;
+  static from(error: { code: number; message: string; data?: any } | unknown): JsonRpcError;
+}
+
+export type JsonRpcParams = any[] | Record<string, any>;
+
+export interface JsonRpcBatchCall {
+  method: string;
+  params?: JsonRpcParams;
+  /** Send without an `id`; no response is expected */
+  notification?: boolean;
+}
+
+export type JsonRpcBatchResult<T = any> =
+  | { status: 'fulfilled'; value: T }
+  | { status: 'rejected'; reason: JsonRpcError | Error };
+
+/* ------------------------------------------------------------------ */
+/* Middleware                                                          */
+/* ------------------------------------------------------------------ */
+
+export interface OutgoingContext {
+  direction: 'outgoing';
+  client: WebSocketClient<any, any>;
+  /** Message before encoding; change it in place or replace it */
+  message: any;
+  /** Encoded data to send as is instead of encoding `message` */
+  frame?: string | ArrayBuffer | ArrayBufferView;
+  /** Whether the message is held in the queue until acknowledged */
+  guaranteed: boolean;
+  state: Record<string, any>;
+}
+
+export interface IncomingContext {
+  direction: 'incoming';
+  client: WebSocketClient<any, any>;
+  /** Raw frame; replace it before reading `message` to transform it (e.g. decrypt) */
+  frame: string | Uint8Array;
+  /** Message decoded from `frame` on first access */
+  message: any;
+  /** Event name to dispatch instead of `message.event || message.action` */
+  event?: string;
+  /** Payload to dispatch instead of `message.data || message.body || message` */
+  payload?: any;
+  state: Record<string, any>;
+}
+
+export type MiddlewareContext = OutgoingContext | IncomingContext;
+
+export type Middleware<C = MiddlewareContext> = (context: C, next: () => Promise<void>) => void | Promise<void>;
+
+export type MiddlewareOption =
+  | Middleware
+  | { incoming?: Middleware<IncomingContext>; outgoing?: Middleware<OutgoingContext> };
+
+/* ------------------------------------------------------------------ */
+/* WebSocketClient                                                     */
+/* ------------------------------------------------------------------ */
+
+export interface QueueOptions extends MessageQueueOptions {
+  delivery?: 'at-most-once' | 'at-least-once';
+  messageIdKey?: string;
+  ackEvent?: string;
+}
+
+export interface WebSocketClientOptions<In extends PayloadMap = PayloadMap, Out extends PayloadMap = PayloadMap> extends LoggingOptions {
+  pingInterval?: number;
+  autoPing?: boolean;
+  pongTimeout?: number;
+  maxMissedPongs?: number;
+  metrics?: MetricsHook;
+  /** Attributes reported with every metric */
+  metricAttributes?: MetricAttributes;
+  requestTimeout?: number;
+  requestIdKey?: string;
+  /** Envelope key carrying the channel of createChannel() messages (default: 'channel') */
+  channelKey?: string;
+  WebSocket?: any;
+  codec?: CodecOption;
+  envelope?: EnvelopeOption;
+  protocol?: 'pusher' | 'apiGateway' | 'phoenix' | 'graphql' | 'stomp' | ProtocolAdapter;
+  pusher?: PusherOptions;
+  apiGateway?: ApiGatewayOptions;
+  phoenix?: PhoenixOptions;
+  graphql?: GraphQLOptions;
+  stomp?: StompOptions;
+  subscribeAction?: string;
+  unsubscribeAction?: string;
+  queue?: QueueOptions;
+  reconnect?: ReconnectPolicyOptions | ReconnectPolicy;
+  getAuth?: GetAuth;
+  authFailureCodes?: number[];
+  tokenParam?: string;
+  schemas?: SchemaMap<In, Out>;
+  middleware?: MiddlewareOption[];
+}
+
+export interface CreateWebSocketClientOptions<In extends PayloadMap = PayloadMap, Out extends PayloadMap = PayloadMap>
+  extends WebSocketClientOptions<In, Out> {
+  /** Ping interval in seconds; `pingInterval` takes precedence (default: 15) */
+  pingTime?: number;
+  reconnectingOptions?: ReconnectingOptions;
+}
+
+export type StreamOverflow = 'drop-oldest' | 'drop-newest' | 'error';
+
+export interface StreamOptions<T = any> {
+  /** Maximum number of buffered payloads (default: 100) */
+  bufferSize?: number;
+  /** What happens to a payload arriving while the buffer is full (default: 'drop-oldest') */
+  overflow?: StreamOverflow;
+  onDrop?: (value: T) => void;
+  /** Ends the stream when aborted */
+  signal?: AbortSignal;
+}
+
+export interface EventStream<T> extends AsyncIterableIterator<T> {
+  /** Number of payloads dropped by the overflow policy */
+  readonly dropped: number;
+}
+
+export interface Observer<T> {
+  next?(value: T): void;
+  error?(error: any): void;
+  complete?(): void;
+}
+
+export interface Subscription {
+  readonly closed: boolean;
+  unsubscribe(): void;
+}
+
+/** Observable compatible with RxJS `from()` and other libraries reading `Symbol.observable` */
+export interface Observable<T> {
+  subscribe(observer: Observer<T>): Subscription;
+  subscribe(next?: (value: T) => void, error?: (error: any) => void, complete?: () => void): Subscription;
+}
+
+export interface IncomingMessage<In extends PayloadMap = PayloadMap> {
+  event: keyof In & string;
+  data: In[keyof In];
+  meta: EnvelopeMeta;
+  original: any;
+}
+
+export interface ValidationErrorDetail {
+  direction: 'incoming' | 'outgoing';
+  action: string;
+  errors: ValidationIssue[];
+  data: any;
+}
+
+/** Events dispatched by the client itself */
+export interface ClientEventMap<In extends PayloadMap = PayloadMap> {
+  open: { event: Event };
+  close: { event: CloseEvent };
+  error: { event: Event };
+  message: IncomingMessage<In>;
+  reconnecting: { attempt: number; delay: number };
+  reconnected: { attempts: number };
+  reconnect_failed: { attempts: number; reason: 'max_retries' | 'rejected'; code?: number };
+  auth_error: { error: Error; reason: AuthContext['reason'] };
+  message_dropped: { id: string; data: string | Uint8Array; reason: 'overflow' | 'expired'; channel?: string };
+  ack: { id: string };
+  stale: { missedPongs: number; lastPongAt: number | null };
+  validation_error: ValidationErrorDetail;
+  listener_error: { event: string; error: Error; channel?: string };
+  'phoenix:join': { topic: string; response: any };
+  'phoenix:join_error': { topic: string; error: PhoenixReplyError };
+  'phoenix:error': { topic: string; payload: any };
+  'phoenix:close': { topic: string };
+  'phoenix:leave': { topic: string };
+  'graphql:connection_ack': { payload?: Record<string, any> };
+  'graphql:error': { id?: string; errors?: GraphQLError[]; error?: Error };
+  'stomp:connected': { headers: Record<string, string> };
+  'stomp:error': { error: Error; headers: Record<string, string>; body: string };
+  middleware_error: { direction: 'incoming' | 'outgoing'; error: Error; message?: any; frame?: string | Uint8Array };
+  Pong: { data: 'Pong' };
+}
+
+export interface ListenerOptions {
+  once?: boolean;
+  /** Listeners with a higher priority run first (default: 0) */
+  priority?: number;
+  /** Removes the listener when aborted */
+  signal?: AbortSignal;
+}
+
+/**
+ * Wildcard event pattern: `*` matches within a segment of a name split by `.`, `:` or `/`,
+ * `**` across segments, e.g. 'order.*' or 'phoenix:*'
+ */
+export type EventPattern = `${string}*${string}`;
+
+export interface ClientStatus {
+  open: boolean;
+  readyState: number;
+  url: string;
+  connectionId: string | null;
+  messageQueueLength: number;
+  pendingRequests: number;
+  reconnectAttempts: number;
+  subscriptions: string[];
+  channels: string[];
+  codec: string | undefined;
+  envelope: string;
+  protocol: string | null;
+  pingInterval: number;
+  autoPing: boolean;
+  latency: number | null;
+  lastPongAt: number | null;
+  missedPongs: number;
+}
+
+export interface ChannelOptions {
+  /** Queue policy on top of the client's; kept in memory unless `storage` is set */
+  queue?: MessageQueueOptions;
+}
+
+/** Events dispatched on a channel besides its messages */
+export interface ChannelEventMap<In extends PayloadMap = PayloadMap> {
+  open: { event: Event };
+  /** `channel` is true when the channel itself was closed */
+  close: { event: CloseEvent } | { channel: true };
+  message: IncomingMessage<In>;
+  message_dropped: { id: string; data: string | Uint8Array; reason: 'overflow' | 'expired'; channel: string };
+}
+
+export interface ChannelStatus {
+  name: string;
+  open: boolean;
+  closed: boolean;
+  messageQueueLength: number;
+  listeners: number;
+}
+
+/** A logical channel sharing its client's connection (see WebSocketClient#createChannel()) */
+export class Channel<In extends PayloadMap = PayloadMap, Out extends PayloadMap = PayloadMap> {
+  readonly name: string;
+  readonly closed: boolean;
+  readonly messageQueue: MessageQueue;
+
+  on<K extends keyof ChannelEventMap<In>>(event: K, callback: (detail: ChannelEventMap<In>[K]) => void, options?: ListenerOptions): () => void;
+  on<K extends keyof In & string>(event: K, callback: (detail: In[K]) => void, options?: ListenerOptions): () => void;
+  on(pattern: EventPattern, callback: (detail: any, event: string) => void, options?: ListenerOptions): () => void;
+  once<K extends keyof ChannelEventMap<In>>(event: K, callback: (detail: ChannelEventMap<In>[K]) => void, options?: Omit<ListenerOptions, 'once'>): () => void;
+  once<K extends keyof In & string>(event: K, callback: (detail: In[K]) => void, options?: Omit<ListenerOptions, 'once'>): () => void;
+  once(pattern: EventPattern, callback: (detail: any, event: string) => void, options?: Omit<ListenerOptions, 'once'>): () => void;
+  off(event: string, callback: (...args: any[]) => void): void;
+  offAll(event?: string): void;
+  listen(action: '*', callback: (message: IncomingMessage<In>) => void, options?: ListenerOptions): () => void;
+  listen<K extends keyof In & string>(action: K, callback: (data: In[K]) => void, options?: ListenerOptions): () => void;
+
+  /** @throws Error with `code` 'CHANNEL_CLOSED' after close(), 'VALIDATION_ERROR' for an invalid payload, or 'QUEUE_FULL' when the message has to wait in a full queue that rejects it */
+  emit<K extends keyof Out & string>(action: K, data?: Out[K]): void;
+  request<K extends keyof Out & string, R = K extends keyof In ? In[K] : any>(action: K, data?: Out[K], options?: { timeout?: number }): Promise<R>;
+  getStatus(): ChannelStatus;
+  close(): void;
+}
+
+/**
+ * @typeParam In - Payload types of incoming messages, keyed by event/action
+ * @typeParam Out - Payload types of outgoing messages, keyed by action
+ */
+export class WebSocketClient<In extends PayloadMap = PayloadMap, Out extends PayloadMap = PayloadMap> {
+  constructor(socket: string | WebSocket | object, options?: WebSocketClientOptions<In, Out>);
+
+  readonly options: WebSocketClientOptions<In, Out> & Required<Pick<WebSocketClientOptions, 'pingInterval' | 'autoPing' | 'requestTimeout' | 'requestIdKey'>>;
+  readonly open: boolean;
+  readonly connectionId: string | null;
+  readonly protocol: ProtocolAdapter | null;
+  readonly codec: Codec;
+  readonly envelope: Envelope;
+
+  /** Returns a function that removes the listener */
+  on<K extends keyof ClientEventMap<In>>(event: K, callback: (detail: ClientEventMap<In>[K]) => void, options?: ListenerOptions): () => void;
+  on<K extends keyof In & string>(event: K, callback: (detail: In[K]) => void, options?: ListenerOptions): () => void;
+  on(pattern: EventPattern, callback: (detail: any, event: string) => void, options?: ListenerOptions): () => void;
+  once<K extends keyof ClientEventMap<In>>(event: K, callback: (detail: ClientEventMap<In>[K]) => void, options?: Omit<ListenerOptions, 'once'>): () => void;
+  once<K extends keyof In & string>(event: K, callback: (detail: In[K]) => void, options?: Omit<ListenerOptions, 'once'>): () => void;
+  once(pattern: EventPattern, callback: (detail: any, event: string) => void, options?: Omit<ListenerOptions, 'once'>): () => void;
+  off(event: string, callback: (...args: any[]) => void): void;
+  /** Remove every listener of an event, or of all events */
+  offAll(event?: string): void;
+
+  listen(action: '*', callback: (message: IncomingMessage<In>) => void, options?: ListenerOptions): () => void;
+  listen<K extends keyof In & string>(action: K, callback: (data: In[K]) => void, options?: ListenerOptions): () => void;
+
+  stream(action: '*', options?: StreamOptions<IncomingMessage<In>>): EventStream<IncomingMessage<In>>;
+  stream<K extends keyof In & string>(action: K, options?: StreamOptions<In[K]>): EventStream<In[K]>;
+  observe(action: '*'): Observable<IncomingMessage<In>>;
+  observe<K extends keyof In & string>(action: K): Observable<In[K]>;
+
+  /** @throws Error with `code` 'VALIDATION_ERROR' for an invalid payload, or 'QUEUE_FULL' when the message has to wait in a full queue that rejects it */
+  emit<K extends keyof Out & string>(action: K, data?: Out[K]): void;
+  request<K extends keyof Out & string, R = K extends keyof In ? In[K] : any>(action: K, data?: Out[K], options?: { timeout?: number }): Promise<R>;
+  /** @throws Error with `code` 'VALIDATION_ERROR' for an invalid payload, or 'QUEUE_FULL' when the message has to wait in a full queue that rejects it */
+  chatMessage(data?: Out extends { chatMessage: infer T } ? T : any): void;
+  /** @throws Error with `code` 'VALIDATION_ERROR' for an invalid payload, or 'QUEUE_FULL' when the message has to wait in a full queue that rejects it */
+  message(data?: Out extends { message: infer T } ? T : any): void;
+  ping(): void;
+
+  call<R = any>(method: string, params?: JsonRpcParams, options?: { timeout?: number }): Promise<R>;
+  /** @throws Error with `code` 'VALIDATION_ERROR' for an invalid payload, or 'QUEUE_FULL' when the message has to wait in a full queue that rejects it */
+  notify(method: string, params?: JsonRpcParams): void;
+  batch(calls: JsonRpcBatchCall[], options?: { timeout?: number }): Promise<JsonRpcBatchResult[]>;
+
+  defineSchemas(schemas: SchemaMap<In, Out>): void;
+  use(middleware: MiddlewareOption): this;
+
+  subscribe(topic: string, params?: any): any;
+  unsubscribe(topic: string): void;
+  getSubscriptions(): Record<string, any>;
+
+  /** Open a logical channel over this connection; an open channel with the same name is returned as is */
+  createChannel<CIn extends PayloadMap = In, COut extends PayloadMap = Out>(name: string, options?: ChannelOptions): Channel<CIn, COut>;
+  getChannel(name: string): Channel<In, Out> | undefined;
+
+  /** Record frames and connection events; pass a recorder to append to it */
+  startRecording(options?: SessionRecorderOptions | SessionRecorder): SessionRecorder;
+  stopRecording(): SessionRecorder | null;
+
+  refreshConnection(reason?: string): void;
+  close(): void;
+  markAsClosed(): void;
+  onOpen(callback: () => void): void;
+  getStatus(): ClientStatus;
+  setConnectionId(id: string | null): void;
+  destroy(): void;
+
+  addEventListener(type: string, listener: (event: { type: string; detail: any }) => void, options?: ListenerOptions): void;
+  removeEventListener(type: string, listener: (event: { type: string; detail: any }) => void): void;
+  dispatchEvent(event: { type: string; detail?: any }): void;
+
+  /* Used by protocol adapters */
+  sendMessage(message: any, options?: { messageId?: number }): Promise<boolean>;
+  handleMessage(event: { data: any }): void;
+  dispatchCustomEvent(eventName: string, detail?: any): void;
+  recordPong(): void;
+  log(message: string, data?: any, level?: 'log' | 'warn' | 'error'): void;
+}
+
+export function createWebSocketClient<In extends PayloadMap = PayloadMap, Out extends PayloadMap = PayloadMap>(
+  url: string,
+  options?: CreateWebSocketClientOptions<In, Out>
+): WebSocketClient<In, Out>;
+
+/* ------------------------------------------------------------------ */
+/* SharedWebSocketClient                                               */
+/* ------------------------------------------------------------------ */
+
+export interface SharedOptions {
+  /** BroadcastChannel and lock name; tabs with the same name share a connection (default: 'websocket-client') */
+  name?: string;
+  /** Milliseconds between leader announcements (default: 1000) */
+  heartbeatInterval?: number;
+  /** Milliseconds without an announcement after which the leader is considered gone (default: 3000) */
+  leaderTimeout?: number;
+  BroadcastChannel?: any;
+  /** Web Locks LockManager; null elects over the BroadcastChannel (default: navigator.locks) */
+  locks?: { request(name: string, options: { signal?: AbortSignal }, callback: (lock: any) => any): Promise<any> } | null;
+}
+
+export interface SharedWebSocketClientOptions<In extends PayloadMap = PayloadMap, Out extends PayloadMap = PayloadMap>
+  extends WebSocketClientOptions<In, Out> {
+  shared?: SharedOptions;
+}
+
+export type SharedRole = 'leader' | 'follower';
+
+export interface SharedClientStatus extends Partial<ClientStatus> {
+  open: boolean;
+  role: SharedRole;
+  tabId: string;
+  leaderId: string | null;
+}
+
+export interface SharedEventMap<In extends PayloadMap = PayloadMap> extends ClientEventMap<In> {
+  leader_change: { leaderId: string; role: SharedRole };
+  emit_error: { action: string; error: Error };
+}
+
+/** Shares one connection between the tabs of an origin; followers proxy through the leader tab */
+export class SharedWebSocketClient<In extends PayloadMap = PayloadMap, Out extends PayloadMap = PayloadMap> {
+  constructor(url: string, options?: SharedWebSocketClientOptions<In, Out>);
+
+  readonly tabId: string;
+  readonly role: SharedRole;
+  readonly leaderId: string | null;
+  /** The connection, on the leader tab only */
+  readonly client: WebSocketClient<In, Out> | null;
+
+  on<K extends keyof SharedEventMap<In>>(event: K, callback: (detail: SharedEventMap<In>[K]) => void, options?: ListenerOptions): () => void;
+  on<K extends keyof In & string>(event: K, callback: (detail: In[K]) => void, options?: ListenerOptions): () => void;
+  on(pattern: EventPattern, callback: (detail: any, event: string) => void, options?: ListenerOptions): () => void;
+  once<K extends keyof SharedEventMap<In>>(event: K, callback: (detail: SharedEventMap<In>[K]) => void, options?: Omit<ListenerOptions, 'once'>): () => void;
+  once<K extends keyof In & string>(event: K, callback: (detail: In[K]) => void, options?: Omit<ListenerOptions, 'once'>): () => void;
+  off(event: string, callback: (...args: any[]) => void): void;
+  offAll(event?: string): void;
+  listen(action: '*', callback: (message: IncomingMessage<In>) => void, options?: ListenerOptions): () => void;
+  listen<K extends keyof In & string>(action: K, callback: (data: In[K]) => void, options?: ListenerOptions): () => void;
+
+  emit<K extends keyof Out & string>(action: K, data?: Out[K]): void;
+  request<K extends keyof Out & string, R = K extends keyof In ? In[K] : any>(action: K, data?: Out[K], options?: { timeout?: number }): Promise<R>;
+  getStatus(): SharedClientStatus;
+  destroy(): void;
+}
+
+/* ------------------------------------------------------------------ */
+/* SimpleWebSocket                                                     */
+/* ------------------------------------------------------------------ */
+
+export type AuthTransport = 'query' | 'protocol' | 'message' | 'headers';
+
+export interface SimpleWebSocketOptions extends LoggingOptions {
+  url: string;
+  accessToken?: string;
+  appId?: string;
+  appSecret?: string;
+  onConnect?: (event: Event) => void;
+  onMessage?: (data: any) => void;
+  onError?: (error: any) => void;
+  onClose?: (event: CloseEvent) => void;
+  WebSocket?: any;
+  codec?: CodecOption;
+  getAuth?: GetAuth;
+  authFailureCodes?: number[];
+  maxAuthRetries?: number;
+  authTransport?: AuthTransport;
+  sign?: boolean;
+  authFrame?: (credentials: { token?: string; appId?: string; appSecret?: string } & Partial<SignedRequest>) => any;
+  authAck?: (message: any) => boolean | undefined;
+  authTimeout?: number;
+  metrics?: MetricsHook;
+  metricAttributes?: MetricAttributes;
+}
+
+export interface SimpleWebSocketStatus {
+  connected: boolean;
+  readyState: number | 'NOT_INITIALIZED';
+  url: string;
+  appId?: string;
+  hasAppSecret?: boolean;
+  hasAccessToken?: boolean;
+  authTransport?: AuthTransport;
+  authenticated?: boolean;
+  signed?: boolean;
+}
+
+export type SendCallback = (error: { message: string; [key: string]: any } | null, result?: { success: true }) => void;
+
+export class SimpleWebSocket {
+  constructor(options: SimpleWebSocketOptions);
+  readonly url: string;
+  readonly webSocket: WebSocket | undefined;
+  send(data: any, cb?: SendCallback): void;
+  disconnect(): void;
+  reconnect(): void;
+  getStatus(): SimpleWebSocketStatus;
+}
+
+export default WebSocketClient;
@@ -7,8 +7,40 @@
 // Export the advanced WebSocket client with reconnection support
 export { WebSocketClient, createWebSocketClient } from './WebSocketClient.js';
 
+// Export the cross-tab shared client
+export { SharedWebSocketClient } from './SharedWebSocketClient.js';
+
 // Export the simple WebSocket client with app authentication
 export { SimpleWebSocket } from './SimpleWebSocket.js';
 
+// Export the built-in message codecs
+export { JsonCodec, MessagePackCodec, StompCodec } from './codecs.js';
+
+// Export the JSON-RPC error type and codes
+export { JsonRpcError, JSONRPC_ERRORS } from './jsonrpc.js';
+
+// Export the auth helpers
+export { signRequest, redactUrl } from './auth.js';
+
+// Export the reconnect policy
+export { ReconnectPolicy } from './ReconnectPolicy.js';
+
+// Export the outbound queue and its storage adapters
+export { MessageQueue } from './MessageQueue.js';
+export { MemoryStorage, LocalStorageAdapter, IndexedDBStorage } from './storage.js';
+
+// Export the session recorder
+export { SessionRecorder, RECORDED_EVENTS } from './SessionRecorder.js';
+
+// Export the logging and metrics helpers
+export { createLogger, createConsoleLogger, createOpenTelemetryLogger, LOG_LEVELS, REDACTED_KEYS } from './logger.js';
+export { createOpenTelemetryMetrics, METRICS } from './metrics.js';
+
+// Export the multiplexed channel type
+export { Channel } from './Channel.js';
+
+// Export the protocol adapters
+export { PusherProtocol, ApiGatewayProtocol, PhoenixProtocol, PhoenixChannel, GraphQLProtocol, GraphQLOperation, StompProtocol } from './protocols/index.js';
+
 // Default export for backward compatibility
 export { WebSocketClient as default } from './WebSocketClient.js';
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview JSON-RPC 2.0 messages and errors used by WebSocketClient.call(), notify() and batch()
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * Error codes defined by the JSON-RPC 2.0 specification. Servers use -32000 to -32099 for their own errors.
+ * @type {Object}
+ */
+export const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+/**
+ * Error object of a failed JSON-RPC call
+ * @class JsonRpcError
+ */
+export class JsonRpcError extends Error {
+  /**
+   * Create a JSON-RPC error
+   * @param {number} code - Error code, e.g. JSONRPC_ERRORS.METHOD_NOT_FOUND
+   * @param {string} message - Error message
+   * @param {*} data - Additional information from the server (optional)
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+
+  /**
+   * Create an error from the `error` member of a response
+   * @param {Object} error - `{ code, message, data? }`
+   * @returns {JsonRpcError} Error
+   */
+  static from(error) {
+    if (!error || typeof error !== 'object') {
+      return new JsonRpcError(JSONRPC_ERRORS.INTERNAL_ERROR, String(error));
+    }
+    return new JsonRpcError(error.code, error.message || 'JSON-RPC error', error.data);
+  }
+}
+
+/**
+ * Check whether a decoded message is a JSON-RPC 2.0 request, notification or response
+ * @param {*} message - Decoded message
+ * @returns {boolean} True for JSON-RPC 2.0 objects
+ */
+export function isJsonRpcMessage(message) {
+  return message !== null && typeof message === 'object' && message.jsonrpc === '2.0';
+}
+
+/**
+ * Check whether a decoded message is a JSON-RPC 2.0 batch
+ * @param {*} message - Decoded message
+ * @returns {boolean} True for a non-empty array of JSON-RPC 2.0 objects
+ */
+export function isJsonRpcBatch(message) {
+  return Array.isArray(message) && message.length > 0 && message.every(isJsonRpcMessage);
+}
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Listener bookkeeping shared by the client and its channels
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { isEventPattern } from './EventEmitter.js';
+
+/**
+ * An object whose listeners are tracked: it dispatches `{ type, detail }` events on `eventTarget`
+ * and keeps `eventListeners`, a Map of event name to `{ callback, wrapper, signal, onAbort }` entries.
+ * @typedef {Object} ListenerHost
+ * @property {EventEmitter} eventTarget - Event bus
+ * @property {Map<string, Object[]>} eventListeners - Registered callbacks per event name or pattern
+ */
+
+/**
+ * Register a callback for an event's detail. The same callback is only registered once per event.
+ * @param {ListenerHost} host - Object the listener belongs to
+ * @param {string} event - Event name or wildcard pattern (see EventEmitter)
+ * @param {Function} callback - Called with the event detail; pattern listeners also get the event name
+ * @param {Object} options - `{ once, priority, signal }`
+ * @returns {Function} Removes the listener
+ */
+export function addListener(host, event, callback, options = {}) {
+  const remove = () => removeListener(host, event, callback);
+  const { once, priority, signal } = options;
+
+  if (findListener(host, event, callback) || (signal && signal.aborted)) {
+    return remove;
+  }
+
+  const wrapper = isEventPattern(event)
+    ? (dispatched) => {
+      if (once) remove();
+      callback(dispatched.detail, dispatched.type);
+    }
+    : (dispatched) => {
+      if (once) remove();
+      callback(dispatched.detail);
+    };
+  const entry = { callback, wrapper, signal, onAbort: signal ? remove : null };
+
+  // Track the wrapper so removeListener() can remove what was actually registered
+  if (!host.eventListeners.has(event)) {
+    host.eventListeners.set(event, []);
+  }
+  host.eventListeners.get(event).push(entry);
+  host.eventTarget.addEventListener(event, wrapper, { priority });
+
+  if (signal) {
+    signal.addEventListener('abort', entry.onAbort, { once: true });
+  }
+  return remove;
+}
+
+/**
+ * Remove a callback registered with addListener()
+ * @param {ListenerHost} host - Object the listener belongs to
+ * @param {string} event - Event name or pattern the callback was added with
+ * @param {Function} callback - Callback to remove
+ */
+export function removeListener(host, event, callback) {
+  const entry = findListener(host, event, callback);
+  if (!entry) {
+    return;
+  }
+
+  host.eventTarget.removeEventListener(event, entry.wrapper);
+  if (entry.signal) {
+    entry.signal.removeEventListener('abort', entry.onAbort);
+  }
+
+  const listeners = host.eventListeners.get(event);
+  listeners.splice(listeners.indexOf(entry), 1);
+  if (listeners.length === 0) {
+    host.eventListeners.delete(event);
+  }
+}
+
+/**
+ * Remove every callback registered for an event, or for all events
+ * @param {ListenerHost} host - Object the listeners belong to
+ * @param {string} event - Event name or pattern (optional; all events when omitted)
+ */
+export function removeAllListeners(host, event) {
+  const events = event === undefined ? Array.from(host.eventListeners.keys()) : [event];
+  events.forEach((name) => {
+    (host.eventListeners.get(name) || []).slice().forEach(({ callback }) => removeListener(host, name, callback));
+  });
+}
+
+/**
+ * Find the bookkeeping entry of a callback
+ * @param {ListenerHost} host - Object the listener belongs to
+ * @param {string} event - Event name or pattern
+ * @param {Function} callback - Callback passed to addListener()
+ * @returns {Object|undefined} `{ callback, wrapper, signal, onAbort }`
+ */
+export function findListener(host, event, callback) {
+  const listeners = host.eventListeners.get(event);
+  return listeners ? listeners.find(entry => entry.callback === callback) : undefined;
+}
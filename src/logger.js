@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Leveled, redacting loggers shared by the clients
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { redactUrl } from './auth.js';
+
+/**
+ * Log levels in increasing severity; 'silent' turns logging off
+ * @type {Object<string, number>}
+ */
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/**
+ * Field names whose values are masked by default, compared case-insensitively
+ * @type {string[]}
+ */
+export const REDACTED_KEYS = [
+  'token',
+  'accessToken',
+  'access_token',
+  'appSecret',
+  'secret',
+  'password',
+  'signature',
+  'authorization',
+  'cookie'
+];
+
+const MASK = '***';
+const MAX_DEPTH = 5;
+
+/**
+ * A structured logger: each method takes a message and optional fields. Any object with these
+ * methods works, e.g. pino, winston or the console.
+ * @typedef {Object} Logger
+ * @property {function(string, Object=): void} debug
+ * @property {function(string, Object=): void} info
+ * @property {function(string, Object=): void} warn
+ * @property {function(string, Object=): void} error
+ */
+
+/**
+ * Create a logger writing to the console
+ * @param {string} prefix - Prefix of every line, e.g. '[WebSocketClient]'
+ * @param {Object} target - Console to write to (default: the global console)
+ * @returns {Logger} Logger
+ */
+export function createConsoleLogger(prefix, target = console) {
+  const write = method => (message, fields) => {
+    if (fields === undefined) {
+      target[method](prefix, message);
+    } else {
+      target[method](prefix, message, fields);
+    }
+  };
+  return { debug: write('debug'), info: write('info'), warn: write('warn'), error: write('error') };
+}
+
+/**
+ * Create a logger that emits OpenTelemetry log records
+ * @param {Object} otelLogger - Logger from `logs.getLogger()` of @opentelemetry/api-logs
+ * @returns {Logger} Logger
+ */
+export function createOpenTelemetryLogger(otelLogger) {
+  const emit = (severityNumber, severityText) => (message, fields) => {
+    otelLogger.emit({ severityNumber, severityText, body: message, attributes: toAttributes(fields) });
+  };
+  // SeverityNumber.DEBUG, INFO, WARN and ERROR
+  return { debug: emit(5, 'DEBUG'), info: emit(9, 'INFO'), warn: emit(13, 'WARN'), error: emit(17, 'ERROR') };
+}
+
+/**
+ * Create the logger a client writes through: it drops records below the level and masks
+ * secrets in the fields before handing them to the target logger
+ * @param {Object} options - Logging options
+ * @param {Logger|null} options.logger - Target logger; null discards everything (default: the console)
+ * @param {string} options.logLevel - Minimum level: 'debug', 'info', 'warn', 'error' or 'silent'
+ *   (default: 'debug' with `debug`, otherwise `defaultLevel`)
+ * @param {boolean} options.debug - Log everything
+ * @param {boolean|string[]|Function} options.redact - false to log fields as they are, extra key
+ *   names to mask on top of REDACTED_KEYS, or `(fields) => fields` run after the default masking (default: true)
+ * @param {string} options.prefix - Console prefix
+ * @param {string} options.defaultLevel - Level without `logLevel` or `debug` (default: 'silent')
+ * @returns {Logger} Logger with a `level` property
+ * @throws {Error} For an unknown level
+ */
+export function createLogger(options = {}) {
+  const levelName = options.logLevel || (options.debug ? 'debug' : options.defaultLevel || 'silent');
+  const level = LOG_LEVELS[levelName];
+  if (level === undefined) {
+    throw new Error(`Invalid logLevel "${levelName}". Use one of: ${Object.keys(LOG_LEVELS).join(', ')}.`);
+  }
+
+  const target = options.logger === undefined ? createConsoleLogger(options.prefix || '') : options.logger;
+  const redact = createRedactor(options.redact);
+
+  const write = method => (message, fields) => {
+    if (!target || LOG_LEVELS[method] < level || typeof target[method] !== 'function') {
+      return;
+    }
+    // A broken logger must not break the connection
+    try {
+      target[method](message, fields === undefined || fields === null ? undefined : redact(fields));
+    } catch (error) {
+      // Nowhere left to report it
+    }
+  };
+
+  return { level: levelName, debug: write('debug'), info: write('info'), warn: write('warn'), error: write('error') };
+}
+
+/**
+ * Create the field redaction function for a `redact` option
+ * @param {boolean|string[]|Function} option - See createLogger()
+ * @returns {Function} `(fields) => fields`
+ * @private
+ */
+function createRedactor(option = true) {
+  if (option === false) {
+    return fields => fields;
+  }
+
+  const keys = REDACTED_KEYS.concat(Array.isArray(option) ? option : []).map(key => key.toLowerCase());
+  const custom = typeof option === 'function' ? option : null;
+
+  return (fields) => {
+    const redacted = redactValue(fields, keys, 0);
+    return custom ? custom(redacted) : redacted;
+  };
+}
+
+/**
+ * Mask secret fields and URL credentials in plain objects, arrays and strings. Other objects,
+ * like errors and DOM events, are passed through untouched.
+ * @param {*} value - Value
+ * @param {string[]} keys - Lower-case key names to mask
+ * @param {number} depth - Nesting depth
+ * @returns {*} Redacted copy
+ * @private
+ */
+function redactValue(value, keys, depth) {
+  if (typeof value === 'string') {
+    return redactUrlString(value);
+  }
+  if (depth >= MAX_DEPTH || !value || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, keys, depth + 1));
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return value;
+  }
+
+  const copy = {};
+  Object.keys(value).forEach((key) => {
+    copy[key] = keys.indexOf(key.toLowerCase()) !== -1 && value[key] !== undefined && value[key] !== null
+      ? MASK
+      : redactValue(value[key], keys, depth + 1);
+  });
+  return copy;
+}
+
+/**
+ * Mask credentials in a string that is a URL with a query
+ * @param {string} value - String
+ * @returns {string} The string, with secret query parameters masked when it is such a URL
+ * @private
+ */
+function redactUrlString(value) {
+  if (!/^(wss?|https?):\/\/[^\s]*\?/.test(value)) {
+    return value;
+  }
+  try {
+    return redactUrl(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Flatten log fields into OpenTelemetry attributes, which only hold primitives and arrays of them
+ * @param {Object} fields - Fields
+ * @returns {Object} Attributes
+ * @private
+ */
+function toAttributes(fields) {
+  if (!fields || typeof fields !== 'object') {
+    return fields === undefined ? {} : { data: String(fields) };
+  }
+
+  const attributes = {};
+  Object.keys(fields).forEach((key) => {
+    const value = fields[key];
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (typeof value !== 'object' || (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object'))) {
+      attributes[key] = value;
+    } else if (value instanceof Error) {
+      attributes[`${key}.message`] = value.message;
+      if (value.code !== undefined) {
+        attributes[`${key}.code`] = value.code;
+      }
+    } else {
+      try {
+        attributes[key] = JSON.stringify(value);
+      } catch (error) {
+        attributes[key] = String(value);
+      }
+    }
+  });
+  return attributes;
+}
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Client metrics: names, the hook interface and an OpenTelemetry adapter
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * Metrics reported by the clients, following OpenTelemetry naming
+ * @type {Object<string, {name: string, kind: string, unit: string, description: string}>}
+ */
+export const METRICS = {
+  messagesSent: {
+    name: 'websocket.client.messages.sent',
+    kind: 'counter',
+    unit: '{message}',
+    description: 'Frames sent, including heartbeats'
+  },
+  messagesReceived: {
+    name: 'websocket.client.messages.received',
+    kind: 'counter',
+    unit: '{message}',
+    description: 'Frames received, including heartbeats'
+  },
+  bytesSent: {
+    name: 'websocket.client.bytes.sent',
+    kind: 'counter',
+    unit: 'By',
+    description: 'Bytes sent, UTF-8 encoded for text frames'
+  },
+  bytesReceived: {
+    name: 'websocket.client.bytes.received',
+    kind: 'counter',
+    unit: 'By',
+    description: 'Bytes received, UTF-8 encoded for text frames'
+  },
+  queueDepth: {
+    name: 'websocket.client.queue.depth',
+    kind: 'gauge',
+    unit: '{message}',
+    description: 'Messages waiting in the send queue or for an acknowledgement'
+  },
+  reconnects: {
+    name: 'websocket.client.reconnects',
+    kind: 'counter',
+    unit: '{reconnect}',
+    description: 'Reconnect attempts'
+  },
+  connectDuration: {
+    name: 'websocket.client.connect.duration',
+    kind: 'histogram',
+    unit: 'ms',
+    description: 'Time from starting a connection attempt until the socket opened'
+  },
+  pingRtt: {
+    name: 'websocket.client.ping.rtt',
+    kind: 'histogram',
+    unit: 'ms',
+    description: 'Round-trip time of heartbeat pings'
+  }
+};
+
+/**
+ * Receives client metrics. Every method is optional; attributes carry e.g. `{ url }`.
+ * @typedef {Object} MetricsHook
+ * @property {function(string, number, Object): void} increment - Add to a counter
+ * @property {function(string, number, Object): void} record - Record a histogram value
+ * @property {function(string, number, Object): void} gauge - Set a gauge to its current value
+ */
+
+/**
+ * Wrap a metrics hook so that the clients can call every method unconditionally and a failing
+ * hook can't break the connection
+ * @param {MetricsHook} hook - Hook
+ * @returns {MetricsHook} Hook with all three methods
+ */
+export function resolveMetrics(hook) {
+  const method = (name) => {
+    if (!hook || typeof hook[name] !== 'function') {
+      return () => {};
+    }
+    return (metric, value, attributes) => {
+      try {
+        hook[name](metric, value, attributes);
+      } catch (error) {
+        // Metrics are best effort
+      }
+    };
+  };
+  return { increment: method('increment'), record: method('record'), gauge: method('gauge') };
+}
+
+/**
+ * Create a metrics hook that reports to an OpenTelemetry meter. Instruments are created on first
+ * use; gauges use `meter.createGauge()` where the API has it and an observable gauge otherwise.
+ * @param {Object} meter - Meter from `metrics.getMeter()` of @opentelemetry/api
+ * @returns {MetricsHook} Hook
+ */
+export function createOpenTelemetryMetrics(meter) {
+  const instruments = new Map();
+  const describe = name => Object.keys(METRICS).map(key => METRICS[key]).find(metric => metric.name === name) || {};
+
+  const instrument = (name, create) => {
+    if (!instruments.has(name)) {
+      const { unit, description } = describe(name);
+      instruments.set(name, create(name, { unit, description }));
+    }
+    return instruments.get(name);
+  };
+
+  const createGauge = (name, options) => {
+    if (typeof meter.createGauge === 'function') {
+      return meter.createGauge(name, options);
+    }
+    // Older APIs only have observable gauges: report the last value per attribute set
+    const values = new Map();
+    meter.createObservableGauge(name, options).addCallback((result) => {
+      values.forEach(({ value, attributes }) => result.observe(value, attributes));
+    });
+    return {
+      record: (value, attributes) => values.set(JSON.stringify(attributes || {}), { value, attributes })
+    };
+  };
+
+  return {
+    increment: (name, value, attributes) => {
+      instrument(name, (n, options) => meter.createCounter(n, options)).add(value, attributes);
+    },
+    record: (name, value, attributes) => {
+      instrument(name, (n, options) => meter.createHistogram(n, options)).record(value, attributes);
+    },
+    gauge: (name, value, attributes) => {
+      instrument(name, createGauge).record(value, attributes);
+    }
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Middleware composition for the inbound and outbound message pipelines
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * Middleware receives the message context and a `next` function that runs the rest of the
+ * pipeline. It may change the context before or after calling `next`, await anything in
+ * between, or skip `next` to drop the message.
+ * @typedef {function(Object, function(): Promise<void>): (void|Promise<void>)} Middleware
+ */
+
+/**
+ * Compose middleware into a single function, Koa style
+ * @param {Middleware[]} middleware - Middleware in the order they run
+ * @returns {function(Object, Function): Promise<void>} `(context, last) => Promise` running every
+ *   middleware and then `last`, the terminal step
+ */
+export function compose(middleware) {
+  return (context, last) => {
+    let index = -1;
+
+    const dispatch = (i) => {
+      if (i <= index) {
+        return Promise.reject(new Error('next() called multiple times in one middleware'));
+      }
+      index = i;
+
+      const fn = i === middleware.length ? last : middleware[i];
+      if (!fn) {
+        return Promise.resolve();
+      }
+
+      try {
+        return Promise.resolve(fn(context, () => dispatch(i + 1)));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    return dispatch(0);
+  };
+}
+
+/**
+ * Normalize a use() argument into per-direction middleware
+ * @param {Middleware|{incoming: Middleware, outgoing: Middleware}} middleware - A function for both
+ *   directions, or an object with `incoming` and/or `outgoing` functions
+ * @returns {{incoming: Middleware|null, outgoing: Middleware|null}} Middleware per direction
+ * @throws {Error} When the argument is neither
+ */
+export function splitMiddleware(middleware) {
+  if (typeof middleware === 'function') {
+    return { incoming: middleware, outgoing: middleware };
+  }
+
+  if (middleware && (typeof middleware.incoming === 'function' || typeof middleware.outgoing === 'function')) {
+    return {
+      incoming: typeof middleware.incoming === 'function' ? middleware.incoming.bind(middleware) : null,
+      outgoing: typeof middleware.outgoing === 'function' ? middleware.outgoing.bind(middleware) : null
+    };
+  }
+
+  throw new Error('Invalid middleware. Pass a function (context, next) or an object with incoming() and/or outgoing().');
+}
@@ -0,0 +1,290 @@
+/**
+ * @fileoverview AWS API Gateway WebSocket API adapter (connection lifetime, idle timeout, payload limits)
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { byteLength } from '../codecs.js';
+
+/**
+ * Service quotas of API Gateway WebSocket APIs
+ * @type {Object}
+ * @private
+ */
+const LIMITS = {
+  maxConnectionDuration: 2 * 60 * 60 * 1000,
+  idleTimeout: 10 * 60 * 1000,
+  maxFrameSize: 32 * 1024,
+  maxMessageSize: 128 * 1024
+};
+
+/**
+ * Bytes reserved for the chunk envelope around each slice
+ * @type {number}
+ * @private
+ */
+const CHUNK_OVERHEAD = 256;
+
+/**
+ * Parse a JSON frame, returning null for anything else
+ * @param {string} data - Frame
+ * @returns {Object|null} Parsed frame
+ * @private
+ */
+function parseFrame(data) {
+  try {
+    const parsed = JSON.parse(data);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Adapts a WebSocketClient to API Gateway WebSocket APIs. Enable it with `protocol: 'apiGateway'`.
+ * Messages keep the `{ action, data }` envelope, so `emit(action, data)` is routed by a
+ * `$request.body.action` route selection expression.
+ * @class ApiGatewayProtocol
+ */
+export class ApiGatewayProtocol {
+  /**
+   * Create a new API Gateway adapter
+   * @param {WebSocketClient} client - Client the adapter is attached to
+   * @param {Object} options - API Gateway options (`options.apiGateway` on the client)
+   * @param {number} options.maxConnectionDuration - Connection lifetime enforced by API Gateway in milliseconds (default: 2 hours)
+   * @param {number} options.refreshBefore - Milliseconds before the lifetime ends to reconnect (default: 5 minutes)
+   * @param {number} options.heartbeatInterval - Milliseconds between heartbeats; keep it under the 10-minute idle timeout.
+   *   The client's `pingInterval` takes precedence when set (default: 9 minutes)
+   * @param {string} options.pingAction - Route the heartbeat is sent to (default: 'ping')
+   * @param {string} options.pongAction - Event/action of heartbeat replies, if the route answers (default: 'pong')
+   * @param {string} options.handshakeAction - Route called after connecting whose reply carries `connectionId` (default: none)
+   * @param {number} options.maxFrameSize - Largest frame API Gateway accepts in bytes (default: 32 KB)
+   * @param {number} options.maxMessageSize - Largest message API Gateway accepts in bytes (default: 128 KB)
+   * @param {number} options.maxChunks - Most chunks an inbound chunked message may have (default: 1024)
+   * @param {number} options.chunkTimeout - Milliseconds to wait for the rest of a chunked message before
+   *   discarding it (default: 60000)
+   */
+  constructor(client, options = {}) {
+    this.name = 'apiGateway';
+    this.client = client;
+    this.options = {
+      maxConnectionDuration: LIMITS.maxConnectionDuration,
+      refreshBefore: 5 * 60 * 1000,
+      heartbeatInterval: LIMITS.idleTimeout - 60 * 1000,
+      pingAction: 'ping',
+      pongAction: 'pong',
+      handshakeAction: null,
+      maxFrameSize: LIMITS.maxFrameSize,
+      maxMessageSize: LIMITS.maxMessageSize,
+      maxChunks: 1024,
+      chunkTimeout: 60 * 1000,
+      ...options
+    };
+    this.lifetimeTimer = null;
+    this.chunks = new Map();
+    this.lastChunkId = 0;
+
+    // Heartbeats only need to beat the idle timeout; every ping is a billed message
+    if (!client.pingIntervalSet) {
+      client.options.pingInterval = this.options.heartbeatInterval / 1000;
+    }
+  }
+
+  /**
+   * Schedule the proactive reconnect and request the connection ID
+   */
+  onOpen() {
+    clearTimeout(this.lifetimeTimer);
+    const delay = Math.max(0, this.options.maxConnectionDuration - this.options.refreshBefore);
+    this.lifetimeTimer = setTimeout(() => {
+      this.lifetimeTimer = null;
+      this.client.dispatchCustomEvent('apigateway:connection_refresh', {
+        connectionId: this.client.connectionId,
+        maxConnectionDuration: this.options.maxConnectionDuration
+      });
+      this.client.refreshConnection('Connection lifetime');
+    }, delay);
+
+    if (this.options.handshakeAction) {
+      this.client.sendMessage({ action: this.options.handshakeAction });
+    }
+  }
+
+  /**
+   * Forget per-connection state
+   */
+  onClose() {
+    clearTimeout(this.lifetimeTimer);
+    this.lifetimeTimer = null;
+    this.clearChunks();
+    this.client.setConnectionId(null);
+  }
+
+  /**
+   * Handle heartbeat replies, handshake replies, gateway errors and chunked messages
+   * @param {Object} message - Decoded message
+   * @returns {boolean} Whether the message was handled
+   */
+  onMessage(message) {
+    if (!message || typeof message !== 'object') {
+      return false;
+    }
+
+    if (message.chunk) {
+      this.handleChunk(message);
+      return true;
+    }
+
+    const type = message.event || message.action;
+
+    if (type && type === this.options.pongAction) {
+      this.client.recordPong();
+      this.client.dispatchCustomEvent('Pong', { data: 'Pong' });
+      return true;
+    }
+
+    if (type && type === this.options.handshakeAction) {
+      const data = message.data || message.body || message;
+      if (data.connectionId) {
+        this.client.setConnectionId(data.connectionId);
+        this.client.dispatchCustomEvent('apigateway:handshake', { connectionId: data.connectionId, data });
+      }
+      return true;
+    }
+
+    // Gateway errors ("Forbidden", "Internal server error") carry no route, only IDs
+    if (!type && typeof message.message === 'string' && message.requestId) {
+      this.client.log('API Gateway error', message, 'warn');
+      this.client.dispatchCustomEvent('apigateway:error', message);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Send a heartbeat to the ping route
+   */
+  ping() {
+    this.client.sendMessage({ action: this.options.pingAction });
+  }
+
+  /**
+   * Split frames over the size limit into chunk messages routed by the original action:
+   * `{ action, chunk: { id, index, count }, data: '<slice of the encoded frame>' }`.
+   * The receiving route joins the `data` slices in index order and decodes the result.
+   * @param {string|ArrayBuffer|ArrayBufferView} data - Encoded frame
+   * @returns {Array} Frames to send
+   */
+  splitFrame(data) {
+    const limit = Math.min(this.options.maxFrameSize, this.options.maxMessageSize);
+    if (byteLength(data) <= limit) {
+      return [data];
+    }
+
+    if (typeof data !== 'string') {
+      this.client.log('Binary frame exceeds the API Gateway frame size and may be rejected', { size: byteLength(data), limit }, 'warn');
+      return [data];
+    }
+
+    const frame = parseFrame(data);
+    const action = frame && frame.action ? frame.action : '$default';
+    const budget = limit - CHUNK_OVERHEAD - byteLength(action);
+    const slices = [];
+    let offset = 0;
+
+    while (offset < data.length) {
+      let size = Math.min(budget, data.length - offset);
+      let encodedSize = byteLength(JSON.stringify(data.slice(offset, offset + size)));
+
+      // Multi-byte characters and JSON escaping grow the slice, so shrink it until it fits
+      while (encodedSize > budget) {
+        size = Math.max(1, Math.floor(size * budget / encodedSize) - 1);
+        encodedSize = byteLength(JSON.stringify(data.slice(offset, offset + size)));
+      }
+
+      // Keep surrogate pairs together
+      const last = data.charCodeAt(offset + size - 1);
+      if (size > 1 && last >= 0xD800 && last <= 0xDBFF) {
+        size--;
+      }
+
+      slices.push(data.slice(offset, offset + size));
+      offset += size;
+    }
+
+    this.lastChunkId++;
+    const id = `${Date.now().toString(36)}-${this.lastChunkId}`;
+    this.client.log('Frame split for API Gateway', { id, size: byteLength(data), chunks: slices.length });
+
+    return slices.map((slice, index) => JSON.stringify({
+      action,
+      chunk: { id, index, count: slices.length },
+      data: slice
+    }));
+  }
+
+  /**
+   * Collect an inbound chunk and route the joined frame once every chunk has arrived.
+   * Malformed chunks are dropped, and so are chunked messages not complete within `chunkTimeout`.
+   * @param {Object} message - Chunk message
+   * @private
+   */
+  handleChunk(message) {
+    const { id, index, count } = message.chunk;
+    const valid = (typeof id === 'string' || typeof id === 'number')
+      && Number.isInteger(count) && count > 0 && count <= this.options.maxChunks
+      && Number.isInteger(index) && index >= 0 && index < count
+      && typeof message.data === 'string';
+    const entry = valid ? this.chunks.get(id) : null;
+
+    if (!valid || (entry && entry.parts.length !== count)) {
+      this.client.log('Invalid chunk dropped', { chunk: message.chunk }, 'warn');
+      return;
+    }
+
+    if (!entry) {
+      this.chunks.set(id, {
+        parts: new Array(count),
+        received: 0,
+        timer: setTimeout(() => {
+          this.chunks.delete(id);
+          this.client.log('Incomplete chunked message discarded', { id, count }, 'warn');
+        }, this.options.chunkTimeout)
+      });
+    }
+
+    const chunked = this.chunks.get(id);
+    if (chunked.parts[index] === undefined) {
+      chunked.parts[index] = message.data;
+      chunked.received++;
+    }
+
+    if (chunked.received === count) {
+      clearTimeout(chunked.timer);
+      this.chunks.delete(id);
+      // The chunks were already recorded and counted as received frames, so skip straight to decoding
+      this.client.routeMessage(this.client.decodeFrame(chunked.parts.join('')));
+    }
+  }
+
+  /**
+   * Discard buffered chunks
+   * @private
+   */
+  clearChunks() {
+    this.chunks.forEach(entry => clearTimeout(entry.timer));
+    this.chunks.clear();
+  }
+
+  /**
+   * Release timers and buffered chunks
+   */
+  destroy() {
+    clearTimeout(this.lifetimeTimer);
+    this.lifetimeTimer = null;
+    this.clearChunks();
+  }
+}
+
+export default ApiGatewayProtocol;
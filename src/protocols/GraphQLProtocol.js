@@ -0,0 +1,504 @@
+/**
+ * @fileoverview GraphQL over WebSocket adapter (the graphql-transport-ws subprotocol of graphql-ws)
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { observableSymbol } from '../streams.js';
+
+/**
+ * Message types of the graphql-transport-ws protocol
+ * @type {string[]}
+ * @private
+ */
+const MESSAGE_TYPES = [
+  'connection_init',
+  'connection_ack',
+  'ping',
+  'pong',
+  'subscribe',
+  'next',
+  'error',
+  'complete'
+];
+
+/**
+ * Turn `observer`, or `next, error, complete` callbacks, into an observer object
+ * @private
+ */
+function toObserver(observerOrNext, error, complete) {
+  if (typeof observerOrNext === 'function' || observerOrNext === undefined) {
+    return { next: observerOrNext, error, complete };
+  }
+  return observerOrNext;
+}
+
+/**
+ * A GraphQL operation running over the socket. It is both an observable, for RxJS and friends,
+ * and an async iterable, for `for await`. Results go to every current observer; the operation is
+ * completed on the server once its last observer unsubscribes.
+ * @class GraphQLOperation
+ */
+export class GraphQLOperation {
+  /**
+   * Create an operation
+   * @param {GraphQLProtocol} adapter - Adapter the operation runs on
+   * @param {string} id - Operation ID
+   * @param {Object} payload - `{ query, variables?, operationName?, extensions? }`
+   */
+  constructor(adapter, id, payload) {
+    this.adapter = adapter;
+    this.id = id;
+    this.payload = payload;
+    this.observers = new Set();
+    this.closed = false;
+    this.failure = null;
+    // Results that arrive before the first observer attaches, delivered to it
+    this.buffered = [];
+  }
+
+  /**
+   * Observe results. The first observer also gets the results that arrived before it.
+   * @param {Object|Function} observerOrNext - `{ next, error, complete }` or the `next` callback
+   * @param {Function} error - Called with an Error carrying the GraphQL `errors` (optional)
+   * @param {Function} complete - Called when the server completes the operation (optional)
+   * @returns {{unsubscribe: Function, closed: boolean}} Subscription
+   */
+  subscribe(observerOrNext, error, complete) {
+    const observer = toObserver(observerOrNext, error, complete);
+    const subscription = {
+      closed: false,
+      unsubscribe: () => {
+        if (subscription.closed) {
+          return;
+        }
+        subscription.closed = true;
+        this.observers.delete(observer);
+        if (this.observers.size === 0) {
+          this.unsubscribe();
+        }
+      }
+    };
+
+    const buffered = this.buffered;
+    this.buffered = null;
+
+    if (this.closed) {
+      subscription.closed = true;
+      if (buffered && observer.next) {
+        buffered.forEach(result => observer.next(result));
+      }
+      if (this.failure) {
+        if (observer.error) observer.error(this.failure);
+      } else if (observer.complete) {
+        observer.complete();
+      }
+      return subscription;
+    }
+
+    this.observers.add(observer);
+    if (buffered && observer.next) {
+      buffered.forEach((result) => {
+        if (!subscription.closed) {
+          observer.next(result);
+        }
+      });
+    }
+    return subscription;
+  }
+
+  /**
+   * Interop with Observable libraries, e.g. `from(operation)` in RxJS
+   * @returns {GraphQLOperation} This operation
+   */
+  [observableSymbol]() {
+    return this;
+  }
+
+  /**
+   * Iterate over results with `for await`. Leaving the loop unsubscribes; a GraphQL error is thrown.
+   * @returns {AsyncIterator<Object>} Iterator of execution results
+   */
+  [Symbol.asyncIterator]() {
+    const results = [];
+    const waiting = [];
+    let done = false;
+    let failure = null;
+
+    const subscription = this.subscribe({
+      next: (result) => {
+        if (waiting.length > 0) {
+          waiting.shift().resolve({ value: result, done: false });
+        } else {
+          results.push(result);
+        }
+      },
+      error: (error) => {
+        if (waiting.length > 0) {
+          done = true;
+          waiting.splice(0).forEach(({ reject }) => reject(error));
+        } else {
+          failure = error;
+        }
+      },
+      complete: () => {
+        done = true;
+        waiting.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+      }
+    });
+
+    const iterator = {
+      next: () => {
+        if (results.length > 0) {
+          return Promise.resolve({ value: results.shift(), done: false });
+        }
+        if (failure) {
+          const error = failure;
+          failure = null;
+          done = true;
+          return Promise.reject(error);
+        }
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+      },
+      return: () => {
+        done = true;
+        subscription.unsubscribe();
+        waiting.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return iterator;
+      }
+    };
+
+    return iterator;
+  }
+
+  /**
+   * Stop the operation and tell the server
+   */
+  unsubscribe() {
+    if (this.closed) {
+      return;
+    }
+    this.adapter.complete(this);
+    this.finish();
+  }
+
+  /**
+   * @private
+   */
+  emit(result) {
+    if (this.buffered) {
+      this.buffered.push(result);
+      return;
+    }
+    this.observers.forEach(observer => observer.next && observer.next(result));
+  }
+
+  /**
+   * @private
+   */
+  finish(error) {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    this.failure = error || null;
+    const observers = Array.from(this.observers);
+    this.observers.clear();
+    observers.forEach((observer) => {
+      if (error) {
+        if (observer.error) observer.error(error);
+      } else if (observer.complete) {
+        observer.complete();
+      }
+    });
+  }
+}
+
+/**
+ * Speaks graphql-transport-ws, the protocol of the `graphql-ws` library, on top of a WebSocketClient.
+ * Enable it with `protocol: 'graphql'`; the client then connects with the `graphql-transport-ws` subprotocol.
+ * @class GraphQLProtocol
+ */
+export class GraphQLProtocol {
+  /**
+   * Create a new GraphQL adapter
+   * @param {WebSocketClient} client - Client the adapter is attached to
+   * @param {Object} options - GraphQL options (`options.graphql` on the client)
+   * @param {Object|Function} options.connectionParams - `connection_init` payload, or a (possibly async)
+   *   function returning it, called before every connection
+   * @param {number} options.ackTimeout - Milliseconds to wait for `connection_ack` before reconnecting (default: 10000)
+   */
+  constructor(client, options = {}) {
+    this.name = 'graphql';
+    this.subprotocols = ['graphql-transport-ws'];
+    this.client = client;
+    this.options = {
+      ackTimeout: 10000,
+      ...options
+    };
+    this.operations = new Map();
+    this.lastId = 0;
+    this.acknowledged = false;
+    this.ackTimer = null;
+    this.connection = 0;
+  }
+
+  /**
+   * Start a GraphQL operation, usually a subscription. It is sent once the connection is
+   * acknowledged and sent again after every reconnect until it completes.
+   * @param {Object|string} operation - `{ query, variables?, operationName?, extensions? }`, or the query
+   * @param {Object} params - `{ variables?, operationName?, extensions? }` when `operation` is the query
+   * @returns {GraphQLOperation} Operation; observe it or iterate it with `for await`
+   */
+  subscribe(operation, params = {}) {
+    const payload = typeof operation === 'string' ? { ...params, query: operation } : operation;
+    if (!payload || typeof payload.query !== 'string') {
+      throw new Error('A GraphQL operation needs a query string.');
+    }
+
+    this.lastId++;
+    const entry = new GraphQLOperation(this, String(this.lastId), payload);
+    this.operations.set(entry.id, entry);
+
+    if (this.acknowledged) {
+      this.sendSubscribe(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Complete every operation running a query (used by client.unsubscribe())
+   * @param {string} query - Query string
+   */
+  unsubscribe(query) {
+    this.operations.forEach((operation) => {
+      if (operation.payload.query === query) {
+        operation.unsubscribe();
+      }
+    });
+  }
+
+  /**
+   * Get the running operations
+   * @returns {GraphQLOperation[]} Operations
+   */
+  getOperations() {
+    return Array.from(this.operations.values());
+  }
+
+  /**
+   * Send `connection_init` and wait for the acknowledgement. It is sent straight away unless
+   * `connectionParams` returns a promise; the client's queue is held until the acknowledgement.
+   */
+  onOpen() {
+    this.acknowledged = false;
+    this.connection++;
+    const connection = this.connection;
+    const { connectionParams } = this.options;
+    let params;
+
+    try {
+      params = typeof connectionParams === 'function' ? connectionParams() : connectionParams;
+    } catch (error) {
+      this.handleParamsError(error);
+      return;
+    }
+
+    if (!params || typeof params.then !== 'function') {
+      this.sendInit(params);
+      return;
+    }
+
+    params.then((resolved) => {
+      if (connection === this.connection && this.client.open) {
+        this.sendInit(resolved);
+      }
+    }, error => this.handleParamsError(error));
+  }
+
+  /**
+   * Hold the client's queue until the connection is acknowledged
+   * @returns {boolean} Whether the queue is held
+   */
+  holdsQueue() {
+    return !this.acknowledged;
+  }
+
+  /**
+   * Forget the acknowledgement; operations are sent again after the next one
+   */
+  onClose() {
+    this.acknowledged = false;
+    this.connection++;
+    clearTimeout(this.ackTimer);
+    this.ackTimer = null;
+  }
+
+  /**
+   * Handle graphql-transport-ws messages
+   * @param {Object} message - Decoded message
+   * @returns {boolean} Whether the message was handled
+   */
+  onMessage(message) {
+    if (!message || typeof message !== 'object' || MESSAGE_TYPES.indexOf(message.type) === -1) {
+      return false;
+    }
+
+    const operation = message.id !== undefined ? this.operations.get(message.id) : undefined;
+
+    switch (message.type) {
+      case 'connection_ack':
+        this.handleAck(message.payload);
+        break;
+      case 'ping':
+        this.client.sendMessage(message.payload === undefined ? { type: 'pong' } : { type: 'pong', payload: message.payload });
+        break;
+      case 'pong':
+        this.client.recordPong();
+        this.client.dispatchCustomEvent('Pong', { data: 'Pong' });
+        break;
+      case 'next':
+        if (operation) {
+          operation.emit(message.payload);
+        }
+        break;
+      case 'error':
+        if (operation) {
+          this.operations.delete(operation.id);
+          operation.finish(this.createError(operation, message.payload));
+          this.client.dispatchCustomEvent('graphql:error', { id: operation.id, errors: message.payload });
+        }
+        break;
+      case 'complete':
+        if (operation) {
+          this.operations.delete(operation.id);
+          operation.finish();
+        }
+        break;
+      default:
+        this.client.log('Unexpected GraphQL message', message, 'warn');
+    }
+
+    return true;
+  }
+
+  /**
+   * Send a graphql-transport-ws ping; skipped until the connection is acknowledged
+   */
+  ping() {
+    if (this.acknowledged) {
+      this.client.sendMessage({ type: 'ping' });
+    }
+  }
+
+  /**
+   * Tell the server to stop an operation
+   * @param {GraphQLOperation} operation - Operation
+   * @private
+   */
+  complete(operation) {
+    this.operations.delete(operation.id);
+    if (this.acknowledged) {
+      this.client.sendMessage({ id: operation.id, type: 'complete' });
+    }
+  }
+
+  /**
+   * Send `connection_init`. It has to be the first frame, so like the client's auth frame it
+   * skips the held queue and the outgoing middleware.
+   * @param {Object} params - Resolved `connectionParams`
+   * @private
+   */
+  sendInit(params) {
+    const message = { type: 'connection_init' };
+    if (params !== undefined && params !== null) {
+      message.payload = params;
+    }
+    this.client.transmit(this.client.codec.encode(message));
+    this.startAckTimer();
+  }
+
+  /**
+   * Report `connectionParams` that threw or rejected
+   * @param {Error} error - Error
+   * @private
+   */
+  handleParamsError(error) {
+    this.client.log('Failed to resolve GraphQL connectionParams', { error }, 'warn');
+    this.client.dispatchCustomEvent('graphql:error', { error });
+  }
+
+  /**
+   * Mark the connection usable, (re-)send every running operation and then the queued messages
+   * @private
+   */
+  handleAck(payload) {
+    clearTimeout(this.ackTimer);
+    this.ackTimer = null;
+    this.acknowledged = true;
+    this.client.dispatchCustomEvent('graphql:connection_ack', { payload });
+    this.client.log('GraphQL connection acknowledged', { operations: this.operations.size });
+
+    this.operations.forEach(operation => this.sendSubscribe(operation));
+    this.client.flushMessageQueue();
+  }
+
+  /**
+   * Reconnect when the server doesn't acknowledge the connection in time
+   * @private
+   */
+  startAckTimer() {
+    clearTimeout(this.ackTimer);
+    if (!this.options.ackTimeout) {
+      return;
+    }
+
+    this.ackTimer = setTimeout(() => {
+      this.ackTimer = null;
+      this.client.log('GraphQL connection acknowledgement timed out', { timeout: this.options.ackTimeout }, 'warn');
+      this.client.socket.reconnect(4504, 'Connection acknowledgement timeout');
+    }, this.options.ackTimeout);
+  }
+
+  /**
+   * @private
+   */
+  sendSubscribe(operation) {
+    this.client.sendMessage({ id: operation.id, type: 'subscribe', payload: operation.payload });
+  }
+
+  /**
+   * Build the Error passed to observers for an `error` message
+   * @param {GraphQLOperation} operation - Operation
+   * @param {Array} errors - GraphQL errors
+   * @returns {Error} Error with `errors`
+   * @private
+   */
+  createError(operation, errors) {
+    const list = Array.isArray(errors) ? errors : [errors];
+    const name = operation.payload.operationName || operation.id;
+    const error = new Error(`GraphQL operation "${name}" failed: ${list.map(item => (item && item.message) || String(item)).join('; ')}`);
+    error.errors = list;
+    return error;
+  }
+
+  /**
+   * Complete every operation locally and release timers
+   */
+  destroy() {
+    clearTimeout(this.ackTimer);
+    this.ackTimer = null;
+    const operations = Array.from(this.operations.values());
+    this.operations.clear();
+    operations.forEach(operation => operation.finish());
+  }
+}
+
+export default GraphQLProtocol;
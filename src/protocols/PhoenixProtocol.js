@@ -0,0 +1,520 @@
+/**
+ * @fileoverview Phoenix Channels protocol adapter (Elixir Phoenix sockets, serializer 2.0.0)
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { createPhoenixEnvelope } from '../envelopes.js';
+import { ReconnectPolicy } from '../ReconnectPolicy.js';
+
+/**
+ * Channel lifecycle events sent and received by Phoenix
+ * @type {Object}
+ * @private
+ */
+const EVENTS = {
+  join: 'phx_join',
+  leave: 'phx_leave',
+  reply: 'phx_reply',
+  error: 'phx_error',
+  close: 'phx_close'
+};
+
+/**
+ * A Phoenix channel: one topic joined over the shared socket. Create it with
+ * `client.protocol.channel(topic, params)`.
+ * @class PhoenixChannel
+ */
+export class PhoenixChannel {
+  /**
+   * Create a channel
+   * @param {PhoenixProtocol} adapter - Adapter the channel belongs to
+   * @param {string} topic - Topic, e.g. 'room:lobby'
+   * @param {Object|Function} params - Join params, or a function returning them for each (re)join
+   */
+  constructor(adapter, topic, params = {}) {
+    this.adapter = adapter;
+    this.topic = topic;
+    this.params = params;
+    this.state = 'closed';
+    this.joinRef = null;
+    this.joinedOnce = false;
+    this.joined = null;
+    this.settleJoin = null;
+    this.rejoinAttempts = 0;
+    this.rejoinTimer = null;
+    this.bindings = new Map();
+    this.buffer = [];
+  }
+
+  /**
+   * Join the channel. After a failed attempt, a server crash (`phx_error`) or a reconnect the
+   * channel rejoins by itself, with backoff between failed attempts, until leave() is called.
+   * @param {number} timeout - Milliseconds to wait for each join reply (default: the adapter's timeout)
+   * @returns {Promise<*>} Resolves with the join response; rejects when the first attempt fails or times out
+   * @throws {Error} When join() was already called on this channel
+   */
+  join(timeout = this.adapter.options.timeout) {
+    if (this.joinedOnce) {
+      throw new Error(`Tried to join "${this.topic}" multiple times. join() can only be called once per channel.`);
+    }
+
+    this.joinedOnce = true;
+    this.joinTimeout = timeout;
+    this.state = 'joining';
+    this.joined = new Promise((resolve, reject) => {
+      this.settleJoin = { resolve, reject };
+    });
+    // Callers that never await the join shouldn't trigger unhandled rejections
+    this.joined.catch(() => {});
+
+    this.rejoin();
+    return this.joined;
+  }
+
+  /**
+   * Push an event to the channel and wait for the server's reply. Pushes made before the channel
+   * is joined are buffered and sent once it is.
+   * @param {string} event - Event name
+   * @param {Object} payload - Payload (default: {})
+   * @param {number} timeout - Milliseconds to wait for the reply once sent (default: the adapter's timeout)
+   * @returns {Promise<*>} Resolves with the reply's `response` when its status is 'ok'; rejects with an
+   *   Error carrying `status` and `response` otherwise, on timeout, or when the connection closes
+   * @throws {Error} When the channel was never joined
+   */
+  push(event, payload = {}, timeout = this.adapter.options.timeout) {
+    if (!this.joinedOnce) {
+      throw new Error(`Tried to push "${event}" to "${this.topic}" before joining. Call join() first.`);
+    }
+
+    if (this.state !== 'joined' || !this.adapter.client.open) {
+      return new Promise((resolve, reject) => {
+        this.buffer.push({ event, payload, timeout, resolve, reject });
+      });
+    }
+
+    return this.adapter.push(this, event, payload, timeout);
+  }
+
+  /**
+   * Leave the channel and stop rejoining it
+   * @param {number} timeout - Milliseconds to wait for the leave reply (default: the adapter's timeout)
+   * @returns {Promise<void>} Resolves once the server replied or the timeout elapsed
+   */
+  leave(timeout = this.adapter.options.timeout) {
+    clearTimeout(this.rejoinTimer);
+    this.rejoinTimer = null;
+
+    const wasJoined = this.state === 'joined' || this.state === 'joining';
+    this.state = 'leaving';
+    this.rejectBuffer(new Error(`Left channel "${this.topic}"`));
+    this.adapter.remove(this);
+
+    const close = () => {
+      this.state = 'closed';
+      this.adapter.client.dispatchCustomEvent('phoenix:leave', { topic: this.topic });
+      this.adapter.client.log('Phoenix channel left', { topic: this.topic });
+    };
+
+    if (!wasJoined || !this.adapter.client.open) {
+      close();
+      return Promise.resolve();
+    }
+
+    return this.adapter.push(this, EVENTS.leave, {}, timeout).then(close, close);
+  }
+
+  /**
+   * Listen for an event on this channel
+   * @param {string} event - Event name
+   * @param {Function} callback - Called with the payload and the raw message
+   */
+  on(event, callback) {
+    if (!this.bindings.has(event)) {
+      this.bindings.set(event, []);
+    }
+    this.bindings.get(event).push(callback);
+  }
+
+  /**
+   * Stop listening for an event on this channel
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback to remove; all callbacks for the event when omitted
+   */
+  off(event, callback) {
+    if (!callback) {
+      this.bindings.delete(event);
+      return;
+    }
+
+    const callbacks = this.bindings.get(event) || [];
+    const index = callbacks.indexOf(callback);
+    if (index > -1) {
+      callbacks.splice(index, 1);
+    }
+  }
+
+  /**
+   * Send a join and handle its reply
+   * @private
+   */
+  rejoin() {
+    clearTimeout(this.rejoinTimer);
+    this.rejoinTimer = null;
+
+    // Without a connection the channel joins from onOpen()
+    if (this.state === 'leaving' || this.state === 'closed' || !this.adapter.client.open) {
+      return;
+    }
+
+    this.state = 'joining';
+    this.joinRef = this.adapter.makeRef();
+    const params = typeof this.params === 'function' ? this.params() : this.params;
+    const joinRef = this.joinRef;
+
+    this.adapter.push(this, EVENTS.join, params, this.joinTimeout, joinRef).then((response) => {
+      if (joinRef !== this.joinRef || this.state !== 'joining') {
+        return;
+      }
+
+      this.state = 'joined';
+      this.rejoinAttempts = 0;
+      this.flushBuffer();
+      this.settleJoin.resolve(response);
+      this.adapter.client.dispatchCustomEvent('phoenix:join', { topic: this.topic, response });
+      this.adapter.client.log('Phoenix channel joined', { topic: this.topic });
+    }, (error) => {
+      if (joinRef !== this.joinRef || this.state !== 'joining') {
+        return;
+      }
+
+      this.state = 'errored';
+      this.settleJoin.reject(error);
+      this.adapter.client.dispatchCustomEvent('phoenix:join_error', { topic: this.topic, error });
+      this.adapter.client.log('Phoenix channel join failed', { topic: this.topic, error }, 'warn');
+      this.scheduleRejoin();
+    });
+  }
+
+  /**
+   * Rejoin after a backoff delay
+   * @private
+   */
+  scheduleRejoin() {
+    if (!this.adapter.client.open) {
+      return;
+    }
+
+    this.rejoinAttempts++;
+    const delay = this.adapter.rejoinPolicy.getDelay(this.rejoinAttempts);
+    this.rejoinTimer = setTimeout(() => this.rejoin(), delay);
+    this.adapter.client.log('Phoenix channel rejoin scheduled', { topic: this.topic, attempt: this.rejoinAttempts, delay });
+  }
+
+  /**
+   * Handle a message for this channel
+   * @param {string} event - Event name
+   * @param {*} payload - Payload
+   * @param {Array} message - Raw message
+   * @private
+   */
+  handleMessage(event, payload, message) {
+    if (event === EVENTS.error) {
+      if (this.state === 'joined' || this.state === 'joining') {
+        this.state = 'errored';
+        this.adapter.client.dispatchCustomEvent('phoenix:error', { topic: this.topic, payload });
+        this.adapter.client.log('Phoenix channel crashed', { topic: this.topic }, 'warn');
+        this.scheduleRejoin();
+      }
+      return;
+    }
+
+    if (event === EVENTS.close) {
+      clearTimeout(this.rejoinTimer);
+      this.state = 'closed';
+      this.rejectBuffer(new Error(`Channel "${this.topic}" was closed by the server`));
+      this.adapter.remove(this);
+      this.adapter.client.dispatchCustomEvent('phoenix:close', { topic: this.topic });
+      return;
+    }
+
+    (this.bindings.get(event) || []).slice().forEach(callback => callback(payload, message));
+  }
+
+  /**
+   * Mark the channel for rejoining when the connection drops
+   * @private
+   */
+  handleDisconnect() {
+    clearTimeout(this.rejoinTimer);
+    this.rejoinTimer = null;
+    this.rejoinAttempts = 0;
+    if (this.state === 'joined' || this.state === 'joining') {
+      this.state = 'errored';
+    }
+  }
+
+  /**
+   * Send the pushes buffered while joining
+   * @private
+   */
+  flushBuffer() {
+    const buffer = this.buffer;
+    this.buffer = [];
+    buffer.forEach(({ event, payload, timeout, resolve, reject }) => {
+      this.adapter.push(this, event, payload, timeout).then(resolve, reject);
+    });
+  }
+
+  /**
+   * @private
+   */
+  rejectBuffer(error) {
+    const buffer = this.buffer;
+    this.buffer = [];
+    buffer.forEach(({ reject }) => reject(error));
+  }
+}
+
+/**
+ * Speaks the Phoenix Channels protocol on top of a WebSocketClient.
+ * Enable it with `protocol: 'phoenix'` and connect to `wss://host/socket/websocket?vsn=2.0.0`.
+ * @class PhoenixProtocol
+ */
+export class PhoenixProtocol {
+  /**
+   * Create a new Phoenix adapter
+   * @param {WebSocketClient} client - Client the adapter is attached to
+   * @param {Object} options - Phoenix options (`options.phoenix` on the client)
+   * @param {number} options.timeout - Milliseconds to wait for join, leave and push replies (default: 10000)
+   * @param {Object} options.rejoin - Backoff between failed joins (ReconnectPolicy options; default: 1 to 10 seconds)
+   */
+  constructor(client, options = {}) {
+    this.name = 'phoenix';
+    this.client = client;
+    this.options = {
+      timeout: 10000,
+      ...options
+    };
+    this.rejoinPolicy = new ReconnectPolicy({ minDelay: 1000, maxDelay: 10000, ...this.options.rejoin });
+    this.envelope = createPhoenixEnvelope();
+    this.channels = new Map();
+    this.replies = new Map();
+    this.lastRef = 0;
+    this.heartbeatRef = null;
+  }
+
+  /**
+   * Get the channel for a topic, creating it when needed
+   * @param {string} topic - Topic, e.g. 'room:lobby'
+   * @param {Object|Function} params - Join params, or a function returning them for each (re)join
+   * @returns {PhoenixChannel} Channel
+   */
+  channel(topic, params) {
+    if (!this.channels.has(topic)) {
+      this.channels.set(topic, new PhoenixChannel(this, topic, params));
+    }
+    return this.channels.get(topic);
+  }
+
+  /**
+   * Join a topic (used by client.subscribe())
+   * @param {string} topic - Topic
+   * @param {Object|Function} params - Join params
+   * @returns {Promise<*>} Join response
+   */
+  subscribe(topic, params) {
+    const channel = this.channel(topic, params);
+    return channel.joinedOnce ? channel.joined : channel.join();
+  }
+
+  /**
+   * Leave a topic (used by client.unsubscribe())
+   * @param {string} topic - Topic
+   */
+  unsubscribe(topic) {
+    if (this.channels.has(topic)) {
+      this.channels.get(topic).leave();
+    }
+  }
+
+  /**
+   * Get the topics of the active channels
+   * @returns {string[]} Topics
+   */
+  getChannels() {
+    return Array.from(this.channels.keys());
+  }
+
+  /**
+   * Rejoin every channel on a fresh connection
+   */
+  onOpen() {
+    this.channels.forEach((channel) => {
+      if (channel.state === 'errored' || channel.state === 'joining') {
+        channel.state = 'joining';
+        channel.rejoin();
+      }
+    });
+  }
+
+  /**
+   * Fail outstanding replies and mark channels for rejoining
+   */
+  onClose() {
+    this.heartbeatRef = null;
+    this.rejectReplies(new Error('WebSocket connection closed before a reply was received'));
+    this.channels.forEach(channel => channel.handleDisconnect());
+  }
+
+  /**
+   * Handle Phoenix messages: replies, heartbeat replies and channel events
+   * @param {*} message - Decoded message
+   * @returns {boolean} Whether the message was handled
+   */
+  onMessage(message) {
+    if (!Array.isArray(message) || message.length !== 5) {
+      return false;
+    }
+
+    const { event, payload, meta, error } = this.envelope.decode(message);
+    const { joinRef, ref, topic } = meta;
+
+    if (event === EVENTS.reply && ref !== null && ref === this.heartbeatRef) {
+      this.heartbeatRef = null;
+      this.client.recordPong();
+      this.client.dispatchCustomEvent('Pong', { data: 'Pong' });
+      return true;
+    }
+
+    if (event === EVENTS.reply && this.replies.has(ref)) {
+      this.settleReply(ref, payload, error, meta.status);
+      return true;
+    }
+
+    // Messages from a previous join of the topic are stale
+    const channel = this.channels.get(topic);
+    if (!channel || (joinRef !== null && joinRef !== undefined && joinRef !== channel.joinRef)) {
+      this.client.log('Phoenix message for an unknown or stale channel dropped', { topic, event });
+      return true;
+    }
+
+    channel.handleMessage(event, payload, message);
+    if (event !== EVENTS.error && event !== EVENTS.close && event !== EVENTS.reply) {
+      this.client.dispatchCustomEvent(event, payload);
+      this.client.dispatchCustomEvent('message', { event, topic, data: payload, original: message });
+      this.client.log('Message received', { event, topic, data: payload });
+    }
+
+    return true;
+  }
+
+  /**
+   * Send the `phoenix` heartbeat. Heartbeats are skipped while disconnected.
+   */
+  ping() {
+    if (!this.client.open) {
+      return;
+    }
+
+    this.heartbeatRef = this.makeRef();
+    this.client.sendMessage(this.envelope.encode({
+      event: 'heartbeat',
+      payload: {},
+      meta: { ref: this.heartbeatRef, topic: 'phoenix' }
+    }));
+  }
+
+  /**
+   * Send a message on a channel and wait for its reply
+   * @param {PhoenixChannel} channel - Channel
+   * @param {string} event - Event name
+   * @param {*} payload - Payload
+   * @param {number} timeout - Milliseconds to wait for the reply
+   * @param {string} ref - Message ref (default: a new ref)
+   * @returns {Promise<*>} Reply response
+   * @private
+   */
+  push(channel, event, payload, timeout, ref = this.makeRef()) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.replies.delete(ref);
+        const error = new Error(`Push "${event}" to "${channel.topic}" timed out after ${timeout}ms`);
+        error.status = 'timeout';
+        reject(error);
+      }, timeout);
+
+      this.replies.set(ref, { resolve, reject, timer });
+      this.client.sendMessage(this.envelope.encode({
+        event,
+        payload,
+        meta: { joinRef: channel.joinRef, ref, topic: channel.topic }
+      }));
+    });
+  }
+
+  /**
+   * Settle the push waiting for a reply
+   * @private
+   */
+  settleReply(ref, response, error, status) {
+    const { resolve, reject, timer } = this.replies.get(ref);
+    clearTimeout(timer);
+    this.replies.delete(ref);
+
+    if (error) {
+      const rejection = new Error(error.message);
+      rejection.status = status;
+      rejection.response = response;
+      reject(rejection);
+    } else {
+      resolve(response);
+    }
+  }
+
+  /**
+   * @private
+   */
+  rejectReplies(error) {
+    this.replies.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.replies.clear();
+  }
+
+  /**
+   * Create the next message ref
+   * @returns {string} Ref
+   * @private
+   */
+  makeRef() {
+    this.lastRef++;
+    return String(this.lastRef);
+  }
+
+  /**
+   * Forget a channel
+   * @param {PhoenixChannel} channel - Channel
+   * @private
+   */
+  remove(channel) {
+    if (this.channels.get(channel.topic) === channel) {
+      this.channels.delete(channel.topic);
+    }
+  }
+
+  /**
+   * Release timers, replies and channels
+   */
+  destroy() {
+    this.rejectReplies(new Error('Client destroyed'));
+    this.channels.forEach(channel => {
+      clearTimeout(channel.rejoinTimer);
+      channel.rejectBuffer(new Error('Client destroyed'));
+    });
+    this.channels.clear();
+  }
+}
+
+export default PhoenixProtocol;
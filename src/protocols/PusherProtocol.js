@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Pusher protocol adapter (Pusher Channels, Laravel Reverb, Soketi, Laravel Echo servers)
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * Parse Pusher's JSON-encoded `data` strings, leaving other values untouched
+ * @param {*} data - Message data
+ * @returns {*} Parsed data
+ * @private
+ */
+function parseData(data) {
+  if (typeof data !== 'string') {
+    return data;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+}
+
+/**
+ * Speaks the Pusher WebSocket protocol on top of a WebSocketClient.
+ * Enable it with `protocol: 'pusher'` and connect to `wss://host/app/{key}?protocol=7`.
+ * @class PusherProtocol
+ */
+export class PusherProtocol {
+  /**
+   * Create a new Pusher protocol adapter
+   * @param {WebSocketClient} client - Client the adapter is attached to
+   * @param {Object} options - Pusher options (`options.pusher` on the client)
+   * @param {Function} options.authorizer - `(channel, socketId) => Promise<{auth, channel_data?}>` for private and presence channels
+   * @param {string} options.authEndpoint - Auth URL POSTed `socket_id` and `channel_name`, e.g. Laravel's '/broadcasting/auth'
+   * @param {Object} options.auth - Extra request options for authEndpoint
+   * @param {Object} options.auth.headers - Headers sent to authEndpoint (e.g. CSRF or bearer token)
+   */
+  constructor(client, options = {}) {
+    this.name = 'pusher';
+    this.client = client;
+    this.options = options;
+    this.socketId = null;
+    this.channels = new Map();
+  }
+
+  /**
+   * Handle a decoded message before the client's default routing
+   * @param {Object} message - Decoded message
+   * @returns {boolean} Whether the message was handled
+   */
+  onMessage(message) {
+    if (!message || typeof message.event !== 'string') {
+      return false;
+    }
+
+    const data = parseData(message.data);
+
+    switch (message.event) {
+      case 'pusher:connection_established':
+        this.handleConnectionEstablished(data);
+        break;
+      case 'pusher:ping':
+        this.client.sendMessage({ event: 'pusher:pong', data: {} });
+        this.client.log('Pusher ping answered');
+        break;
+      case 'pusher:pong':
+        this.client.recordPong();
+        this.client.dispatchCustomEvent('Pong', { data: 'Pong' });
+        break;
+      case 'pusher:error':
+        this.client.log('Pusher error', data, 'warn');
+        this.client.dispatchCustomEvent('pusher:error', data);
+        break;
+      case 'pusher_internal:subscription_succeeded':
+        this.handleSubscriptionSucceeded(message.channel, data);
+        break;
+      case 'pusher:subscription_error':
+        this.handleSubscriptionError(message.channel, data);
+        break;
+      case 'pusher_internal:member_added':
+        this.handleMemberAdded(message.channel, data);
+        break;
+      case 'pusher_internal:member_removed':
+        this.handleMemberRemoved(message.channel, data);
+        break;
+      default:
+        this.client.dispatchCustomEvent(message.event, data);
+        this.client.dispatchCustomEvent('message', {
+          event: message.event,
+          channel: message.channel,
+          data,
+          original: message
+        });
+        this.client.log('Message received', { event: message.event, channel: message.channel, data });
+    }
+
+    return true;
+  }
+
+  /**
+   * Forget the socket ID when the connection drops; channels are re-subscribed on the next handshake
+   */
+  onClose() {
+    this.socketId = null;
+    this.channels.forEach(channel => {
+      channel.subscribed = false;
+    });
+  }
+
+  /**
+   * Send a Pusher protocol ping
+   */
+  ping() {
+    this.client.sendMessage({ event: 'pusher:ping', data: {} });
+  }
+
+  /**
+   * Subscribe to a channel. Channels prefixed with `private-` or `presence-` are authorized first.
+   * @param {string} channel - Channel name
+   * @returns {Promise<*>} Resolves with the subscription data (presence members for presence channels)
+   */
+  subscribe(channel) {
+    if (!this.channels.has(channel)) {
+      const entry = { name: channel, subscribed: false, members: new Map() };
+      entry.ready = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+      });
+      // Callers that never await the subscription shouldn't trigger unhandled rejections
+      entry.ready.catch(() => {});
+      this.channels.set(channel, entry);
+
+      if (this.socketId) {
+        this.sendSubscribe(entry);
+      }
+    }
+
+    return this.channels.get(channel).ready;
+  }
+
+  /**
+   * Unsubscribe from a channel
+   * @param {string} channel - Channel name
+   */
+  unsubscribe(channel) {
+    if (!this.channels.has(channel)) {
+      return;
+    }
+
+    this.channels.delete(channel);
+    if (this.socketId) {
+      this.client.sendMessage({ event: 'pusher:unsubscribe', data: { channel } });
+    }
+    this.client.log('Pusher channel unsubscribed', { channel });
+  }
+
+  /**
+   * Trigger a client event on a private or presence channel
+   * @param {string} channel - Channel name
+   * @param {string} event - Event name (prefixed with `client-` when missing)
+   * @param {*} data - Event data
+   */
+  trigger(channel, event, data = {}) {
+    const name = event.indexOf('client-') === 0 ? event : `client-${event}`;
+    this.client.sendMessage({ event: name, channel, data });
+  }
+
+  /**
+   * Get the members of a presence channel
+   * @param {string} channel - Presence channel name
+   * @returns {Object} Map of user ID to user info
+   */
+  getMembers(channel) {
+    const entry = this.channels.get(channel);
+    return entry ? Object.fromEntries(entry.members) : {};
+  }
+
+  /**
+   * Get the names of subscribed channels
+   * @returns {string[]} Channel names
+   */
+  getChannels() {
+    return Array.from(this.channels.keys());
+  }
+
+  /**
+   * Record the socket ID and (re-)subscribe every channel
+   * @param {Object} data - Handshake data
+   * @private
+   */
+  handleConnectionEstablished(data) {
+    this.socketId = data.socket_id;
+    this.client.setConnectionId(this.socketId);
+
+    // Keep pings within the server's activity timeout
+    if (data.activity_timeout && data.activity_timeout < this.client.options.pingInterval) {
+      this.client.options.pingInterval = data.activity_timeout;
+      if (this.client.pingTimer) {
+        this.client.startAutoPing();
+      }
+    }
+
+    this.client.dispatchCustomEvent('pusher:connection_established', {
+      socketId: this.socketId,
+      activityTimeout: data.activity_timeout
+    });
+
+    this.channels.forEach(entry => this.sendSubscribe(entry));
+  }
+
+  /**
+   * Authorize (when needed) and send a subscribe frame
+   * @param {Object} entry - Channel entry
+   * @private
+   */
+  sendSubscribe(entry) {
+    const socketId = this.socketId;
+
+    this.authorize(entry.name, socketId).then((auth) => {
+      // Skip stale authorizations from a previous connection or an unsubscribed channel
+      if (socketId !== this.socketId || this.channels.get(entry.name) !== entry) {
+        return;
+      }
+
+      const data = { channel: entry.name };
+      if (auth.auth) data.auth = auth.auth;
+      if (auth.channel_data) data.channel_data = auth.channel_data;
+
+      this.client.sendMessage({ event: 'pusher:subscribe', data });
+      this.client.log('Pusher channel subscribing', { channel: entry.name });
+    }).catch((error) => {
+      this.handleSubscriptionError(entry.name, { type: 'AuthError', error: error.message });
+    });
+  }
+
+  /**
+   * Resolve auth credentials for private and presence channels
+   * @param {string} channel - Channel name
+   * @param {string} socketId - Current socket ID
+   * @returns {Promise<Object>} Auth data, empty for public channels
+   * @private
+   */
+  authorize(channel, socketId) {
+    if (!/^(private|presence)-/.test(channel)) {
+      return Promise.resolve({});
+    }
+
+    if (this.options.authorizer) {
+      return Promise.resolve().then(() => this.options.authorizer(channel, socketId));
+    }
+
+    if (this.options.authEndpoint) {
+      const auth = this.options.auth || {};
+      return fetch(this.options.authEndpoint, {
+        method: 'POST',
+        credentials: 'same-origin',
+        ...auth,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Accept: 'application/json',
+          ...auth.headers
+        },
+        body: new URLSearchParams({ socket_id: socketId, channel_name: channel }).toString()
+      }).then((response) => {
+        if (!response.ok) {
+          throw new Error(`Auth endpoint responded with ${response.status} for channel "${channel}"`);
+        }
+        return response.json();
+      });
+    }
+
+    return Promise.reject(new Error(`Channel "${channel}" requires options.pusher.authorizer or options.pusher.authEndpoint`));
+  }
+
+  /**
+   * @private
+   */
+  handleSubscriptionSucceeded(channel, data) {
+    const entry = this.channels.get(channel);
+    if (!entry) {
+      return;
+    }
+
+    entry.subscribed = true;
+    if (data && data.presence) {
+      entry.members = new Map(Object.entries(data.presence.hash || {}));
+    }
+
+    entry.resolve(data);
+    this.client.dispatchCustomEvent('pusher:subscription_succeeded', { channel, data });
+    this.client.log('Pusher channel subscribed', { channel });
+  }
+
+  /**
+   * @private
+   */
+  handleSubscriptionError(channel, data) {
+    const entry = this.channels.get(channel);
+    if (entry && !entry.subscribed) {
+      const error = new Error(`Subscription to "${channel}" failed`);
+      error.data = data;
+      entry.reject(error);
+    }
+
+    this.client.dispatchCustomEvent('pusher:subscription_error', { channel, data });
+    this.client.log('Pusher subscription failed', { channel, data }, 'warn');
+  }
+
+  /**
+   * @private
+   */
+  handleMemberAdded(channel, data) {
+    const entry = this.channels.get(channel);
+    if (entry) {
+      entry.members.set(String(data.user_id), data.user_info);
+    }
+    this.client.dispatchCustomEvent('pusher:member_added', { channel, member: data });
+  }
+
+  /**
+   * @private
+   */
+  handleMemberRemoved(channel, data) {
+    const entry = this.channels.get(channel);
+    if (entry) {
+      entry.members.delete(String(data.user_id));
+    }
+    this.client.dispatchCustomEvent('pusher:member_removed', { channel, member: data });
+  }
+
+  /**
+   * Release channel state
+   */
+  destroy() {
+    this.channels.clear();
+    this.socketId = null;
+  }
+}
+
+export default PusherProtocol;
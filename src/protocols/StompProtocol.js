@@ -0,0 +1,528 @@
+/**
+ * @fileoverview STOMP 1.2 adapter for message brokers (Spring, RabbitMQ Web STOMP, ActiveMQ, ...)
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { StompCodec } from '../codecs.js';
+
+/**
+ * Read the host of a WebSocket URL, used as the CONNECT `host` header
+ * @private
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Build the body and headers of a SEND frame. Objects are sent as JSON.
+ * @private
+ */
+function toBody(body, headers) {
+  if (body === undefined || body === null || typeof body === 'string') {
+    return { body, headers };
+  }
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return { body, headers };
+  }
+  return { body: JSON.stringify(body), headers: { 'content-type': 'application/json', ...headers } };
+}
+
+/**
+ * Speaks STOMP 1.2 on top of a WebSocketClient. Enable it with `protocol: 'stomp'`; the client then
+ * connects with the `v12.stomp` subprotocol, encodes frames with StompCodec and replaces its
+ * auto-ping with STOMP heart-beating.
+ * @class StompProtocol
+ */
+export class StompProtocol {
+  /**
+   * Create a new STOMP adapter
+   * @param {WebSocketClient} client - Client the adapter is attached to
+   * @param {Object} options - STOMP options (`options.stomp` on the client)
+   * @param {Object|Function} options.connectHeaders - Extra CONNECT headers such as `login`/`passcode`, or a
+   *   (possibly async) function returning them, called before every connection
+   * @param {string} options.host - Virtual host sent in the CONNECT `host` header (default: the URL's host)
+   * @param {Object} options.heartbeat - Heart-beat intervals in milliseconds, negotiated with the server
+   * @param {number} options.heartbeat.outgoing - How often the client can send heart-beats; 0 disables (default: 10000)
+   * @param {number} options.heartbeat.incoming - How often the client wants heart-beats; 0 disables (default: 10000)
+   * @param {number} options.receiptTimeout - Milliseconds to wait for a RECEIPT (default: 10000)
+   */
+  constructor(client, options = {}) {
+    this.name = 'stomp';
+    this.subprotocols = ['v12.stomp'];
+    this.codec = StompCodec;
+    this.client = client;
+    this.options = {
+      receiptTimeout: 10000,
+      ...options,
+      heartbeat: { outgoing: 10000, incoming: 10000, ...options.heartbeat }
+    };
+    this.connected = false;
+    this.connection = 0;
+    this.serverHeaders = null;
+    this.subscriptions = new Map();
+    this.subscriptionReceipts = new Map();
+    this.lastSubscriptionId = 0;
+    this.receipts = new Map();
+    this.lastReceiptId = 0;
+    this.outbox = [];
+    this.heartbeatTimer = null;
+    this.watchdogTimer = null;
+    this.lastReceivedAt = null;
+
+    // STOMP heart-beating replaces the client's 'Ping' frames
+    client.options.autoPing = false;
+  }
+
+  /**
+   * Send a message to a destination. Messages sent before the server answers CONNECT are held
+   * until it does, including across reconnects.
+   * @param {string} destination - Destination, e.g. '/queue/orders'
+   * @param {string|Object|ArrayBuffer|ArrayBufferView} body - Body; objects are sent as JSON and bytes as a binary frame
+   * @param {Object} options - Send options
+   * @param {Object} options.headers - Extra headers (content-type, transaction, custom headers)
+   * @param {boolean} options.receipt - Ask the server for a RECEIPT and wait for it
+   * @returns {Promise<void>} Resolves once written, or once the receipt arrives when requested
+   */
+  send(destination, body, options = {}) {
+    const frame = toBody(body, { ...options.headers, destination });
+    return this.sendFrame({ command: 'SEND', headers: frame.headers, body: frame.body }, options);
+  }
+
+  /**
+   * Subscribe to a destination. The subscription keeps its ID and is sent again after every reconnect.
+   * @param {string} destination - Destination, e.g. '/topic/prices'
+   * @param {Object} options - Subscribe options
+   * @param {string} options.ack - 'auto', 'client' or 'client-individual' (default: 'auto')
+   * @param {Object} options.headers - Extra SUBSCRIBE headers (selector, durable subscription names, ...)
+   * @param {Function} options.onMessage - Called with every message of the subscription
+   * @param {boolean} options.receipt - Ask the server for a RECEIPT; `subscription.receipt` waits for it
+   * @returns {Object} Subscription `{ id, destination, ack, receipt, unsubscribe() }`
+   */
+  subscribe(destination, options = {}) {
+    this.lastSubscriptionId++;
+    const subscription = {
+      id: `sub-${this.lastSubscriptionId}`,
+      destination,
+      ack: options.ack || 'auto',
+      headers: options.headers || {},
+      onMessage: options.onMessage || null,
+      receipt: null,
+      unsubscribe: (unsubscribeOptions) => this.removeSubscription(subscription, unsubscribeOptions)
+    };
+    this.subscriptions.set(subscription.id, subscription);
+
+    if (this.connected) {
+      const sent = this.sendSubscribe(subscription, { receipt: options.receipt });
+      if (options.receipt) {
+        subscription.receipt = sent;
+      } else {
+        sent.catch(error => this.handleSubscribeError(subscription, error));
+      }
+    } else if (options.receipt) {
+      // Sent with a receipt on CONNECTED
+      subscription.receipt = new Promise((resolve, reject) => {
+        this.subscriptionReceipts.set(subscription.id, { resolve, reject });
+      });
+    }
+    return subscription;
+  }
+
+  /**
+   * Remove every subscription to a destination (used by client.unsubscribe())
+   * @param {string} destination - Destination
+   */
+  unsubscribe(destination) {
+    this.subscriptions.forEach((subscription) => {
+      if (subscription.destination === destination) {
+        this.removeSubscription(subscription);
+      }
+    });
+  }
+
+  /**
+   * Get the active subscriptions
+   * @returns {Object[]} Subscriptions
+   */
+  getSubscriptions() {
+    return Array.from(this.subscriptions.values());
+  }
+
+  /**
+   * Acknowledge a message of a 'client' or 'client-individual' subscription
+   * @param {Object} message - Received message
+   * @param {Object} options - `{ headers, receipt }`, e.g. a `transaction` header
+   * @returns {Promise<void>} Resolves once written (or receipted)
+   */
+  ack(message, options = {}) {
+    return this.sendAck('ACK', message, options);
+  }
+
+  /**
+   * Reject a message of a 'client' or 'client-individual' subscription
+   * @param {Object} message - Received message
+   * @param {Object} options - `{ headers, receipt }`
+   * @returns {Promise<void>} Resolves once written (or receipted)
+   */
+  nack(message, options = {}) {
+    return this.sendAck('NACK', message, options);
+  }
+
+  /**
+   * Disconnect gracefully: wait for the server's RECEIPT of DISCONNECT, then close the client
+   * @returns {Promise<void>} Resolves once the client is closed
+   */
+  disconnect() {
+    const closing = this.connected
+      ? this.sendFrame({ command: 'DISCONNECT', headers: {} }, { receipt: true }).catch(() => {})
+      : Promise.resolve();
+    return closing.then(() => this.client.close());
+  }
+
+  /**
+   * Send CONNECT once the socket is open; the client's queue is held until CONNECTED
+   */
+  onOpen() {
+    this.connected = false;
+    this.connection++;
+    const connection = this.connection;
+    const { heartbeat, connectHeaders } = this.options;
+
+    Promise.resolve()
+      .then(() => (typeof connectHeaders === 'function' ? connectHeaders() : connectHeaders))
+      .then((headers) => {
+        if (connection !== this.connection || !this.client.open) {
+          return;
+        }
+
+        // CONNECT has to be the first frame, so it skips the held queue and the outgoing middleware
+        this.client.transmit(this.client.codec.encode({
+          command: 'CONNECT',
+          headers: {
+            'accept-version': '1.2',
+            host: this.options.host || hostOf(this.client.socket.url),
+            'heart-beat': `${heartbeat.outgoing || 0},${heartbeat.incoming || 0}`,
+            ...headers
+          }
+        }));
+      })
+      .catch((error) => {
+        this.client.log('Failed to resolve STOMP connectHeaders', { error }, 'warn');
+        this.client.dispatchCustomEvent('stomp:error', { error, headers: {}, body: '' });
+      });
+  }
+
+  /**
+   * Hold the client's queue until the server answers CONNECT
+   * @returns {boolean} Whether the queue is held
+   */
+  holdsQueue() {
+    return !this.connected;
+  }
+
+  /**
+   * Stop heart-beating and fail outstanding receipts; subscriptions and unsent messages are kept
+   */
+  onClose() {
+    this.connected = false;
+    this.connection++;
+    this.stopHeartbeat();
+    this.rejectReceipts(new Error('STOMP connection closed before the receipt arrived'));
+  }
+
+  /**
+   * Handle decoded STOMP frames
+   * @param {Object[]} frames - Frames decoded by StompCodec
+   * @returns {boolean} Whether the message was handled
+   */
+  onMessage(frames) {
+    if (!Array.isArray(frames)) {
+      return false;
+    }
+
+    // Heart-beats decode to no frames but still prove the connection is alive
+    this.lastReceivedAt = Date.now();
+    frames.forEach(frame => this.handleFrame(frame));
+    return true;
+  }
+
+  /**
+   * Send a heart-beat (an end-of-line) while connected
+   */
+  ping() {
+    if (this.connected) {
+      this.client.sendRaw('\n');
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleFrame(frame) {
+    switch (frame.command) {
+      case 'CONNECTED':
+        this.handleConnected(frame);
+        break;
+      case 'MESSAGE':
+        this.handleMessage(frame);
+        break;
+      case 'RECEIPT':
+        this.settleReceipt(frame.headers['receipt-id']);
+        break;
+      case 'ERROR':
+        this.handleError(frame);
+        break;
+      default:
+        this.client.log('Unexpected STOMP frame', { command: frame.command }, 'warn');
+    }
+  }
+
+  /**
+   * Start heart-beating, send the subscriptions again and release held messages
+   * @private
+   */
+  handleConnected(frame) {
+    this.connected = true;
+    this.serverHeaders = frame.headers;
+    this.startHeartbeat(frame.headers['heart-beat']);
+    this.client.log('STOMP connected', { version: frame.headers.version, session: frame.headers.session });
+    this.client.dispatchCustomEvent('stomp:connected', { headers: frame.headers });
+
+    this.subscriptions.forEach((subscription) => {
+      const waiting = this.subscriptionReceipts.get(subscription.id);
+      this.subscriptionReceipts.delete(subscription.id);
+      const sent = this.sendSubscribe(subscription, { receipt: Boolean(waiting) });
+      if (waiting) {
+        sent.then(waiting.resolve, waiting.reject);
+      } else {
+        sent.catch(error => this.handleSubscribeError(subscription, error));
+      }
+    });
+
+    const outbox = this.outbox.splice(0);
+    outbox.forEach(({ frame: held, options, resolve, reject }) => {
+      this.sendFrame(held, options).then(resolve, reject);
+    });
+    this.client.flushMessageQueue();
+  }
+
+  /**
+   * Deliver a MESSAGE to its subscription and to client listeners
+   * @private
+   */
+  handleMessage(frame) {
+    const subscription = this.subscriptions.get(frame.headers.subscription);
+    const message = {
+      ...frame,
+      destination: frame.headers.destination,
+      subscription: frame.headers.subscription,
+      ack: options => this.ack(message, options),
+      nack: options => this.nack(message, options)
+    };
+
+    if (subscription && subscription.onMessage) {
+      subscription.onMessage(message);
+    }
+
+    this.client.dispatchCustomEvent(message.destination, message);
+    this.client.dispatchCustomEvent('message', {
+      event: message.destination,
+      destination: message.destination,
+      data: message.body,
+      headers: message.headers,
+      original: message
+    });
+  }
+
+  /**
+   * @private
+   */
+  handleError(frame) {
+    const error = new Error(frame.headers.message || 'STOMP error');
+    error.headers = frame.headers;
+    error.body = frame.body;
+
+    this.client.log('STOMP error', { message: error.message }, 'warn');
+    if (frame.headers['receipt-id'] !== undefined) {
+      this.settleReceipt(frame.headers['receipt-id'], error);
+    }
+    // The server closes the connection after an ERROR frame
+    this.client.dispatchCustomEvent('stomp:error', { error, headers: frame.headers, body: frame.body });
+  }
+
+  /**
+   * Write a frame once connected, optionally waiting for its RECEIPT
+   * @param {Object} frame - `{ command, headers, body }`
+   * @param {Object} options - `{ receipt }`
+   * @returns {Promise<void>} Resolves once written, or once receipted
+   * @private
+   */
+  sendFrame(frame, options = {}) {
+    if (!this.connected) {
+      return new Promise((resolve, reject) => {
+        this.outbox.push({ frame, options, resolve, reject });
+      });
+    }
+
+    if (!options.receipt) {
+      return this.client.sendMessage(frame).then(() => undefined);
+    }
+
+    this.lastReceiptId++;
+    const receiptId = `receipt-${this.lastReceiptId}`;
+    const receipt = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.settleReceipt(receiptId, new Error(`STOMP receipt "${receiptId}" for ${frame.command} timed out after ${this.options.receiptTimeout}ms`));
+      }, this.options.receiptTimeout);
+      this.receipts.set(receiptId, { resolve, reject, timer });
+    });
+
+    this.client.sendMessage({ ...frame, headers: { ...frame.headers, receipt: receiptId } })
+      .catch(error => this.settleReceipt(receiptId, error));
+    return receipt;
+  }
+
+  /**
+   * @private
+   */
+  sendSubscribe(subscription, options = {}) {
+    return this.sendFrame({
+      command: 'SUBSCRIBE',
+      headers: { ...subscription.headers, id: subscription.id, destination: subscription.destination, ack: subscription.ack }
+    }, options);
+  }
+
+  /**
+   * Report a SUBSCRIBE that outgoing middleware or the codec failed to send, when no receipt promise carries the error
+   * @param {Object} subscription - Subscription
+   * @param {Error} error - Error
+   * @private
+   */
+  handleSubscribeError(subscription, error) {
+    this.client.log('Failed to send STOMP subscription', { destination: subscription.destination, error }, 'warn');
+    this.client.dispatchCustomEvent('stomp:error', { error, headers: {}, body: '' });
+  }
+
+  /**
+   * @private
+   */
+  removeSubscription(subscription, options = {}) {
+    if (!this.subscriptions.delete(subscription.id)) {
+      return Promise.resolve();
+    }
+    const waiting = this.subscriptionReceipts.get(subscription.id);
+    if (waiting) {
+      this.subscriptionReceipts.delete(subscription.id);
+      waiting.reject(new Error(`Subscription to "${subscription.destination}" was removed before it was sent`));
+    }
+    // The server dropped the subscription with the last connection
+    if (!this.connected) {
+      return Promise.resolve();
+    }
+    return this.sendFrame({ command: 'UNSUBSCRIBE', headers: { ...options.headers, id: subscription.id } }, options);
+  }
+
+  /**
+   * @private
+   */
+  sendAck(command, message, options) {
+    const id = message.headers && message.headers.ack;
+    if (id === undefined) {
+      return Promise.reject(new Error(`Cannot ${command} a message without an "ack" header; its subscription uses ack: 'auto'`));
+    }
+    // Acknowledgements belong to the connection that delivered the message
+    if (!this.connected) {
+      return Promise.reject(new Error(`Cannot ${command} while disconnected; the server redelivers unacknowledged messages`));
+    }
+    return this.sendFrame({ command, headers: { ...options.headers, id } }, options);
+  }
+
+  /**
+   * @private
+   */
+  settleReceipt(receiptId, error) {
+    const receipt = this.receipts.get(receiptId);
+    if (!receipt) {
+      return;
+    }
+
+    this.receipts.delete(receiptId);
+    clearTimeout(receipt.timer);
+    if (error) {
+      receipt.reject(error);
+    } else {
+      receipt.resolve();
+    }
+  }
+
+  /**
+   * @private
+   */
+  rejectReceipts(error) {
+    Array.from(this.receipts.keys()).forEach(receiptId => this.settleReceipt(receiptId, error));
+  }
+
+  /**
+   * Apply the heart-beat negotiated in CONNECTED: each side beats at the slower of the two rates
+   * @param {string} serverHeartbeat - `heart-beat` header of CONNECTED, e.g. '10000,10000'
+   * @private
+   */
+  startHeartbeat(serverHeartbeat) {
+    this.stopHeartbeat();
+    const [serverOutgoing, serverIncoming] = String(serverHeartbeat || '0,0').split(',').map(value => parseInt(value, 10) || 0);
+    const { outgoing, incoming } = this.options.heartbeat;
+    const sendEvery = outgoing && serverIncoming ? Math.max(outgoing, serverIncoming) : 0;
+    const expectEvery = incoming && serverOutgoing ? Math.max(incoming, serverOutgoing) : 0;
+
+    if (sendEvery) {
+      this.heartbeatTimer = setInterval(() => this.ping(), sendEvery);
+    }
+
+    if (expectEvery) {
+      this.lastReceivedAt = Date.now();
+      this.watchdogTimer = setInterval(() => {
+        // Allow for network delay before calling the connection dead
+        if (Date.now() - this.lastReceivedAt <= expectEvery * 2) {
+          return;
+        }
+
+        this.client.log('STOMP heart-beat missed, reconnecting', { expectEvery }, 'warn');
+        this.stopHeartbeat();
+        if (typeof this.client.socket.reconnect === 'function') {
+          this.client.socket.reconnect(4000, 'Heartbeat timeout');
+        } else {
+          this.client.socket.close(4000, 'Heartbeat timeout');
+        }
+      }, expectEvery);
+    }
+  }
+
+  /**
+   * @private
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    clearInterval(this.watchdogTimer);
+    this.heartbeatTimer = null;
+    this.watchdogTimer = null;
+  }
+
+  /**
+   * Release timers and fail outstanding receipts and held messages
+   */
+  destroy() {
+    this.stopHeartbeat();
+    const error = new Error('STOMP adapter destroyed');
+    this.rejectReceipts(error);
+    this.outbox.splice(0).forEach(({ reject }) => reject(error));
+    this.subscriptionReceipts.forEach(({ reject }) => reject(error));
+    this.subscriptionReceipts.clear();
+    this.subscriptions.clear();
+  }
+}
+
+export default StompProtocol;
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Protocol adapters that let WebSocketClient speak third-party wire protocols
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { PusherProtocol } from './PusherProtocol.js';
+import { ApiGatewayProtocol } from './ApiGatewayProtocol.js';
+import { PhoenixProtocol, PhoenixChannel } from './PhoenixProtocol.js';
+import { GraphQLProtocol, GraphQLOperation } from './GraphQLProtocol.js';
+import { StompProtocol } from './StompProtocol.js';
+
+/**
+ * A protocol adapter sits between the socket and the client's default `{ action, data }` handling.
+ * Every hook is optional.
+ * @typedef {Object} ProtocolAdapter
+ * @property {string} name - Protocol name, reported by getStatus()
+ * @property {string[]} subprotocols - WebSocket subprotocols requested when the client creates its socket
+ * @property {Codec} codec - Codec used when the client has no `codec` option, for protocols with their own framing
+ * @property {function(WebSocketClient): void} attach - Called once with the client (custom adapters only)
+ * @property {function(*): boolean} onMessage - Handle a decoded message; return true to stop default routing
+ * @property {function(Event): void} onOpen - Called when the socket opens
+ * @property {function(CloseEvent): void} onClose - Called when the socket closes
+ * @property {function(): void} ping - Send a protocol-level ping instead of the raw 'Ping' frame
+ * @property {function(*): Array} splitFrame - Split an encoded frame into the frames actually written to the socket
+ * @property {function(string, *): *} subscribe - Subscribe to a channel/topic
+ * @property {function(string): void} unsubscribe - Unsubscribe from a channel/topic
+ * @property {function(): void} destroy - Release adapter resources
+ */
+
+const protocols = {
+  pusher: PusherProtocol,
+  apiGateway: ApiGatewayProtocol,
+  phoenix: PhoenixProtocol,
+  graphql: GraphQLProtocol,
+  stomp: StompProtocol
+};
+
+/**
+ * Create the protocol adapter for a client
+ * @param {string|ProtocolAdapter} protocol - Built-in protocol name or a custom adapter
+ * @param {WebSocketClient} client - Client the adapter is attached to
+ * @returns {ProtocolAdapter} Protocol adapter
+ */
+export function createProtocol(protocol, client) {
+  if (typeof protocol === 'string') {
+    const Protocol = protocols[protocol];
+    if (!Protocol) {
+      throw new Error(`Unknown protocol "${protocol}". Use one of: ${Object.keys(protocols).join(', ')}, or pass a protocol adapter object.`);
+    }
+    // Each built-in protocol reads its settings from the option named after it, e.g. options.pusher
+    return new Protocol(client, client.options[protocol] || {});
+  }
+
+  if (!protocol || typeof protocol !== 'object') {
+    throw new Error('Invalid protocol. Pass a built-in protocol name or a protocol adapter object.');
+  }
+
+  if (typeof protocol.attach === 'function') {
+    protocol.attach(client);
+  }
+
+  return protocol;
+}
+
+export { PusherProtocol, ApiGatewayProtocol, PhoenixProtocol, PhoenixChannel, GraphQLProtocol, GraphQLOperation, StompProtocol };
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Storage adapters used to persist the outbound message queue
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * A storage adapter persists queue entries between page loads.
+ * @typedef {Object} StorageAdapter
+ * @property {function(): Promise<Array<Object>>} load - Load the persisted entries
+ * @property {function(Array<Object>): Promise<void>} save - Replace the persisted entries
+ */
+
+/**
+ * Turn binary frames into JSON-safe values
+ * @param {Object} entry - Queue entry
+ * @returns {Object} Serializable entry
+ * @private
+ */
+function serializeEntry(entry) {
+  if (typeof entry.data === 'string') {
+    return entry;
+  }
+  return { ...entry, data: { bytes: Array.from(entry.data) } };
+}
+
+/**
+ * Restore binary frames serialized by serializeEntry()
+ * @param {Object} entry - Serialized entry
+ * @returns {Object} Queue entry
+ * @private
+ */
+function deserializeEntry(entry) {
+  if (entry.data && Array.isArray(entry.data.bytes)) {
+    return { ...entry, data: new Uint8Array(entry.data.bytes) };
+  }
+  return entry;
+}
+
+/**
+ * Keeps entries in memory. Entries survive client re-creation when the same instance is reused.
+ * @class MemoryStorage
+ */
+export class MemoryStorage {
+  constructor() {
+    this.entries = [];
+  }
+
+  load() {
+    return Promise.resolve(this.entries.slice());
+  }
+
+  save(entries) {
+    this.entries = entries.slice();
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Persists entries as JSON in `localStorage`
+ * @class LocalStorageAdapter
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {string} key - Storage key (default: 'websocket-client:queue')
+   * @param {Storage} storage - Storage implementation (default: globalThis.localStorage)
+   */
+  constructor(key = 'websocket-client:queue', storage = globalThis.localStorage) {
+    if (!storage) {
+      throw new Error('localStorage is not available in this environment.');
+    }
+    this.key = key;
+    this.storage = storage;
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.key) || '[]');
+      return Promise.resolve(stored.map(deserializeEntry));
+    } catch (error) {
+      return Promise.resolve([]);
+    }
+  }
+
+  save(entries) {
+    try {
+      if (entries.length === 0) {
+        this.storage.removeItem(this.key);
+      } else {
+        this.storage.setItem(this.key, JSON.stringify(entries.map(serializeEntry)));
+      }
+      return Promise.resolve();
+    } catch (error) {
+      // Quota errors are reported; the queue keeps its entries in memory either way
+      return Promise.reject(error);
+    }
+  }
+}
+
+/**
+ * Persists entries in IndexedDB, which keeps binary frames without conversion
+ * @class IndexedDBStorage
+ */
+export class IndexedDBStorage {
+  /**
+   * @param {string} key - Record key (default: 'websocket-client:queue')
+   * @param {Object} options - Database options
+   * @param {string} options.databaseName - Database name (default: 'websocket-client')
+   * @param {string} options.storeName - Object store name (default: 'queues')
+   * @param {IDBFactory} options.indexedDB - IndexedDB implementation (default: globalThis.indexedDB)
+   */
+  constructor(key = 'websocket-client:queue', options = {}) {
+    this.key = key;
+    this.databaseName = options.databaseName || 'websocket-client';
+    this.storeName = options.storeName || 'queues';
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.database = null;
+
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available in this environment.');
+    }
+  }
+
+  /**
+   * Open (once) the database
+   * @returns {Promise<IDBDatabase>} Database
+   * @private
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Run a request against the object store
+   * @param {string} mode - Transaction mode
+   * @param {Function} operation - Receives the store and returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   * @private
+   */
+  run(mode, operation) {
+    return this.open().then(database => new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  load() {
+    return this.run('readonly', store => store.get(this.key)).then(entries => entries || []);
+  }
+
+  save(entries) {
+    return this.run('readwrite', store => store.put(entries, this.key));
+  }
+}
+
+/**
+ * Resolve a storage option into an adapter
+ * @param {string|StorageAdapter} storage - 'memory', 'localStorage', 'indexedDB' or a custom adapter
+ * @param {string} key - Storage key
+ * @returns {StorageAdapter|null} Storage adapter, or null when persistence is off
+ */
+export function resolveStorage(storage, key) {
+  if (!storage) {
+    return null;
+  }
+
+  if (typeof storage === 'string') {
+    switch (storage) {
+      case 'memory': return new MemoryStorage();
+      case 'localStorage': return new LocalStorageAdapter(key);
+      case 'indexedDB': return new IndexedDBStorage(key);
+      default:
+        throw new Error(`Unknown queue storage "${storage}". Use 'memory', 'localStorage', 'indexedDB', or an object with load() and save().`);
+    }
+  }
+
+  if (typeof storage.load !== 'function' || typeof storage.save !== 'function') {
+    throw new Error('Invalid queue storage. A storage adapter must implement load() and save(entries).');
+  }
+
+  return storage;
+}
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Async iterator and Observable views of the client's event streams
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * What a stream does with a value that arrives while its buffer is full
+ * @type {string[]}
+ */
+export const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'error'];
+
+/**
+ * Symbol used by Observable implementations to find `[Symbol.observable]()`
+ * @type {symbol|string}
+ */
+export const observableSymbol = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+/**
+ * A source feeds a stream or observable: it is called with `push(value)` and `end(error?)` and
+ * returns a function that detaches it.
+ * @typedef {function(Function, Function): Function} EventSource
+ */
+
+/**
+ * Create an async iterable iterator over a push-based source. A socket can't be paused, so
+ * backpressure is a bounded buffer: values that arrive faster than the consumer pulls them are
+ * buffered up to `bufferSize`, then handled by the `overflow` policy.
+ * @param {EventSource} source - Source of values
+ * @param {Object} options - Stream options
+ * @param {number} options.bufferSize - Maximum number of buffered values (default: 100)
+ * @param {string} options.overflow - 'drop-oldest', 'drop-newest' or 'error', which ends the stream with an
+ *   Error with `code` 'STREAM_OVERFLOW' after the buffered values (default: 'drop-oldest')
+ * @param {Function} options.onDrop - Called with every dropped value (optional)
+ * @param {AbortSignal} options.signal - Ends the stream when aborted (optional)
+ * @returns {AsyncIterableIterator<*>} Iterator; `return()` ends it early and `dropped` counts dropped values
+ */
+export function createEventStream(source, options = {}) {
+  const bufferSize = options.bufferSize !== undefined ? options.bufferSize : 100;
+  const overflow = options.overflow || 'drop-oldest';
+  if (OVERFLOW_POLICIES.indexOf(overflow) === -1) {
+    throw new Error(`Unknown overflow policy "${overflow}". Use one of: ${OVERFLOW_POLICIES.join(', ')}.`);
+  }
+  if (!(bufferSize > 0)) {
+    throw new Error('bufferSize must be a positive number.');
+  }
+
+  const buffer = [];
+  const waiting = [];
+  let done = false;
+  let failure = null;
+  let detach = null;
+
+  const drop = (value) => {
+    iterator.dropped++;
+    if (options.onDrop) {
+      options.onDrop(value);
+    }
+  };
+
+  const end = (error) => {
+    if (done) {
+      return;
+    }
+    done = true;
+    if (detach) {
+      detach();
+    }
+    if (options.signal) {
+      options.signal.removeEventListener('abort', onAbort);
+    }
+
+    // Waiting consumers have drained the buffer, so the error or the end goes straight to them
+    if (error && waiting.length > 0) {
+      waiting.splice(0).forEach(({ reject }) => reject(error));
+      return;
+    }
+    failure = error || null;
+    waiting.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+  };
+
+  const onAbort = () => end();
+
+  const push = (value) => {
+    if (done) {
+      return;
+    }
+    if (waiting.length > 0) {
+      waiting.shift().resolve({ value, done: false });
+      return;
+    }
+    if (buffer.length < bufferSize) {
+      buffer.push(value);
+      return;
+    }
+
+    if (overflow === 'drop-newest') {
+      drop(value);
+    } else if (overflow === 'drop-oldest') {
+      drop(buffer.shift());
+      buffer.push(value);
+    } else {
+      drop(value);
+      const error = new Error(`Stream buffer overflowed (${bufferSize} values)`);
+      error.code = 'STREAM_OVERFLOW';
+      end(error);
+    }
+  };
+
+  const iterator = {
+    dropped: 0,
+
+    next() {
+      if (buffer.length > 0) {
+        return Promise.resolve({ value: buffer.shift(), done: false });
+      }
+      if (failure) {
+        const error = failure;
+        failure = null;
+        return Promise.reject(error);
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+
+    return(value) {
+      buffer.length = 0;
+      end();
+      failure = null;
+      return Promise.resolve({ value, done: true });
+    },
+
+    throw(error) {
+      buffer.length = 0;
+      end();
+      failure = null;
+      return Promise.reject(error);
+    },
+
+    [Symbol.asyncIterator]() {
+      return iterator;
+    }
+  };
+
+  if (options.signal && options.signal.aborted) {
+    done = true;
+    return iterator;
+  }
+  if (options.signal) {
+    options.signal.addEventListener('abort', onAbort);
+  }
+  detach = source(push, end);
+  // The source may have ended synchronously
+  if (done) {
+    detach();
+  }
+  return iterator;
+}
+
+/**
+ * Create an Observable over a push-based source, compatible with RxJS `from()` and other
+ * libraries that read `[Symbol.observable]`. Every subscription attaches the source separately.
+ * @param {EventSource} source - Source of values
+ * @returns {Object} Observable with `subscribe(observer | next, error, complete)`
+ */
+export function createObservable(source) {
+  const observable = {
+    subscribe(observerOrNext, error, complete) {
+      const observer = typeof observerOrNext === 'function' || observerOrNext === undefined
+        ? { next: observerOrNext, error, complete }
+        : observerOrNext;
+      let detach = null;
+
+      const subscription = {
+        closed: false,
+        unsubscribe() {
+          if (subscription.closed) {
+            return;
+          }
+          subscription.closed = true;
+          if (detach) {
+            detach();
+          }
+        }
+      };
+
+      const push = (value) => {
+        if (!subscription.closed && observer.next) {
+          observer.next(value);
+        }
+      };
+      const end = (failure) => {
+        if (subscription.closed) {
+          return;
+        }
+        subscription.unsubscribe();
+        if (failure) {
+          if (observer.error) observer.error(failure);
+        } else if (observer.complete) {
+          observer.complete();
+        }
+      };
+
+      detach = source(push, end);
+      // The source may have ended synchronously
+      if (subscription.closed) {
+        detach();
+      }
+      return subscription;
+    },
+
+    [observableSymbol]() {
+      return observable;
+    }
+  };
+
+  return observable;
+}
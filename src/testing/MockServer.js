@@ -0,0 +1,504 @@
+/**
+ * @fileoverview In-memory WebSocket server for testing code built on WebSocketClient and SimpleWebSocket
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { MockWebSocket } from './MockWebSocket.js';
+import { WebSocketClient } from '../WebSocketClient.js';
+import { SimpleWebSocket } from '../SimpleWebSocket.js';
+import { resolveCodec, toFrameData } from '../codecs.js';
+import { resolveEnvelope } from '../envelopes.js';
+
+/**
+ * A message received by the server
+ * @typedef {Object} ReceivedMessage
+ * @property {string} event - Event name read by the envelope
+ * @property {*} payload - Payload read by the envelope
+ * @property {Object} meta - Metadata such as `requestId`, `messageId` and `channel`
+ * @property {*} message - Decoded message, or undefined when the frame could not be decoded
+ * @property {string|Uint8Array} frame - Raw frame
+ * @property {MockConnection} connection - Connection the message arrived on
+ */
+
+/**
+ * The server side of one MockWebSocket
+ * @class MockConnection
+ */
+export class MockConnection {
+  /**
+   * @param {MockServer} server - Server that accepted the socket
+   * @param {MockWebSocket} socket - Client socket
+   */
+  constructor(server, socket) {
+    this.server = server;
+    this.socket = socket;
+    this.url = socket.url;
+    this.protocols = socket.protocols;
+    this.headers = socket.handshake.headers || {};
+    this.frames = [];
+    this.received = [];
+    this.closeEvent = null;
+  }
+
+  /**
+   * Whether the connection is open
+   * @returns {boolean} True once the handshake completed and until it closes
+   */
+  get open() {
+    return this.socket.readyState === MockWebSocket.OPEN;
+  }
+
+  /**
+   * Query parameters of the connection URL, e.g. to check the credentials a client sent
+   * @returns {Object} Parameter name to value
+   */
+  get query() {
+    const query = {};
+    new URL(this.url).searchParams.forEach((value, key) => {
+      query[key] = value;
+    });
+    return query;
+  }
+
+  /**
+   * Send a message, encoded with the server's envelope and codec
+   * @param {string} action - Event name
+   * @param {*} payload - Payload (optional)
+   * @param {Object} meta - Metadata such as `{ requestId }` or `{ channel }` (optional)
+   */
+  send(action, payload, meta = {}) {
+    this.sendRaw(this.server.codec.encode(this.server.envelope.encode({ event: action, payload, meta })));
+  }
+
+  /**
+   * Send a frame as is. Anything other than a string or binary data is encoded with the server's codec.
+   * @param {string|ArrayBuffer|ArrayBufferView|*} frame - Frame or message
+   */
+  sendRaw(frame) {
+    const data = typeof frame === 'string' || frame instanceof ArrayBuffer || ArrayBuffer.isView(frame)
+      ? toFrameData(frame)
+      : this.server.codec.encode(frame);
+    this.server.schedule(() => this.socket.didReceive(data));
+  }
+
+  /**
+   * Close the connection from the server with a clean closing handshake
+   * @param {number} code - Close code (default: 1000)
+   * @param {string} reason - Close reason (default: '')
+   */
+  close(code = 1000, reason = '') {
+    this.server.schedule(() => this.finish(code, reason, true));
+  }
+
+  /**
+   * Drop the connection without a closing handshake, like a lost network: the client gets an
+   * 'error' event and a 1006 close
+   */
+  drop() {
+    this.server.schedule(() => this.finish(1006, '', false));
+  }
+
+  /**
+   * Handle a frame sent by the client. Frames and decoded messages are recorded immediately;
+   * heartbeats, acks and scripted replies are answered after the server latency.
+   * @param {string|ArrayBuffer|ArrayBufferView} data - Frame
+   * @private
+   */
+  handleFrame(data) {
+    const frame = toFrameData(data);
+    this.frames.push(frame);
+
+    if (frame === 'Ping') {
+      this.server.schedule(() => this.server.handlePing(this));
+      return;
+    }
+
+    let message;
+    try {
+      message = this.server.codec.decode(frame);
+    } catch (error) {
+      message = undefined;
+    }
+
+    const fields = this.server.envelope.decode(message);
+    const received = {
+      event: fields.event,
+      payload: fields.payload,
+      meta: fields.meta || {},
+      message,
+      frame,
+      connection: this
+    };
+    this.received.push(received);
+    this.server.record(received);
+    this.server.schedule(() => this.server.handleMessage(received));
+  }
+
+  /**
+   * Handle close() on the client socket
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   * @private
+   */
+  handleClose(code, reason) {
+    this.server.schedule(() => this.finish(code, reason, true));
+  }
+
+  /**
+   * Reply to a received message, echoing its request ID
+   * @param {ReceivedMessage} received - Message to reply to
+   * @param {*} payload - Reply payload
+   * @param {Error} error - Error to reply with instead (optional)
+   * @private
+   */
+  reply(received, payload, error) {
+    const message = this.server.envelope.encode({
+      event: received.event,
+      payload,
+      meta: { requestId: received.meta.requestId, channel: received.meta.channel }
+    });
+    if (error && message && typeof message === 'object') {
+      message.error = error.code !== undefined
+        ? { message: error.message, code: error.code }
+        : { message: error.message };
+    }
+    this.sendRaw(this.server.codec.encode(message));
+  }
+
+  /**
+   * Close the client socket
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   * @param {boolean} wasClean - Whether the closing handshake completed
+   * @private
+   */
+  finish(code, reason, wasClean) {
+    if (this.closeEvent) {
+      return;
+    }
+    this.closeEvent = { code, reason, wasClean };
+    this.socket.didClose(code, reason, wasClean);
+  }
+}
+
+/**
+ * An in-memory WebSocket server. Pass `server.WebSocket` as the `WebSocket` option of a
+ * WebSocketClient or SimpleWebSocket (or use createClient() and createSimpleClient()) and every
+ * socket they open connects here, whatever its URL. The server records what clients send, answers
+ * heartbeats, replies to scripted actions and can drop, close or refuse connections.
+ *
+ * Everything is delivered asynchronously: with no latency on the next microtask, otherwise after a
+ * setTimeout(), so tests with fake timers control delivery by advancing the clock.
+ * @class MockServer
+ */
+export class MockServer {
+  /**
+   * Create a mock server
+   * @param {Object} options - Server options
+   * @param {string} options.url - URL used by createClient() and createSimpleClient() (default: 'ws://mock.server/')
+   * @param {number} options.latency - Milliseconds each connect, frame and close takes in either direction (default: 0)
+   * @param {string|Object} options.codec - Codec used to read and write messages, as for the clients (default: 'json')
+   * @param {string|Object} options.envelope - Envelope used to read and write messages, as for WebSocketClient (default: 'default')
+   * @param {string} options.requestIdKey - Wire key of request IDs (default: 'requestId')
+   * @param {string} options.messageIdKey - Wire key of message IDs (default: 'messageId')
+   * @param {string} options.channelKey - Wire key of channel names (default: 'channel')
+   * @param {boolean} options.autoPong - Answer 'Ping' frames with 'Pong' (default: true)
+   * @param {boolean} options.autoAck - Acknowledge messages that carry a message ID with `{ action: 'ack', messageId }` (default: false)
+   */
+  constructor(options = {}) {
+    this.url = options.url || 'ws://mock.server/';
+    this.latency = options.latency || 0;
+    this.codec = resolveCodec(options.codec);
+    this.envelope = resolveEnvelope(options.envelope, options);
+    this.autoPong = options.autoPong !== false;
+    this.autoAck = !!options.autoAck;
+    this.connections = [];
+    this.received = [];
+    this.handlers = new Map();
+    this.waiters = [];
+    this.refusal = null;
+    this.lostPongs = 0;
+    this.pings = 0;
+
+    const server = this;
+    /**
+     * WebSocket constructor bound to this server
+     * @type {Function}
+     */
+    this.WebSocket = class extends MockWebSocket {
+      constructor(url, protocols, handshake) {
+        super(server, url, protocols, handshake);
+      }
+    };
+  }
+
+  /**
+   * The most recent connection
+   * @returns {MockConnection|null} Connection, or null before the first connect
+   */
+  get connection() {
+    return this.connections[this.connections.length - 1] || null;
+  }
+
+  /**
+   * Create a WebSocketClient connected to this server
+   * @param {Object} options - WebSocketClient options
+   * @returns {WebSocketClient} Client
+   */
+  createClient(options = {}) {
+    return new WebSocketClient(this.url, { ...options, WebSocket: this.WebSocket });
+  }
+
+  /**
+   * Create a SimpleWebSocket connected to this server
+   * @param {Object} options - SimpleWebSocket options
+   * @returns {SimpleWebSocket} Client
+   */
+  createSimpleClient(options = {}) {
+    return new SimpleWebSocket({ url: this.url, ...options, WebSocket: this.WebSocket });
+  }
+
+  /**
+   * Script the reply to an action. The reply carries the same action and the request's requestId,
+   * so it settles WebSocketClient#request(). A handler returning undefined sends nothing (it can
+   * still send with `received.connection.send()`), and a handler that throws or rejects replies
+   * with `{ error: { message, code } }`.
+   * @param {string} action - Action to answer, or '*' for any action without its own reply
+   * @param {Function|*} reply - Reply payload, or `(payload, received) => payload | Promise`
+   * @returns {MockServer} The server, for chaining
+   */
+  reply(action, reply) {
+    this.handlers.set(action, reply);
+    return this;
+  }
+
+  /**
+   * Send a message to every open connection
+   * @param {string} action - Event name
+   * @param {*} payload - Payload (optional)
+   * @param {Object} meta - Metadata (optional)
+   */
+  send(action, payload, meta = {}) {
+    this.openConnections().forEach(connection => connection.send(action, payload, meta));
+  }
+
+  /**
+   * Send a frame to every open connection
+   * @param {string|ArrayBuffer|ArrayBufferView|*} frame - Frame or message
+   */
+  sendRaw(frame) {
+    this.openConnections().forEach(connection => connection.sendRaw(frame));
+  }
+
+  /**
+   * Close every open connection with a clean closing handshake
+   * @param {number} code - Close code (default: 1000)
+   * @param {string} reason - Close reason (default: '')
+   */
+  closeAll(code = 1000, reason = '') {
+    this.openConnections().forEach(connection => connection.close(code, reason));
+  }
+
+  /**
+   * Drop every open connection without a closing handshake (close code 1006)
+   */
+  dropAll() {
+    this.openConnections().forEach(connection => connection.drop());
+  }
+
+  /**
+   * Fail new connections until acceptConnections() is called: the client gets an 'error' event
+   * and a close with the given code instead of 'open'
+   * @param {Object} options - `{ code, reason }` of the close (default: 1006, '')
+   */
+  refuseConnections({ code = 1006, reason = '' } = {}) {
+    this.refusal = { code, reason };
+  }
+
+  /**
+   * Accept new connections again after refuseConnections()
+   */
+  acceptConnections() {
+    this.refusal = null;
+  }
+
+  /**
+   * Leave the next pings unanswered, e.g. to trigger a client's pongTimeout
+   * @param {number} count - Pings to ignore; Infinity ignores all, 0 answers them again (default: Infinity)
+   */
+  losePongs(count = Infinity) {
+    this.lostPongs = count;
+  }
+
+  /**
+   * Messages received from all connections
+   * @param {string} action - Only messages with this event name (optional)
+   * @returns {ReceivedMessage[]} Messages in arrival order
+   */
+  messages(action) {
+    return action === undefined ? this.received.slice() : this.received.filter(received => received.event === action);
+  }
+
+  /**
+   * Wait for the next message a client sends
+   * @param {string} action - Only a message with this event name (optional)
+   * @returns {Promise<ReceivedMessage>} Resolves when the message arrives
+   */
+  nextMessage(action) {
+    return new Promise(resolve => this.waiters.push({ type: 'message', action, resolve }));
+  }
+
+  /**
+   * Wait for the next connection to open
+   * @returns {Promise<MockConnection>} Resolves with the connection after its 'open' event
+   */
+  nextConnection() {
+    return new Promise(resolve => this.waiters.push({ type: 'connection', resolve }));
+  }
+
+  /**
+   * Forget received messages, scripted replies, pong loss and refusal. Connections stay open.
+   */
+  reset() {
+    this.received = [];
+    this.connections.forEach((connection) => {
+      connection.frames = [];
+      connection.received = [];
+    });
+    this.handlers.clear();
+    this.refusal = null;
+    this.lostPongs = 0;
+    this.pings = 0;
+  }
+
+  /**
+   * Accept a new socket and complete or refuse its handshake
+   * @param {MockWebSocket} socket - Connecting socket
+   * @returns {MockConnection} Server side of the socket
+   * @private
+   */
+  accept(socket) {
+    const connection = new MockConnection(this, socket);
+    const refusal = this.refusal;
+    this.connections.push(connection);
+
+    this.schedule(() => {
+      if (refusal) {
+        connection.finish(refusal.code, refusal.reason, false);
+      } else if (socket.readyState === MockWebSocket.CONNECTING) {
+        socket.didOpen(socket.protocols[0] || '');
+        this.settleWaiters('connection', connection);
+      }
+    });
+    return connection;
+  }
+
+  /**
+   * Record a received message and settle nextMessage() promises waiting for it
+   * @param {ReceivedMessage} received - Message
+   * @private
+   */
+  record(received) {
+    this.received.push(received);
+    this.settleWaiters('message', received, waiter => waiter.action === undefined || waiter.action === received.event);
+  }
+
+  /**
+   * Resolve the waiters of a type that accept a value
+   * @param {string} type - 'message' or 'connection'
+   * @param {*} value - Resolved value
+   * @param {Function} accepts - `(waiter) => boolean` (optional)
+   * @private
+   */
+  settleWaiters(type, value, accepts = () => true) {
+    this.waiters = this.waiters.filter((waiter) => {
+      if (waiter.type !== type || !accepts(waiter)) {
+        return true;
+      }
+      waiter.resolve(value);
+      return false;
+    });
+  }
+
+  /**
+   * Answer a 'Ping' frame unless pongs are being lost
+   * @param {MockConnection} connection - Connection the ping arrived on
+   * @private
+   */
+  handlePing(connection) {
+    this.pings++;
+    if (this.lostPongs > 0) {
+      this.lostPongs--;
+      return;
+    }
+    if (this.autoPong) {
+      connection.sendRaw('Pong');
+    }
+  }
+
+  /**
+   * Acknowledge a message and run its scripted reply
+   * @param {ReceivedMessage} received - Message
+   * @private
+   */
+  handleMessage(received) {
+    const { connection, meta } = received;
+
+    if (this.autoAck && meta.messageId !== undefined) {
+      connection.send('ack', undefined, { messageId: meta.messageId });
+    }
+
+    const handler = this.handlers.has(received.event) ? this.handlers.get(received.event) : this.handlers.get('*');
+    if (handler === undefined) {
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => (typeof handler === 'function' ? handler(received.payload, received) : handler))
+      .then(
+        (payload) => {
+          if (payload !== undefined) {
+            connection.reply(received, payload);
+          }
+        },
+        error => connection.reply(received, undefined, error instanceof Error ? error : new Error(String(error)))
+      );
+  }
+
+  /**
+   * Run a delivery after the server latency
+   * @param {Function} deliver - Delivery
+   * @private
+   */
+  schedule(deliver) {
+    if (this.latency > 0) {
+      setTimeout(deliver, this.latency);
+    } else {
+      Promise.resolve().then(deliver);
+    }
+  }
+
+  /**
+   * Open connections
+   * @returns {MockConnection[]} Connections whose handshake completed and that are not closed
+   * @private
+   */
+  openConnections() {
+    return this.connections.filter(connection => connection.open);
+  }
+}
+
+/**
+ * Let pending deliveries and promise callbacks run. Deliveries without latency happen on
+ * microtasks, so awaiting this is enough; with latency, advance the (fake) clock first.
+ * @param {number} rounds - Microtask turns to wait (default: 20)
+ * @returns {Promise<void>} Resolves after the turns
+ */
+export async function flushMicrotasks(rounds = 20) {
+  for (let i = 0; i < rounds; i++) {
+    await Promise.resolve();
+  }
+}
+
+export default MockServer;
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview In-memory WebSocket implementation connected to a MockServer or SessionReplay
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+/**
+ * A browser-compatible WebSocket whose other end is a MockServer or a SessionReplay. It supports both `on*` handler
+ * properties (used by SimpleWebSocket) and addEventListener() (used by reconnecting-websocket).
+ * Create it through `server.WebSocket`, which binds the server: `new server.WebSocket(url, protocols)`.
+ * @class MockWebSocket
+ */
+export class MockWebSocket {
+  /**
+   * Create a socket and start connecting to the server
+   * @param {MockServer} server - Server to connect to
+   * @param {string} url - WebSocket URL; any URL reaches the server
+   * @param {string|string[]} protocols - Requested subprotocols (optional)
+   * @param {Object} options - Handshake options, e.g. `{ headers }` as accepted by the `ws` package (optional)
+   */
+  constructor(server, url, protocols = [], options = {}) {
+    this.url = String(url);
+    this.protocols = [].concat(protocols || []);
+    this.handshake = options;
+    this.protocol = '';
+    this.extensions = '';
+    this.binaryType = 'blob';
+    this.bufferedAmount = 0;
+    this.readyState = CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+    this.listeners = new Map();
+    this.connection = server.accept(this);
+  }
+
+  /**
+   * Send a frame to the server
+   * @param {string|ArrayBuffer|ArrayBufferView} data - Frame
+   * @throws {Error} While the socket is still connecting, like a browser WebSocket
+   */
+  send(data) {
+    if (this.readyState === CONNECTING) {
+      throw new Error("Failed to execute 'send' on 'WebSocket': Still in CONNECTING state.");
+    }
+    // Browsers silently discard frames sent after close()
+    if (this.readyState === OPEN) {
+      this.connection.handleFrame(data);
+    }
+  }
+
+  /**
+   * Start the closing handshake
+   * @param {number} code - Close code (default: 1000)
+   * @param {string} reason - Close reason (default: '')
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState >= CLOSING) {
+      return;
+    }
+    this.readyState = CLOSING;
+    this.connection.handleClose(code, reason);
+  }
+
+  /**
+   * Add an event listener
+   * @param {string} type - 'open', 'message', 'error' or 'close'
+   * @param {Function|Object} listener - Function or object with handleEvent()
+   */
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    const listeners = this.listeners.get(type);
+    if (listeners.indexOf(listener) === -1) {
+      listeners.push(listener);
+    }
+  }
+
+  /**
+   * Remove an event listener
+   * @param {string} type - Event type
+   * @param {Function|Object} listener - Listener to remove
+   */
+  removeEventListener(type, listener) {
+    const listeners = this.listeners.get(type) || [];
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Dispatch an event to the `on<type>` property and the registered listeners
+   * @param {string} type - Event type
+   * @param {Object} fields - Event fields, e.g. `{ data }` or `{ code, reason, wasClean }`
+   * @private
+   */
+  dispatch(type, fields = {}) {
+    const event = { type, target: this, currentTarget: this, ...fields };
+    const handler = this[`on${type}`];
+    if (typeof handler === 'function') {
+      handler.call(this, event);
+    }
+    (this.listeners.get(type) || []).slice().forEach((listener) => {
+      if (typeof listener === 'function') {
+        listener.call(this, event);
+      } else {
+        listener.handleEvent(event);
+      }
+    });
+  }
+
+  /**
+   * Complete the opening handshake
+   * @param {string} protocol - Subprotocol selected by the server
+   * @private
+   */
+  didOpen(protocol) {
+    this.readyState = OPEN;
+    this.protocol = protocol;
+    this.dispatch('open');
+  }
+
+  /**
+   * Deliver a frame from the server, converted to the socket's binaryType
+   * @param {string|Uint8Array} data - Frame
+   * @private
+   */
+  didReceive(data) {
+    if (this.readyState !== OPEN) {
+      return;
+    }
+    let frame = data;
+    if (typeof data !== 'string' && this.binaryType === 'arraybuffer') {
+      frame = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    } else if (typeof data !== 'string' && typeof Blob !== 'undefined') {
+      frame = new Blob([data]);
+    }
+    this.dispatch('message', { data: frame });
+  }
+
+  /**
+   * Finish closing, firing 'error' first for connections that failed or were dropped
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   * @param {boolean} wasClean - Whether the closing handshake completed
+   * @param {boolean} withError - Fire 'error' before 'close' (default: when not clean)
+   * @private
+   */
+  didClose(code, reason, wasClean, withError = !wasClean) {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+    this.readyState = CLOSED;
+    if (withError) {
+      this.dispatch('error', { message: 'WebSocket connection failed' });
+    }
+    this.dispatch('close', { code, reason, wasClean });
+  }
+}
+
+MockWebSocket.CONNECTING = CONNECTING;
+MockWebSocket.OPEN = OPEN;
+MockWebSocket.CLOSING = CLOSING;
+MockWebSocket.CLOSED = CLOSED;
+Object.assign(MockWebSocket.prototype, { CONNECTING, OPEN, CLOSING, CLOSED });
+
+export default MockWebSocket;
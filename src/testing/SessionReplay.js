@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Replay transport that plays a recorded session back into a client
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { MockWebSocket } from './MockWebSocket.js';
+import { WebSocketClient } from '../WebSocketClient.js';
+import { SessionRecorder, fromBase64 } from '../SessionRecorder.js';
+import { toFrameData } from '../codecs.js';
+
+/**
+ * Plays a session recorded with WebSocketClient#startRecording() back into a client. Pass
+ * `replay.WebSocket` as the client's `WebSocket` option (or use createClient()) and call play():
+ * recorded opens, closes and errors happen to the client's socket and recorded inbound frames
+ * reach handleMessage() as if the server sent them, with the recorded timing divided by `speed`.
+ * What the client sends during the replay is collected in `sent`, e.g. to compare with the
+ * recording's 'out' entries.
+ * @class SessionReplay
+ */
+export class SessionReplay {
+  /**
+   * Create a replay
+   * @param {string|Object|SessionRecorder} session - Recorded session, in any format SessionRecorder.from() reads
+   * @param {Object} options - Replay options
+   * @param {number} options.speed - Playback speed: 1 is real time, 10 ten times faster and
+   *   Infinity without waiting (default: 1)
+   */
+  constructor(session, options = {}) {
+    const recording = SessionRecorder.from(session);
+    this.url = recording.url || 'ws://replay.session/';
+    this.entries = recording.entries;
+    this.speed = options.speed || 1;
+    this.position = 0;
+    this.sockets = [];
+    this.sent = [];
+    this.socketWaiters = [];
+    this.playing = null;
+    this.stopped = false;
+
+    const replay = this;
+    /**
+     * WebSocket constructor bound to this replay
+     * @type {Function}
+     */
+    this.WebSocket = class extends MockWebSocket {
+      constructor(url, protocols, handshake) {
+        super(replay, url, protocols, handshake);
+      }
+    };
+  }
+
+  /**
+   * The socket the replay currently talks to
+   * @returns {MockWebSocket|null} Most recent socket
+   */
+  get socket() {
+    return this.sockets[this.sockets.length - 1] || null;
+  }
+
+  /**
+   * Create a WebSocketClient connected to this replay. Auto-ping is off unless the options turn
+   * it on, since recorded pongs are replayed anyway.
+   * @param {Object} options - WebSocketClient options
+   * @returns {WebSocketClient} Client
+   */
+  createClient(options = {}) {
+    return new WebSocketClient(this.url, { autoPing: false, ...options, WebSocket: this.WebSocket });
+  }
+
+  /**
+   * Play the session. Calling it again returns the same promise.
+   * @returns {Promise<void>} Resolves after the last entry, or when stop() is called
+   */
+  play() {
+    if (!this.playing) {
+      this.playing = this.run();
+    }
+    return this.playing;
+  }
+
+  /**
+   * Stop playing after the current entry
+   */
+  stop() {
+    this.stopped = true;
+    this.socketWaiters.splice(0).forEach(resolve => resolve(null));
+  }
+
+  /**
+   * Play the entries in order
+   * @returns {Promise<void>} Resolves when done
+   * @private
+   */
+  async run() {
+    const first = this.entries.length > 0 ? this.entries[0].t : 0;
+    const startedAt = Date.now();
+
+    while (this.position < this.entries.length && !this.stopped) {
+      const entry = this.entries[this.position];
+      // Waiting for the start time instead of between entries keeps timer rounding from adding up
+      await this.wait(startedAt + (entry.t - first) / this.speed - Date.now());
+      if (this.stopped) {
+        break;
+      }
+      await this.apply(entry);
+      if (this.stopped) {
+        break;
+      }
+      this.position++;
+    }
+  }
+
+  /**
+   * Replay one entry. Outbound frames and events the client raises itself, like 'reconnecting',
+   * are skipped: the client produces them again on its own.
+   * @param {SessionEntry} entry - Entry
+   * @returns {Promise<void>} Resolves once the entry was applied
+   * @private
+   */
+  async apply(entry) {
+    if (entry.type === 'open') {
+      // After a recorded close the client reconnects on its own schedule
+      const socket = await this.nextConnectingSocket();
+      if (socket) {
+        socket.didOpen(socket.protocols[0] || '');
+      }
+      return;
+    }
+
+    const socket = this.socket;
+    if (!socket) {
+      return;
+    }
+
+    if (entry.type === 'in') {
+      socket.didReceive(entry.encoding === 'base64' ? fromBase64(entry.data) : entry.data);
+    } else if (entry.type === 'close') {
+      // A dropped connection's 'error' entry was recorded separately
+      socket.didClose(entry.code || 1006, entry.reason || '', entry.wasClean !== false, false);
+    } else if (entry.type === 'error') {
+      socket.dispatch('error', { message: entry.message });
+    }
+  }
+
+  /**
+   * Wait for a socket that is still connecting
+   * @returns {Promise<MockWebSocket|null>} Socket, or null when the replay stops first
+   * @private
+   */
+  nextConnectingSocket() {
+    const socket = this.sockets.find(candidate => candidate.readyState === MockWebSocket.CONNECTING);
+    if (socket) {
+      return Promise.resolve(socket);
+    }
+    return new Promise(resolve => this.socketWaiters.push(resolve));
+  }
+
+  /**
+   * Wait between entries
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>} Resolves after the delay
+   * @private
+   */
+  wait(ms) {
+    if (!(ms > 0)) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Take a socket created by the client. Its handshake completes when the replay reaches an 'open' entry.
+   * @param {MockWebSocket} socket - Connecting socket
+   * @returns {Object} Server side of the socket
+   * @private
+   */
+  accept(socket) {
+    this.sockets.push(socket);
+    const waiter = this.socketWaiters.shift();
+    if (waiter) {
+      waiter(socket);
+    }
+
+    return {
+      handleFrame: data => this.sent.push(toFrameData(data)),
+      handleClose: (code, reason) => Promise.resolve().then(() => socket.didClose(code, reason, true))
+    };
+  }
+}
+
+export default SessionReplay;
@@ -0,0 +1,156 @@
+/**
+ * Type definitions for the testing entry point of @chancecox/websocket-client
+ *
+ *   const server = new MockServer();
+ *   server.reply('quote', ({ sku }) => ({ sku, price: 9 }));
+ *   const client = server.createClient({ autoPing: false });
+ */
+
+import {
+  CodecOption,
+  EnvelopeOption,
+  PayloadMap,
+  RecordedSession,
+  SessionRecorder,
+  SimpleWebSocket,
+  SimpleWebSocketOptions,
+  WebSocketClient,
+  WebSocketClientOptions
+} from '../index';
+
+export interface MockServerOptions {
+  /** URL used by createClient() and createSimpleClient() (default: 'ws://mock.server/') */
+  url?: string;
+  /** Milliseconds each connect, frame and close takes in either direction (default: 0) */
+  latency?: number;
+  codec?: CodecOption;
+  envelope?: EnvelopeOption;
+  requestIdKey?: string;
+  messageIdKey?: string;
+  channelKey?: string;
+  /** Answer 'Ping' frames with 'Pong' (default: true) */
+  autoPong?: boolean;
+  /** Acknowledge messages that carry a message ID (default: false) */
+  autoAck?: boolean;
+}
+
+export interface ReceivedMessage<T = any> {
+  event: string | undefined;
+  payload: T;
+  meta: { requestId?: string | number; messageId?: string | number; channel?: string; [key: string]: any };
+  message: any;
+  frame: string | Uint8Array;
+  connection: MockConnection;
+}
+
+export interface MockCloseEvent {
+  code: number;
+  reason: string;
+  wasClean: boolean;
+}
+
+export type ReplyHandler<T = any> = (payload: T, received: ReceivedMessage<T>) => any;
+
+export class MockWebSocket {
+  static readonly CONNECTING: 0;
+  static readonly OPEN: 1;
+  static readonly CLOSING: 2;
+  static readonly CLOSED: 3;
+  readonly CONNECTING: 0;
+  readonly OPEN: 1;
+  readonly CLOSING: 2;
+  readonly CLOSED: 3;
+  readonly url: string;
+  readonly protocols: string[];
+  readonly handshake: { headers?: Record<string, string>; [key: string]: any };
+  readonly protocol: string;
+  readonly extensions: string;
+  readonly bufferedAmount: number;
+  readonly readyState: 0 | 1 | 2 | 3;
+  readonly connection: MockConnection;
+  binaryType: 'blob' | 'arraybuffer';
+  onopen: ((event: any) => void) | null;
+  onmessage: ((event: any) => void) | null;
+  onerror: ((event: any) => void) | null;
+  onclose: ((event: any) => void) | null;
+  constructor(server: MockServer, url: string, protocols?: string | string[], options?: { headers?: Record<string, string> });
+  send(data: string | ArrayBuffer | ArrayBufferView): void;
+  close(code?: number, reason?: string): void;
+  addEventListener(type: string, listener: any): void;
+  removeEventListener(type: string, listener: any): void;
+}
+
+export class MockConnection {
+  readonly server: MockServer;
+  readonly socket: MockWebSocket;
+  readonly url: string;
+  readonly protocols: string[];
+  readonly headers: Record<string, string>;
+  /** Every frame the client sent, including heartbeats */
+  readonly frames: Array<string | Uint8Array>;
+  /** Messages the client sent, excluding heartbeats */
+  readonly received: ReceivedMessage[];
+  readonly closeEvent: MockCloseEvent | null;
+  readonly open: boolean;
+  readonly query: Record<string, string>;
+  send(action: string, payload?: any, meta?: Record<string, any>): void;
+  sendRaw(frame: any): void;
+  close(code?: number, reason?: string): void;
+  drop(): void;
+}
+
+export class MockServer {
+  constructor(options?: MockServerOptions);
+  readonly url: string;
+  latency: number;
+  autoPong: boolean;
+  autoAck: boolean;
+  /** Pings received */
+  readonly pings: number;
+  readonly connections: MockConnection[];
+  readonly connection: MockConnection | null;
+  readonly received: ReceivedMessage[];
+  /** WebSocket constructor bound to this server */
+  readonly WebSocket: new (url: string, protocols?: string | string[], options?: { headers?: Record<string, string> }) => MockWebSocket;
+  createClient<In extends PayloadMap = PayloadMap, Out extends PayloadMap = PayloadMap>(options?: WebSocketClientOptions<In, Out>): WebSocketClient<In, Out>;
+  createSimpleClient(options?: Partial<SimpleWebSocketOptions>): SimpleWebSocket;
+  reply<T = any>(action: string, handler: ReplyHandler<T>): this;
+  reply(action: string, payload: any): this;
+  send(action: string, payload?: any, meta?: Record<string, any>): void;
+  sendRaw(frame: any): void;
+  closeAll(code?: number, reason?: string): void;
+  dropAll(): void;
+  refuseConnections(options?: { code?: number; reason?: string }): void;
+  acceptConnections(): void;
+  losePongs(count?: number): void;
+  messages<T = any>(action?: string): ReceivedMessage<T>[];
+  nextMessage<T = any>(action?: string): Promise<ReceivedMessage<T>>;
+  nextConnection(): Promise<MockConnection>;
+  reset(): void;
+}
+
+export interface SessionReplayOptions {
+  /** Playback speed: 1 is real time, Infinity doesn't wait (default: 1) */
+  speed?: number;
+}
+
+export class SessionReplay {
+  constructor(session: string | RecordedSession | { log: { entries: any[] } } | SessionRecorder, options?: SessionReplayOptions);
+  readonly url: string;
+  readonly speed: number;
+  /** Index of the next entry to play */
+  readonly position: number;
+  readonly sockets: MockWebSocket[];
+  readonly socket: MockWebSocket | null;
+  /** Frames the client sent during the replay */
+  readonly sent: Array<string | Uint8Array>;
+  /** WebSocket constructor bound to this replay */
+  readonly WebSocket: new (url: string, protocols?: string | string[]) => MockWebSocket;
+  createClient<In extends PayloadMap = PayloadMap, Out extends PayloadMap = PayloadMap>(options?: WebSocketClientOptions<In, Out>): WebSocketClient<In, Out>;
+  play(): Promise<void>;
+  stop(): void;
+}
+
+export function flushMicrotasks(rounds?: number): Promise<void>;
+
+export default MockServer;
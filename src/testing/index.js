@@ -0,0 +1,12 @@
+/**
+ * @fileoverview Entry point of the testing helpers, published as the package's `testing` export
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+// Export the in-memory server and its sockets
+export { MockServer, MockConnection, flushMicrotasks } from './MockServer.js';
+export { MockWebSocket } from './MockWebSocket.js';
+
+// Export the replay transport for recorded sessions
+export { SessionReplay } from './SessionReplay.js';
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Payload validation for message contracts (JSON Schema subset or validator functions)
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * A validation failure. `path` is a JSON pointer into the payload ('' for the payload itself).
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - Location of the invalid value, e.g. '/items/0/id'
+ * @property {string} message - What is wrong, e.g. 'must be string'
+ */
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Compare two JSON values
+ * @private
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validate a value against a JSON Schema. Supports type, enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength, pattern, minimum,
+ * maximum, exclusiveMinimum, exclusiveMaximum, anyOf, oneOf and allOf; other keywords are ignored.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - JSON pointer of the value (default: '')
+ * @returns {ValidationIssue[]} Issues, empty when the value is valid
+ */
+export function validateJsonSchema(schema, value, path = '') {
+  if (schema === true || !schema) {
+    return [];
+  }
+  if (schema === false) {
+    return [{ path, message: 'must not be present' }];
+  }
+
+  const issues = [];
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(expected => expected === type || (expected === 'number' && type === 'integer'));
+    if (!matches) {
+      return [{ path, message: `must be ${types.join(' or ')}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    issues.push({ path, message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    issues.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      issues.push({ path, message: `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      issues.push({ path, message: `must have at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      issues.push({ path, message: `must match pattern "${schema.pattern}"` });
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issues.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      issues.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      issues.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      issues.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issues.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      issues.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        issues.push(...validateJsonSchema(schema.items, item, `${path}/${index}`));
+      });
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        issues.push({ path, message: `must have required property "${key}"` });
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        issues.push(...validateJsonSchema(properties[key], value[key], `${path}/${key}`));
+      } else if (schema.additionalProperties === false) {
+        issues.push({ path: `${path}/${key}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        issues.push(...validateJsonSchema(schema.additionalProperties, value[key], `${path}/${key}`));
+      }
+    });
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => issues.push(...validateJsonSchema(subschema, value, path)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => validateJsonSchema(subschema, value, path).length === 0)) {
+    issues.push({ path, message: 'must match a schema in anyOf' });
+  }
+  if (schema.oneOf && schema.oneOf.filter(subschema => validateJsonSchema(subschema, value, path).length === 0).length !== 1) {
+    issues.push({ path, message: 'must match exactly one schema in oneOf' });
+  }
+
+  return issues;
+}
+
+/**
+ * Turn a validator function's result into issues. Validators return true (or nothing) when the
+ * value is valid, and false, a message, or a list of messages/issues when it isn't.
+ * @param {*} result - Validator result
+ * @returns {ValidationIssue[]} Issues
+ * @private
+ */
+function toIssues(result) {
+  if (result === true || result === undefined || result === null) {
+    return [];
+  }
+  if (result === false) {
+    return [{ path: '', message: 'is invalid' }];
+  }
+  if (typeof result === 'string') {
+    return [{ path: '', message: result }];
+  }
+  if (Array.isArray(result)) {
+    return result.map(issue => (typeof issue === 'string' ? { path: '', message: issue } : issue));
+  }
+  return [];
+}
+
+/**
+ * Validate a payload against a JSON Schema or a validator function
+ * @param {Object|Function} schema - JSON Schema, or `(payload) => true | false | string | Array`; thrown errors count as failures
+ * @param {*} value - Payload
+ * @returns {ValidationIssue[]} Issues, empty when the payload is valid
+ */
+export function validate(schema, value) {
+  if (typeof schema !== 'function') {
+    return validateJsonSchema(schema, value);
+  }
+
+  try {
+    return toIssues(schema(value));
+  } catch (error) {
+    return [{ path: '', message: error.message }];
+  }
+}
+
+/**
+ * Build the error reported for an invalid payload
+ * @param {string} direction - 'incoming' or 'outgoing'
+ * @param {string} action - Action or event name
+ * @param {ValidationIssue[]} errors - Issues
+ * @returns {Error} Error with `code` 'VALIDATION_ERROR', `direction`, `action` and `errors`
+ */
+export function createValidationError(direction, action, errors) {
+  const summary = errors.map(issue => `${issue.path || '(payload)'} ${issue.message}`).join('; ');
+  const error = new Error(`Invalid ${direction} payload for "${action}": ${summary}`);
+  error.code = 'VALIDATION_ERROR';
+  error.direction = direction;
+  error.action = action;
+  error.errors = errors;
+  return error;
+}
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Package name and version, as published in package.json
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * The npm package name
+ * @type {string}
+ */
+export const PACKAGE_NAME = '@chancecox/websocket-client';
+
+/**
+ * The package version; a test keeps it in step with package.json
+ * @type {string}
+ */
+export const PACKAGE_VERSION = '1.0.0';
@@ -0,0 +1,181 @@
+import { WebSocketClient } from '../src/WebSocketClient.js';
+import { MockReconnectingWebSocket } from './helpers/MockReconnectingWebSocket.js';
+
+jest.mock('reconnecting-websocket', () => ({
+  __esModule: true,
+  get default() {
+    return jest.requireActual('./helpers/MockReconnectingWebSocket.js').MockReconnectingWebSocket;
+  }
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+describe('ApiGatewayProtocol', () => {
+  let socket;
+  let client;
+
+  function connect(apiGateway = {}, options = {}) {
+    socket = new MockReconnectingWebSocket('wss://abc123.execute-api.eu-west-1.amazonaws.com/prod');
+    client = new WebSocketClient(socket, { autoPing: false, protocol: 'apiGateway', apiGateway, ...options });
+    socket.open();
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+    client.destroy();
+  });
+
+  test('should route emit() through the action key', () => {
+    connect();
+    client.emit('sendMessage', { text: 'hi' });
+
+    expect(socket.sentMessages()).toEqual([{ action: 'sendMessage', data: { text: 'hi' } }]);
+    expect(client.getStatus().protocol).toBe('apiGateway');
+  });
+
+  test('should send heartbeats to the ping route within the idle timeout', () => {
+    connect();
+
+    expect(client.options.pingInterval).toBe(540);
+
+    client.ping();
+    socket.receive({ action: 'pong' });
+
+    expect(socket.sentMessages()).toEqual([{ action: 'ping' }]);
+    expect(client.getStatus().lastPongAt).not.toBeNull();
+  });
+
+  test('should keep an explicit pingInterval', () => {
+    connect({}, { pingInterval: 60 });
+
+    expect(client.options.pingInterval).toBe(60);
+  });
+
+  test('should reconnect before the two-hour connection lifetime ends', () => {
+    jest.useFakeTimers();
+    connect();
+    const refresh = jest.fn();
+    const reconnect = jest.spyOn(socket, 'reconnect');
+    client.on('apigateway:connection_refresh', refresh);
+
+    jest.advanceTimersByTime(HOUR + 54 * 60 * 1000);
+    expect(reconnect).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(refresh).toHaveBeenCalledWith({ connectionId: null, maxConnectionDuration: 2 * HOUR });
+    expect(reconnect).toHaveBeenCalledWith(1000, 'Connection lifetime');
+    expect(client.open).toBe(true);
+
+    // The new connection gets its own lifetime
+    jest.advanceTimersByTime(HOUR);
+    expect(reconnect).toHaveBeenCalledTimes(1);
+  });
+
+  test('should capture the connection ID from the handshake action', () => {
+    connect({ handshakeAction: 'whoami' });
+    const handshake = jest.fn();
+    client.on('apigateway:handshake', handshake);
+
+    expect(socket.sentMessages()).toEqual([{ action: 'whoami' }]);
+
+    socket.receive({ action: 'whoami', data: { connectionId: 'Abc123=' } });
+
+    expect(client.connectionId).toBe('Abc123=');
+    expect(handshake).toHaveBeenCalledWith({ connectionId: 'Abc123=', data: { connectionId: 'Abc123=' } });
+
+    socket.close(1006);
+    expect(client.connectionId).toBeNull();
+  });
+
+  test('should report gateway errors', () => {
+    connect();
+    const error = jest.fn();
+    client.on('apigateway:error', error);
+
+    socket.receive({ message: 'Forbidden', connectionId: 'Abc123=', requestId: 'req-1' });
+
+    expect(error).toHaveBeenCalledWith({ message: 'Forbidden', connectionId: 'Abc123=', requestId: 'req-1' });
+  });
+
+  test('should split frames above the frame size into chunks under the limit', () => {
+    connect();
+    const text = 'é"'.repeat(40 * 1024);
+    client.emit('upload', { text });
+
+    const frames = socket.sent;
+    expect(frames.length).toBeGreaterThan(1);
+    frames.forEach(frame => expect(new TextEncoder().encode(frame).byteLength).toBeLessThanOrEqual(32 * 1024));
+
+    const chunks = frames.map(frame => JSON.parse(frame));
+    chunks.forEach((chunk, index) => {
+      expect(chunk.action).toBe('upload');
+      expect(chunk.chunk).toEqual({ id: chunks[0].chunk.id, index, count: frames.length });
+    });
+    expect(JSON.parse(chunks.map(chunk => chunk.data).join(''))).toEqual({ action: 'upload', data: { text } });
+  });
+
+  test('should leave frames under the limit alone', () => {
+    connect({ maxFrameSize: 64 });
+    client.emit('small', 'x');
+
+    expect(socket.sent).toEqual([JSON.stringify({ action: 'small', data: 'x' })]);
+  });
+
+  test('should reassemble chunked messages from the server', () => {
+    connect();
+    const listener = jest.fn();
+    client.listen('report', listener);
+
+    const frame = JSON.stringify({ action: 'report', data: { rows: [1, 2, 3] } });
+    const parts = [frame.slice(0, 10), frame.slice(10, 20), frame.slice(20)];
+    socket.receive({ action: 'report', chunk: { id: 'c1', index: 2, count: 3 }, data: parts[2] });
+    socket.receive({ action: 'report', chunk: { id: 'c1', index: 0, count: 3 }, data: parts[0] });
+    expect(listener).not.toHaveBeenCalled();
+
+    socket.receive({ action: 'report', chunk: { id: 'c1', index: 1, count: 3 }, data: parts[1] });
+    expect(listener).toHaveBeenCalledWith({ rows: [1, 2, 3] });
+  });
+
+  test('should record and count a chunked message once per chunk', () => {
+    const metrics = { increment: jest.fn() };
+    connect({}, { metrics });
+    const recorder = client.startRecording();
+    const frame = JSON.stringify({ action: 'report', data: 'abcdef' });
+
+    socket.receive({ action: 'report', chunk: { id: 'c1', index: 0, count: 2 }, data: frame.slice(0, 10) });
+    socket.receive({ action: 'report', chunk: { id: 'c1', index: 1, count: 2 }, data: frame.slice(10) });
+
+    expect(recorder.entries.filter(entry => entry.type === 'in')).toHaveLength(2);
+    expect(metrics.increment.mock.calls.filter(([name]) => name === 'websocket.client.messages.received')).toHaveLength(2);
+  });
+
+  test('should drop malformed chunks', () => {
+    connect();
+    const listener = jest.fn();
+    client.listen('report', listener);
+
+    expect(() => {
+      socket.receive({ action: 'report', chunk: { id: 'c1', index: 0, count: -1 }, data: 'x' });
+      socket.receive({ action: 'report', chunk: { id: 'c2', index: 0, count: 1.5 }, data: 'x' });
+      socket.receive({ action: 'report', chunk: { id: 'c3', index: 4, count: 2 }, data: 'x' });
+      socket.receive({ action: 'report', chunk: { id: 'c4', index: 0, count: 1e9 }, data: 'x' });
+    }).not.toThrow();
+
+    socket.receive({ action: 'report', chunk: { id: 'c5', index: 0, count: 2 }, data: '{"action":' });
+    socket.receive({ action: 'report', chunk: { id: 'c5', index: 1, count: 3 }, data: '"report"}' });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(client.protocol.chunks.size).toBe(1);
+  });
+
+  test('should discard chunked messages that never complete', () => {
+    jest.useFakeTimers();
+    connect({ chunkTimeout: 1000 });
+
+    socket.receive({ action: 'report', chunk: { id: 'c1', index: 0, count: 2 }, data: '{"action":' });
+    expect(client.protocol.chunks.size).toBe(1);
+
+    jest.advanceTimersByTime(1000);
+    expect(client.protocol.chunks.size).toBe(0);
+  });
+});
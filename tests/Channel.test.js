@@ -0,0 +1,192 @@
+import { WebSocketClient } from '../src/WebSocketClient.js';
+import { Channel } from '../src/Channel.js';
+import { MockReconnectingWebSocket } from './helpers/MockReconnectingWebSocket.js';
+
+jest.mock('reconnecting-websocket', () => ({
+  __esModule: true,
+  get default() {
+    return jest.requireActual('./helpers/MockReconnectingWebSocket.js').MockReconnectingWebSocket;
+  }
+}));
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Channel', () => {
+  let socket;
+  let client;
+
+  function sent() {
+    return socket.sent.map(frame => JSON.parse(frame));
+  }
+
+  function receive(message) {
+    socket.receive(JSON.stringify(message));
+  }
+
+  beforeEach(() => {
+    socket = new MockReconnectingWebSocket('wss://example.com/ws');
+    client = new WebSocketClient(socket, { autoPing: false });
+  });
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  test('should return one channel per name', () => {
+    const chat = client.createChannel('chat');
+
+    expect(chat).toBeInstanceOf(Channel);
+    expect(client.createChannel('chat')).toBe(chat);
+    expect(client.getChannel('chat')).toBe(chat);
+    expect(client.getStatus().channels).toEqual(['chat']);
+    expect(() => client.createChannel('')).toThrow('Channel name must be a non-empty string.');
+  });
+
+  test('should tag outgoing messages with the channel name', () => {
+    socket.open();
+    client.createChannel('chat').emit('say', { text: 'hi' });
+    client.emit('say', { text: 'hello' });
+
+    expect(sent()).toEqual([
+      { action: 'say', data: { text: 'hi' }, channel: 'chat' },
+      { action: 'say', data: { text: 'hello' } }
+    ]);
+  });
+
+  test('should route tagged messages to the channel only', () => {
+    const chat = client.createChannel('chat');
+    const onChannel = jest.fn();
+    const onChannelMessage = jest.fn();
+    const onClient = jest.fn();
+    chat.listen('say', onChannel);
+    chat.listen('*', onChannelMessage);
+    client.listen('say', onClient);
+
+    receive({ action: 'say', data: 'hi', channel: 'chat' });
+    receive({ action: 'say', data: 'hello' });
+
+    expect(onChannel.mock.calls).toEqual([['hi']]);
+    expect(onChannelMessage).toHaveBeenCalledWith(expect.objectContaining({ event: 'say', data: 'hi', meta: { channel: 'chat' } }));
+    expect(onClient.mock.calls).toEqual([['hello']]);
+  });
+
+  test('should deliver messages for unknown channels to the client', () => {
+    const onClient = jest.fn();
+    client.listen('say', onClient);
+
+    receive({ action: 'say', data: 'hi', channel: 'news' });
+
+    expect(onClient).toHaveBeenCalledWith('hi');
+  });
+
+  test('should use the configured channel key', () => {
+    client.destroy();
+    socket = new MockReconnectingWebSocket('wss://example.com/ws');
+    client = new WebSocketClient(socket, { autoPing: false, channelKey: 'ch' });
+    const chat = client.createChannel('chat');
+    const onChannel = jest.fn();
+    chat.listen('say', onChannel);
+    socket.open();
+
+    chat.emit('say', 'hi');
+    receive({ action: 'say', data: 'back', ch: 'chat' });
+
+    expect(sent()).toEqual([{ action: 'say', data: 'hi', ch: 'chat' }]);
+    expect(onChannel).toHaveBeenCalledWith('back');
+  });
+
+  test('should queue in its own queue and flush after the client queue on open', () => {
+    const chat = client.createChannel('chat', { queue: { maxSize: 1 } });
+    const onDropped = jest.fn();
+    chat.on('message_dropped', onDropped);
+
+    client.emit('first');
+    chat.emit('second');
+    chat.emit('third');
+
+    expect(client.getStatus().messageQueueLength).toBe(1);
+    expect(chat.getStatus().messageQueueLength).toBe(1);
+    expect(onDropped).toHaveBeenCalledWith(expect.objectContaining({ reason: 'overflow', channel: 'chat' }));
+
+    socket.open();
+
+    expect(sent().map(message => message.action)).toEqual(['first', 'third']);
+    expect(chat.getStatus().messageQueueLength).toBe(0);
+  });
+
+  test('should settle requests made on a channel', async () => {
+    socket.open();
+    const chat = client.createChannel('chat');
+
+    const reply = chat.request('history', { limit: 2 });
+    const [message] = sent();
+    receive({ action: 'history', data: ['a', 'b'], requestId: message.requestId, channel: 'chat' });
+
+    expect(message).toEqual(expect.objectContaining({ action: 'history', channel: 'chat' }));
+    await expect(reply).resolves.toEqual(['a', 'b']);
+  });
+
+  test('should acknowledge at-least-once messages queued on a channel', () => {
+    client.destroy();
+    socket = new MockReconnectingWebSocket('wss://example.com/ws');
+    client = new WebSocketClient(socket, { autoPing: false, queue: { delivery: 'at-least-once' } });
+    const chat = client.createChannel('chat');
+    socket.open();
+
+    chat.emit('say', 'hi');
+    const [{ messageId }] = sent();
+    expect(chat.getStatus().messageQueueLength).toBe(1);
+
+    receive({ action: 'ack', messageId });
+
+    expect(chat.getStatus().messageQueueLength).toBe(0);
+  });
+
+  test('should forward connection events to channel listeners', async () => {
+    const chat = client.createChannel('chat');
+    const onOpen = jest.fn();
+    const onClose = jest.fn();
+    chat.on('open', onOpen);
+    chat.on('close', onClose);
+
+    socket.open();
+    expect(chat.getStatus().open).toBe(true);
+    socket.close();
+    await flushPromises();
+
+    expect(onOpen).toHaveBeenCalledTimes(1);
+    expect(onClose).toHaveBeenCalledWith(expect.objectContaining({ event: expect.anything() }));
+  });
+
+  test('should discard its queue and listeners on close', async () => {
+    const chat = client.createChannel('chat');
+    const onClose = jest.fn();
+    const onSay = jest.fn();
+    chat.on('close', onClose);
+    chat.listen('say', onSay);
+    chat.emit('queued');
+
+    chat.close();
+
+    expect(onClose).toHaveBeenCalledWith({ channel: true });
+    expect(chat.getStatus()).toEqual({ name: 'chat', open: false, closed: true, messageQueueLength: 0, listeners: 0 });
+    expect(client.getChannel('chat')).toBeUndefined();
+    expect(() => chat.emit('say')).toThrow('Channel "chat" is closed');
+    await expect(chat.request('say')).rejects.toMatchObject({ code: 'CHANNEL_CLOSED' });
+    expect(client.createChannel('chat')).not.toBe(chat);
+
+    socket.open();
+    expect(socket.sent).toEqual([]);
+  });
+
+  test('should close every channel when the client is destroyed', () => {
+    const chat = client.createChannel('chat');
+    const news = client.createChannel('news');
+
+    client.destroy();
+
+    expect(chat.closed).toBe(true);
+    expect(news.closed).toBe(true);
+    expect(client.getStatus().channels).toEqual([]);
+  });
+});
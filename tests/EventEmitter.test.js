@@ -0,0 +1,150 @@
+import { EventEmitter } from '../src/EventEmitter.js';
+
+describe('EventEmitter', () => {
+  let emitter;
+
+  beforeEach(() => {
+    emitter = new EventEmitter();
+  });
+
+  test('should dispatch events to registered listeners', () => {
+    const listener = jest.fn();
+    emitter.addEventListener('update', listener);
+
+    emitter.dispatchEvent({ type: 'update', detail: 42 });
+
+    expect(listener).toHaveBeenCalledWith({ type: 'update', detail: 42 });
+  });
+
+  test('should keep dispatching when a listener throws and report the error', () => {
+    const onListenerError = jest.fn();
+    emitter = new EventEmitter({ onListenerError });
+    const error = new Error('listener failed');
+    const listener = jest.fn();
+    const pattern = jest.fn();
+    emitter.addEventListener('update', () => {
+      throw error;
+    });
+    emitter.addEventListener('update', listener);
+    emitter.addEventListener('*', pattern);
+
+    expect(() => emitter.dispatchEvent({ type: 'update' })).not.toThrow();
+    expect(listener).toHaveBeenCalled();
+    expect(pattern).toHaveBeenCalled();
+    expect(onListenerError).toHaveBeenCalledWith(error, { type: 'update' });
+  });
+
+  test('should write listener errors to the console outside browsers', () => {
+    jest.useFakeTimers();
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    emitter.addEventListener('update', () => {
+      throw new Error('listener failed');
+    });
+
+    emitter.dispatchEvent({ type: 'update' });
+
+    expect(() => jest.runAllTimers()).not.toThrow();
+    expect(consoleError).toHaveBeenCalledWith('Listener for "update" failed:', expect.objectContaining({ message: 'listener failed' }));
+    consoleError.mockRestore();
+    jest.useRealTimers();
+  });
+
+  test('should remove listeners', () => {
+    const listener = jest.fn();
+    emitter.addEventListener('update', listener);
+    emitter.removeEventListener('update', listener);
+
+    emitter.dispatchEvent({ type: 'update' });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(emitter.listenerCount('update')).toBe(0);
+  });
+
+  test('should call once listeners a single time', () => {
+    const listener = jest.fn();
+    emitter.addEventListener('update', listener, { once: true });
+
+    emitter.dispatchEvent({ type: 'update' });
+    emitter.dispatchEvent({ type: 'update' });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should ignore duplicate registrations of the same listener', () => {
+    const listener = jest.fn();
+    emitter.addEventListener('update', listener);
+    emitter.addEventListener('update', listener);
+
+    emitter.dispatchEvent({ type: 'update' });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should remove all listeners', () => {
+    const listener = jest.fn();
+    emitter.addEventListener('a', listener);
+    emitter.addEventListener('b', listener);
+    emitter.removeAllListeners();
+
+    emitter.dispatchEvent({ type: 'a' });
+    emitter.dispatchEvent({ type: 'b' });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should run listeners by descending priority, then registration order', () => {
+    const calls = [];
+    emitter.addEventListener('update', () => calls.push('default'));
+    emitter.addEventListener('update', () => calls.push('high'), { priority: 10 });
+    emitter.addEventListener('update', () => calls.push('low'), { priority: -1 });
+    emitter.addEventListener('update', () => calls.push('default 2'));
+
+    emitter.dispatchEvent({ type: 'update' });
+
+    expect(calls).toEqual(['high', 'default', 'default 2', 'low']);
+  });
+
+  test.each([
+    ['order.*', 'order.created', true],
+    ['order.*', 'order.item.added', false],
+    ['order.**', 'order.item.added', true],
+    ['phoenix:*', 'phoenix:join', true],
+    ['*', 'open', true],
+    ['*', 'order.created', false],
+    ['order.*', 'orders.created', false]
+  ])('should match %s against %s: %s', (pattern, type, matches) => {
+    const listener = jest.fn();
+    emitter.addEventListener(pattern, listener);
+
+    emitter.dispatchEvent({ type });
+
+    expect(listener).toHaveBeenCalledTimes(matches ? 1 : 0);
+  });
+
+  test('should order pattern and exact listeners together and remove patterns', () => {
+    const calls = [];
+    const pattern = () => calls.push('pattern');
+    emitter.addEventListener('order.created', () => calls.push('exact'));
+    emitter.addEventListener('order.*', pattern, { priority: 1 });
+
+    emitter.dispatchEvent({ type: 'order.created' });
+    emitter.removeEventListener('order.*', pattern);
+    emitter.dispatchEvent({ type: 'order.created' });
+
+    expect(calls).toEqual(['pattern', 'exact', 'exact']);
+    expect(emitter.listenerCount('order.*')).toBe(0);
+  });
+
+  test('should remove listeners when their signal aborts', () => {
+    const controller = new AbortController();
+    const listener = jest.fn();
+    emitter.addEventListener('update', listener, { signal: controller.signal });
+
+    controller.abort();
+    emitter.dispatchEvent({ type: 'update' });
+    emitter.addEventListener('update', listener, { signal: controller.signal });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(emitter.listenerCount('update')).toBe(0);
+  });
+});
@@ -0,0 +1,247 @@
+import { WebSocketClient } from '../src/WebSocketClient.js';
+import { MockReconnectingWebSocket } from './helpers/MockReconnectingWebSocket.js';
+
+jest.mock('reconnecting-websocket', () => ({
+  __esModule: true,
+  get default() {
+    return jest.requireActual('./helpers/MockReconnectingWebSocket.js').MockReconnectingWebSocket;
+  }
+}));
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const QUERY = 'subscription { messageAdded { id text } }';
+
+describe('GraphQLProtocol', () => {
+  let socket;
+  let client;
+
+  async function connect(graphql = {}, { ack = true } = {}) {
+    socket = new MockReconnectingWebSocket('wss://example.com/graphql');
+    client = new WebSocketClient(socket, { autoPing: false, protocol: 'graphql', graphql });
+    socket.open();
+    await flushPromises();
+    if (ack) {
+      socket.receive({ type: 'connection_ack' });
+    }
+  }
+
+  function lastSent() {
+    const messages = socket.sentMessages();
+    return messages[messages.length - 1];
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+    client.destroy();
+  });
+
+  test('should request the graphql-transport-ws subprotocol', () => {
+    client = new WebSocketClient('wss://example.com/graphql', {
+      autoPing: false,
+      protocol: 'graphql',
+      WebSocket: function FakeWebSocket() {}
+    });
+
+    expect(client.socket.protocols).toEqual(['graphql-transport-ws']);
+    expect(client.getStatus().protocol).toBe('graphql');
+  });
+
+  test('should send connection_init with the connection params', async () => {
+    const onAck = jest.fn();
+    await connect({ connectionParams: async () => ({ token: 'abc' }) }, { ack: false });
+    client.on('graphql:connection_ack', onAck);
+
+    expect(socket.sentMessages()).toEqual([{ type: 'connection_init', payload: { token: 'abc' } }]);
+    expect(client.protocol.acknowledged).toBe(false);
+
+    socket.receive({ type: 'connection_ack', payload: { server: 'v1' } });
+
+    expect(client.protocol.acknowledged).toBe(true);
+    expect(onAck).toHaveBeenCalledWith({ payload: { server: 'v1' } });
+  });
+
+  test('should send connection_init first and hold queued messages until the acknowledgement', () => {
+    socket = new MockReconnectingWebSocket('wss://example.com/graphql');
+    client = new WebSocketClient(socket, { autoPing: false, protocol: 'graphql', graphql: { connectionParams: { token: 'abc' } } });
+    client.emit('queued', 1);
+    const operation = client.subscribe(QUERY);
+
+    socket.open();
+    client.emit('held', 2);
+
+    expect(socket.sentMessages()).toEqual([{ type: 'connection_init', payload: { token: 'abc' } }]);
+
+    socket.receive({ type: 'connection_ack' });
+
+    expect(socket.sentMessages()).toEqual([
+      { type: 'connection_init', payload: { token: 'abc' } },
+      { id: operation.id, type: 'subscribe', payload: { query: QUERY } },
+      { action: 'queued', data: 1 },
+      { action: 'held', data: 2 }
+    ]);
+  });
+
+  test('should send subscriptions after the acknowledgement and deliver results', async () => {
+    await connect({}, { ack: false });
+    const operation = client.subscribe(QUERY, { variables: { room: 1 } });
+    const next = jest.fn();
+    operation.subscribe(next);
+
+    expect(socket.sentMessages()).toHaveLength(1);
+    socket.receive({ type: 'connection_ack' });
+
+    expect(lastSent()).toEqual({
+      id: operation.id,
+      type: 'subscribe',
+      payload: { query: QUERY, variables: { room: 1 } }
+    });
+
+    socket.receive({ id: operation.id, type: 'next', payload: { data: { messageAdded: { id: 1 } } } });
+    expect(next).toHaveBeenCalledWith({ data: { messageAdded: { id: 1 } } });
+  });
+
+  test('should keep results that arrive before the first observer', async () => {
+    await connect();
+    const operation = client.subscribe(QUERY);
+    socket.receive({ id: operation.id, type: 'next', payload: { data: { n: 1 } } });
+    socket.receive({ id: operation.id, type: 'next', payload: { data: { n: 2 } } });
+
+    const next = jest.fn();
+    operation.subscribe(next);
+    socket.receive({ id: operation.id, type: 'next', payload: { data: { n: 3 } } });
+
+    expect(next.mock.calls).toEqual([[{ data: { n: 1 } }], [{ data: { n: 2 } }], [{ data: { n: 3 } }]]);
+  });
+
+  test('should iterate results with for await until the server completes', async () => {
+    await connect();
+    const operation = client.protocol.subscribe({ query: QUERY });
+
+    const results = [];
+    const consumed = (async () => {
+      for await (const result of operation) {
+        results.push(result.data);
+      }
+    })();
+
+    socket.receive({ id: operation.id, type: 'next', payload: { data: 1 } });
+    socket.receive({ id: operation.id, type: 'next', payload: { data: 2 } });
+    socket.receive({ id: operation.id, type: 'complete' });
+    await consumed;
+
+    expect(results).toEqual([1, 2]);
+    expect(client.protocol.getOperations()).toEqual([]);
+  });
+
+  test('should reject the iterator with the GraphQL errors', async () => {
+    await connect();
+    const operation = client.protocol.subscribe({ query: QUERY, operationName: 'OnMessage' });
+    const iterator = operation[Symbol.asyncIterator]();
+    const pending = iterator.next();
+
+    socket.receive({ id: operation.id, type: 'error', payload: [{ message: 'Not allowed' }] });
+
+    const error = await pending.catch(e => e);
+    expect(error.message).toBe('GraphQL operation "OnMessage" failed: Not allowed');
+    expect(error.errors).toEqual([{ message: 'Not allowed' }]);
+    await expect(iterator.next()).resolves.toEqual({ value: undefined, done: true });
+  });
+
+  test('should complete the operation on the server when the last observer unsubscribes', async () => {
+    await connect();
+    const operation = client.protocol.subscribe({ query: QUERY });
+    const first = operation.subscribe(jest.fn());
+    const second = operation.subscribe({ next: jest.fn(), complete: jest.fn() });
+
+    first.unsubscribe();
+    expect(lastSent().type).toBe('subscribe');
+
+    second.unsubscribe();
+    expect(lastSent()).toEqual({ id: operation.id, type: 'complete' });
+    expect(operation.closed).toBe(true);
+  });
+
+  test('should stop the loop and complete the operation when leaving for await', async () => {
+    await connect();
+    const operation = client.protocol.subscribe({ query: QUERY });
+
+    const consumed = (async () => {
+      for await (const result of operation) {
+        return result;
+      }
+      return undefined;
+    })();
+    socket.receive({ id: operation.id, type: 'next', payload: { data: 1 } });
+
+    await expect(consumed).resolves.toEqual({ data: 1 });
+    expect(lastSent()).toEqual({ id: operation.id, type: 'complete' });
+  });
+
+  test('should be usable as an observable', async () => {
+    await connect();
+    const operation = client.protocol.subscribe({ query: QUERY });
+    const observableKey = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+    expect(operation[observableKey]()).toBe(operation);
+  });
+
+  test('should re-subscribe active operations with the same ID after a reconnect', async () => {
+    await connect({ connectionParams: { token: 'abc' } });
+    const active = client.protocol.subscribe({ query: QUERY });
+    active.subscribe(jest.fn());
+    const finished = client.protocol.subscribe({ query: QUERY });
+    socket.receive({ id: finished.id, type: 'complete' });
+
+    socket.sent = [];
+    socket.reconnect();
+    await flushPromises();
+
+    expect(socket.sentMessages()).toEqual([{ type: 'connection_init', payload: { token: 'abc' } }]);
+    socket.receive({ type: 'connection_ack' });
+
+    expect(socket.sentMessages().slice(1)).toEqual([
+      { id: active.id, type: 'subscribe', payload: { query: QUERY } }
+    ]);
+  });
+
+  test('should reconnect when the connection is not acknowledged in time', async () => {
+    jest.useFakeTimers();
+    socket = new MockReconnectingWebSocket('wss://example.com/graphql');
+    client = new WebSocketClient(socket, { autoPing: false, protocol: 'graphql', graphql: { ackTimeout: 500 } });
+    const reconnect = jest.spyOn(socket, 'reconnect').mockImplementation(() => {});
+    socket.open();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    jest.advanceTimersByTime(499);
+    expect(reconnect).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(reconnect).toHaveBeenCalledWith(4504, 'Connection acknowledgement timeout');
+  });
+
+  test('should answer pings and record pongs', async () => {
+    await connect();
+    const recordPong = jest.spyOn(client, 'recordPong');
+
+    socket.receive({ type: 'ping' });
+    expect(lastSent()).toEqual({ type: 'pong' });
+
+    client.protocol.ping();
+    expect(lastSent()).toEqual({ type: 'ping' });
+
+    socket.receive({ type: 'pong' });
+    expect(recordPong).toHaveBeenCalled();
+  });
+
+  test('should complete operations locally on destroy', async () => {
+    await connect();
+    const complete = jest.fn();
+    client.protocol.subscribe({ query: QUERY }).subscribe({ complete });
+
+    client.protocol.destroy();
+
+    expect(complete).toHaveBeenCalled();
+    expect(client.protocol.getOperations()).toEqual([]);
+  });
+});
@@ -0,0 +1,139 @@
+import { MessageQueue } from '../src/MessageQueue.js';
+import { MemoryStorage, LocalStorageAdapter, resolveStorage } from '../src/storage.js';
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('MessageQueue', () => {
+  test('should flush frames in order', () => {
+    const queue = new MessageQueue();
+    const sent = [];
+    queue.enqueue('a');
+    queue.enqueue('b');
+
+    const result = queue.flush(data => sent.push(data));
+
+    expect(sent).toEqual(['a', 'b']);
+    expect(result.sent).toBe(2);
+    expect(queue.length).toBe(0);
+  });
+
+  test('should drop the oldest frame when full', () => {
+    const queue = new MessageQueue({ maxSize: 2 });
+    queue.enqueue('a');
+    queue.enqueue('b');
+
+    const { dropped } = queue.enqueue('c');
+
+    expect(dropped.data).toBe('a');
+    expect(queue.toArray().map(entry => entry.data)).toEqual(['b', 'c']);
+  });
+
+  test('should drop the newest frame when full', () => {
+    const queue = new MessageQueue({ maxSize: 1, overflow: 'drop-newest' });
+    queue.enqueue('a');
+
+    const { entry, dropped } = queue.enqueue('b');
+
+    expect(entry).toBeNull();
+    expect(dropped.data).toBe('b');
+    expect(queue.toArray().map(item => item.data)).toEqual(['a']);
+  });
+
+  test('should reject frames when full', () => {
+    const queue = new MessageQueue({ maxSize: 1, overflow: 'reject' });
+    queue.enqueue('a');
+
+    expect(() => queue.enqueue('b')).toThrow('Message queue is full');
+  });
+
+  test('should reject unknown overflow strategies', () => {
+    expect(() => new MessageQueue({ overflow: 'drop-random' })).toThrow('Invalid queue overflow strategy');
+  });
+
+  test('should discard expired frames on flush', () => {
+    jest.useFakeTimers();
+    try {
+      const queue = new MessageQueue({ ttl: 1000 });
+      queue.enqueue('old');
+      jest.advanceTimersByTime(600);
+      queue.enqueue('new');
+      queue.enqueue('forever', { ttl: 0 });
+      jest.advanceTimersByTime(600);
+
+      const sent = [];
+      const { expired } = queue.flush(data => sent.push(data));
+
+      expect(sent).toEqual(['new', 'forever']);
+      expect(expired.map(entry => entry.data)).toEqual(['old']);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should keep frames that require an ack until acknowledged', () => {
+    const queue = new MessageQueue();
+    const { entry } = queue.enqueue('a', { requiresAck: true });
+
+    queue.flush(() => {});
+    expect(queue.length).toBe(1);
+
+    expect(queue.acknowledge(entry.id)).toBe(true);
+    expect(queue.length).toBe(0);
+    expect(queue.acknowledge(entry.id)).toBe(false);
+  });
+
+  test('should persist and restore entries', async () => {
+    const storage = new MemoryStorage();
+    const first = new MessageQueue({ storage });
+    first.enqueue('a');
+    first.enqueue(new Uint8Array([1, 2]));
+    await flushPromises();
+
+    const second = new MessageQueue({ storage });
+    second.enqueue('c');
+    await expect(second.restore()).resolves.toBe(2);
+
+    expect(second.toArray().map(entry => entry.data)).toEqual(['a', new Uint8Array([1, 2]), 'c']);
+  });
+
+  test('should report persistence failures', async () => {
+    const onPersistError = jest.fn();
+    const queue = new MessageQueue({
+      storage: { load: () => Promise.resolve([]), save: () => Promise.reject(new Error('quota')) },
+      onPersistError
+    });
+
+    queue.enqueue('a');
+    await flushPromises();
+
+    expect(onPersistError).toHaveBeenCalledWith(new Error('quota'));
+  });
+});
+
+describe('queue storage', () => {
+  test('should round-trip binary frames through localStorage', async () => {
+    const items = {};
+    const storage = {
+      getItem: key => (key in items ? items[key] : null),
+      setItem: (key, value) => { items[key] = value; },
+      removeItem: key => { delete items[key]; }
+    };
+    const adapter = new LocalStorageAdapter('queue', storage);
+
+    await adapter.save([{ id: '1', data: new Uint8Array([7]) }, { id: '2', data: 'text' }]);
+    const loaded = await adapter.load();
+
+    expect(loaded[0].data).toEqual(new Uint8Array([7]));
+    expect(loaded[1].data).toBe('text');
+
+    await adapter.save([]);
+    expect(items).toEqual({});
+  });
+
+  test('should resolve storage options', () => {
+    expect(resolveStorage(null)).toBeNull();
+    expect(resolveStorage('memory')).toBeInstanceOf(MemoryStorage);
+    expect(() => resolveStorage('cookies')).toThrow('Unknown queue storage');
+    expect(() => resolveStorage({ load() {} })).toThrow('Invalid queue storage');
+  });
+});
@@ -0,0 +1,205 @@
+import { MockServer, MockWebSocket, flushMicrotasks } from '../src/testing/index.js';
+
+describe('MockServer', () => {
+  let server;
+  let client;
+
+  // reconnecting-websocket connects on a timer, so the clock has to move
+  async function opened() {
+    const connection = server.nextConnection();
+    await jest.advanceTimersByTimeAsync(0);
+    return connection;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    server = new MockServer();
+  });
+
+  afterEach(() => {
+    if (client) {
+      client.destroy ? client.destroy() : client.disconnect();
+    }
+    client = null;
+    jest.useRealTimers();
+  });
+
+  describe('with WebSocketClient', () => {
+    function connect(options = {}) {
+      client = server.createClient({ autoPing: false, reconnect: { minDelay: 100, jitter: false }, ...options });
+      return opened();
+    }
+
+    test('should record sent messages as soon as they are sent', async () => {
+      await connect();
+
+      client.emit('subscribe', { room: 'lobby' });
+
+      expect(server.messages('subscribe')).toEqual([
+        expect.objectContaining({ event: 'subscribe', payload: { room: 'lobby' }, frame: '{"action":"subscribe","data":{"room":"lobby"}}' })
+      ]);
+      expect(server.connection.frames).toEqual(['{"action":"subscribe","data":{"room":"lobby"}}']);
+      expect(server.connection.socket).toBeInstanceOf(MockWebSocket);
+    });
+
+    test('should answer requests with scripted replies and errors', async () => {
+      server.reply('quote', ({ sku }) => ({ sku, price: 9 }));
+      server.reply('order', () => {
+        throw Object.assign(new Error('Out of stock'), { code: 'OUT_OF_STOCK' });
+      });
+      server.reply('*', 'fallback');
+      await connect();
+
+      const replies = Promise.all([
+        expect(client.request('quote', { sku: 'abc' })).resolves.toEqual({ sku: 'abc', price: 9 }),
+        expect(client.request('order', { sku: 'abc' })).rejects.toThrow('Out of stock'),
+        expect(client.request('anything')).resolves.toBe('fallback')
+      ]);
+      await flushMicrotasks();
+
+      await replies;
+    });
+
+    test('should push messages to clients and resolve nextMessage()', async () => {
+      const onTick = jest.fn();
+      await connect();
+      client.listen('tick', onTick);
+
+      const next = server.nextMessage('ready');
+      client.emit('noise');
+      client.emit('ready', { ok: true });
+      server.send('tick', { n: 1 });
+      await flushMicrotasks();
+
+      await expect(next).resolves.toEqual(expect.objectContaining({ payload: { ok: true } }));
+      expect(onTick).toHaveBeenCalledWith({ n: 1 });
+    });
+
+    test('should delay every delivery by the latency', async () => {
+      server.latency = 50;
+      const onOpen = jest.fn();
+      const onTick = jest.fn();
+      client = server.createClient({ autoPing: false });
+      client.on('open', onOpen);
+      client.listen('tick', onTick);
+
+      await jest.advanceTimersByTimeAsync(49);
+      expect(onOpen).not.toHaveBeenCalled();
+      await jest.advanceTimersByTimeAsync(1);
+      expect(onOpen).toHaveBeenCalledTimes(1);
+
+      server.send('tick');
+      await jest.advanceTimersByTimeAsync(49);
+      expect(onTick).not.toHaveBeenCalled();
+      await jest.advanceTimersByTimeAsync(1);
+      expect(onTick).toHaveBeenCalledTimes(1);
+    });
+
+    test('should drop connections and let the client reconnect', async () => {
+      const onClose = jest.fn();
+      const onError = jest.fn();
+      await connect();
+      client.on('close', onClose);
+      client.on('error', onError);
+
+      server.dropAll();
+      await flushMicrotasks();
+
+      expect(server.connection.closeEvent).toEqual({ code: 1006, reason: '', wasClean: false });
+      expect(onError).toHaveBeenCalled();
+      expect(onClose).toHaveBeenCalled();
+
+      const reconnected = server.nextConnection();
+      await jest.advanceTimersByTimeAsync(100);
+      await expect(reconnected).resolves.toBe(server.connections[1]);
+      expect(client.getStatus().open).toBe(true);
+    });
+
+    test('should close with a code and refuse connections until accepted again', async () => {
+      const onClose = jest.fn();
+      await connect();
+      client.on('close', onClose);
+      server.refuseConnections({ code: 1013, reason: 'Try again later' });
+
+      server.closeAll(4000, 'Maintenance');
+      await flushMicrotasks();
+      await jest.advanceTimersByTimeAsync(100);
+
+      expect(onClose.mock.calls[0][0].event).toEqual(expect.objectContaining({ code: 4000, reason: 'Maintenance' }));
+      expect(server.connections[1].closeEvent).toEqual({ code: 1013, reason: 'Try again later', wasClean: false });
+
+      server.acceptConnections();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(client.getStatus().open).toBe(true);
+    });
+
+    test('should answer pings and lose pongs on demand', async () => {
+      const onStale = jest.fn();
+      client = server.createClient({ pingInterval: 1, pongTimeout: 0.5, maxMissedPongs: 1 });
+      client.on('stale', onStale);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(server.pings).toBe(1);
+      expect(client.getStatus().missedPongs).toBe(0);
+
+      server.losePongs();
+      await jest.advanceTimersByTimeAsync(1500);
+
+      expect(server.pings).toBe(2);
+      expect(onStale).toHaveBeenCalledWith(expect.objectContaining({ missedPongs: 1 }));
+      expect(server.connections[0].closeEvent).toEqual(expect.objectContaining({ code: 4000 }));
+    });
+
+    test('should acknowledge at-least-once messages with autoAck', async () => {
+      server.autoAck = true;
+      await connect({ queue: { delivery: 'at-least-once' } });
+
+      client.emit('save', { id: 1 });
+      expect(client.getStatus().messageQueueLength).toBe(1);
+      await flushMicrotasks();
+
+      expect(client.getStatus().messageQueueLength).toBe(0);
+    });
+  });
+
+  describe('with SimpleWebSocket', () => {
+    test('should exchange frames and expose the handshake', async () => {
+      const onConnect = jest.fn();
+      const onMessage = jest.fn();
+      const onClose = jest.fn();
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      client = server.createSimpleClient({ accessToken: 'secret', onConnect, onMessage, onClose });
+      const connection = await server.nextConnection();
+      expect(onConnect).toHaveBeenCalled();
+      expect(connection.query).toEqual({ token: 'secret' });
+
+      client.send('{"action":"hello"}');
+      connection.sendRaw('welcome');
+      await flushMicrotasks();
+
+      expect(server.messages()).toEqual([expect.objectContaining({ event: 'hello' })]);
+      expect(onMessage).toHaveBeenCalledWith('welcome');
+
+      connection.close(4001, 'Expired');
+      await flushMicrotasks();
+      expect(onClose).toHaveBeenCalledWith(expect.objectContaining({ code: 4001, reason: 'Expired', wasClean: true }));
+      log.mockRestore();
+    });
+  });
+
+  test('should forget messages, replies and pong loss on reset', async () => {
+    server.reply('quote', 1);
+    server.losePongs();
+    client = server.createClient({ autoPing: false });
+    await opened();
+    client.emit('quote');
+
+    server.reset();
+
+    expect(server.messages()).toEqual([]);
+    expect(server.connection.frames).toEqual([]);
+    expect(server.handlers.size).toBe(0);
+    expect(server.lostPongs).toBe(0);
+  });
+});
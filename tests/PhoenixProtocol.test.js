@@ -0,0 +1,191 @@
+import { WebSocketClient } from '../src/WebSocketClient.js';
+import { MockReconnectingWebSocket } from './helpers/MockReconnectingWebSocket.js';
+
+jest.mock('reconnecting-websocket', () => ({
+  __esModule: true,
+  get default() {
+    return jest.requireActual('./helpers/MockReconnectingWebSocket.js').MockReconnectingWebSocket;
+  }
+}));
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('PhoenixProtocol', () => {
+  let socket;
+  let client;
+
+  function connect(phoenix = {}) {
+    socket = new MockReconnectingWebSocket('wss://example.com/socket/websocket?vsn=2.0.0');
+    client = new WebSocketClient(socket, { autoPing: false, protocol: 'phoenix', phoenix });
+    socket.open();
+  }
+
+  function lastSent() {
+    const messages = socket.sentMessages();
+    return messages[messages.length - 1];
+  }
+
+  function reply(message, status, response = {}) {
+    const [joinRef, ref, topic] = message;
+    socket.receive([joinRef, ref, topic, 'phx_reply', { status, response }]);
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+    client.destroy();
+  });
+
+  test('should join a channel and resolve with the join response', async () => {
+    connect();
+    const channel = client.protocol.channel('room:lobby', { token: 'abc' });
+    const joined = channel.join();
+
+    const join = lastSent();
+    expect(join).toEqual([join[1], join[1], 'room:lobby', 'phx_join', { token: 'abc' }]);
+
+    reply(join, 'ok', { users: 2 });
+
+    await expect(joined).resolves.toEqual({ users: 2 });
+    expect(channel.state).toBe('joined');
+    expect(client.getStatus().protocol).toBe('phoenix');
+  });
+
+  test('should reject the join with the error response', async () => {
+    connect();
+    const joined = client.subscribe('room:secret');
+
+    reply(lastSent(), 'error', { reason: 'unauthorized' });
+
+    const error = await joined.catch(e => e);
+    expect(error.message).toBe('unauthorized');
+    expect(error.status).toBe('error');
+    expect(error.response).toEqual({ reason: 'unauthorized' });
+  });
+
+  test('should buffer pushes until joined and settle them by ref', async () => {
+    connect();
+    const channel = client.protocol.channel('room:lobby');
+    channel.join();
+    const sent = channel.push('new_msg', { body: 'hi' });
+
+    expect(socket.sentMessages()).toHaveLength(1);
+    const join = lastSent();
+    reply(join, 'ok');
+    await flushPromises();
+
+    const push = lastSent();
+    expect(push).toEqual([join[0], push[1], 'room:lobby', 'new_msg', { body: 'hi' }]);
+    reply(push, 'ok', { id: 7 });
+
+    await expect(sent).resolves.toEqual({ id: 7 });
+  });
+
+  test('should dispatch channel events to channel and client listeners', async () => {
+    connect();
+    const channel = client.protocol.channel('room:lobby');
+    const onChannel = jest.fn();
+    const onClient = jest.fn();
+    channel.on('new_msg', onChannel);
+    client.on('new_msg', onClient);
+    channel.join();
+    reply(lastSent(), 'ok');
+    await flushPromises();
+
+    socket.receive([null, null, 'room:lobby', 'new_msg', { body: 'yo' }]);
+
+    expect(onChannel).toHaveBeenCalledWith({ body: 'yo' }, [null, null, 'room:lobby', 'new_msg', { body: 'yo' }]);
+    expect(onClient).toHaveBeenCalledWith({ body: 'yo' });
+  });
+
+  test('should drop messages from a previous join', async () => {
+    connect();
+    const channel = client.protocol.channel('room:lobby');
+    const listener = jest.fn();
+    channel.on('new_msg', listener);
+    channel.join();
+    reply(lastSent(), 'ok');
+    await flushPromises();
+
+    socket.receive(['999', null, 'room:lobby', 'new_msg', {}]);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should rejoin with backoff after a failed join and after a channel crash', async () => {
+    jest.useFakeTimers();
+    connect({ rejoin: { jitter: false } });
+    const channel = client.protocol.channel('room:lobby');
+    channel.join().catch(() => {});
+
+    reply(lastSent(), 'error', { reason: 'not ready' });
+    await Promise.resolve();
+    expect(channel.state).toBe('errored');
+
+    jest.advanceTimersByTime(999);
+    expect(socket.sentMessages()).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(lastSent()[3]).toBe('phx_join');
+
+    reply(lastSent(), 'ok');
+    await Promise.resolve();
+    expect(channel.state).toBe('joined');
+
+    socket.receive([channel.joinRef, null, 'room:lobby', 'phx_error', {}]);
+    expect(channel.state).toBe('errored');
+    jest.advanceTimersByTime(1000);
+    expect(socket.sentMessages().filter(message => message[3] === 'phx_join')).toHaveLength(3);
+  });
+
+  test('should rejoin channels after a reconnect', async () => {
+    connect();
+    const channel = client.protocol.channel('room:lobby');
+    channel.join();
+    reply(lastSent(), 'ok');
+    await flushPromises();
+    const firstJoinRef = channel.joinRef;
+
+    socket.reconnect();
+
+    const rejoin = lastSent();
+    expect(rejoin[3]).toBe('phx_join');
+    expect(rejoin[0]).not.toBe(firstJoinRef);
+  });
+
+  test('should leave a channel', async () => {
+    connect();
+    const left = jest.fn();
+    client.on('phoenix:leave', left);
+    client.subscribe('room:lobby');
+    reply(lastSent(), 'ok');
+    await flushPromises();
+
+    client.unsubscribe('room:lobby');
+    const leave = lastSent();
+    expect(leave[3]).toBe('phx_leave');
+    reply(leave, 'ok');
+    await flushPromises();
+
+    expect(left).toHaveBeenCalledWith({ topic: 'room:lobby' });
+    expect(client.protocol.getChannels()).toEqual([]);
+  });
+
+  test('should send the phoenix heartbeat instead of a raw Ping', () => {
+    connect();
+
+    client.ping();
+    const heartbeat = lastSent();
+    expect(heartbeat).toEqual([null, heartbeat[1], 'phoenix', 'heartbeat', {}]);
+
+    reply(heartbeat, 'ok');
+    expect(client.getStatus().lastPongAt).not.toBeNull();
+  });
+
+  test('should not allow joining twice or pushing before joining', () => {
+    connect();
+    const channel = client.protocol.channel('room:lobby');
+
+    expect(() => channel.push('new_msg')).toThrow('before joining');
+    channel.join();
+    expect(() => channel.join()).toThrow('multiple times');
+  });
+});
@@ -0,0 +1,181 @@
+import { WebSocketClient } from '../src/WebSocketClient.js';
+import { MockReconnectingWebSocket } from './helpers/MockReconnectingWebSocket.js';
+
+jest.mock('reconnecting-websocket', () => ({
+  __esModule: true,
+  get default() {
+    return jest.requireActual('./helpers/MockReconnectingWebSocket.js').MockReconnectingWebSocket;
+  }
+}));
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function establish(socket, socketId = '123.456') {
+  socket.receive({
+    event: 'pusher:connection_established',
+    data: JSON.stringify({ socket_id: socketId, activity_timeout: 30 })
+  });
+}
+
+describe('PusherProtocol', () => {
+  let socket;
+  let client;
+
+  beforeEach(() => {
+    socket = new MockReconnectingWebSocket('wss://ws.example.com/app/key?protocol=7');
+    client = new WebSocketClient(socket, {
+      autoPing: false,
+      protocol: 'pusher',
+      pusher: {
+        authorizer: jest.fn((channel, socketId) => Promise.resolve({ auth: `key:${channel}:${socketId}` }))
+      }
+    });
+    socket.open();
+  });
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  test('should record the socket ID from the handshake', () => {
+    establish(socket);
+
+    expect(client.connectionId).toBe('123.456');
+    expect(client.getStatus().protocol).toBe('pusher');
+  });
+
+  test('should lower the ping interval to the activity timeout', () => {
+    establish(socket);
+
+    expect(client.options.pingInterval).toBe(15);
+
+    client.options.pingInterval = 60;
+    establish(socket);
+
+    expect(client.options.pingInterval).toBe(30);
+  });
+
+  test('should subscribe to public channels after the handshake', async () => {
+    const subscribed = client.subscribe('orders');
+    await flushPromises();
+    expect(socket.sent).toHaveLength(0);
+
+    establish(socket);
+    await flushPromises();
+
+    expect(socket.sentMessages()).toEqual([{ event: 'pusher:subscribe', data: { channel: 'orders' } }]);
+
+    socket.receive({ event: 'pusher_internal:subscription_succeeded', channel: 'orders', data: '{}' });
+    await expect(subscribed).resolves.toEqual({});
+  });
+
+  test('should authorize private channels', async () => {
+    establish(socket);
+    client.subscribe('private-orders.1');
+    await flushPromises();
+
+    expect(client.protocol.options.authorizer).toHaveBeenCalledWith('private-orders.1', '123.456');
+    expect(socket.sentMessages()[0]).toEqual({
+      event: 'pusher:subscribe',
+      data: { channel: 'private-orders.1', auth: 'key:private-orders.1:123.456' }
+    });
+  });
+
+  test('should reject the subscription when authorization fails', async () => {
+    client.protocol.options.authorizer = () => Promise.reject(new Error('403'));
+    const errors = jest.fn();
+    client.on('pusher:subscription_error', errors);
+
+    establish(socket);
+    await expect(client.subscribe('private-secret')).rejects.toThrow('Subscription to "private-secret" failed');
+    expect(errors).toHaveBeenCalledWith({ channel: 'private-secret', data: { type: 'AuthError', error: '403' } });
+  });
+
+  test('should track presence channel members', async () => {
+    establish(socket);
+    client.subscribe('presence-room');
+    await flushPromises();
+
+    socket.receive({
+      event: 'pusher_internal:subscription_succeeded',
+      channel: 'presence-room',
+      data: JSON.stringify({ presence: { ids: ['1'], hash: { 1: { name: 'Ada' } }, count: 1 } })
+    });
+    socket.receive({
+      event: 'pusher_internal:member_added',
+      channel: 'presence-room',
+      data: JSON.stringify({ user_id: 2, user_info: { name: 'Linus' } })
+    });
+    socket.receive({
+      event: 'pusher_internal:member_removed',
+      channel: 'presence-room',
+      data: JSON.stringify({ user_id: 1 })
+    });
+
+    expect(client.protocol.getMembers('presence-room')).toEqual({ 2: { name: 'Linus' } });
+  });
+
+  test('should dispatch channel events with parsed data', () => {
+    const listener = jest.fn();
+    const messages = jest.fn();
+    client.listen('App\\Events\\OrderShipped', listener);
+    client.listen('*', messages);
+
+    socket.receive({ event: 'App\\Events\\OrderShipped', channel: 'orders', data: '{"id":5}' });
+
+    expect(listener).toHaveBeenCalledWith({ id: 5 });
+    expect(messages).toHaveBeenCalledWith(expect.objectContaining({ event: 'App\\Events\\OrderShipped', channel: 'orders' }));
+  });
+
+  test('should answer server pings with pongs', () => {
+    socket.receive({ event: 'pusher:ping', data: {} });
+
+    expect(socket.sentMessages()).toEqual([{ event: 'pusher:pong', data: {} }]);
+  });
+
+  test('should send protocol pings', () => {
+    client.ping();
+
+    expect(socket.sentMessages()).toEqual([{ event: 'pusher:ping', data: {} }]);
+  });
+
+  test('should unsubscribe and trigger client events', async () => {
+    establish(socket);
+    client.subscribe('private-chat');
+    await flushPromises();
+
+    client.protocol.trigger('private-chat', 'typing', { user: 1 });
+    client.unsubscribe('private-chat');
+
+    expect(socket.sentMessages().slice(1)).toEqual([
+      { event: 'client-typing', channel: 'private-chat', data: { user: 1 } },
+      { event: 'pusher:unsubscribe', data: { channel: 'private-chat' } }
+    ]);
+  });
+
+  test('should re-subscribe channels after reconnecting', async () => {
+    establish(socket);
+    client.subscribe('orders');
+    await flushPromises();
+
+    socket.close();
+    socket.open();
+    establish(socket, '789.012');
+    await flushPromises();
+
+    expect(client.connectionId).toBe('789.012');
+    expect(client.getStatus().subscriptions).toEqual(['orders']);
+    expect(socket.sentMessages()).toEqual([
+      { event: 'pusher:subscribe', data: { channel: 'orders' } },
+      { event: 'pusher:subscribe', data: { channel: 'orders' } }
+    ]);
+  });
+});
+
+describe('WebSocketClient protocol option', () => {
+  test('should reject unknown protocols', () => {
+    const socket = new MockReconnectingWebSocket('wss://test.com');
+
+    expect(() => new WebSocketClient(socket, { protocol: 'smtp' })).toThrow('Unknown protocol "smtp"');
+  });
+});
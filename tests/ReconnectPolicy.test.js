@@ -0,0 +1,44 @@
+import { ReconnectPolicy } from '../src/ReconnectPolicy.js';
+
+describe('ReconnectPolicy', () => {
+  test('should grow delays exponentially up to the maximum', () => {
+    const policy = new ReconnectPolicy({ minDelay: 100, maxDelay: 1000, factor: 2, jitter: false });
+
+    expect([1, 2, 3, 4, 5].map(attempt => policy.getDelay(attempt))).toEqual([100, 200, 400, 800, 1000]);
+  });
+
+  test('should apply full jitter', () => {
+    const policy = new ReconnectPolicy({ minDelay: 1000, factor: 2 });
+
+    expect(policy.getDelay(2, () => 0)).toBe(0);
+    expect(policy.getDelay(2, () => 0.5)).toBe(1000);
+    expect(policy.getDelay(2, () => 0.999)).toBeLessThan(2000);
+  });
+
+  test('should limit retries', () => {
+    const policy = new ReconnectPolicy({ maxRetries: 2 });
+
+    expect(policy.canRetry(2)).toBe(true);
+    expect(policy.canRetry(3)).toBe(false);
+    expect(new ReconnectPolicy().canRetry(1e9)).toBe(true);
+  });
+
+  test('should consult the shouldReconnect predicate', () => {
+    const policy = new ReconnectPolicy({ shouldReconnect: event => ![1008, 4001].includes(event.code) });
+
+    expect(policy.shouldReconnect({ code: 1006 })).toBe(true);
+    expect(policy.shouldReconnect({ code: 4001 })).toBe(false);
+    expect(new ReconnectPolicy().shouldReconnect({ code: 1008 })).toBe(true);
+  });
+
+  test('should translate ReconnectingWebSocket and legacy option names', () => {
+    const policy = ReconnectPolicy.fromReconnectingOptions({
+      reconnectInterval: 500,
+      maxReconnectionDelay: 8000,
+      maxReconnectAttempts: 10,
+      timeoutInterval: 4000
+    });
+
+    expect(policy).toMatchObject({ minDelay: 500, maxDelay: 8000, maxRetries: 10, connectionTimeout: 4000, factor: 2 });
+  });
+});
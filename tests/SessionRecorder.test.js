@@ -0,0 +1,128 @@
+import { SessionRecorder } from '../src/SessionRecorder.js';
+import pkg from '../package.json';
+import { MockServer, flushMicrotasks } from '../src/testing/index.js';
+
+describe('SessionRecorder', () => {
+  let server;
+  let client;
+
+  async function connect(options = {}) {
+    client = server.createClient({ autoPing: false, reconnect: { minDelay: 100, jitter: false }, ...options });
+    const connection = server.nextConnection();
+    await jest.advanceTimersByTimeAsync(0);
+    return connection;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00.000Z') });
+    server = new MockServer({ url: 'wss://example.com/socket?token=secret' });
+  });
+
+  afterEach(() => {
+    client.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should record frames and connection events with timestamps', async () => {
+    const recorder = new SessionRecorder();
+    client = server.createClient({ autoPing: false, reconnect: { minDelay: 100, jitter: false } });
+    expect(client.startRecording(recorder)).toBe(recorder);
+    await jest.advanceTimersByTimeAsync(0);
+
+    await jest.advanceTimersByTimeAsync(10);
+    client.emit('subscribe', { topic: 'orders' });
+    server.send('orderUpdated', { id: 1 });
+    await flushMicrotasks();
+    server.dropAll();
+    await flushMicrotasks();
+    await jest.advanceTimersByTimeAsync(100);
+
+    expect(recorder.entries).toEqual([
+      { t: 0, type: 'open', url: 'wss://example.com/socket?token=***' },
+      { t: 10, type: 'out', data: '{"action":"subscribe","data":{"topic":"orders"}}' },
+      { t: 10, type: 'in', data: '{"action":"orderUpdated","data":{"id":1}}' },
+      // reconnecting-websocket reports an error as a close followed by the error
+      { t: 10, type: 'close', code: 1000, reason: '', wasClean: true },
+      { t: 10, type: 'error', message: 'WebSocket connection failed' },
+      { t: 10, type: 'reconnecting', attempt: 1, delay: 100 },
+      { t: 110, type: 'reconnected', attempts: 1 },
+      { t: 110, type: 'open', url: 'wss://example.com/socket?token=***' }
+    ]);
+    expect(recorder.url).toBe('wss://example.com/socket?token=***');
+  });
+
+  test('should stop recording and note the open connection when started late', async () => {
+    await connect();
+    const recorder = client.startRecording();
+
+    client.emit('one');
+    expect(client.stopRecording()).toBe(recorder);
+    client.emit('two');
+
+    expect(recorder.entries.map(entry => entry.type)).toEqual(['open', 'out']);
+    expect(client.stopRecording()).toBeNull();
+  });
+
+  test('should base64-encode binary frames', async () => {
+    await connect({ codec: 'msgpack' });
+    const recorder = client.startRecording({ events: [] });
+
+    client.emit('hi');
+
+    expect(recorder.entries).toEqual([{ t: 0, type: 'out', data: expect.any(String), encoding: 'base64' }]);
+    expect(server.connection.frames).toHaveLength(1);
+  });
+
+  test('should redact entries, cap their number and count dropped ones', async () => {
+    await connect();
+    const recorder = client.startRecording({
+      maxEntries: 2,
+      events: [],
+      redact: entry => (entry.data.includes('password') ? null : { ...entry, data: entry.data.toUpperCase() })
+    });
+
+    client.emit('login', { password: 'x' });
+    client.emit('a');
+    client.emit('b');
+    client.emit('c');
+
+    expect(recorder.entries.map(entry => entry.data)).toEqual(['{"ACTION":"B"}', '{"ACTION":"C"}']);
+    expect(recorder.dropped).toBe(1);
+  });
+
+  test('should export JSONL and HAR and load both back', async () => {
+    await connect();
+    const recorder = client.startRecording();
+    client.emit('ping');
+    server.send('pong');
+    await flushMicrotasks();
+
+    const jsonl = recorder.toJSONL();
+    const lines = jsonl.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines[0]).toEqual({
+      type: 'session',
+      version: 1,
+      url: 'wss://example.com/socket?token=***',
+      startedAt: '2026-01-01T00:00:00.000Z'
+    });
+    expect(lines).toHaveLength(4);
+
+    const har = recorder.toHAR();
+    expect(har.log.creator).toEqual({ name: pkg.name, version: pkg.version });
+    const [entry] = har.log.entries;
+    expect(entry.request.url).toBe('wss://example.com/socket?token=***');
+    expect(entry._webSocketMessages).toEqual([
+      { type: 'send', time: 1767225600, opcode: 1, data: '{"action":"ping"}' },
+      { type: 'receive', time: 1767225600, opcode: 1, data: '{"action":"pong"}' }
+    ]);
+    expect(entry._webSocketEvents).toEqual([{ type: 'open', url: 'wss://example.com/socket?token=***', time: 1767225600 }]);
+
+    expect(SessionRecorder.from(jsonl).entries).toEqual(recorder.entries);
+    expect(SessionRecorder.from(JSON.stringify(recorder.toJSON(), null, 2)).entries).toEqual(recorder.entries);
+    const fromHar = SessionRecorder.from(har);
+    expect(fromHar.url).toBe(recorder.url);
+    expect(fromHar.startedAt).toBe(recorder.startedAt);
+    expect(fromHar.entries).toEqual(recorder.entries);
+    expect(() => SessionRecorder.from({})).toThrow('Invalid session.');
+  });
+});
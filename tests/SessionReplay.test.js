@@ -0,0 +1,87 @@
+import { SessionRecorder } from '../src/SessionRecorder.js';
+import { SessionReplay } from '../src/testing/index.js';
+
+const session = [
+  { type: 'session', version: 1, url: 'wss://example.com/socket?token=***', startedAt: '2026-01-01T00:00:00.000Z' },
+  { t: 0, type: 'open', url: 'wss://example.com/socket?token=***' },
+  { t: 5, type: 'out', data: '{"action":"subscribe","data":{"topic":"orders"}}' },
+  { t: 100, type: 'in', data: '{"action":"orderUpdated","data":{"id":1}}' },
+  { t: 300, type: 'in', data: 'gqZhY3Rpb26lcHJpY2WkZGF0YSo=', encoding: 'base64' },
+  { t: 400, type: 'close', code: 1011, reason: 'Server error', wasClean: true },
+  { t: 1500, type: 'open', url: 'wss://example.com/socket?token=***' },
+  { t: 1600, type: 'in', data: '{"action":"orderUpdated","data":{"id":2}}' }
+].map(line => JSON.stringify(line)).join('\n');
+
+describe('SessionReplay', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    client.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should feed the session to the client with the recorded timing', async () => {
+    const replay = new SessionReplay(session);
+    client = replay.createClient({ reconnect: { minDelay: 50, jitter: false } });
+    const onOrder = jest.fn();
+    const onClose = jest.fn();
+    client.listen('orderUpdated', onOrder);
+    client.on('close', onClose);
+
+    const done = replay.play();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(client.getStatus().open).toBe(true);
+    expect(replay.url).toBe('wss://example.com/socket?token=***');
+
+    client.emit('subscribe', { topic: 'orders' });
+    expect(replay.sent).toEqual(['{"action":"subscribe","data":{"topic":"orders"}}']);
+
+    await jest.advanceTimersByTimeAsync(99);
+    expect(onOrder).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1);
+    expect(onOrder).toHaveBeenCalledWith({ id: 1 });
+
+    await jest.advanceTimersByTimeAsync(300);
+    expect(onClose.mock.calls[0][0].event).toEqual(expect.objectContaining({ code: 1011, reason: 'Server error' }));
+
+    await jest.advanceTimersByTimeAsync(1200);
+    await done;
+    expect(onOrder).toHaveBeenLastCalledWith({ id: 2 });
+    expect(replay.sockets).toHaveLength(2);
+  });
+
+  test('should decode binary frames and play faster with speed', async () => {
+    const replay = new SessionReplay(SessionRecorder.from(session), { speed: 100 });
+    client = replay.createClient({ codec: 'msgpack', reconnect: { minDelay: 1, jitter: false } });
+    const onPrice = jest.fn();
+    client.listen('price', onPrice);
+
+    const done = replay.play();
+    await jest.advanceTimersByTimeAsync(3);
+    expect(onPrice).toHaveBeenCalledWith(42);
+
+    await jest.advanceTimersByTimeAsync(20);
+    await expect(done).resolves.toBeUndefined();
+    expect(replay.play()).toBe(done);
+  });
+
+  test('should replay without waiting at infinite speed and stop on demand', async () => {
+    const replay = new SessionReplay(session, { speed: Infinity });
+    client = replay.createClient({ reconnect: { minDelay: 10, jitter: false } });
+    const onOrder = jest.fn();
+    client.listen('orderUpdated', onOrder);
+
+    const done = replay.play();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(onOrder).toHaveBeenCalledWith({ id: 1 });
+
+    // The client is backing off, so the replay waits for its next socket
+    replay.stop();
+    await done;
+    expect(replay.position).toBe(5);
+  });
+});
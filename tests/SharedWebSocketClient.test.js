@@ -0,0 +1,229 @@
+import { SharedWebSocketClient } from '../src/SharedWebSocketClient.js';
+import { FakeBroadcastChannel, FakeLockManager } from './helpers/FakeBroadcastChannel.js';
+
+jest.mock('reconnecting-websocket', () => ({
+  __esModule: true,
+  get default() {
+    return jest.requireActual('./helpers/MockReconnectingWebSocket.js').MockReconnectingWebSocket;
+  }
+}));
+
+const settle = async () => {
+  for (let i = 0; i < 20; i++) {
+    await Promise.resolve();
+  }
+};
+
+describe('SharedWebSocketClient', () => {
+  let tabs;
+
+  function openTab(shared = {}, options = {}) {
+    const tab = new SharedWebSocketClient('wss://example.com/ws', {
+      autoPing: false,
+      WebSocket: function FakeWebSocket() {},
+      ...options,
+      shared: { BroadcastChannel: FakeBroadcastChannel, heartbeatInterval: 100, leaderTimeout: 300, ...shared }
+    });
+    tabs.push(tab);
+    return tab;
+  }
+
+  function sent(tab) {
+    return tab.client.socket.sent.map(frame => JSON.parse(frame));
+  }
+
+  beforeEach(() => {
+    tabs = [];
+    FakeBroadcastChannel.reset();
+  });
+
+  afterEach(() => {
+    tabs.forEach(tab => tab.destroy());
+    jest.useRealTimers();
+  });
+
+  describe('with Web Locks', () => {
+    let locks;
+
+    beforeEach(() => {
+      locks = new FakeLockManager();
+    });
+
+    test('should elect one leader that owns the only socket', async () => {
+      const first = openTab({ locks });
+      await settle();
+      const second = openTab({ locks });
+      await settle();
+
+      expect(first.getStatus()).toEqual(expect.objectContaining({ role: 'leader', leaderId: first.tabId }));
+      expect(second.getStatus()).toEqual(expect.objectContaining({ role: 'follower', leaderId: first.tabId }));
+      expect(first.client.socket.sent).toEqual([]);
+      expect(second.client).toBeNull();
+    });
+
+    test('should proxy emit() from followers and replay events in every tab', async () => {
+      const leader = openTab({ locks });
+      await settle();
+      const follower = openTab({ locks });
+      await settle();
+      const onLeader = jest.fn();
+      const onFollower = jest.fn();
+      const onOpen = jest.fn();
+      leader.listen('priceTick', onLeader);
+      follower.listen('priceTick', onFollower);
+      follower.on('open', onOpen);
+
+      leader.client.socket.open();
+      follower.emit('subscribe', { symbol: 'ACME' });
+      await settle();
+      leader.client.socket.receive({ action: 'priceTick', data: { price: 42 } });
+      await settle();
+
+      expect(sent(leader)).toEqual([{ action: 'subscribe', data: { symbol: 'ACME' } }]);
+      expect(onLeader).toHaveBeenCalledWith({ price: 42 });
+      expect(onFollower).toHaveBeenCalledWith({ price: 42 });
+      expect(onOpen).toHaveBeenCalledWith({ event: {} });
+      expect(follower.getStatus()).toEqual(expect.objectContaining({ open: true, role: 'follower' }));
+    });
+
+    test('should settle follower requests with the leader reply or error', async () => {
+      const leader = openTab({ locks });
+      await settle();
+      const follower = openTab({ locks });
+      await settle();
+      leader.client.socket.open();
+
+      const quote = follower.request('quote', { sku: 'abc' });
+      const failing = follower.request('order', { sku: 'abc' });
+      await settle();
+      const [quoteMessage, orderMessage] = sent(leader);
+      leader.client.socket.receive({ action: 'quote', data: { price: 9 }, requestId: quoteMessage.requestId });
+      leader.client.socket.receive({ action: 'order', error: { message: 'Out of stock' }, requestId: orderMessage.requestId });
+
+      await expect(quote).resolves.toEqual({ price: 9 });
+      await expect(failing).rejects.toThrow('Out of stock');
+    });
+
+    test('should report a full leader queue to the follower', async () => {
+      const leader = openTab({ locks }, { queue: { maxSize: 1, overflow: 'reject' } });
+      await settle();
+      const follower = openTab({ locks });
+      await settle();
+      leader.client.emit('first');
+
+      await expect(follower.request('quote')).rejects.toThrow('Message queue is full');
+    });
+
+    test('should report a refused emit in the tab that emitted it, whichever tab leads', async () => {
+      const leader = openTab({ locks }, { queue: { maxSize: 1, overflow: 'reject' } });
+      await settle();
+      const follower = openTab({ locks });
+      await settle();
+      const onLeaderError = jest.fn();
+      const onFollowerError = jest.fn();
+      leader.on('emit_error', onLeaderError);
+      follower.on('emit_error', onFollowerError);
+      leader.client.emit('first');
+
+      expect(() => leader.emit('second')).not.toThrow();
+      follower.emit('third');
+      await settle();
+
+      expect(onLeaderError).toHaveBeenCalledTimes(1);
+      expect(onLeaderError.mock.calls[0][0]).toEqual({ action: 'second', error: expect.objectContaining({ code: 'QUEUE_FULL' }) });
+      expect(onFollowerError).toHaveBeenCalledTimes(1);
+      expect(onFollowerError.mock.calls[0][0]).toEqual({ action: 'third', error: expect.objectContaining({ code: 'QUEUE_FULL' }) });
+    });
+
+    test('should hand leadership over when the leader is destroyed', async () => {
+      const leader = openTab({ locks });
+      await settle();
+      const follower = openTab({ locks });
+      await settle();
+      const onLeaderChange = jest.fn();
+      follower.on('leader_change', onLeaderChange);
+      const oldSocket = leader.client.socket;
+
+      leader.destroy();
+      await settle();
+
+      expect(oldSocket.readyState).toBe(3);
+      expect(follower.getStatus().role).toBe('leader');
+      expect(onLeaderChange).toHaveBeenCalledWith({ leaderId: follower.tabId, role: 'leader' });
+
+      follower.client.socket.open();
+      follower.emit('hello');
+      expect(sent(follower)).toEqual([{ action: 'hello' }]);
+    });
+
+    test('should hold commands until a leader is known', async () => {
+      const leader = openTab({ locks });
+      await settle();
+      const follower = openTab({ locks });
+      follower.emit('early');
+      expect(follower.outbox).toHaveLength(1);
+
+      await settle();
+      leader.client.socket.open();
+
+      expect(sent(leader)).toEqual([{ action: 'early' }]);
+    });
+  });
+
+  describe('without Web Locks', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    test('should take over after a heartbeat without an answer', async () => {
+      const first = openTab({ locks: null });
+      await settle();
+      expect(first.getStatus()).toEqual(expect.objectContaining({ role: 'follower', leaderId: null }));
+
+      jest.advanceTimersByTime(100);
+      const second = openTab({ locks: null });
+      await settle();
+
+      expect(first.getStatus().role).toBe('leader');
+      expect(second.getStatus()).toEqual(expect.objectContaining({ role: 'follower', leaderId: first.tabId }));
+    });
+
+    test('should fail over when the leader stops announcing itself', async () => {
+      const leader = openTab({ locks: null });
+      jest.advanceTimersByTime(100);
+      await settle();
+      const follower = openTab({ locks: null });
+      await settle();
+      expect(follower.getStatus().leaderId).toBe(leader.tabId);
+
+      // A crashed tab simply disappears from the channel
+      leader.bus.close();
+      jest.advanceTimersByTime(300);
+      await settle();
+
+      expect(follower.getStatus().role).toBe('leader');
+      expect(follower.client).not.toBeNull();
+    });
+
+    test('should keep one leader when two tabs claim leadership at once', async () => {
+      const first = openTab({ locks: null });
+      const second = openTab({ locks: null });
+      jest.advanceTimersByTime(100);
+      await settle();
+
+      const [leader, follower] = first.tabId < second.tabId ? [first, second] : [second, first];
+      expect(leader.getStatus().role).toBe('leader');
+      expect(follower.getStatus()).toEqual(expect.objectContaining({ role: 'follower', leaderId: leader.tabId }));
+      expect(follower.client).toBeNull();
+    });
+  });
+
+  test('should reject pending requests on destroy', async () => {
+    const tab = openTab({ locks: null });
+    const pending = tab.request('quote');
+
+    tab.destroy();
+
+    await expect(pending).rejects.toThrow('Shared client destroyed before a reply was received');
+  });
+});
@@ -136,6 +136,32 @@ describe('SimpleWebSocket', () => {
     );
   });
 
+  test('should not log secrets in the connection URL', () => {
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    ws = new SimpleWebSocket({ url: 'wss://test.com', appId: 'app', appSecret: 's3cret', accessToken: 'jwt', logger, redact: false });
+
+    expect(ws.webSocket.url).toBe('wss://test.com/?appId=app&appSecret=s3cret&token=jwt');
+    expect(logger.info).toHaveBeenCalledWith('Connecting to WebSocket', { url: 'wss://test.com/?appId=app&appSecret=***&token=***' });
+  });
+
+  test('should only log warnings to the console by default', () => {
+    const info = jest.spyOn(console, 'info').mockImplementation(() => {});
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    ws = new SimpleWebSocket({ url: 'wss://test.com', accessToken: 'jwt' });
+    ws.send('test');
+
+    expect(info).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledWith('[SimpleWebSocket]', 'WebSocket Connection not open. Couldn\'t send data.');
+    info.mockRestore();
+    warn.mockRestore();
+  });
+
+  test('should reject unknown auth transports', () => {
+    expect(() => new SimpleWebSocket({ url: 'wss://test.com', authTransport: 'cookie' })).toThrow('Invalid authTransport');
+  });
+
   test('should handle send errors with undefined data', () => {
     ws = new SimpleWebSocket({ url: 'wss://test.com' });
     
@@ -183,6 +209,30 @@ describe('SimpleWebSocket', () => {
     }, 20);
   });
 
+  test('should encode and decode messages with a codec', (done) => {
+    const onMessage = jest.fn();
+
+    ws = new SimpleWebSocket({
+      url: 'wss://test.com',
+      codec: 'json',
+      onMessage
+    });
+
+    // Echo the encoded frame back verbatim
+    ws.webSocket.send = function (data) {
+      setTimeout(() => this.onmessage({ data }), 10);
+    };
+
+    setTimeout(() => {
+      ws.send({ hello: 'world' });
+
+      setTimeout(() => {
+        expect(onMessage).toHaveBeenCalledWith({ hello: 'world' });
+        done();
+      }, 20);
+    }, 20);
+  });
+
   test('should build URL with authentication parameters', () => {
     ws = new SimpleWebSocket({
       url: 'wss://test.com',
@@ -0,0 +1,248 @@
+import { WebSocketClient } from '../src/WebSocketClient.js';
+import { StompCodec } from '../src/codecs.js';
+import { MockReconnectingWebSocket } from './helpers/MockReconnectingWebSocket.js';
+
+jest.mock('reconnecting-websocket', () => ({
+  __esModule: true,
+  get default() {
+    return jest.requireActual('./helpers/MockReconnectingWebSocket.js').MockReconnectingWebSocket;
+  }
+}));
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('StompProtocol', () => {
+  let socket;
+  let client;
+
+  function frames() {
+    return socket.sent.flatMap(data => StompCodec.decode(data));
+  }
+
+  function lastFrame() {
+    const sent = frames();
+    return sent[sent.length - 1];
+  }
+
+  function receive(command, headers = {}, body = '') {
+    socket.receive(StompCodec.encode({ command, headers, body }));
+  }
+
+  async function connect(stomp = {}, { connected = true } = {}) {
+    socket = new MockReconnectingWebSocket('wss://broker.example.com/ws');
+    client = new WebSocketClient(socket, { protocol: 'stomp', stomp: { heartbeat: { outgoing: 0, incoming: 0 }, ...stomp } });
+    socket.open();
+    await flushPromises();
+    if (connected) {
+      receive('CONNECTED', { version: '1.2', 'heart-beat': '0,0' });
+    }
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+    client.destroy();
+  });
+
+  test('should negotiate the connection with CONNECT', async () => {
+    const onConnected = jest.fn();
+    await connect({
+      connectHeaders: async () => ({ login: 'guest', passcode: 'guest' }),
+      heartbeat: { outgoing: 5000, incoming: 0 }
+    }, { connected: false });
+    client.on('stomp:connected', onConnected);
+
+    expect(frames()).toEqual([expect.objectContaining({
+      command: 'CONNECT',
+      headers: {
+        'accept-version': '1.2',
+        host: 'broker.example.com',
+        'heart-beat': '5000,0',
+        login: 'guest',
+        passcode: 'guest'
+      }
+    })]);
+    expect(client.options.autoPing).toBe(false);
+    expect(client.codec).toBe(StompCodec);
+
+    receive('CONNECTED', { version: '1.2', session: 's1' });
+
+    expect(client.protocol.connected).toBe(true);
+    expect(onConnected).toHaveBeenCalledWith({ headers: { version: '1.2', session: 's1' } });
+    expect(client.getStatus()).toEqual(expect.objectContaining({ protocol: 'stomp', codec: 'stomp' }));
+  });
+
+  test('should send CONNECT before the queued frames, past the outgoing middleware', async () => {
+    socket = new MockReconnectingWebSocket('wss://broker.example.com/ws');
+    client = new WebSocketClient(socket, { protocol: 'stomp', stomp: { heartbeat: { outgoing: 0, incoming: 0 } } });
+    const commands = [];
+    client.use({
+      outgoing: (context, next) => {
+        commands.push(context.message.command);
+        return next();
+      }
+    });
+    client.sendRaw(StompCodec.encode({ command: 'SEND', headers: { destination: '/queue/a' }, body: 'queued' }));
+
+    socket.open();
+    await flushPromises();
+    expect(frames().map(frame => frame.command)).toEqual(['CONNECT']);
+
+    receive('CONNECTED', { version: '1.2', 'heart-beat': '0,0' });
+    await flushPromises();
+
+    expect(frames().map(frame => frame.command)).toEqual(['CONNECT', 'SEND']);
+    expect(commands).toEqual([]);
+  });
+
+  test('should request the v12.stomp subprotocol', () => {
+    client = new WebSocketClient('wss://broker.example.com/ws', { protocol: 'stomp', WebSocket: function FakeWebSocket() {} });
+
+    expect(client.socket.protocols).toEqual(['v12.stomp']);
+  });
+
+  test('should hold SEND frames until CONNECTED and send headers with the body', async () => {
+    await connect({}, { connected: false });
+    const sent = client.protocol.send('/queue/orders', { id: 1 }, { headers: { priority: 9 } });
+
+    expect(frames().map(frame => frame.command)).toEqual(['CONNECT']);
+    receive('CONNECTED', { version: '1.2' });
+    await sent;
+
+    expect(lastFrame()).toEqual(expect.objectContaining({
+      command: 'SEND',
+      headers: { 'content-type': 'application/json', priority: '9', destination: '/queue/orders', 'content-length': '8' },
+      body: '{"id":1}'
+    }));
+  });
+
+  test('should subscribe with an id and deliver messages', async () => {
+    await connect();
+    const onMessage = jest.fn();
+    const onDestination = jest.fn();
+    client.on('/topic/prices', onDestination);
+
+    const subscription = client.subscribe('/topic/prices', { onMessage, headers: { selector: "type = 'fx'" } });
+
+    expect(lastFrame().headers).toEqual({ selector: "type = 'fx'", id: subscription.id, destination: '/topic/prices', ack: 'auto' });
+
+    receive('MESSAGE', { subscription: subscription.id, destination: '/topic/prices', 'message-id': 'm1' }, '42');
+
+    expect(onMessage).toHaveBeenCalledWith(expect.objectContaining({ body: '42', destination: '/topic/prices' }));
+    expect(onDestination).toHaveBeenCalledWith(expect.objectContaining({ body: '42' }));
+
+    client.unsubscribe('/topic/prices');
+    expect(lastFrame()).toEqual(expect.objectContaining({ command: 'UNSUBSCRIBE', headers: { id: subscription.id } }));
+  });
+
+  test('should report subscriptions that middleware fails to send', async () => {
+    await connect({}, { connected: false });
+    const onError = jest.fn();
+    client.on('stomp:error', onError);
+    client.use({
+      outgoing: (context, next) => (context.message.command === 'SUBSCRIBE' ? Promise.reject(new Error('Blocked')) : next())
+    });
+
+    client.subscribe('/topic/a');
+    receive('CONNECTED', { version: '1.2', 'heart-beat': '0,0' });
+    client.subscribe('/topic/b');
+    await flushPromises();
+
+    expect(onError).toHaveBeenCalledTimes(2);
+    expect(onError).toHaveBeenCalledWith({ error: new Error('Blocked'), headers: {}, body: '' });
+  });
+
+  test('should ACK and NACK messages of client-ack subscriptions', async () => {
+    await connect();
+    const received = [];
+    const subscription = client.protocol.subscribe('/queue/jobs', { ack: 'client-individual', onMessage: message => received.push(message) });
+
+    receive('MESSAGE', { subscription: subscription.id, destination: '/queue/jobs', ack: 'a1' }, 'job 1');
+    receive('MESSAGE', { subscription: subscription.id, destination: '/queue/jobs', ack: 'a2' }, 'job 2');
+
+    await received[0].ack({ headers: { transaction: 'tx1' } });
+    expect(lastFrame()).toEqual(expect.objectContaining({ command: 'ACK', headers: { transaction: 'tx1', id: 'a1' } }));
+
+    await received[1].nack();
+    expect(lastFrame()).toEqual(expect.objectContaining({ command: 'NACK', headers: { id: 'a2' } }));
+
+    await expect(client.protocol.ack({ headers: {} })).rejects.toThrow('without an "ack" header');
+  });
+
+  test('should track receipts and reject them on ERROR', async () => {
+    await connect();
+
+    const receipted = client.protocol.send('/queue/a', 'one', { receipt: true });
+    receive('RECEIPT', { 'receipt-id': lastFrame().headers.receipt });
+    await expect(receipted).resolves.toBeUndefined();
+
+    const onError = jest.fn();
+    client.on('stomp:error', onError);
+    const failed = client.protocol.send('/queue/forbidden', 'two', { receipt: true });
+    receive('ERROR', { message: 'Access refused', 'receipt-id': lastFrame().headers.receipt }, 'details');
+
+    const error = await failed.catch(e => e);
+    expect(error.message).toBe('Access refused');
+    expect(error.body).toBe('details');
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ error }));
+  });
+
+  test('should reject receipts when the connection closes', async () => {
+    await connect();
+    const receipted = client.protocol.send('/queue/a', 'one', { receipt: true });
+
+    socket.close();
+
+    await expect(receipted).rejects.toThrow('closed before the receipt arrived');
+  });
+
+  test('should re-subscribe with the same ids after a reconnect', async () => {
+    await connect();
+    const subscription = client.protocol.subscribe('/topic/a', { receipt: true });
+    receive('RECEIPT', { 'receipt-id': lastFrame().headers.receipt });
+    await subscription.receipt;
+
+    socket.sent = [];
+    socket.reconnect();
+    await flushPromises();
+    receive('CONNECTED', { version: '1.2' });
+
+    expect(frames().map(frame => [frame.command, frame.headers.id])).toEqual([
+      ['CONNECT', undefined],
+      ['SUBSCRIBE', subscription.id]
+    ]);
+  });
+
+  test('should heart-beat at the negotiated rate and reconnect when the server goes quiet', async () => {
+    jest.useFakeTimers();
+    socket = new MockReconnectingWebSocket('wss://broker.example.com/ws');
+    client = new WebSocketClient(socket, { protocol: 'stomp', stomp: { heartbeat: { outgoing: 1000, incoming: 1000 } } });
+    const reconnect = jest.spyOn(socket, 'reconnect').mockImplementation(() => {});
+    socket.open();
+    await Promise.resolve();
+    await Promise.resolve();
+    receive('CONNECTED', { version: '1.2', 'heart-beat': '2000,4000' });
+    socket.sent = [];
+
+    jest.advanceTimersByTime(4000);
+    expect(socket.sent).toEqual(['\n']);
+
+    socket.receive('\n');
+    jest.advanceTimersByTime(4000);
+    expect(reconnect).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(2000);
+    expect(reconnect).toHaveBeenCalledWith(4000, 'Heartbeat timeout');
+  });
+
+  test('should disconnect after the DISCONNECT receipt', async () => {
+    await connect();
+    const close = jest.spyOn(client, 'close');
+
+    const disconnected = client.protocol.disconnect();
+    expect(lastFrame().command).toBe('DISCONNECT');
+    receive('RECEIPT', { 'receipt-id': lastFrame().headers.receipt });
+    await disconnected;
+
+    expect(close).toHaveBeenCalled();
+  });
+});
@@ -2,7 +2,8 @@
  * @jest-environment jsdom
  */
 
-import { WebSocketClient, createWebSocketClient } from '../src/WebSocketClient.js';
+import { WebSocketClient, createWebSocketClient, webSocketIOconnect } from '../src/WebSocketClient.js';
+import { JsonRpcError } from '../src/jsonrpc.js';
 
 // Mock ReconnectingWebSocket
 class MockReconnectingWebSocket {
@@ -69,7 +70,10 @@ class MockReconnectingWebSocket {
 jest.mock('reconnecting-websocket', () => {
   return {
     __esModule: true,
-    default: MockReconnectingWebSocket
+    // Resolved lazily: jest hoists this factory above the class declaration
+    get default() {
+      return MockReconnectingWebSocket;
+    }
   };
 });
 
@@ -196,7 +200,7 @@ describe('WebSocketClient', () => {
   
   test('should listen for specific actions', (done) => {
     client.listen('chatMessage', (data) => {
-      expect(data.event).toBe('chatMessage');
+      expect(data).toBe('test message');
       done();
     });
     
@@ -213,6 +217,935 @@ describe('WebSocketClient', () => {
   });
 });
 
+describe('WebSocketClient request()', () => {
+  let client;
+  let mockSocket;
+
+  beforeEach(() => {
+    mockSocket = new MockReconnectingWebSocket('wss://test.com');
+    client = new WebSocketClient(mockSocket, { debug: false, autoPing: false });
+  });
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  test('should resolve with the reply carrying the same request ID', async () => {
+    mockSocket.send = (raw) => {
+      const { requestId } = JSON.parse(raw);
+      setTimeout(() => {
+        mockSocket.triggerEvent('message', {
+          data: JSON.stringify({ event: 'getOrder', requestId, data: { id: 7 } })
+        });
+      }, 5);
+    };
+
+    await expect(client.request('getOrder', { id: 7 })).resolves.toEqual({ id: 7 });
+    expect(client.getStatus().pendingRequests).toBe(0);
+  });
+
+  test('should not dispatch replies as regular events', async () => {
+    const listener = jest.fn();
+    client.on('getOrder', listener);
+
+    await client.request('getOrder', { id: 1 });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should reject when the reply carries an error', async () => {
+    mockSocket.send = (raw) => {
+      const { requestId } = JSON.parse(raw);
+      mockSocket.triggerEvent('message', {
+        data: JSON.stringify({ requestId, error: { message: 'Not found' } })
+      });
+    };
+
+    await expect(client.request('getOrder')).rejects.toThrow('Not found');
+  });
+
+  test('should reject on timeout', async () => {
+    mockSocket.send = jest.fn();
+
+    await expect(client.request('slow', null, { timeout: 20 })).rejects.toThrow('timed out after 20ms');
+    expect(client.pendingRequests.size).toBe(0);
+  });
+
+  test('should reject pending requests when the connection closes', async () => {
+    mockSocket.send = jest.fn();
+
+    const pending = client.request('never');
+    mockSocket.close();
+
+    await expect(pending).rejects.toThrow('connection closed');
+  });
+});
+
+describe('WebSocketClient validation', () => {
+  let client;
+  let mockSocket;
+
+  beforeEach(() => {
+    mockSocket = new MockReconnectingWebSocket('wss://test.com');
+    mockSocket.send = jest.fn();
+    client = new WebSocketClient(mockSocket, {
+      autoPing: false,
+      schemas: {
+        incoming: {
+          orderUpdated: { type: 'object', required: ['id'], properties: { id: { type: 'number' } } }
+        },
+        outgoing: {
+          placeOrder: payload => (payload && payload.quantity > 0) || 'quantity must be positive'
+        }
+      }
+    });
+    client.open = true;
+  });
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  function receive(message) {
+    mockSocket.triggerEvent('message', { data: JSON.stringify(message) });
+  }
+
+  test('should dispatch valid incoming payloads', () => {
+    const listener = jest.fn();
+    client.listen('orderUpdated', listener);
+
+    receive({ event: 'orderUpdated', data: { id: 1 } });
+
+    expect(listener).toHaveBeenCalledWith({ id: 1 });
+  });
+
+  test('should report invalid incoming payloads instead of dispatching them', () => {
+    const listener = jest.fn();
+    const validationError = jest.fn();
+    client.listen('orderUpdated', listener);
+    client.on('validation_error', validationError);
+
+    receive({ event: 'orderUpdated', data: { id: 'one' } });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(validationError).toHaveBeenCalledWith({
+      direction: 'incoming',
+      action: 'orderUpdated',
+      errors: [{ path: '/id', message: 'must be number' }],
+      data: { id: 'one' }
+    });
+  });
+
+  test('should throw from emit() before sending an invalid payload', () => {
+    expect(() => client.emit('placeOrder', { quantity: 0 })).toThrow('Invalid outgoing payload for "placeOrder": (payload) quantity must be positive');
+    expect(mockSocket.send).not.toHaveBeenCalled();
+
+    client.emit('placeOrder', { quantity: 2 });
+    expect(mockSocket.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject request() with invalid data or an invalid reply', async () => {
+    await expect(client.request('placeOrder', {})).rejects.toMatchObject({ code: 'VALIDATION_ERROR', direction: 'outgoing' });
+    expect(mockSocket.send).not.toHaveBeenCalled();
+
+    client.defineSchemas({ outgoing: { getOrder: { type: 'object' } } });
+    mockSocket.send = (raw) => {
+      const { requestId } = JSON.parse(raw);
+      receive({ event: 'orderUpdated', requestId, data: {} });
+    };
+
+    await expect(client.request('getOrder', {})).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      direction: 'incoming',
+      errors: [{ path: '', message: 'must have required property "id"' }]
+    });
+    expect(client.getStatus().pendingRequests).toBe(0);
+  });
+});
+
+describe('WebSocketClient middleware', () => {
+  let client;
+  let mockSocket;
+
+  beforeEach(() => {
+    mockSocket = new MockReconnectingWebSocket('wss://test.com');
+    mockSocket.send = jest.fn();
+    client = new WebSocketClient(mockSocket, { autoPing: false });
+    client.open = true;
+  });
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  function receive(message) {
+    mockSocket.triggerEvent('message', { data: JSON.stringify(message) });
+  }
+
+  function sentMessages() {
+    return mockSocket.send.mock.calls.map(([raw]) => JSON.parse(raw));
+  }
+
+  test('should let outgoing middleware add fields after awaiting', async () => {
+    client.use({
+      outgoing: async (context, next) => {
+        await Promise.resolve();
+        context.message.tenantId = 't-1';
+        await next();
+      }
+    });
+
+    client.emit('first', { n: 1 });
+    await client.sendMessage({ action: 'second' });
+
+    expect(sentMessages()).toEqual([
+      { action: 'first', data: { n: 1 }, tenantId: 't-1' },
+      { action: 'second', tenantId: 't-1' }
+    ]);
+  });
+
+  test('should send a frame set by middleware as is', async () => {
+    client.use({
+      outgoing: async (context, next) => {
+        context.frame = `enc:${JSON.stringify(context.message)}`;
+        await next();
+      }
+    });
+
+    await client.sendMessage({ action: 'secret' });
+
+    expect(mockSocket.send).toHaveBeenCalledWith('enc:{"action":"secret"}');
+  });
+
+  test('should drop outgoing messages and reject requests when next() is not called', async () => {
+    client.use({ outgoing: () => {} });
+
+    await expect(client.sendMessage({ action: 'ignored' })).resolves.toBe(false);
+    await expect(client.request('lookup', { id: 1 })).rejects.toThrow('Request "lookup" was dropped by middleware');
+    expect(mockSocket.send).not.toHaveBeenCalled();
+    expect(client.getStatus().pendingRequests).toBe(0);
+  });
+
+  test('should decode incoming frames after middleware replaces them', async () => {
+    const listener = jest.fn();
+    client.listen('update', listener);
+    client.use({
+      incoming: async (context, next) => {
+        await Promise.resolve();
+        context.frame = context.frame.replace(/^enc:/, '');
+        await next();
+      }
+    });
+
+    mockSocket.triggerEvent('message', { data: 'enc:{"event":"update","data":{"n":1}}' });
+    mockSocket.triggerEvent('message', { data: 'enc:{"event":"update","data":{"n":2}}' });
+    await client.incomingChain;
+
+    expect(listener.mock.calls).toEqual([[{ n: 1 }], [{ n: 2 }]]);
+  });
+
+  test('should route by the event and payload set by incoming middleware', async () => {
+    const listener = jest.fn();
+    client.listen('chat', listener);
+    client.use({
+      incoming: (context, next) => {
+        const [event, payload] = context.message;
+        context.event = event;
+        context.payload = payload;
+        return next();
+      }
+    });
+
+    receive(['chat', { text: 'hi' }]);
+    await client.incomingChain;
+
+    expect(listener).toHaveBeenCalledWith({ text: 'hi' });
+  });
+
+  test('should report middleware errors and keep processing', async () => {
+    const middlewareError = jest.fn();
+    const listener = jest.fn();
+    client.on('middleware_error', middlewareError);
+    client.listen('update', listener);
+    client.use((context, next) => {
+      if (context.direction === 'incoming' && context.message.data.fail) {
+        throw new Error('boom');
+      }
+      return next();
+    });
+
+    receive({ event: 'update', data: { fail: true } });
+    receive({ event: 'update', data: { n: 2 } });
+    await client.incomingChain;
+
+    expect(middlewareError).toHaveBeenCalledWith(expect.objectContaining({ direction: 'incoming', error: expect.any(Error) }));
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ n: 2 });
+  });
+
+  test('should accept middleware in the constructor options', async () => {
+    client.destroy();
+    mockSocket = new MockReconnectingWebSocket('wss://test.com');
+    mockSocket.send = jest.fn();
+    const outgoing = jest.fn((context, next) => next());
+    client = new WebSocketClient(mockSocket, { autoPing: false, middleware: [{ outgoing }] });
+    client.open = true;
+
+    await client.sendMessage({ action: 'hello' });
+
+    expect(outgoing).toHaveBeenCalledTimes(1);
+    expect(mockSocket.send).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('WebSocketClient envelopes', () => {
+  let client;
+  let mockSocket;
+
+  function createClient(options) {
+    mockSocket = new MockReconnectingWebSocket('wss://test.com');
+    mockSocket.send = jest.fn();
+    client = new WebSocketClient(mockSocket, { autoPing: false, ...options });
+    client.open = true;
+  }
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  function receive(message) {
+    mockSocket.triggerEvent('message', { data: JSON.stringify(message) });
+  }
+
+  function lastSent() {
+    const calls = mockSocket.send.mock.calls;
+    return JSON.parse(calls[calls.length - 1][0]);
+  }
+
+  test('should pass payloads with their own data field through a keyed envelope', () => {
+    createClient({ envelope: { eventKey: 'type', payloadKey: 'payload' } });
+    const listener = jest.fn();
+    client.listen('update', listener);
+
+    receive({ type: 'update', payload: { data: [1, 2] } });
+    receive({ type: 'update', payload: 0 });
+
+    expect(listener.mock.calls).toEqual([[{ data: [1, 2] }], [0]]);
+    client.emit('save', { data: 'x' });
+    expect(lastSent()).toEqual({ type: 'save', payload: { data: 'x' } });
+  });
+
+  test('should read { action, data } payloads only from data with the opt-in keyed envelope', () => {
+    createClient({ envelope: { eventKey: ['action', 'event'], payloadKey: 'data' } });
+    const listener = jest.fn();
+    client.listen('update', listener);
+
+    receive({ action: 'update', data: 0 });
+    receive({ action: 'update', data: '', body: 'not the payload' });
+    receive({ event: 'update', data: null, id: 7 });
+
+    expect(listener.mock.calls).toEqual([[0], [''], [null]]);
+    client.emit('save', { data: 'x' });
+    expect(lastSent()).toEqual({ action: 'save', data: { data: 'x' } });
+  });
+
+  test('should send and receive Socket.IO-style arrays', () => {
+    createClient({ envelope: 'socketio' });
+    const listener = jest.fn();
+    client.listen('chat', listener);
+
+    client.emit('chat', { text: 'hi' });
+    receive(['chat', { text: 'yo' }]);
+
+    expect(lastSent()).toEqual(['chat', { text: 'hi' }]);
+    expect(listener).toHaveBeenCalledWith({ text: 'yo' });
+    expect(client.getStatus().envelope).toBe('socketio');
+  });
+
+  test('should correlate Phoenix replies by ref', async () => {
+    createClient({ envelope: { preset: 'phoenix', topic: 'room:lobby' } });
+
+    const reply = client.request('new_msg', { body: 'hi' });
+    const [, ref, topic, event] = lastSent();
+    expect([topic, event]).toEqual(['room:lobby', 'new_msg']);
+
+    receive([null, ref, 'room:lobby', 'phx_reply', { status: 'ok', response: { id: 1 } }]);
+    await expect(reply).resolves.toEqual({ id: 1 });
+
+    const rejected = client.request('new_msg', {});
+    receive([null, lastSent()[1], 'room:lobby', 'phx_reply', { status: 'error', response: { reason: 'denied' } }]);
+    await expect(rejected).rejects.toThrow('denied');
+  });
+
+  test('should resolve JSON-RPC requests and dispatch notifications', async () => {
+    createClient({ envelope: 'jsonrpc' });
+    const listener = jest.fn();
+    client.listen('tick', listener);
+
+    const sum = client.request('sum', [1, 2]);
+    expect(lastSent()).toEqual({ jsonrpc: '2.0', method: 'sum', params: [1, 2], id: 1 });
+
+    receive({ jsonrpc: '2.0', result: 3, id: 1 });
+    receive({ jsonrpc: '2.0', method: 'tick', params: { n: 1 } });
+
+    await expect(sum).resolves.toBe(3);
+    expect(listener).toHaveBeenCalledWith({ n: 1 });
+  });
+
+  test('should include envelope metadata in message events', () => {
+    createClient({ envelope: { eventKey: 'type', payloadKey: 'payload', metaKeys: ['traceId'] } });
+    const listener = jest.fn();
+    client.listen('*', listener);
+
+    receive({ type: 'update', payload: 1, traceId: 't-1' });
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ event: 'update', data: 1, meta: { traceId: 't-1' } }));
+  });
+});
+
+describe('WebSocketClient JSON-RPC', () => {
+  let client;
+  let mockSocket;
+
+  beforeEach(() => {
+    mockSocket = new MockReconnectingWebSocket('wss://test.com');
+    mockSocket.send = jest.fn();
+    client = new WebSocketClient(mockSocket, { autoPing: false });
+    client.open = true;
+  });
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  function receive(message) {
+    mockSocket.triggerEvent('message', { data: JSON.stringify(message) });
+  }
+
+  function lastSent() {
+    const calls = mockSocket.send.mock.calls;
+    return JSON.parse(calls[calls.length - 1][0]);
+  }
+
+  test('should resolve call() with the result even with the default envelope', async () => {
+    const blockNumber = client.call('eth_blockNumber', []);
+    const sent = lastSent();
+    expect(sent).toEqual({ jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: sent.id });
+
+    receive({ jsonrpc: '2.0', id: sent.id, result: '0x10' });
+
+    await expect(blockNumber).resolves.toBe('0x10');
+  });
+
+  test('should reject call() with a JsonRpcError', async () => {
+    const result = client.call('eth_foo');
+    expect(lastSent()).not.toHaveProperty('params');
+
+    receive({ jsonrpc: '2.0', id: lastSent().id, error: { code: -32601, message: 'Method not found' } });
+
+    const error = await result.catch(e => e);
+    expect(error).toBeInstanceOf(JsonRpcError);
+    expect(error.code).toBe(-32601);
+    expect(error.message).toBe('Method not found');
+  });
+
+  test('should send notifications without an id', () => {
+    client.notify('log', { level: 'info' });
+
+    expect(lastSent()).toEqual({ jsonrpc: '2.0', method: 'log', params: { level: 'info' } });
+  });
+
+  test('should dispatch server notifications through on()', () => {
+    const listener = jest.fn();
+    client.on('eth_subscription', listener);
+
+    receive({ jsonrpc: '2.0', method: 'eth_subscription', params: { subscription: '0x1', result: {} } });
+
+    expect(listener).toHaveBeenCalledWith({ subscription: '0x1', result: {} });
+  });
+
+  test('should settle batch calls from a batch response in any order', async () => {
+    const results = client.batch([
+      { method: 'sum', params: [1, 2] },
+      { method: 'log', params: ['hi'], notification: true },
+      { method: 'fail' }
+    ]);
+
+    const sent = lastSent();
+    expect(sent).toHaveLength(3);
+    expect(sent[1]).not.toHaveProperty('id');
+
+    receive([
+      { jsonrpc: '2.0', id: sent[2].id, error: { code: -32000, message: 'Nope' } },
+      { jsonrpc: '2.0', id: sent[0].id, result: 3 }
+    ]);
+
+    const [sum, log, fail] = await results;
+    expect(sum).toEqual({ status: 'fulfilled', value: 3 });
+    expect(log).toEqual({ status: 'fulfilled', value: undefined });
+    expect(fail.status).toBe('rejected');
+    expect(fail.reason).toBeInstanceOf(JsonRpcError);
+    expect(fail.reason.code).toBe(-32000);
+  });
+
+  test('should reject an empty batch', async () => {
+    await expect(client.batch([])).rejects.toThrow('A JSON-RPC batch needs at least one call.');
+  });
+});
+
+describe('WebSocketClient codecs', () => {
+  test('should send and receive MessagePack frames', (done) => {
+    const mockSocket = new MockReconnectingWebSocket('wss://test.com');
+    const client = new WebSocketClient(mockSocket, { autoPing: false, codec: 'msgpack' });
+    const sent = jest.spyOn(mockSocket, 'send');
+
+    client.listen('priceTick', (data) => {
+      expect(sent.mock.calls[0][0]).toBeInstanceOf(Uint8Array);
+      expect(data).toEqual({ symbol: 'ACME', price: 10.5 });
+      client.destroy();
+      done();
+    });
+
+    client.onOpen(() => client.emit('priceTick', { symbol: 'ACME', price: 10.5 }));
+  });
+
+  test('should decode ArrayBuffer frames', () => {
+    const mockSocket = new MockReconnectingWebSocket('wss://test.com');
+    const client = new WebSocketClient(mockSocket, { autoPing: false, codec: 'msgpack' });
+    const listener = jest.fn();
+    client.on('update', listener);
+
+    const bytes = client.codec.encode({ event: 'update', data: { n: 1 } });
+    mockSocket.triggerEvent('message', { data: bytes.buffer });
+
+    expect(listener).toHaveBeenCalledWith({ n: 1 });
+    expect(mockSocket.binaryType).toBe('arraybuffer');
+    client.destroy();
+  });
+});
+
+describe('WebSocketClient heartbeat', () => {
+  let client;
+  let mockSocket;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockSocket = new MockReconnectingWebSocket('wss://test.com');
+  });
+
+  afterEach(() => {
+    client.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should measure ping round-trip latency', () => {
+    client = new WebSocketClient(mockSocket, { autoPing: false, pongTimeout: 5 });
+    jest.advanceTimersByTime(10);
+
+    client.ping();
+    jest.advanceTimersByTime(10);
+
+    const status = client.getStatus();
+    expect(status.latency).toBe(10);
+    expect(status.lastPongAt).toBe(Date.now());
+    expect(status.missedPongs).toBe(0);
+  });
+
+  test('should reconnect and emit stale after too many missed pongs', () => {
+    client = new WebSocketClient(mockSocket, { pingInterval: 1, pongTimeout: 0.5, maxMissedPongs: 2 });
+    mockSocket.send = jest.fn();
+    mockSocket.reconnect = jest.fn();
+    const stale = jest.fn();
+    client.on('stale', stale);
+    jest.advanceTimersByTime(10);
+
+    jest.advanceTimersByTime(1500);
+    expect(client.getStatus().missedPongs).toBe(1);
+    expect(stale).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(stale).toHaveBeenCalledWith({ missedPongs: 2, lastPongAt: null });
+    expect(mockSocket.reconnect).toHaveBeenCalledWith(4000, 'Heartbeat timeout');
+  });
+
+  test('should reset missed pongs when a pong arrives', () => {
+    client = new WebSocketClient(mockSocket, { pingInterval: 1, pongTimeout: 0.5, maxMissedPongs: 2 });
+    const send = mockSocket.send.bind(mockSocket);
+    mockSocket.send = jest.fn();
+    jest.advanceTimersByTime(10);
+
+    jest.advanceTimersByTime(1500);
+    expect(client.getStatus().missedPongs).toBe(1);
+
+    mockSocket.send = send;
+    jest.advanceTimersByTime(1000);
+    expect(client.getStatus().missedPongs).toBe(0);
+  });
+
+  test('should not check liveness without a pong timeout', () => {
+    client = new WebSocketClient(mockSocket, { pingInterval: 1 });
+    mockSocket.send = jest.fn();
+    jest.advanceTimersByTime(10000);
+
+    expect(client.pongTimer).toBeNull();
+    expect(client.getStatus().missedPongs).toBe(0);
+  });
+});
+
+describe('WebSocketClient queue', () => {
+  let client;
+  let mockSocket;
+
+  beforeEach(() => {
+    mockSocket = new MockReconnectingWebSocket('wss://test.com');
+  });
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  test('should queue messages until the connection opens', (done) => {
+    client = new WebSocketClient(mockSocket, { autoPing: false });
+    const send = jest.spyOn(mockSocket, 'send');
+    client.emit('first');
+    client.emit('second');
+
+    expect(client.getStatus().messageQueueLength).toBe(2);
+
+    client.onOpen(() => {
+      expect(send.mock.calls.map(([data]) => JSON.parse(data).action)).toEqual(['first', 'second']);
+      expect(client.getStatus().messageQueueLength).toBe(0);
+      done();
+    });
+  });
+
+  test('should report messages dropped on overflow', () => {
+    client = new WebSocketClient(mockSocket, { autoPing: false, queue: { maxSize: 1 } });
+    const dropped = jest.fn();
+    client.on('message_dropped', dropped);
+
+    client.emit('first');
+    client.emit('second');
+
+    expect(dropped).toHaveBeenCalledWith(expect.objectContaining({ reason: 'overflow', data: '{"action":"first"}' }));
+  });
+
+  test('should throw when the queue rejects overflow', () => {
+    client = new WebSocketClient(mockSocket, { autoPing: false, queue: { maxSize: 1, overflow: 'reject' } });
+    client.emit('first');
+
+    expect(() => client.emit('second')).toThrow('Message queue is full');
+  });
+
+  test('should reject requests, calls and batches the full queue rejects', async () => {
+    client = new WebSocketClient(mockSocket, { autoPing: false, queue: { maxSize: 1, overflow: 'reject' } });
+    client.emit('first');
+
+    const request = client.request('second');
+    const call = client.call('third');
+    const batch = client.batch([{ method: 'fourth' }]);
+
+    await expect(request).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+    await expect(call).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+    await expect(batch).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+    expect(client.getStatus().pendingRequests).toBe(0);
+  });
+
+  test('should resend unacknowledged messages after reconnecting', (done) => {
+    client = new WebSocketClient(mockSocket, { autoPing: false, queue: { delivery: 'at-least-once' } });
+    const send = jest.spyOn(mockSocket, 'send').mockImplementation(() => {});
+
+    client.onOpen(() => {
+      client.emit('order', { id: 1 });
+      client.emit('order', { id: 2 });
+      const [first, second] = send.mock.calls.map(([data]) => JSON.parse(data));
+      expect(first.messageId).toBeDefined();
+
+      mockSocket.triggerEvent('message', { data: JSON.stringify({ event: 'ack', messageId: first.messageId }) });
+      expect(client.getStatus().messageQueueLength).toBe(1);
+
+      send.mockClear();
+      mockSocket.triggerEvent('close', {});
+      mockSocket.triggerEvent('open', {});
+
+      expect(send.mock.calls.map(([data]) => JSON.parse(data))).toEqual([second]);
+      done();
+    });
+  });
+});
+
+describe('WebSocketClient subscriptions', () => {
+  let client;
+  let mockSocket;
+  let send;
+
+  beforeEach(() => {
+    mockSocket = new MockReconnectingWebSocket('wss://test.com');
+    client = new WebSocketClient(mockSocket, { autoPing: false });
+    send = jest.spyOn(mockSocket, 'send').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  const sentActions = () => send.mock.calls.map(([data]) => JSON.parse(data));
+
+  test('should send subscriptions made before the connection opens once it does', (done) => {
+    client.subscribe('prices', { symbol: 'ACME' });
+    expect(send).not.toHaveBeenCalled();
+
+    client.onOpen(() => {
+      expect(sentActions()).toEqual([{ action: 'subscribe', data: { topic: 'prices', params: { symbol: 'ACME' } } }]);
+      done();
+    });
+  });
+
+  test('should replay subscriptions on reconnect before flushing queued messages', (done) => {
+    client.onOpen(() => {
+      client.subscribe('prices');
+      client.subscribe('orders', { status: 'open' });
+      client.unsubscribe('prices');
+
+      mockSocket.triggerEvent('close', {});
+      client.emit('queuedWhileOffline');
+      send.mockClear();
+      mockSocket.triggerEvent('open', {});
+
+      expect(sentActions()).toEqual([
+        { action: 'subscribe', data: { topic: 'orders', params: { status: 'open' } } },
+        { action: 'queuedWhileOffline' }
+      ]);
+      done();
+    });
+  });
+
+  test('should replay subscriptions before queued messages with async outgoing middleware', async () => {
+    client.use({ outgoing: async (context, next) => { await Promise.resolve(); await next(); } });
+    client.subscribe('orders');
+    mockSocket.triggerEvent('close', {});
+    await client.emit('queuedWhileOffline');
+    await client.outgoingChain;
+    send.mockClear();
+
+    mockSocket.triggerEvent('open', {});
+    client.emit('afterOpen');
+    await client.outgoingChain;
+    await client.outgoingChain;
+
+    expect(sentActions()).toEqual([
+      { action: 'subscribe', data: { topic: 'orders' } },
+      { action: 'queuedWhileOffline' },
+      { action: 'afterOpen' }
+    ]);
+  });
+
+  test('should send unsubscribe frames', (done) => {
+    client.onOpen(() => {
+      client.subscribe('prices');
+      client.unsubscribe('prices');
+      client.unsubscribe('never-subscribed');
+
+      expect(sentActions()).toEqual([
+        { action: 'subscribe', data: { topic: 'prices' } },
+        { action: 'unsubscribe', data: { topic: 'prices' } }
+      ]);
+      done();
+    });
+  });
+
+  test('should expose subscriptions in the status', () => {
+    client.subscribe('prices', { symbol: 'ACME' });
+    client.subscribe('orders');
+
+    expect(client.getStatus().subscriptions).toEqual(['prices', 'orders']);
+    expect(client.getSubscriptions()).toEqual({ prices: { symbol: 'ACME' }, orders: undefined });
+  });
+});
+
+describe('WebSocketClient listeners', () => {
+  let client;
+  let mockSocket;
+
+  beforeEach(() => {
+    mockSocket = new MockReconnectingWebSocket('wss://test.com');
+    client = new WebSocketClient(mockSocket, { autoPing: false });
+  });
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  function receive(message) {
+    mockSocket.triggerEvent('message', { data: JSON.stringify(message) });
+  }
+
+  test('should remove the registered wrapper with off() and the returned function', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    client.on('testEvent', first);
+    const removeSecond = client.listen('testEvent', second);
+
+    client.off('testEvent', first);
+    removeSecond();
+    receive({ event: 'testEvent', data: 'test' });
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).not.toHaveBeenCalled();
+    expect(client.eventTarget.listenerCount('testEvent')).toBe(0);
+  });
+
+  test('should register the same callback once per event', () => {
+    const callback = jest.fn();
+    client.on('testEvent', callback);
+    client.on('testEvent', callback);
+
+    receive({ event: 'testEvent', data: 'test' });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  test('should call once() listeners a single time and forget them', () => {
+    const callback = jest.fn();
+    client.once('testEvent', callback);
+
+    receive({ event: 'testEvent', data: 1 });
+    receive({ event: 'testEvent', data: 2 });
+
+    expect(callback.mock.calls).toEqual([[1]]);
+    expect(client.eventListeners.has('testEvent')).toBe(false);
+  });
+
+  test('should remove every listener of an event with offAll()', () => {
+    const a = jest.fn();
+    const b = jest.fn();
+    const other = jest.fn();
+    client.on('testEvent', a);
+    client.on('testEvent', b);
+    client.on('otherEvent', other);
+
+    client.offAll('testEvent');
+    receive({ event: 'testEvent', data: 1 });
+    receive({ event: 'otherEvent', data: 1 });
+
+    expect(a).not.toHaveBeenCalled();
+    expect(b).not.toHaveBeenCalled();
+    expect(other).toHaveBeenCalled();
+  });
+
+  test('should detach every handler on destroy()', () => {
+    client.on('testEvent', jest.fn());
+    client.on('order.*', jest.fn());
+    client.listen('*', jest.fn());
+
+    client.destroy();
+
+    expect(client.eventListeners.size).toBe(0);
+    expect(client.eventTarget.listeners.size).toBe(0);
+    expect(client.eventTarget.patterns.size).toBe(0);
+  });
+
+  test('should match wildcard patterns and pass the event name', () => {
+    const callback = jest.fn();
+    client.on('order.*', callback);
+
+    receive({ event: 'order.created', data: { id: 1 } });
+    receive({ event: 'order.item.added', data: { id: 2 } });
+    receive({ event: 'invoice.created', data: { id: 3 } });
+
+    expect(callback.mock.calls).toEqual([[{ id: 1 }, 'order.created']]);
+  });
+
+  test('should run higher priority listeners first', () => {
+    const calls = [];
+    client.on('testEvent', () => calls.push('normal'));
+    client.on('testEvent', () => calls.push('first'), { priority: 5 });
+
+    receive({ event: 'testEvent', data: 1 });
+
+    expect(calls).toEqual(['first', 'normal']);
+  });
+
+  test('should remove listeners when their AbortSignal aborts', () => {
+    const controller = new AbortController();
+    const callback = jest.fn();
+    client.on('testEvent', callback, { signal: controller.signal });
+    client.on('otherEvent', callback, { signal: controller.signal });
+
+    controller.abort();
+    receive({ event: 'testEvent', data: 1 });
+    receive({ event: 'otherEvent', data: 1 });
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(client.eventListeners.size).toBe(0);
+  });
+});
+
+describe('WebSocketClient streams', () => {
+  let client;
+  let mockSocket;
+
+  beforeEach(() => {
+    mockSocket = new MockReconnectingWebSocket('wss://test.com');
+    mockSocket.send = jest.fn();
+    client = new WebSocketClient(mockSocket, { autoPing: false });
+    client.open = true;
+  });
+
+  afterEach(() => {
+    client.destroy();
+  });
+
+  function receive(message) {
+    mockSocket.triggerEvent('message', { data: JSON.stringify(message) });
+  }
+
+  test('should iterate over the payloads of an action', async () => {
+    const ticks = client.stream('priceTick');
+    receive({ action: 'priceTick', data: { price: 1 } });
+    receive({ action: 'other', data: { price: 0 } });
+    receive({ action: 'priceTick', data: { price: 2 } });
+
+    await expect(ticks.next()).resolves.toEqual({ value: { price: 1 }, done: false });
+    await expect(ticks.next()).resolves.toEqual({ value: { price: 2 }, done: false });
+  });
+
+  test('should end streams and complete observers on close()', async () => {
+    const ticks = client.stream('priceTick', { bufferSize: 1 });
+    const complete = jest.fn();
+    client.observe('priceTick').subscribe({ complete });
+    const pending = ticks.next();
+
+    client.close();
+
+    await expect(pending).resolves.toEqual({ value: undefined, done: true });
+    expect(complete).toHaveBeenCalled();
+    expect(client.eventSources.size).toBe(0);
+  });
+
+  test('should stop listening when a stream is returned', async () => {
+    const ticks = client.stream('*');
+    receive({ action: 'priceTick', data: 1 });
+
+    await expect(ticks.next()).resolves.toEqual({ value: expect.objectContaining({ event: 'priceTick', data: 1 }), done: false });
+    await ticks.return();
+
+    expect(client.eventSources.size).toBe(0);
+    expect(client.eventTarget.listeners.has('message')).toBe(false);
+  });
+
+  test('should push payloads to observable subscribers', () => {
+    const next = jest.fn();
+    const subscription = client.observe('priceTick').subscribe(next);
+
+    receive({ action: 'priceTick', data: { price: 1 } });
+    subscription.unsubscribe();
+    receive({ action: 'priceTick', data: { price: 2 } });
+
+    expect(next.mock.calls).toEqual([[{ price: 1 }]]);
+  });
+});
+
 describe('createWebSocketClient', () => {
   test('should create client with URL string', () => {
     const client = createWebSocketClient('wss://test.com', { debug: false });
@@ -234,6 +1167,20 @@ describe('createWebSocketClient', () => {
     
     client.destroy();
   });
+
+  test('should take the ping interval from pingTime', () => {
+    const client = createWebSocketClient('wss://test.com', { pingTime: 20, autoPing: false });
+
+    expect(client.options.pingInterval).toBe(20);
+    expect(client.pingIntervalSet).toBe(true);
+    client.destroy();
+
+    const defaults = createWebSocketClient('wss://test.com', { autoPing: false });
+
+    expect(defaults.options.pingInterval).toBe(15);
+    expect(defaults.pingIntervalSet).toBe(false);
+    defaults.destroy();
+  });
 });
 
 describe('Legacy webSocketIOconnect', () => {
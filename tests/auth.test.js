@@ -0,0 +1,108 @@
+import { createHmac } from 'crypto';
+import {
+  isAuthFailure,
+  buildAuthUrl,
+  resolveAuth,
+  redactUrl,
+  applyAuthTransport,
+  signRequest,
+  isAuthAck
+} from '../src/auth.js';
+
+describe('auth helpers', () => {
+  test('should recognize auth-failure close codes', () => {
+    expect(isAuthFailure({ code: 4001 })).toBe(true);
+    expect(isAuthFailure({ code: 1008 })).toBe(true);
+    expect(isAuthFailure({ code: 1006 })).toBe(false);
+    expect(isAuthFailure({ code: 4999 }, [4999])).toBe(true);
+    expect(isAuthFailure(undefined)).toBe(false);
+  });
+
+  test('should apply the token and params to the URL', () => {
+    expect(buildAuthUrl('wss://example.com/socket?v=1', { token: 'abc', params: { tenant: 't1' } }))
+      .toBe('wss://example.com/socket?v=1&token=abc&tenant=t1');
+    expect(buildAuthUrl('wss://example.com/socket?token=old', { token: 'new' }, 'token'))
+      .toBe('wss://example.com/socket?token=new');
+    expect(buildAuthUrl('wss://example.com/socket', { token: 'abc' }, 'access_token'))
+      .toBe('wss://example.com/socket?access_token=abc');
+  });
+
+  test('should leave the URL untouched without URL credentials', () => {
+    expect(buildAuthUrl('wss://example.com/socket', { message: { token: 'abc' } })).toBe('wss://example.com/socket');
+  });
+
+  test('should normalize sync, async and empty providers', async () => {
+    await expect(resolveAuth(() => ({ token: 'a' }), {})).resolves.toEqual({ token: 'a' });
+    await expect(resolveAuth(() => Promise.resolve({ token: 'b' }), {})).resolves.toEqual({ token: 'b' });
+    await expect(resolveAuth(() => undefined, {})).resolves.toEqual({});
+    await expect(resolveAuth(() => { throw new Error('down'); }, {})).rejects.toThrow('down');
+  });
+
+  test('should redact secrets from URLs', () => {
+    expect(redactUrl('wss://example.com/socket?appId=app&appSecret=s3cret&token=jwt&signature=abc'))
+      .toBe('wss://example.com/socket?appId=app&appSecret=***&token=***&signature=***');
+  });
+
+  test('should put credentials in the query', () => {
+    const { url, protocols, headers } = applyAuthTransport('query', 'wss://example.com/socket', {
+      token: 'jwt',
+      app: { appId: 'app', appSecret: 's3cret' }
+    });
+
+    expect(url).toBe('wss://example.com/socket?appId=app&appSecret=s3cret&token=jwt');
+    expect(protocols).toEqual([]);
+    expect(headers).toEqual({});
+  });
+
+  test('should send the token as a subprotocol', () => {
+    const signed = { appId: 'app', timestamp: 1700000000, nonce: 'n', signature: 'sig' };
+    const { url, protocols } = applyAuthTransport('protocol', 'wss://example.com/socket', { token: 'jwt', app: signed });
+
+    expect(protocols).toEqual(['bearer', 'jwt']);
+    expect(url).toBe('wss://example.com/socket?appId=app&timestamp=1700000000&nonce=n&signature=sig');
+    expect(() => applyAuthTransport('protocol', 'wss://example.com/socket', { app: { appSecret: 's3cret' } }))
+      .toThrow('cannot carry appSecret');
+  });
+
+  test('should send credentials as headers', () => {
+    const { url, headers } = applyAuthTransport('headers', 'wss://example.com/socket', {
+      token: 'jwt',
+      app: { appId: 'app', appSecret: 's3cret' },
+      params: { tenant: 't1' }
+    });
+
+    expect(url).toBe('wss://example.com/socket?tenant=t1');
+    expect(headers).toEqual({ Authorization: 'Bearer jwt', 'X-App-Id': 'app', 'X-App-Secret': 's3cret' });
+  });
+
+  test('should keep credentials out of the URL for the message transport', () => {
+    const { url } = applyAuthTransport('message', 'wss://example.com/socket', { token: 'jwt', app: { appId: 'app' } });
+
+    expect(url).toBe('wss://example.com/socket');
+    expect(() => applyAuthTransport('cookie', 'wss://example.com/socket')).toThrow('Invalid auth transport');
+  });
+
+  test('should sign requests with HMAC-SHA256', async () => {
+    const signed = await signRequest('app', 's3cret', { timestamp: 1700000000, nonce: 'abc' });
+    const expected = createHmac('sha256', 's3cret').update('app:1700000000:abc').digest('hex');
+
+    expect(signed).toEqual({ appId: 'app', timestamp: 1700000000, nonce: 'abc', signature: expected });
+  });
+
+  test('should generate a fresh nonce per signature', async () => {
+    const first = await signRequest('app', 's3cret');
+    const second = await signRequest('app', 's3cret');
+
+    expect(first.nonce).toMatch(/^[0-9a-f]{32}$/);
+    expect(first.nonce).not.toBe(second.nonce);
+    await expect(signRequest('app', '')).rejects.toThrow('requires appId and appSecret');
+  });
+
+  test('should recognize auth replies', () => {
+    expect(isAuthAck({ type: 'authenticated' })).toBe(true);
+    expect(isAuthAck({ event: 'unauthorized' })).toBe(false);
+    expect(isAuthAck({ action: 'auth_error' })).toBe(false);
+    expect(isAuthAck({ action: 'chat' })).toBeUndefined();
+    expect(isAuthAck('authenticated')).toBeUndefined();
+  });
+});
@@ -0,0 +1,153 @@
+import { JsonCodec, MessagePackCodec, StompCodec, resolveCodec, toFrameData, byteLength } from '../src/codecs.js';
+
+describe('JsonCodec', () => {
+  test('should encode to text frames', () => {
+    expect(JsonCodec.encode({ action: 'ping' })).toBe('{"action":"ping"}');
+  });
+
+  test('should decode text and binary frames', () => {
+    const bytes = new TextEncoder().encode('{"a":1}');
+
+    expect(JsonCodec.decode('{"a":1}')).toEqual({ a: 1 });
+    expect(JsonCodec.decode(bytes)).toEqual({ a: 1 });
+  });
+});
+
+describe('MessagePackCodec', () => {
+  test.each([
+    [null, [0xc0]],
+    [true, [0xc3]],
+    [127, [0x7f]],
+    [-1, [0xff]],
+    [256, [0xcd, 0x01, 0x00]],
+    [-200, [0xd1, 0xff, 0x38]],
+    [1.5, [0xcb, 0x3f, 0xf8, 0, 0, 0, 0, 0, 0]],
+    ['hi', [0xa2, 0x68, 0x69]],
+    [[1, 2], [0x92, 0x01, 0x02]],
+    [{ a: 1 }, [0x81, 0xa1, 0x61, 0x01]]
+  ])('should encode %p to the spec byte layout', (value, bytes) => {
+    expect(Array.from(MessagePackCodec.encode(value))).toEqual(bytes);
+  });
+
+  test('should round-trip nested structures', () => {
+    const value = {
+      action: 'priceTick',
+      data: {
+        symbol: 'ACME',
+        price: 101.25,
+        volume: 4294967296,
+        delta: -70000,
+        tags: ['a', 'ü', 'x'.repeat(300)],
+        flags: { live: true, halted: false },
+        note: null
+      }
+    };
+
+    expect(MessagePackCodec.decode(MessagePackCodec.encode(value))).toEqual(value);
+  });
+
+  test('should round-trip binary data', () => {
+    const payload = new Uint8Array([1, 2, 3]);
+    const decoded = MessagePackCodec.decode(MessagePackCodec.encode({ blob: payload }));
+
+    expect(Array.from(decoded.blob)).toEqual([1, 2, 3]);
+  });
+
+  test('should decode ArrayBuffer frames', () => {
+    const bytes = MessagePackCodec.encode({ a: 1 });
+
+    expect(MessagePackCodec.decode(bytes.buffer)).toEqual({ a: 1 });
+  });
+
+  test('should decode timestamp extensions into dates', () => {
+    const bytes = [0xd6, 0xff, 0x00, 0x00, 0x00, 0x3c];
+
+    expect(MessagePackCodec.decode(new Uint8Array(bytes))).toEqual(new Date(60000));
+  });
+
+  test('should fall back to JSON for text frames', () => {
+    expect(MessagePackCodec.decode('{"event":"hello"}')).toEqual({ event: 'hello' });
+  });
+
+  test('should reject truncated data', () => {
+    expect(() => MessagePackCodec.decode(new Uint8Array([0xcd, 0x01]))).toThrow('Unexpected end');
+  });
+});
+
+describe('StompCodec', () => {
+  test('should encode frames with escaped headers and a content-length', () => {
+    const frame = StompCodec.encode({ command: 'SEND', headers: { destination: '/queue/a', note: 'a:b\nc' }, body: 'héllo' });
+
+    expect(frame).toBe('SEND\ndestination:/queue/a\nnote:a\\cb\\nc\ncontent-length:6\n\nhéllo\0');
+  });
+
+  test('should not escape CONNECT headers', () => {
+    expect(StompCodec.encode({ command: 'CONNECT', headers: { passcode: 'a:b' } })).toBe('CONNECT\npasscode:a:b\n\n\0');
+  });
+
+  test('should encode binary bodies as binary frames', () => {
+    const frame = StompCodec.encode({ command: 'SEND', headers: { destination: '/q' }, body: new Uint8Array([0, 1, 2]) });
+
+    expect(frame).toBeInstanceOf(Uint8Array);
+    expect(Array.from(frame.slice(-4))).toEqual([0, 1, 2, 0]);
+    expect(new TextDecoder().decode(frame.slice(0, -4))).toBe('SEND\ndestination:/q\ncontent-length:3\n\n');
+  });
+
+  test('should reject values that are not frames', () => {
+    expect(() => StompCodec.encode({ action: 'ping' })).toThrow('StompCodec encodes STOMP frames');
+  });
+
+  test('should decode text frames, unescaping headers and keeping the first repeated header', () => {
+    const [frame] = StompCodec.decode('MESSAGE\r\nsubscription:sub-1\r\nnote:a\\cb\r\nnote:ignored\r\n\r\n{"a":1}\0');
+
+    expect(frame.command).toBe('MESSAGE');
+    expect(frame.headers).toEqual({ subscription: 'sub-1', note: 'a:b' });
+    expect(frame.body).toBe('{"a":1}');
+  });
+
+  test('should decode binary frames using content-length, heart-beats and several frames per message', () => {
+    const head = new TextEncoder().encode('MESSAGE\ncontent-length:3\n\n');
+    const bytes = new Uint8Array([10, ...head, 0, 7, 0, 0, 10, ...new TextEncoder().encode('RECEIPT\nreceipt-id:1\n\n\0')]);
+
+    const frames = StompCodec.decode(bytes.buffer);
+
+    expect(frames.map(frame => frame.command)).toEqual(['MESSAGE', 'RECEIPT']);
+    expect(Array.from(frames[0].binaryBody)).toEqual([0, 7, 0]);
+    expect(frames[1].headers).toEqual({ 'receipt-id': '1' });
+  });
+
+  test('should decode a heart-beat to no frames and fail on truncated frames', () => {
+    expect(StompCodec.decode('\n')).toEqual([]);
+    expect(() => StompCodec.decode('MESSAGE\n\nno terminator')).toThrow('Incomplete STOMP frame');
+  });
+});
+
+describe('codec helpers', () => {
+  test('should resolve built-in codecs by name', () => {
+    expect(resolveCodec()).toBe(JsonCodec);
+    expect(resolveCodec('msgpack')).toBe(MessagePackCodec);
+  });
+
+  test('should accept custom codecs', () => {
+    const codec = { encode: v => v, decode: v => v };
+    expect(resolveCodec(codec)).toBe(codec);
+  });
+
+  test('should reject unknown codecs', () => {
+    expect(() => resolveCodec('cbor')).toThrow('Unknown codec "cbor"');
+    expect(() => resolveCodec({ encode() {} })).toThrow('Invalid codec');
+  });
+
+  test('should normalize binary frame data', () => {
+    const buffer = new Uint8Array([9, 8, 7]).buffer;
+
+    expect(toFrameData('text')).toBe('text');
+    expect(Array.from(toFrameData(buffer))).toEqual([9, 8, 7]);
+    expect(Array.from(toFrameData(new DataView(buffer, 1)))).toEqual([8, 7]);
+  });
+
+  test('should measure frame sizes in bytes', () => {
+    expect(byteLength('ü')).toBe(2);
+    expect(byteLength(new Uint8Array(5))).toBe(5);
+  });
+});
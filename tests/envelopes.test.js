@@ -0,0 +1,108 @@
+import {
+  resolveEnvelope,
+  createDefaultEnvelope,
+  createKeyedEnvelope,
+  createSocketIoEnvelope,
+  createPhoenixEnvelope,
+  createJsonRpcEnvelope
+} from '../src/envelopes.js';
+
+describe('envelopes', () => {
+  test('default envelope should keep the original message shapes', () => {
+    const envelope = createDefaultEnvelope({ requestIdKey: 'rid' });
+
+    expect(envelope.encode({ event: 'greet', payload: { n: 1 }, meta: { requestId: 3, messageId: 4 } }))
+      .toEqual({ action: 'greet', data: { n: 1 }, rid: 3, messageId: 4 });
+    expect(envelope.encode({ event: 'chatMessage', payload: 'hi', meta: {}, payloadKey: 'body' }))
+      .toEqual({ action: 'chatMessage', body: 'hi' });
+    expect(envelope.decode({ event: 'greet', body: { n: 1 }, rid: 3 }))
+      .toEqual({ event: 'greet', payload: { n: 1 }, meta: { requestId: 3 }, error: undefined });
+    expect(envelope.decode({ action: 'bare' }).payload).toEqual({ action: 'bare' });
+  });
+
+  test('keyed envelope should read the payload from its key only', () => {
+    const envelope = createKeyedEnvelope({ eventKey: 'type', payloadKey: 'payload', metaKeys: { requestId: 'id', traceId: 'trace' } });
+
+    expect(envelope.encode({ event: 'update', payload: { data: 1 }, meta: { requestId: 7, traceId: 't' } }))
+      .toEqual({ type: 'update', payload: { data: 1 }, id: 7, trace: 't' });
+    expect(envelope.decode({ type: 'update', payload: { data: 1 }, trace: 't' }))
+      .toEqual({ event: 'update', payload: { data: 1 }, meta: { traceId: 't' }, error: undefined });
+    expect(envelope.decode({ type: 'count', payload: 0 }).payload).toBe(0);
+  });
+
+  test('envelopes should carry the channel under the configured key', () => {
+    const envelope = createKeyedEnvelope({ eventKey: 'type' }, { channelKey: 'ch' });
+
+    expect(envelope.encode({ event: 'say', payload: 'hi', meta: { channel: 'chat' } }))
+      .toEqual({ type: 'say', data: 'hi', ch: 'chat' });
+    expect(envelope.decode({ type: 'say', data: 'hi', ch: 'chat' }).meta).toEqual({ channel: 'chat' });
+    expect(createDefaultEnvelope().decode({ action: 'say', channel: 'chat' }).meta).toEqual({ channel: 'chat' });
+  });
+
+  test('keyed envelope should read the first event and payload key present', () => {
+    const envelope = createKeyedEnvelope({ eventKey: ['type', 'event'], payloadKey: ['payload', 'data'] });
+
+    expect(envelope.encode({ event: 'a', payload: 1, meta: {} })).toEqual({ type: 'a', payload: 1 });
+    expect(envelope.decode({ event: 'b', data: 2 })).toMatchObject({ event: 'b', payload: 2 });
+  });
+
+  test('socketio envelope should use event arrays', () => {
+    const envelope = createSocketIoEnvelope();
+
+    expect(envelope.encode({ event: 'chat', payload: { text: 'hi' }, meta: { requestId: 1 } })).toEqual(['chat', { text: 'hi' }]);
+    expect(envelope.encode({ event: 'ping', meta: {} })).toEqual(['ping']);
+    expect(envelope.decode(['chat', { text: 'hi' }])).toEqual({ event: 'chat', payload: { text: 'hi' }, meta: {} });
+    expect(envelope.decode(['move', 1, 2]).payload).toEqual([1, 2]);
+    expect(envelope.decode({ other: true }).event).toBeUndefined();
+  });
+
+  test('phoenix envelope should map refs and replies', () => {
+    const envelope = createPhoenixEnvelope({ topic: 'room:lobby' });
+
+    expect(envelope.encode({ event: 'new_msg', payload: { body: 'hi' }, meta: { requestId: 5 } }))
+      .toEqual([null, '5', 'room:lobby', 'new_msg', { body: 'hi' }]);
+    expect(envelope.encode({ event: 'phx_join', meta: { joinRef: '1', topic: 'room:42' } }))
+      .toEqual(['1', null, 'room:42', 'phx_join', {}]);
+
+    expect(envelope.decode(['1', '5', 'room:lobby', 'phx_reply', { status: 'ok', response: { id: 9 } }])).toEqual({
+      event: 'phx_reply',
+      payload: { id: 9 },
+      meta: { joinRef: '1', ref: '5', topic: 'room:lobby', requestId: 5, status: 'ok' },
+      error: undefined
+    });
+    expect(envelope.decode([null, '6', 'room:lobby', 'phx_reply', { status: 'error', response: { reason: 'denied' } }]).error)
+      .toEqual({ message: 'denied', response: { reason: 'denied' } });
+    expect(envelope.decode([null, null, 'room:lobby', 'new_msg', { body: 'yo' }]))
+      .toEqual({ event: 'new_msg', payload: { body: 'yo' }, meta: { joinRef: null, ref: null, topic: 'room:lobby' } });
+  });
+
+  test('jsonrpc envelope should map methods, ids and replies', () => {
+    const envelope = createJsonRpcEnvelope();
+
+    expect(envelope.encode({ event: 'sum', payload: [1, 2], meta: { requestId: 1 } }))
+      .toEqual({ jsonrpc: '2.0', method: 'sum', params: [1, 2], id: 1 });
+    expect(envelope.encode({ event: 'log', payload: 'text', meta: {} }))
+      .toEqual({ jsonrpc: '2.0', method: 'log', params: ['text'] });
+
+    expect(envelope.decode({ jsonrpc: '2.0', method: 'tick', params: { n: 1 } }))
+      .toEqual({ event: 'tick', payload: { n: 1 }, meta: {} });
+    expect(envelope.decode({ jsonrpc: '2.0', method: 'eth_sign', params: [], id: 1 }).meta).toEqual({ id: 1 });
+    expect(envelope.decode({ jsonrpc: '2.0', result: 3, id: 1 }))
+      .toEqual({ event: 'response', payload: 3, meta: { requestId: 1 }, error: undefined });
+    expect(envelope.decode({ jsonrpc: '2.0', error: { code: -32601, message: 'Method not found' }, id: 2 }).error)
+      .toEqual({ code: -32601, message: 'Method not found' });
+  });
+
+  test('resolveEnvelope should accept names, presets, definitions and custom envelopes', () => {
+    expect(resolveEnvelope().name).toBe('default');
+    expect(resolveEnvelope('jsonrpc').name).toBe('jsonrpc');
+    expect(resolveEnvelope({ preset: 'phoenix', topic: 't' }).encode({ event: 'e', meta: {} })[2]).toBe('t');
+    expect(resolveEnvelope({ eventKey: 'type', name: 'mine' }).name).toBe('mine');
+
+    const custom = { name: 'x', encode: () => 'x', decode: () => ({ event: 'x', meta: {} }) };
+    expect(resolveEnvelope(custom)).toBe(custom);
+
+    expect(() => resolveEnvelope('xml')).toThrow('Unknown envelope "xml"');
+    expect(() => resolveEnvelope({})).toThrow('Invalid envelope');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * In-memory stand-in for BroadcastChannel. Like the real one, messages are cloned, delivered
+ * asynchronously and never to the sender; close() disconnects an instance as a closed tab would.
+ */
+const groups = new Map();
+
+export class FakeBroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    this.closed = false;
+    if (!groups.has(name)) {
+      groups.set(name, new Set());
+    }
+    groups.get(name).add(this);
+  }
+
+  postMessage(data) {
+    if (this.closed) {
+      throw new Error('BroadcastChannel is closed');
+    }
+
+    const copy = structuredClone(data);
+    groups.get(this.name).forEach((other) => {
+      if (other !== this) {
+        Promise.resolve().then(() => {
+          if (!other.closed && other.onmessage) {
+            other.onmessage({ data: copy });
+          }
+        });
+      }
+    });
+  }
+
+  close() {
+    this.closed = true;
+    groups.get(this.name).delete(this);
+  }
+
+  static reset() {
+    groups.clear();
+  }
+}
+
+/**
+ * In-memory stand-in for the Web Locks LockManager: exclusive locks granted in request order
+ */
+export class FakeLockManager {
+  constructor() {
+    this.held = new Set();
+    this.waiting = new Map();
+  }
+
+  request(name, options, callback) {
+    return new Promise((resolve, reject) => {
+      const request = { callback, resolve, reject };
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => {
+          const queue = this.waiting.get(name) || [];
+          if (queue.indexOf(request) > -1) {
+            queue.splice(queue.indexOf(request), 1);
+            reject(Object.assign(new Error('The request was aborted'), { name: 'AbortError' }));
+          }
+        });
+      }
+
+      if (this.held.has(name)) {
+        if (!this.waiting.has(name)) {
+          this.waiting.set(name, []);
+        }
+        this.waiting.get(name).push(request);
+      } else {
+        this.grant(name, request);
+      }
+    });
+  }
+
+  grant(name, request) {
+    this.held.add(name);
+    Promise.resolve()
+      .then(() => request.callback({ name, mode: 'exclusive' }))
+      .then(request.resolve, request.reject)
+      .then(() => {
+        this.held.delete(name);
+        const next = (this.waiting.get(name) || []).shift();
+        if (next) {
+          this.grant(name, next);
+        }
+      });
+  }
+}
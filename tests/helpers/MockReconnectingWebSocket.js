@@ -0,0 +1,68 @@
+/**
+ * Controllable stand-in for ReconnectingWebSocket. Nothing happens on its own:
+ * tests open, close and feed messages explicitly and inspect `sent`.
+ */
+export class MockReconnectingWebSocket {
+  constructor(url, protocols, options) {
+    this.url = url;
+    this.protocols = protocols;
+    this.options = options;
+    this.readyState = 0; // CONNECTING
+    this.listeners = new Map();
+    this.sent = [];
+  }
+
+  addEventListener(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners.has(event)) {
+      const listeners = this.listeners.get(event);
+      const index = listeners.indexOf(callback);
+      if (index > -1) {
+        listeners.splice(index, 1);
+      }
+    }
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close(code = 1000, reason = '') {
+    this.readyState = 3; // CLOSED
+    this.triggerEvent('close', { code, reason });
+  }
+
+  reconnect(code = 1000, reason = '') {
+    this.close(code, reason);
+    this.open();
+  }
+
+  open() {
+    this.readyState = 1; // OPEN
+    this.triggerEvent('open', {});
+  }
+
+  receive(message) {
+    this.triggerEvent('message', {
+      data: typeof message === 'string' ? message : JSON.stringify(message)
+    });
+  }
+
+  sentMessages() {
+    return this.sent.map(data => JSON.parse(data));
+  }
+
+  triggerEvent(event, data) {
+    if (this.listeners.has(event)) {
+      [...this.listeners.get(event)].forEach(callback => {
+        callback(data);
+      });
+    }
+  }
+}
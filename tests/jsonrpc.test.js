@@ -0,0 +1,26 @@
+import { JsonRpcError, JSONRPC_ERRORS, isJsonRpcMessage, isJsonRpcBatch } from '../src/jsonrpc.js';
+
+describe('jsonrpc', () => {
+  test('should create typed errors from error objects', () => {
+    const error = JsonRpcError.from({ code: JSONRPC_ERRORS.METHOD_NOT_FOUND, message: 'Method not found', data: 'eth_foo' });
+
+    expect(error).toBeInstanceOf(JsonRpcError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('JsonRpcError');
+    expect(error.code).toBe(-32601);
+    expect(error.message).toBe('Method not found');
+    expect(error.data).toBe('eth_foo');
+
+    expect(JsonRpcError.from('broken').code).toBe(JSONRPC_ERRORS.INTERNAL_ERROR);
+  });
+
+  test('should recognize JSON-RPC messages and batches', () => {
+    expect(isJsonRpcMessage({ jsonrpc: '2.0', result: 1, id: 1 })).toBe(true);
+    expect(isJsonRpcMessage({ action: 'x' })).toBe(false);
+    expect(isJsonRpcMessage(null)).toBe(false);
+
+    expect(isJsonRpcBatch([{ jsonrpc: '2.0', result: 1, id: 1 }])).toBe(true);
+    expect(isJsonRpcBatch([])).toBe(false);
+    expect(isJsonRpcBatch(['chat', { text: 'hi' }])).toBe(false);
+  });
+});
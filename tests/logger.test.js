@@ -0,0 +1,147 @@
+import { createLogger, createConsoleLogger, createOpenTelemetryLogger } from '../src/logger.js';
+import { WebSocketClient } from '../src/WebSocketClient.js';
+import { MockServer } from '../src/testing/index.js';
+
+describe('logger', () => {
+  let target;
+
+  beforeEach(() => {
+    target = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  });
+
+  test('should drop records below the level', () => {
+    const logger = createLogger({ logger: target, logLevel: 'warn' });
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error', { code: 1 });
+
+    expect(logger.level).toBe('warn');
+    expect(target.debug).not.toHaveBeenCalled();
+    expect(target.info).not.toHaveBeenCalled();
+    expect(target.warn).toHaveBeenCalledWith('warn', undefined);
+    expect(target.error).toHaveBeenCalledWith('error', { code: 1 });
+  });
+
+  test('should pick the level from debug and the default level', () => {
+    expect(createLogger({ logger: target }).level).toBe('silent');
+    expect(createLogger({ logger: target, defaultLevel: 'info' }).level).toBe('info');
+    expect(createLogger({ logger: target, debug: true, defaultLevel: 'info' }).level).toBe('debug');
+    expect(() => createLogger({ logLevel: 'verbose' })).toThrow('Invalid logLevel "verbose"');
+  });
+
+  test('should mask secrets in fields and URLs', () => {
+    const logger = createLogger({ logger: target, logLevel: 'debug' });
+    const error = new Error('boom');
+
+    logger.info('Connecting', {
+      url: 'wss://example.com/socket?appId=app&token=jwt',
+      headers: { Authorization: 'Bearer jwt', accept: 'json' },
+      auth: [{ password: 'hunter2' }],
+      error
+    });
+
+    expect(target.info).toHaveBeenCalledWith('Connecting', {
+      url: 'wss://example.com/socket?appId=app&token=***',
+      headers: { Authorization: '***', accept: 'json' },
+      auth: [{ password: '***' }],
+      error
+    });
+  });
+
+  test('should apply the redact option', () => {
+    createLogger({ logger: target, logLevel: 'info', redact: false }).info('raw', { token: 'jwt' });
+    createLogger({ logger: target, logLevel: 'info', redact: ['sessionId'] }).info('keys', { sessionId: 'abc', token: 'jwt' });
+    createLogger({ logger: target, logLevel: 'info', redact: ({ email, ...fields }) => fields }).info('custom', { email: 'a@b.c', token: 'jwt' });
+
+    expect(target.info.mock.calls).toEqual([
+      ['raw', { token: 'jwt' }],
+      ['keys', { sessionId: '***', token: '***' }],
+      ['custom', { token: '***' }]
+    ]);
+  });
+
+  test('should survive a throwing logger', () => {
+    const logger = createLogger({ logger: { error: () => { throw new Error('disk full'); } }, logLevel: 'debug' });
+
+    expect(() => logger.error('failed')).not.toThrow();
+    expect(() => logger.info('no info method')).not.toThrow();
+  });
+
+  test('should prefix console output', () => {
+    const output = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const logger = createConsoleLogger('[Test]', output);
+
+    logger.warn('careful');
+    logger.info('hello', { a: 1 });
+
+    expect(output.warn).toHaveBeenCalledWith('[Test]', 'careful');
+    expect(output.info).toHaveBeenCalledWith('[Test]', 'hello', { a: 1 });
+  });
+
+  test('should emit OpenTelemetry log records with flat attributes', () => {
+    const otelLogger = { emit: jest.fn() };
+    const logger = createOpenTelemetryLogger(otelLogger);
+    const error = Object.assign(new Error('refused'), { code: 'ECONNREFUSED' });
+
+    logger.warn('Reconnecting', { attempt: 2, tags: ['a', 'b'], event: { code: 1006 }, error, skipped: undefined });
+
+    expect(otelLogger.emit).toHaveBeenCalledWith({
+      severityNumber: 13,
+      severityText: 'WARN',
+      body: 'Reconnecting',
+      attributes: {
+        attempt: 2,
+        tags: ['a', 'b'],
+        event: '{"code":1006}',
+        'error.message': 'refused',
+        'error.code': 'ECONNREFUSED'
+      }
+    });
+  });
+
+  describe('in WebSocketClient', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      server = new MockServer({ url: 'wss://example.com/socket?token=secret' });
+    });
+
+    afterEach(() => {
+      client.destroy();
+      jest.useRealTimers();
+    });
+
+    test('should log at info and above to an injected logger', async () => {
+      client = server.createClient({ autoPing: false, logger: target });
+      await jest.advanceTimersByTimeAsync(0);
+      client.emit('hello');
+
+      expect(target.info).toHaveBeenCalledWith('WebSocket connection opened', expect.objectContaining({ type: 'open' }));
+      expect(target.debug).not.toHaveBeenCalled();
+    });
+
+    test('should stay silent without debug or a logger', () => {
+      const log = jest.spyOn(console, 'debug').mockImplementation(() => {});
+      const info = jest.spyOn(console, 'info').mockImplementation(() => {});
+
+      client = new WebSocketClient('wss://example.com/socket', { autoPing: false, WebSocket: server.WebSocket });
+
+      expect(log).not.toHaveBeenCalled();
+      expect(info).not.toHaveBeenCalled();
+      log.mockRestore();
+      info.mockRestore();
+    });
+
+    test('should log everything with debug, redacting the options', () => {
+      client = server.createClient({ autoPing: false, logger: target, debug: true, token: 'jwt' });
+
+      expect(target.debug).toHaveBeenCalledWith('WebSocket client initialized', {
+        options: expect.objectContaining({ token: '***', debug: true })
+      });
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { METRICS, resolveMetrics, createOpenTelemetryMetrics } from '../src/metrics.js';
+import { MockServer, flushMicrotasks } from '../src/testing/index.js';
+
+describe('metrics', () => {
+  let hook;
+
+  beforeEach(() => {
+    hook = { increment: jest.fn(), record: jest.fn(), gauge: jest.fn() };
+  });
+
+  function total(name) {
+    return hook.increment.mock.calls.filter(([metric]) => metric === name).reduce((sum, [, value]) => sum + value, 0);
+  }
+
+  function values(method, name) {
+    return hook[method].mock.calls.filter(([metric]) => metric === name).map(([, value]) => value);
+  }
+
+  test('should fill in missing hook methods and swallow hook errors', () => {
+    const metrics = resolveMetrics({ increment: () => { throw new Error('exporter down'); } });
+
+    expect(() => metrics.increment(METRICS.reconnects.name, 1, {})).not.toThrow();
+    expect(() => metrics.record(METRICS.pingRtt.name, 5, {})).not.toThrow();
+    expect(() => resolveMetrics(null).gauge(METRICS.queueDepth.name, 0, {})).not.toThrow();
+  });
+
+  test('should create OpenTelemetry instruments once with their unit', () => {
+    const counter = { add: jest.fn() };
+    const histogram = { record: jest.fn() };
+    const gauge = { record: jest.fn() };
+    const meter = {
+      createCounter: jest.fn(() => counter),
+      createHistogram: jest.fn(() => histogram),
+      createGauge: jest.fn(() => gauge)
+    };
+    const metrics = createOpenTelemetryMetrics(meter);
+
+    metrics.increment(METRICS.bytesSent.name, 10, { client: 'a' });
+    metrics.increment(METRICS.bytesSent.name, 5, { client: 'a' });
+    metrics.record(METRICS.pingRtt.name, 42, {});
+    metrics.gauge(METRICS.queueDepth.name, 3, {});
+
+    expect(meter.createCounter).toHaveBeenCalledTimes(1);
+    expect(meter.createCounter).toHaveBeenCalledWith('websocket.client.bytes.sent', {
+      unit: 'By',
+      description: METRICS.bytesSent.description
+    });
+    expect(counter.add.mock.calls).toEqual([[10, { client: 'a' }], [5, { client: 'a' }]]);
+    expect(meter.createHistogram).toHaveBeenCalledWith('websocket.client.ping.rtt', expect.objectContaining({ unit: 'ms' }));
+    expect(histogram.record).toHaveBeenCalledWith(42, {});
+    expect(gauge.record).toHaveBeenCalledWith(3, {});
+  });
+
+  test('should fall back to an observable gauge', () => {
+    let callback;
+    const meter = { createObservableGauge: jest.fn(() => ({ addCallback: (fn) => { callback = fn; } })) };
+    const metrics = createOpenTelemetryMetrics(meter);
+
+    metrics.gauge(METRICS.queueDepth.name, 4, { client: 'a' });
+    metrics.gauge(METRICS.queueDepth.name, 2, { client: 'a' });
+    metrics.gauge(METRICS.queueDepth.name, 1, { client: 'b' });
+    const result = { observe: jest.fn() };
+    callback(result);
+
+    expect(meter.createObservableGauge).toHaveBeenCalledTimes(1);
+    expect(result.observe.mock.calls).toEqual([[2, { client: 'a' }], [1, { client: 'b' }]]);
+  });
+
+  describe('in WebSocketClient', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      server = new MockServer({ latency: 10 });
+    });
+
+    afterEach(() => {
+      client.destroy();
+      jest.useRealTimers();
+    });
+
+    test('should report traffic, queue depth, connect duration and reconnects', async () => {
+      client = server.createClient({
+        autoPing: false,
+        metrics: hook,
+        metricAttributes: { 'server.address': 'mock.server' },
+        reconnect: { minDelay: 100, jitter: false }
+      });
+      client.emit('hello', 'world');
+      expect(values('gauge', METRICS.queueDepth.name)).toEqual([1]);
+
+      await jest.advanceTimersByTimeAsync(10);
+      expect(values('record', METRICS.connectDuration.name)).toEqual([10]);
+      expect(values('gauge', METRICS.queueDepth.name)).toEqual([1, 0]);
+
+      server.send('welcome', { id: 1 });
+      await jest.advanceTimersByTimeAsync(10);
+
+      const sent = '{"action":"hello","data":"world"}';
+      const received = '{"action":"welcome","data":{"id":1}}';
+      expect(total(METRICS.messagesSent.name)).toBe(1);
+      expect(total(METRICS.bytesSent.name)).toBe(sent.length);
+      expect(total(METRICS.messagesReceived.name)).toBe(1);
+      expect(total(METRICS.bytesReceived.name)).toBe(received.length);
+      expect(hook.increment).toHaveBeenCalledWith(METRICS.messagesSent.name, 1, { 'server.address': 'mock.server' });
+
+      server.dropAll();
+      await jest.advanceTimersByTimeAsync(11);
+      expect(total(METRICS.reconnects.name)).toBe(1);
+
+      // The backoff delay doesn't count towards the connect duration
+      await jest.advanceTimersByTimeAsync(110);
+      expect(values('record', METRICS.connectDuration.name)).toEqual([10, 10]);
+    });
+
+    test('should report the ping round-trip time', async () => {
+      client = server.createClient({ pingInterval: 1, metrics: hook });
+      await jest.advanceTimersByTimeAsync(10);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      await jest.advanceTimersByTimeAsync(20);
+      await flushMicrotasks();
+
+      expect(values('record', METRICS.pingRtt.name)).toEqual([20]);
+    });
+  });
+
+  describe('in SimpleWebSocket', () => {
+    test('should report traffic and connect duration', async () => {
+      jest.useFakeTimers();
+      const server = new MockServer({ latency: 5 });
+      const client = server.createSimpleClient({ metrics: hook, logger: null });
+      await jest.advanceTimersByTimeAsync(5);
+
+      client.send('ping');
+      server.connection.sendRaw('pong!');
+      await jest.advanceTimersByTimeAsync(5);
+
+      expect(values('record', METRICS.connectDuration.name)).toEqual([5]);
+      expect(total(METRICS.messagesSent.name)).toBe(1);
+      expect(total(METRICS.bytesSent.name)).toBe(4);
+      expect(total(METRICS.messagesReceived.name)).toBe(1);
+      expect(total(METRICS.bytesReceived.name)).toBe(5);
+
+      client.disconnect();
+      await jest.advanceTimersByTimeAsync(5);
+      jest.useRealTimers();
+    });
+  });
+});
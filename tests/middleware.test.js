@@ -0,0 +1,55 @@
+import { compose, splitMiddleware } from '../src/middleware.js';
+
+describe('middleware', () => {
+  test('should run middleware in order around the terminal step', async () => {
+    const calls = [];
+    const run = compose([
+      async (context, next) => {
+        calls.push('a:before');
+        await next();
+        calls.push('a:after');
+      },
+      async (context, next) => {
+        calls.push('b');
+        context.value = 1;
+        await next();
+      }
+    ]);
+
+    const context = {};
+    await run(context, () => calls.push(`last:${context.value}`));
+
+    expect(calls).toEqual(['a:before', 'b', 'last:1', 'a:after']);
+  });
+
+  test('should stop when a middleware does not call next()', async () => {
+    const last = jest.fn();
+    await compose([() => {}])({}, last);
+
+    expect(last).not.toHaveBeenCalled();
+  });
+
+  test('should reject when next() is called twice or a middleware throws', async () => {
+    const twice = compose([async (context, next) => {
+      await next();
+      await next();
+    }]);
+    await expect(twice({}, () => {})).rejects.toThrow('next() called multiple times in one middleware');
+
+    const throwing = compose([() => {
+      throw new Error('boom');
+    }]);
+    await expect(throwing({}, () => {})).rejects.toThrow('boom');
+  });
+
+  test('should split middleware by direction', () => {
+    const fn = () => {};
+    expect(splitMiddleware(fn)).toEqual({ incoming: fn, outgoing: fn });
+
+    const { incoming, outgoing } = splitMiddleware({ outgoing: fn });
+    expect(incoming).toBeNull();
+    expect(typeof outgoing).toBe('function');
+
+    expect(() => splitMiddleware({})).toThrow('Invalid middleware');
+  });
+});
@@ -0,0 +1,380 @@
+/**
+ * @jest-environment node
+ */
+
+import WebSocket, { WebSocketServer } from 'ws';
+import { WebSocketClient } from '../src/WebSocketClient.js';
+import { SimpleWebSocket } from '../src/SimpleWebSocket.js';
+
+describe('Node.js runtime', () => {
+  let server;
+  let url;
+
+  beforeEach((done) => {
+    server = new WebSocketServer({ port: 0 }, () => {
+      url = `ws://127.0.0.1:${server.address().port}`;
+      done();
+    });
+
+    // Echo every frame back to the sender
+    server.on('connection', (socket) => {
+      socket.on('message', (data) => socket.send(data.toString()));
+    });
+  });
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  test('should run without a DOM', () => {
+    expect(typeof document).toBe('undefined');
+    expect(typeof window).toBe('undefined');
+  });
+
+  test('WebSocketClient should exchange messages through an injected WebSocket', (done) => {
+    const client = new WebSocketClient(url, { autoPing: false, WebSocket });
+
+    client.listen('greet', (data) => {
+      expect(data).toEqual({ name: 'node' });
+      client.destroy();
+      done();
+    });
+
+    client.onOpen(() => client.emit('greet', { name: 'node' }));
+  });
+
+  test('WebSocketClient should report a listener that throws as listener_error', (done) => {
+    const client = new WebSocketClient(url, { autoPing: false, WebSocket });
+
+    client.listen('greet', () => {
+      throw new Error('listener failed');
+    });
+    client.on('listener_error', ({ event, error }) => {
+      expect(event).toBe('greet');
+      expect(error.message).toBe('listener failed');
+      client.destroy();
+      done();
+    });
+
+    client.onOpen(() => client.emit('greet', { name: 'node' }));
+  });
+
+  test('WebSocketClient should fail clearly without a WebSocket implementation', () => {
+    const globalWebSocket = globalThis.WebSocket;
+    delete globalThis.WebSocket;
+
+    try {
+      expect(() => new WebSocketClient(url)).toThrow('WebSocket is not supported in this environment');
+    } finally {
+      if (globalWebSocket) {
+        globalThis.WebSocket = globalWebSocket;
+      }
+    }
+  });
+
+  test('WebSocketClient should reconnect with backoff and report attempts', (done) => {
+    let connections = 0;
+    server.on('connection', (socket) => {
+      connections++;
+      if (connections === 1) {
+        socket.close(1011, 'restart');
+      }
+    });
+
+    const client = new WebSocketClient(url, {
+      autoPing: false,
+      WebSocket,
+      reconnect: { minDelay: 10, maxDelay: 20 }
+    });
+    const reconnecting = jest.fn();
+    client.on('reconnecting', reconnecting);
+
+    client.on('reconnected', ({ attempts }) => {
+      expect(attempts).toBe(1);
+      expect(reconnecting).toHaveBeenCalledWith({ attempt: 1, delay: expect.any(Number) });
+      expect(reconnecting.mock.calls[0][0].delay).toBeLessThanOrEqual(10);
+      client.destroy();
+      done();
+    });
+  });
+
+  test('WebSocketClient should stop reconnecting when shouldReconnect returns false', (done) => {
+    server.on('connection', (socket) => socket.close(4001, 'unauthorized'));
+
+    const client = new WebSocketClient(url, {
+      autoPing: false,
+      WebSocket,
+      reconnect: { minDelay: 10, shouldReconnect: event => event.code !== 4001 }
+    });
+    const reconnecting = jest.fn();
+    client.on('reconnecting', reconnecting);
+
+    client.on('reconnect_failed', (detail) => {
+      expect(detail).toEqual({ attempts: 0, reason: 'rejected', code: 4001 });
+
+      setTimeout(() => {
+        expect(reconnecting).not.toHaveBeenCalled();
+        client.destroy();
+        done();
+      }, 50);
+    });
+  });
+
+  test('WebSocketClient should give up after maxRetries', (done) => {
+    server.on('connection', (socket) => socket.close(1011, 'down'));
+
+    const client = new WebSocketClient(url, {
+      autoPing: false,
+      WebSocket,
+      reconnect: { minDelay: 5, maxRetries: 2 }
+    });
+
+    client.on('reconnect_failed', (detail) => {
+      expect(detail).toEqual({ attempts: 2, reason: 'max_retries' });
+      client.destroy();
+      done();
+    });
+  });
+
+  test('WebSocketClient should refresh the connection without backoff', (done) => {
+    let connections = 0;
+    server.on('connection', () => {
+      connections++;
+    });
+
+    const client = new WebSocketClient(url, {
+      autoPing: false,
+      WebSocket,
+      reconnect: { minDelay: 5000 }
+    });
+    const reconnecting = jest.fn();
+    client.on('reconnecting', reconnecting);
+
+    client.onOpen(() => {
+      client.on('open', () => {
+        expect(connections).toBe(2);
+        expect(reconnecting).not.toHaveBeenCalled();
+        expect(client.getStatus().reconnectAttempts).toBe(0);
+        client.destroy();
+        done();
+      });
+      client.refreshConnection();
+    });
+  });
+
+  test('WebSocketClient should refresh credentials after an auth-failure close', (done) => {
+    const urls = [];
+    server.on('connection', (socket, request) => {
+      urls.push(request.url);
+      if (urls.length === 1) {
+        socket.close(4001, 'token expired');
+      }
+    });
+
+    let issued = 0;
+    const getAuth = jest.fn(() => Promise.resolve({ token: `jwt-${++issued}` }));
+    const client = new WebSocketClient(url, {
+      autoPing: false,
+      WebSocket,
+      getAuth,
+      reconnect: { minDelay: 5 }
+    });
+
+    client.on('reconnected', () => {
+      expect(urls).toEqual(['/?token=jwt-1', '/?token=jwt-2']);
+      expect(getAuth.mock.calls[0][0]).toEqual({ reason: 'connect', attempt: 0 });
+      expect(getAuth.mock.calls[1][0]).toMatchObject({ reason: 'auth_failure', attempt: 1, closeEvent: { code: 4001 } });
+      client.destroy();
+      done();
+    });
+  });
+
+  test('WebSocketClient should send the auth frame before queued messages', (done) => {
+    server.on('connection', (socket) => {
+      const frames = [];
+      socket.on('message', (data) => {
+        frames.push(JSON.parse(data.toString()));
+        if (frames.length === 2) {
+          expect(frames[0]).toEqual({ action: 'authenticate', token: 'jwt' });
+          expect(frames[1]).toEqual({ action: 'hello', data: { n: 1 } });
+          client.destroy();
+          done();
+        }
+      });
+    });
+
+    const client = new WebSocketClient(url, {
+      autoPing: false,
+      WebSocket,
+      getAuth: () => ({ message: { action: 'authenticate', token: 'jwt' } })
+    });
+    client.emit('hello', { n: 1 });
+  });
+
+  test('WebSocketClient should retry when getAuth() fails', (done) => {
+    let calls = 0;
+    const client = new WebSocketClient(url, {
+      autoPing: false,
+      WebSocket,
+      reconnect: { minDelay: 5 },
+      getAuth: () => {
+        calls++;
+        if (calls === 1) {
+          throw new Error('token endpoint down');
+        }
+        return { token: 'jwt' };
+      }
+    });
+    const authError = jest.fn();
+    client.on('auth_error', authError);
+
+    client.onOpen(() => {
+      expect(authError).toHaveBeenCalledWith({ error: expect.any(Error), reason: 'connect' });
+      expect(client.getStatus().reconnectAttempts).toBe(1);
+      client.destroy();
+      done();
+    });
+  });
+
+  test('SimpleWebSocket should reconnect with fresh credentials after an auth-failure close', (done) => {
+    const urls = [];
+    server.on('connection', (socket, request) => {
+      urls.push(request.url);
+      if (urls.length === 1) {
+        socket.close(4401, 'token expired');
+      }
+    });
+
+    let issued = 0;
+    const getAuth = jest.fn(() => Promise.resolve({ token: `jwt-${++issued}` }));
+    const ws = new SimpleWebSocket({
+      url,
+      WebSocket,
+      getAuth,
+      onClose: () => {},
+      onConnect: () => {
+        if (urls.length < 2) {
+          return;
+        }
+        expect(urls).toEqual(['/?token=jwt-1', '/?token=jwt-2']);
+        expect(getAuth.mock.calls[1][0]).toMatchObject({ reason: 'auth_failure', closeEvent: { code: 4401 } });
+        ws.disconnect();
+        done();
+      }
+    });
+  });
+
+  test('SimpleWebSocket should send credentials as handshake headers', (done) => {
+    server.on('connection', (socket, request) => {
+      expect(request.url).toBe('/');
+      expect(request.headers.authorization).toBe('Bearer jwt');
+      expect(request.headers['x-app-id']).toBe('app');
+      expect(request.headers['x-app-secret']).toBeUndefined();
+      expect(request.headers['x-app-signature']).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    const ws = new SimpleWebSocket({
+      url,
+      WebSocket,
+      authTransport: 'headers',
+      accessToken: 'jwt',
+      appId: 'app',
+      appSecret: 's3cret',
+      sign: true,
+      onConnect: () => ws.disconnect(),
+      onClose: () => done()
+    });
+  });
+
+  test('SimpleWebSocket should send the token as a subprotocol', (done) => {
+    server.on('connection', (socket, request) => {
+      expect(request.url).toBe('/');
+      expect(request.headers['sec-websocket-protocol'].split(/,\s*/)).toEqual(['bearer', 'jwt']);
+    });
+
+    const ws = new SimpleWebSocket({
+      url,
+      WebSocket,
+      authTransport: 'protocol',
+      accessToken: 'jwt',
+      onConnect: () => {
+        expect(ws.webSocket.protocol).toBe('bearer');
+        ws.disconnect();
+      },
+      onClose: () => done()
+    });
+  });
+
+  test('SimpleWebSocket should authenticate with a first frame and wait for the ack', (done) => {
+    server.removeAllListeners('connection');
+    server.on('connection', (socket) => {
+      socket.once('message', (data) => {
+        expect(JSON.parse(data.toString())).toEqual({ action: 'authenticate', appId: 'app', appSecret: 's3cret', token: 'jwt' });
+        const early = jest.fn();
+        ws.send('too early', early);
+        expect(early).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('not authenticated') }));
+        expect(ws.getStatus().authenticated).toBe(false);
+        socket.send(JSON.stringify({ type: 'authenticated' }));
+        socket.on('message', (frame) => socket.send(frame.toString()));
+      });
+    });
+
+    const onMessage = jest.fn();
+    const ws = new SimpleWebSocket({
+      url,
+      WebSocket,
+      authTransport: 'message',
+      accessToken: 'jwt',
+      appId: 'app',
+      appSecret: 's3cret',
+      onMessage,
+      onConnect: () => {
+        expect(ws.getStatus().authenticated).toBe(true);
+        ws.send('hello');
+      }
+    });
+
+    onMessage.mockImplementation((data) => {
+      expect(data).toBe('hello');
+      expect(onMessage).toHaveBeenCalledTimes(1);
+      ws.disconnect();
+      done();
+    });
+  });
+
+  test('SimpleWebSocket should close when the server rejects the auth frame', (done) => {
+    server.removeAllListeners('connection');
+    server.on('connection', (socket) => {
+      socket.once('message', () => socket.send(JSON.stringify({ type: 'unauthorized' })));
+    });
+
+    const onError = jest.fn();
+    const ws = new SimpleWebSocket({
+      url,
+      WebSocket,
+      authTransport: 'message',
+      accessToken: 'bad',
+      onError,
+      onConnect: () => done(new Error('should not report the connection')),
+      onClose: (event) => {
+        expect(event.code).toBe(4401);
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Authentication rejected.' }));
+        expect(ws.getStatus().authenticated).toBe(false);
+        done();
+      }
+    });
+  });
+
+  test('SimpleWebSocket should connect through an injected WebSocket', (done) => {
+    const ws = new SimpleWebSocket({
+      url,
+      WebSocket,
+      onConnect: () => ws.send('hello'),
+      onMessage: (data) => {
+        expect(data.toString()).toBe('hello');
+        ws.disconnect();
+      },
+      onClose: () => done()
+    });
+  });
+});
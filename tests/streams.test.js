@@ -0,0 +1,144 @@
+import { createEventStream, createObservable, observableSymbol } from '../src/streams.js';
+
+function createSource() {
+  const source = { push: null, end: null, detached: 0 };
+  source.attach = (push, end) => {
+    source.push = push;
+    source.end = end;
+    return () => {
+      source.detached++;
+    };
+  };
+  return source;
+}
+
+describe('createEventStream', () => {
+  test('should deliver pushed values in order to waiting and later pulls', async () => {
+    const source = createSource();
+    const stream = createEventStream(source.attach);
+
+    const first = stream.next();
+    source.push(1);
+    source.push(2);
+
+    await expect(first).resolves.toEqual({ value: 1, done: false });
+    await expect(stream.next()).resolves.toEqual({ value: 2, done: false });
+  });
+
+  test('should end waiting and later pulls when the source ends', async () => {
+    const source = createSource();
+    const stream = createEventStream(source.attach);
+    source.push('a');
+
+    const values = [];
+    const consumed = (async () => {
+      for await (const value of stream) {
+        values.push(value);
+      }
+    })();
+    await Promise.resolve();
+    source.end();
+    await consumed;
+
+    expect(values).toEqual(['a']);
+    expect(source.detached).toBe(1);
+  });
+
+  test.each([
+    ['drop-oldest', [3, 4], [1, 2]],
+    ['drop-newest', [1, 2], [3, 4]]
+  ])('should apply the %s policy when the buffer is full', async (overflow, kept, dropped) => {
+    const source = createSource();
+    const onDrop = jest.fn();
+    const stream = createEventStream(source.attach, { bufferSize: 2, overflow, onDrop });
+
+    [1, 2, 3, 4].forEach(value => source.push(value));
+
+    expect(stream.dropped).toBe(2);
+    expect(onDrop.mock.calls.map(([value]) => value)).toEqual(dropped);
+    await expect(stream.next()).resolves.toEqual({ value: kept[0], done: false });
+    await expect(stream.next()).resolves.toEqual({ value: kept[1], done: false });
+  });
+
+  test('should end with STREAM_OVERFLOW after the buffered values with the error policy', async () => {
+    const source = createSource();
+    const stream = createEventStream(source.attach, { bufferSize: 1, overflow: 'error' });
+
+    source.push(1);
+    source.push(2);
+
+    await expect(stream.next()).resolves.toEqual({ value: 1, done: false });
+    await expect(stream.next()).rejects.toMatchObject({ code: 'STREAM_OVERFLOW' });
+    await expect(stream.next()).resolves.toEqual({ value: undefined, done: true });
+    expect(source.detached).toBe(1);
+  });
+
+  test('should detach when the consumer breaks out of the loop', async () => {
+    const source = createSource();
+    const stream = createEventStream(source.attach);
+    source.push(1);
+
+    for await (const value of stream) {
+      expect(value).toBe(1);
+      break;
+    }
+
+    expect(source.detached).toBe(1);
+    source.push(2);
+    await expect(stream.next()).resolves.toEqual({ value: undefined, done: true });
+  });
+
+  test('should end when the signal aborts', async () => {
+    const source = createSource();
+    const controller = new AbortController();
+    const stream = createEventStream(source.attach, { signal: controller.signal });
+
+    const pending = stream.next();
+    controller.abort();
+
+    await expect(pending).resolves.toEqual({ value: undefined, done: true });
+    expect(source.detached).toBe(1);
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => createEventStream(createSource().attach, { overflow: 'block' })).toThrow('Unknown overflow policy "block"');
+    expect(() => createEventStream(createSource().attach, { bufferSize: 0 })).toThrow('bufferSize must be a positive number.');
+  });
+});
+
+describe('createObservable', () => {
+  test('should push values to observers and detach on unsubscribe', () => {
+    const source = createSource();
+    const observable = createObservable(source.attach);
+    const next = jest.fn();
+
+    const subscription = observable.subscribe(next);
+    source.push(1);
+    subscription.unsubscribe();
+    source.push(2);
+
+    expect(next.mock.calls).toEqual([[1]]);
+    expect(subscription.closed).toBe(true);
+    expect(source.detached).toBe(1);
+  });
+
+  test('should complete or error observers when the source ends', () => {
+    const source = createSource();
+    const observable = createObservable(source.attach);
+    const observer = { next: jest.fn(), error: jest.fn(), complete: jest.fn() };
+
+    observable.subscribe(observer);
+    source.end();
+    observable.subscribe(observer);
+    source.end(new Error('boom'));
+
+    expect(observer.complete).toHaveBeenCalledTimes(1);
+    expect(observer.error).toHaveBeenCalledWith(new Error('boom'));
+  });
+
+  test('should expose itself through Symbol.observable', () => {
+    const observable = createObservable(createSource().attach);
+
+    expect(observable[observableSymbol]()).toBe(observable);
+  });
+});
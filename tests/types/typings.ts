@@ -0,0 +1,241 @@
+// Compile-time checks for src/index.d.ts, run with `npm run test:types`
+import WebSocketClientDefault, {
+  createWebSocketClient,
+  WebSocketClient,
+  SimpleWebSocket,
+  ReconnectPolicy,
+  MessageQueue,
+  signRequest,
+  ValidationError,
+  JsonRpcError,
+  JSONRPC_ERRORS,
+  PhoenixProtocol,
+  GraphQLProtocol,
+  StompProtocol,
+  StompCodec,
+  SharedWebSocketClient,
+  SessionRecorder,
+  Logger,
+  MetricsHook,
+  METRICS,
+  createLogger,
+  createOpenTelemetryLogger,
+  createOpenTelemetryMetrics
+} from '../../src/index.js';
+import { MockServer, SessionReplay, flushMicrotasks } from '../../src/testing/index.js';
+
+interface Incoming {
+  orderUpdated: { id: string; status: 'pending' | 'shipped' };
+  priceQuote: { sku: string; price: number };
+}
+
+interface Outgoing {
+  placeOrder: { sku: string; quantity: number };
+  priceQuote: { sku: string };
+}
+
+const client = createWebSocketClient<Incoming, Outgoing>('wss://example.com/socket', {
+  pingTime: 30,
+  reconnect: { maxRetries: 5 },
+  schemas: {
+    incoming: {
+      orderUpdated: { type: 'object', required: ['id', 'status'] }
+    },
+    outgoing: {
+      placeOrder: payload => payload.quantity > 0 || 'quantity must be positive'
+    }
+  }
+});
+
+client.listen<'orderUpdated'>('orderUpdated', (order) => {
+  const status: 'pending' | 'shipped' = order.status;
+  return status;
+});
+
+client.listen('*', message => message.event);
+
+client.on('reconnecting', ({ attempt, delay }) => attempt + delay);
+client.on('validation_error', ({ direction, errors }) => errors.map(issue => `${direction}${issue.path}`));
+client.on('priceQuote', quote => quote.price.toFixed(2));
+
+client.emit('placeOrder', { sku: 'abc', quantity: 1 });
+
+// @ts-expect-error unknown action
+client.emit('cancelOrder', {});
+
+// @ts-expect-error wrong payload shape
+client.emit('placeOrder', { sku: 'abc' });
+
+// @ts-expect-error payload type of orderUpdated has no price
+client.listen('orderUpdated', order => order.price);
+
+const listeners = new AbortController();
+const removeOrderListener = client.on('orderUpdated', order => order.status, { priority: 10, signal: listeners.signal });
+removeOrderListener();
+client.once('open', ({ event }) => event);
+client.on('order.*', (detail, event) => `${event}: ${detail}`);
+client.on('phoenix:*', (detail, event) => event);
+client.offAll('orderUpdated');
+client.offAll();
+
+(async () => {
+  for await (const order of client.stream('orderUpdated', { bufferSize: 10, overflow: 'drop-newest', signal: new AbortController().signal })) {
+    return order.status;
+  }
+  return null;
+})();
+client.stream('*').next().then(result => (result.done ? null : result.value.event));
+const priceSubscription = client.observe('priceQuote').subscribe({ next: quote => quote.price, complete: () => undefined });
+priceSubscription.unsubscribe();
+
+// @ts-expect-error payload type of orderUpdated has no price
+client.observe('orderUpdated').subscribe(order => order.price);
+
+const quote: Promise<{ sku: string; price: number }> = client.request('priceQuote', { sku: 'abc' }, { timeout: 1000 });
+
+interface ChatIncoming {
+  said: { text: string };
+}
+
+const orders = client.createChannel('orders', { queue: { maxSize: 50 } });
+orders.emit('placeOrder', { sku: 'abc', quantity: 2 });
+orders.listen('orderUpdated', order => order.status);
+orders.on('message_dropped', ({ channel, reason }) => `${channel}: ${reason}`);
+const chat = client.createChannel<ChatIncoming, { say: { text: string } }>('chat');
+chat.listen('said', message => message.text.toUpperCase());
+chat.request('say', { text: 'hi' }).then(reply => reply);
+const channelStatus: number = chat.getStatus().messageQueueLength;
+chat.close();
+
+// @ts-expect-error chat channel has no placeOrder action
+chat.emit('placeOrder', { sku: 'abc', quantity: 1 });
+
+quote.catch((error: ValidationError) => error.errors);
+
+client
+  .use(async (context, next) => {
+    if (context.direction === 'outgoing') {
+      context.message.tenantId = 't-1';
+    }
+    await next();
+  })
+  .use({
+    incoming: (context, next) => {
+      context.frame = String(context.frame);
+      return next();
+    }
+  });
+client.listen('*', message => message.meta.requestId);
+
+new WebSocketClient('wss://example.com/socket', { envelope: { preset: 'phoenix', topic: 'room:lobby' } });
+new WebSocketClient('wss://example.com/socket', { envelope: { eventKey: 'type', payloadKey: 'payload', metaKeys: ['traceId'] } });
+// @ts-expect-error unknown preset
+new WebSocketClient('wss://example.com/socket', { envelope: 'xml' });
+
+const blockNumber: Promise<string> = client.call<string>('eth_blockNumber', []);
+blockNumber.catch((error) => error instanceof JsonRpcError && error.code === JSONRPC_ERRORS.METHOD_NOT_FOUND);
+client.notify('log', { level: 'info' });
+client.batch([{ method: 'sum', params: [1, 2] }, { method: 'log', notification: true }])
+  .then(results => results.map(result => (result.status === 'fulfilled' ? result.value : result.reason.message)));
+
+client.on('middleware_error', ({ direction, error }) => `${direction}: ${error.message}`);
+
+const untyped = new WebSocketClient('wss://example.com/socket', { protocol: 'apiGateway', apiGateway: { handshakeAction: 'whoami' } });
+untyped.emit('anything', { at: 'all' });
+untyped.listen('anything', data => data.whatever);
+
+const phoenixClient = new WebSocketClient('wss://example.com/socket/websocket?vsn=2.0.0', { protocol: 'phoenix', phoenix: { timeout: 5000 } });
+const lobby = (phoenixClient.protocol as PhoenixProtocol).channel('room:lobby', () => ({ token: 'abc' }));
+lobby.on('new_msg', payload => payload.body);
+lobby.join().then(() => lobby.push<{ id: number }>('new_msg', { body: 'hi' })).then(reply => reply.id);
+phoenixClient.on('phoenix:join_error', ({ topic, error }) => `${topic}: ${error.status}`);
+
+const graphqlClient = new WebSocketClient('wss://example.com/graphql', {
+  protocol: 'graphql',
+  graphql: { connectionParams: async () => ({ token: 'abc' }), ackTimeout: 5000 }
+});
+const messages = (graphqlClient.protocol as GraphQLProtocol).subscribe<{ messageAdded: { text: string } }>(
+  'subscription ($room: ID!) { messageAdded(room: $room) { text } }',
+  { variables: { room: '1' } }
+);
+const observing = messages.subscribe({
+  next: result => result.data && result.data.messageAdded.text,
+  error: error => error.errors.map(item => item.message)
+});
+observing.unsubscribe();
+(async () => {
+  for await (const result of messages) {
+    return result.data ? result.data.messageAdded.text : null;
+  }
+  return null;
+})();
+graphqlClient.on('graphql:connection_ack', ({ payload }) => payload);
+
+const stompClient = new WebSocketClient('wss://broker.example.com/ws', {
+  protocol: 'stomp',
+  stomp: { connectHeaders: { login: 'guest', passcode: 'guest' }, heartbeat: { outgoing: 10000, incoming: 10000 } }
+});
+const stomp = stompClient.protocol as StompProtocol;
+const jobs = stomp.subscribe('/queue/jobs', {
+  ack: 'client-individual',
+  onMessage: message => (message.body ? message.ack() : message.nack({ headers: { reason: 'empty' } }))
+});
+jobs.unsubscribe().then(() => stomp.disconnect());
+stomp.send('/queue/orders', { id: 1 }, { receipt: true }).catch((error: Error) => error.message);
+stompClient.on('stomp:error', ({ error, headers }) => `${error.message} ${headers.message}`);
+StompCodec.decode('\n').map(frame => frame.command);
+
+const sharedClient = new SharedWebSocketClient<Incoming, Outgoing>('wss://example.com/socket', {
+  requestTimeout: 5000,
+  shared: { name: 'orders', heartbeatInterval: 500, locks: null }
+});
+sharedClient.emit('placeOrder', { sku: 'abc', quantity: 1 });
+sharedClient.listen('orderUpdated', order => order.status);
+sharedClient.on('leader_change', ({ leaderId, role }) => `${leaderId} ${role}`);
+sharedClient.request('priceQuote', { sku: 'abc' }).then(reply => reply.price);
+const sharedRole: 'leader' | 'follower' = sharedClient.getStatus().role;
+sharedClient.destroy();
+
+const mockServer = new MockServer({ latency: 10, autoAck: true });
+mockServer.reply<{ sku: string }>('priceQuote', ({ sku }) => ({ sku, price: 9 }));
+const mockClient = mockServer.createClient<Incoming, Outgoing>({ autoPing: false });
+mockServer.nextMessage<{ sku: string }>('placeOrder').then(received => received.payload.sku);
+mockServer.nextConnection().then(connection => connection.drop());
+mockServer.losePongs(2);
+mockServer.refuseConnections({ code: 1013 });
+const mockFrames: Array<string | Uint8Array> = mockServer.connection ? mockServer.connection.frames : [];
+mockServer.createSimpleClient({ accessToken: 'token' }).disconnect();
+flushMicrotasks().then(() => mockClient.destroy());
+
+const recorder = client.startRecording({ maxEntries: 1000, redact: entry => (entry.type === 'out' ? null : entry) });
+const sessionFile: string = recorder.toJSONL();
+recorder.toHAR().log.entries.forEach(entry => entry._webSocketMessages);
+client.stopRecording();
+const replay = new SessionReplay(SessionRecorder.from(sessionFile), { speed: 10 });
+replay.createClient<Incoming, Outgoing>().listen('orderUpdated', order => order.status);
+replay.play().then(() => replay.sent.length);
+
+const appLogger: Logger = createOpenTelemetryLogger({ emit: record => record.body });
+const counts: Record<string, number> = {};
+const metrics: MetricsHook = { increment: (name, value) => { counts[name] = (counts[name] || 0) + value; } };
+const observed = createWebSocketClient('wss://example.com/socket', {
+  logger: appLogger,
+  logLevel: 'warn',
+  redact: ['sessionId'],
+  metrics: createOpenTelemetryMetrics({}),
+  metricAttributes: { 'server.address': 'example.com' }
+});
+observed.destroy();
+new SimpleWebSocket({ url: 'wss://example.com/socket', logger: null, metrics }).disconnect();
+createLogger({ logLevel: 'info', redact: fields => ({ ...fields, user: undefined }) }).info(METRICS.pingRtt.name, { rtt: 12 });
+
+const fallback: typeof WebSocketClient = WebSocketClientDefault;
+
+const simple = new SimpleWebSocket({ url: 'wss://example.com/socket', authTransport: 'headers', sign: true });
+simple.send('hello', (error) => error && error.message);
+
+new ReconnectPolicy({ minDelay: 100 }).getDelay(2);
+new MessageQueue({ maxSize: 10, overflow: 'reject' }).enqueue('frame');
+signRequest('app', 'secret').then(signed => signed.signature);
+
+export { fallback, quote, channelStatus, sharedRole, mockFrames };
@@ -0,0 +1,60 @@
+import { validate, validateJsonSchema, createValidationError } from '../src/validation.js';
+
+describe('validation', () => {
+  const order = {
+    type: 'object',
+    required: ['id', 'status'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      status: { enum: ['pending', 'shipped'] },
+      total: { type: 'number', minimum: 0 },
+      items: { type: 'array', minItems: 1, items: { type: 'object', required: ['sku'] } }
+    }
+  };
+
+  test('should accept valid payloads', () => {
+    expect(validateJsonSchema(order, { id: 'a1', status: 'pending', total: 9.5, items: [{ sku: 'x' }] })).toEqual([]);
+  });
+
+  test('should report issues with JSON pointer paths', () => {
+    expect(validateJsonSchema(order, { id: '', status: 'lost', total: -1, items: [{}], extra: true })).toEqual([
+      { path: '/id', message: 'must have at least 1 characters' },
+      { path: '/status', message: 'must be one of: "pending", "shipped"' },
+      { path: '/total', message: 'must be >= 0' },
+      { path: '/items/0', message: 'must have required property "sku"' },
+      { path: '/extra', message: 'is not allowed' }
+    ]);
+    expect(validateJsonSchema(order, 'nope')).toEqual([{ path: '', message: 'must be object' }]);
+    expect(validateJsonSchema(order, { status: 'pending' })).toEqual([{ path: '', message: 'must have required property "id"' }]);
+  });
+
+  test('should support type lists, integers, patterns and combinators', () => {
+    expect(validateJsonSchema({ type: ['string', 'null'] }, null)).toEqual([]);
+    expect(validateJsonSchema({ type: 'integer' }, 1.5)).toEqual([{ path: '', message: 'must be integer' }]);
+    expect(validateJsonSchema({ type: 'number' }, 2)).toEqual([]);
+    expect(validateJsonSchema({ pattern: '^[A-Z]{3}$', type: 'string' }, 'usd')).toHaveLength(1);
+    expect(validateJsonSchema({ anyOf: [{ type: 'string' }, { type: 'number' }] }, true)).toHaveLength(1);
+    expect(validateJsonSchema({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 3)).toHaveLength(1);
+    expect(validateJsonSchema({ const: 'v1' }, 'v1')).toEqual([]);
+  });
+
+  test('should run validator functions', () => {
+    expect(validate(payload => payload > 0, 1)).toEqual([]);
+    expect(validate(() => undefined, 1)).toEqual([]);
+    expect(validate(() => false, 1)).toEqual([{ path: '', message: 'is invalid' }]);
+    expect(validate(() => 'too small', 1)).toEqual([{ path: '', message: 'too small' }]);
+    expect(validate(() => ['a', { path: '/b', message: 'b' }], 1)).toEqual([
+      { path: '', message: 'a' },
+      { path: '/b', message: 'b' }
+    ]);
+    expect(validate(() => { throw new Error('boom'); }, 1)).toEqual([{ path: '', message: 'boom' }]);
+  });
+
+  test('should build descriptive errors', () => {
+    const error = createValidationError('outgoing', 'placeOrder', [{ path: '/quantity', message: 'must be >= 1' }]);
+
+    expect(error.message).toBe('Invalid outgoing payload for "placeOrder": /quantity must be >= 1');
+    expect(error).toMatchObject({ code: 'VALIDATION_ERROR', direction: 'outgoing', action: 'placeOrder' });
+  });
+});